@@ -0,0 +1,373 @@
+// ./client/binderClient.js
+// Headless client for the binder socket protocol, for bots that sit in a binder and for integration tests.
+// It joins like the browser does (credentials, incremental rejoin, heartbeat), keeps a local copy of the binder
+// and offers helpers for each entity type:
+//
+//   const binder = createBinderClient({ url: 'http://localhost:3000', channelName: 'demo', displayName: 'Bot' });
+//   await binder.connect();
+//   binder.on('add-chat', (message) => { ... });
+//   await binder.goals.add({ title: 'Ship it' });
+//   const reply = await binder.llm.trigger({ model, userPrompt: 'Summarize the goals' });
+//
+// A bot created by the binder's owner joins with its token instead of a name and credentials:
+//
+//   createBinderClient({ url, channelName: 'demo', botToken: process.env.BINDER_BOT_TOKEN });
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const {
+  ENTITY_EVENTS,
+  entityEventIndex,
+  createBinderState,
+  applySyncState,
+  applyEntityEvent,
+  applyTextSnapshot,
+  listEntities,
+} = require('./binderState');
+
+const DEFAULT_HEARTBEAT_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_LLM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const EVENT_INDEX = entityEventIndex();
+
+// The bot user a bot token was issued to. The server checks the token; this only reads who it names.
+function botTokenSubject(botToken) {
+  try {
+    return JSON.parse(Buffer.from(botToken.split('.')[1], 'base64url').toString('utf8')).sub || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Creates a client for one binder. Nothing is sent until connect() is called.
+ * With a `botToken` the client joins as that bot, and its name and user id come from the bot.
+ * `io` defaults to socket.io-client's and can be replaced, e.g. by a test double.
+ */
+function createBinderClient({
+  url,
+  channelName,
+  botToken = null,
+  displayName = botToken ? 'Bot' : undefined,
+  userUuid = (botToken && botTokenSubject(botToken)) || uuidv4(),
+  password = null,
+  inviteToken = null,
+  heartbeatMs = DEFAULT_HEARTBEAT_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  socketOptions = {},
+  io = require('socket.io-client').io,
+} = {}) {
+  if (!url || !channelName || !displayName) {
+    throw new Error('createBinderClient needs a url, channelName and displayName');
+  }
+
+  const events = new EventEmitter();
+  const state = createBinderState();
+  let socket = null;
+  let heartbeat = null;
+  let joined = false;
+  let token = inviteToken;
+  let pendingPassword = password;
+  let memberKey = null; // Issued on the first join; rejoins as the same user present it
+  // Sync cursors, so a rejoin after a dropped connection only fetches what changed
+  const cursors = {};
+  let lastEventAt = null;
+
+  function recordLastEvent(serverTimestamp) {
+    if (Number.isFinite(serverTimestamp)) lastEventAt = Math.max(lastEventAt || 0, serverTimestamp);
+  }
+
+  function joinChannel() {
+    socket.emit('join-channel', {
+      userUuid,
+      displayName,
+      channelName,
+      since: { ...cursors },
+      lastEventAt,
+      ...(botToken ? { botToken } : {}),
+      ...(token ? { inviteToken: token } : {}),
+      ...(pendingPassword ? { password: pendingPassword } : {}),
+      ...(memberKey ? { memberKey } : {}),
+    });
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    heartbeat = setInterval(() => {
+      if (socket && socket.connected) send('ping', { id: null, data: null });
+    }, heartbeatMs);
+    heartbeat.unref?.();
+  }
+
+  function stopHeartbeat() {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  function handleMessage(message) {
+    if (!message || typeof message.type !== 'string') return;
+    if (message.replayable) recordLastEvent(message.serverTimestamp);
+
+    const target = EVENT_INDEX[message.type];
+    switch (message.type) {
+      case 'init-state':
+      case 'sync-state':
+        applySyncState(state, message);
+        if (Number.isFinite(message.serverTimestamp)) {
+          Object.keys(message.data || {}).forEach((entityType) => { cursors[entityType] = message.serverTimestamp; });
+        }
+        recordLastEvent(message.lastEventAt);
+        joined = true;
+        break;
+      case 'replay-events':
+        (message.data?.events || []).forEach(handleMessage);
+        recordLastEvent(message.lastEventAt);
+        joined = true;
+        break;
+      case 'access-granted':
+        token = message.data?.token || token;
+        pendingPassword = null;
+        break;
+      case 'member-key':
+        memberKey = message.data?.key || memberKey;
+        break;
+      case 'join-rejected':
+        if (message.data?.reason === 'invalid-token') token = null;
+        break;
+      case 'text-snapshot':
+        applyTextSnapshot(state, message);
+        break;
+      case 'update-conflict': {
+        // Take the server's copy, as the browser does; a deleted entity needs a resync
+        const conflict = EVENT_INDEX[message.data?.eventType];
+        if (conflict && message.data.current) {
+          applyEntityEvent(state, conflict.entityType, 'update', { id: message.id, data: message.data.current, version: message.data.version });
+        } else if (conflict) {
+          requestSync();
+        }
+        break;
+      }
+      case 'validation-error': {
+        // The server refused a change this client already applied, so that type is reloaded in full
+        const { [message.data?.entityType]: refused, ...since } = cursors;
+        send('sync-request', { id: null, data: { since } });
+        break;
+      }
+      case 'remove-channel':
+        disconnect();
+        break;
+      default:
+        if (target) {
+          applyEntityEvent(state, target.entityType, target.operation, message);
+        } else if (message.type.endsWith('-ack') && EVENT_INDEX[message.type.slice(0, -4)]) {
+          const acked = EVENT_INDEX[message.type.slice(0, -4)];
+          const entity = state[acked.entityType]?.get(message.id);
+          if (entity && Number.isInteger(message.version)) entity.version = message.version;
+        }
+    }
+
+    events.emit(message.type, message);
+    events.emit('message', message);
+  }
+
+  /**
+   * Connects and joins the binder. Resolves once the binder's state has arrived; rejects if the join is refused
+   * or nothing arrives within `timeoutMs`. A locked binder keeps the client in the waiting room until a host
+   * admits it, which still has to happen within the timeout.
+   */
+  function connect() {
+    if (socket) return joined ? Promise.resolve(api) : waitForJoin();
+    socket = io(url, {
+      reconnection: true,
+      reconnectionDelay: 3000,
+      reconnectionDelayMax: 5000,
+      timeout: timeoutMs,
+      transports: ['websocket'],
+      path: '/socket.io',
+      ...socketOptions,
+    });
+
+    socket.on('connect', () => {
+      joinChannel();
+      startHeartbeat();
+      events.emit('connected');
+    });
+    socket.on('disconnect', (reason) => {
+      stopHeartbeat();
+      events.emit('disconnected', reason);
+    });
+    socket.on('connect_error', (error) => events.emit('connect-error', error));
+    socket.on('message', handleMessage);
+
+    return waitForJoin();
+  }
+
+  function waitForJoin() {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        events.off('init-state', onJoined);
+        events.off('replay-events', onJoined);
+        events.off('join-rejected', onRejected);
+        events.off('join-denied', onRejected);
+      };
+      const onJoined = () => {
+        cleanup();
+        resolve(api);
+      };
+      const onRejected = (message) => {
+        cleanup();
+        disconnect();
+        reject(new Error(message.message || `Could not join ${channelName}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out joining ${channelName}`));
+      }, timeoutMs);
+      events.on('init-state', onJoined);
+      events.on('replay-events', onJoined);
+      events.on('join-rejected', onRejected);
+      events.on('join-denied', onRejected);
+    });
+  }
+
+  function disconnect() {
+    stopHeartbeat();
+    if (socket) {
+      if (socket.connected) socket.emit('leave-channel', { userUuid, channelName });
+      socket.disconnect();
+      socket = null;
+    }
+    joined = false;
+  }
+
+  /**
+   * Sends a raw protocol message, e.g. send('claim-presenter', { id: null, data: null }).
+   */
+  function send(type, payload = {}) {
+    if (!socket || !socket.connected) throw new Error(`Not connected to ${channelName}`);
+    socket.emit('message', { userUuid, channelName, timestamp: Date.now(), type, ...payload });
+  }
+
+  function requestSync() {
+    send('sync-request', { id: null, data: { since: { ...cursors } } });
+  }
+
+  /**
+   * Listens for a message type ('add-chat', 'user-list', ...), or every message with 'message'.
+   * Returns a function that stops listening.
+   */
+  function on(type, handler) {
+    events.on(type, handler);
+    return () => events.off(type, handler);
+  }
+
+  /**
+   * Resolves with the next message of a type that passes `predicate`, or rejects after `timeout` ms.
+   */
+  function waitFor(type, predicate = () => true, timeout = timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const handler = (message) => {
+        if (!predicate(message)) return;
+        clearTimeout(timer);
+        events.off(type, handler);
+        resolve(message);
+      };
+      const timer = setTimeout(() => {
+        events.off(type, handler);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeout);
+      events.on(type, handler);
+    });
+  }
+
+  // Sends an entity event and applies it locally, since the server does not echo it back to the sender
+  function sendEntityEvent(entityType, operation, payload) {
+    const message = { ...payload, userUuid, timestamp: Date.now() };
+    send(ENTITY_EVENTS[entityType][operation], message);
+    applyEntityEvent(state, entityType, operation, message);
+    return message;
+  }
+
+  function entityHelpers(entityType, entityEvents) {
+    const helpers = {
+      list: () => listEntities(state, entityType),
+      get: id => state[entityType]?.get(id) || null,
+      add(data, { id = uuidv4() } = {}) {
+        sendEntityEvent(entityType, 'add', { id, data });
+        return helpers.get(id);
+      },
+      remove(id) {
+        sendEntityEvent(entityType, 'remove', { id, data: null });
+      },
+    };
+    if (entityEvents.update) {
+      // Merges the changes into the local copy and sends it based on the version this client last saw
+      helpers.update = (id, changes) => {
+        const current = helpers.get(id);
+        if (!current) throw new Error(`Unknown ${entityType} ${id}`);
+        sendEntityEvent(entityType, 'update', { id, data: { ...current.data, ...changes }, version: current.version });
+        return helpers.get(id);
+      };
+    }
+    if (entityEvents.reorder) {
+      helpers.reorder = (order, extra = {}) => sendEntityEvent(entityType, 'reorder', { id: null, data: { ...extra, order } });
+    }
+    if (entityEvents.vote) {
+      helpers.vote = (id, data) => sendEntityEvent(entityType, 'vote', { id, data });
+    }
+    if (entityEvents.draft) {
+      helpers.draft = (id, data) => send(entityEvents.draft, { id, data });
+    }
+    return helpers;
+  }
+
+  const llm = {
+    /**
+     * Asks the server to run a prompt and resolves with the full reply once it has finished streaming.
+     * Other members of the binder see the reply stream in as they would for a prompt sent from the browser.
+     */
+    trigger({ model, systemPrompt = '', userPrompt, messageHistory = [], temperature = 0.5, useJson = false, generateImage = false, id = uuidv4(), timeout = DEFAULT_LLM_TIMEOUT_MS } = {}) {
+      let reply = '';
+      const stopListening = on('draft-llm', (message) => {
+        if (message.id === id && typeof message.data?.content === 'string' && !message.data.isImage) reply += message.data.content;
+      });
+      // A throttled request gets no reply, so it fails straight away instead of timing out
+      const finished = message => message.id === id && ((message.type === 'draft-llm' && message.data?.end) || message.type === 'rate-limited');
+      const done = waitFor('message', finished, timeout)
+        .then((message) => {
+          if (message.type === 'rate-limited') throw new Error(message.message || 'Rate limited');
+          return reply;
+        })
+        .finally(stopListening);
+      send('add-llm', { id, data: { model, temperature, systemPrompt, userPrompt, messageHistory, useJson, generateImage } });
+      return done;
+    },
+  };
+
+  const api = {
+    userUuid,
+    channelName,
+    state,
+    connect,
+    disconnect,
+    send,
+    requestSync,
+    on,
+    waitFor,
+    llm,
+    get connected() {
+      return !!socket && socket.connected && joined;
+    },
+  };
+  Object.entries(ENTITY_EVENTS).forEach(([entityType, entityEvents]) => {
+    api[entityType] = entityHelpers(entityType, entityEvents);
+  });
+  return api;
+}
+
+module.exports = {
+  createBinderClient,
+};
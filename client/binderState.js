@@ -0,0 +1,138 @@
+// ./client/binderState.js
+// Local copy of a binder's entities for the Node client, kept current from sync-state messages and entity events
+// the same way the browser composables keep theirs.
+
+// Socket events for each entity type, as handled by entityConfigs in config/realTime.js
+const ENTITY_EVENTS = {
+  agents: { add: 'add-agent', update: 'update-agent', remove: 'remove-agent' },
+  chats: { add: 'add-chat', update: 'update-chat', remove: 'delete-chat', draft: 'draft-chat' },
+  documents: { add: 'add-document', update: 'update-document', remove: 'remove-document' },
+  goals: { add: 'add-goal', update: 'update-goal', remove: 'remove-goal', reorder: 'reorder-goals' },
+  questions: { add: 'add-question', update: 'update-question', remove: 'remove-question', reorder: 'reorder-questions' },
+  answers: { add: 'add-answer', update: 'update-answer', remove: 'delete-answer', vote: 'vote-answer' },
+  artifacts: { add: 'add-artifact', update: 'update-artifact', remove: 'remove-artifact' },
+  transcripts: { add: 'add-transcript', remove: 'remove-transcript' },
+  collabs: { add: 'add-collab', update: 'update-collab', remove: 'delete-collab', draft: 'draft-collab' },
+  breakouts: { add: 'add-breakout', update: 'update-breakout', remove: 'delete-breakout' },
+  sections: { add: 'add-section', update: 'update-section', remove: 'remove-section', reorder: 'reorder-section' },
+  prompts: { add: 'add-prompt', update: 'update-prompt', remove: 'remove-prompt' },
+  transcriptions: { add: 'add-transcription', update: 'update-transcription', remove: 'remove-transcription' },
+  liveTranscriptions: { add: 'add-liveTranscription', update: 'update-liveTranscription', remove: 'remove-liveTranscription' },
+};
+
+// Entity types whose saved live-editing text arrives as text-snapshot messages
+const TEXT_SNAPSHOT_ENTITY_TYPES = ['documents', 'artifacts'];
+
+/**
+ * Event type -> { entityType, operation } for every entity event.
+ */
+function entityEventIndex(entityEvents = ENTITY_EVENTS) {
+  const index = {};
+  Object.entries(entityEvents).forEach(([entityType, events]) => {
+    Object.entries(events).forEach(([operation, type]) => {
+      index[type] = { entityType, operation };
+    });
+  });
+  return index;
+}
+
+function createBinderState() {
+  return {};
+}
+
+function entitiesOf(state, entityType) {
+  if (!state[entityType]) state[entityType] = new Map();
+  return state[entityType];
+}
+
+/**
+ * Applies an init-state or sync-state message. Entity types listed in `deltas` only carry changes since the
+ * client's cursor and the ids removed since; every other type is replaced in full.
+ */
+function applySyncState(state, message) {
+  const deltas = Array.isArray(message.deltas) ? message.deltas : [];
+  Object.entries(message.data || {}).forEach(([entityType, items]) => {
+    const entities = entitiesOf(state, entityType);
+    if (!deltas.includes(entityType)) entities.clear();
+    (items || []).forEach(item => entities.set(item.id, { ...item }));
+    (message.removed?.[entityType] || []).forEach(id => entities.delete(id));
+  });
+}
+
+/**
+ * Applies one entity event, whether it came from the server or was just sent by this client.
+ */
+function applyEntityEvent(state, entityType, operation, message) {
+  const entities = entitiesOf(state, entityType);
+  const current = entities.get(message.id);
+  switch (operation) {
+    case 'add':
+      entities.set(message.id, {
+        id: message.id,
+        userUuid: message.userUuid,
+        data: message.data,
+        version: Number.isInteger(message.version) ? message.version : 1,
+        timestamp: message.timestamp,
+      });
+      break;
+    case 'update':
+    case 'vote':
+      entities.set(message.id, {
+        ...current,
+        id: message.id,
+        userUuid: current?.userUuid ?? message.userUuid,
+        data: message.data,
+        version: Number.isInteger(message.version) ? message.version : current?.version,
+        timestamp: message.timestamp ?? current?.timestamp,
+      });
+      break;
+    case 'remove':
+      entities.delete(message.id);
+      break;
+    case 'reorder':
+      (message.data?.order || []).forEach((id, index) => {
+        const entity = entities.get(id);
+        if (entity) entities.set(id, { ...entity, data: { ...entity.data, order: index } });
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Saved text from a live editing session replaces the entity's page text.
+ */
+function applyTextSnapshot(state, message) {
+  const entityType = message.data?.entityType;
+  if (!TEXT_SNAPSHOT_ENTITY_TYPES.includes(entityType)) return;
+  const current = entitiesOf(state, entityType).get(message.id);
+  if (!current) return;
+  entitiesOf(state, entityType).set(message.id, {
+    ...current,
+    data: { ...current.data, pagesText: message.data.pagesText },
+    version: Number.isInteger(message.version) ? message.version : current.version,
+  });
+}
+
+/**
+ * Entities of one type, ordered by their `order` field when they have one, otherwise oldest first.
+ */
+function listEntities(state, entityType) {
+  return [...entitiesOf(state, entityType).values()].sort((a, b) => {
+    const orderA = a.data?.order;
+    const orderB = b.data?.order;
+    if (Number.isFinite(orderA) && Number.isFinite(orderB) && orderA !== orderB) return orderA - orderB;
+    return (a.timestamp || 0) - (b.timestamp || 0);
+  });
+}
+
+module.exports = {
+  ENTITY_EVENTS,
+  entityEventIndex,
+  createBinderState,
+  applySyncState,
+  applyEntityEvent,
+  applyTextSnapshot,
+  listEntities,
+};
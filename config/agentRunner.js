@@ -0,0 +1,178 @@
+// ./config/agentRunner.js
+// Server-side agent runs. A collab message that mentions @AgentName starts a job on the server, which builds the
+// agent's prompt from the binder's stored goals, documents, artifacts, sections and prompts and streams the reply
+// into a collab message of its own. Nothing depends on the browser of whoever mentioned the agent.
+const { entityModels } = require('./models');
+const { fitPrompt } = require('../public/utils/tokenBudget');
+const { serverModels } = require('../controllers/_config/models');
+const { searchBinder, passageSource } = require('./chunkIndex');
+
+const DEFAULT_AGENT_MODEL = { provider: 'gemini', model: 'gemini-2.0-flash-exp-image-generation', name: 'gemini-2.0-flash' };
+const IMAGE_SYSTEM_PROMPT = 'You are an AI capable of generating images based on user prompts.';
+const AGENT_AUTHOR_PREFIX = 'agent-';
+
+/**
+ * The user id agent replies are written under. Replies to image requests nobody mentioned an agent in have no agent.
+ */
+function agentAuthor(agent) {
+  return `${AGENT_AUTHOR_PREFIX}${agent ? agent.id : 'image'}`;
+}
+
+function isAgentAuthor(userUuid) {
+  return typeof userUuid === 'string' && userUuid.startsWith(AGENT_AUTHOR_PREFIX);
+}
+
+/**
+ * The jobs a new collab message starts: one per agent it mentions by name, or one image job for an image request
+ * without mentions. Each is { agent, triggerText, generateImage }.
+ */
+function agentJobsForMessage(data, agents) {
+  const generateImage = typeof data?.imagePrompt === 'string' && data.imagePrompt.length > 0;
+  const triggerText = generateImage ? data.imagePrompt : data?.text;
+  if (typeof triggerText !== 'string' || !triggerText.trim()) return [];
+
+  const names = [...new Set((triggerText.match(/@(\w+)/g) || []).map(mention => mention.slice(1)))];
+  if (!names.length) return generateImage ? [{ agent: null, triggerText, generateImage }] : [];
+  return names
+    .map(name => agents.find(agent => agent.data?.name === name))
+    .filter(Boolean)
+    .map(agent => ({ agent, triggerText, generateImage }));
+}
+
+function pagesOf(entity) {
+  const pagesText = entity?.data?.pagesText;
+  if (!pagesText) return [];
+  return (Array.isArray(pagesText) ? pagesText : [pagesText]).filter(page => typeof page === 'string');
+}
+
+// Ids of the documents and artifacts a prompt list refers to, directly or through their sections
+function materialIds(prompts = [], context) {
+  const { documents = [], artifacts = [] } = context;
+  const entityIds = new Set();
+  for (const prompt of prompts) {
+    if (prompt.type === 'document' && documents.some(d => d.id === prompt.content)) {
+      entityIds.add(prompt.content);
+    } else if (prompt.type === 'artifact' && artifacts.some(a => a.id === prompt.content)) {
+      entityIds.add(prompt.content);
+    } else if (prompt.type === 'sections' && Array.isArray(prompt.content)) {
+      for (const entity of [...documents, ...artifacts]) {
+        if (prompt.content.includes(entity.data.sectionId)) entityIds.add(entity.id);
+      }
+    }
+  }
+  return entityIds;
+}
+
+// Prompt parts for one of an agent's prompt lists; documents and artifacts are added once each, after the rest,
+// unless retrieved passages stand in for them
+function promptParts(prompts = [], role, context) {
+  const { goals = [], documents = [], artifacts = [], prompts: savedPrompts = [] } = context;
+  const messages = [];
+
+  for (const prompt of prompts) {
+    if (prompt.type === 'text' && prompt.content) {
+      messages.push({ role, content: prompt.content, kind: 'instruction' });
+    } else if (prompt.type === 'goal') {
+      const goal = goals.find(g => g.id === prompt.content);
+      if (goal?.data.text) messages.push({ role, content: goal.data.text, kind: 'instruction' });
+    } else if (prompt.type === 'prompt') {
+      const savedPrompt = savedPrompts.find(p => p.id === prompt.content);
+      if (savedPrompt?.data.text) messages.push({ role, content: savedPrompt.data.text, kind: 'instruction' });
+    }
+  }
+
+  if (context.passages) return messages;
+  for (const id of materialIds(prompts, context)) {
+    const entity = documents.find(d => d.id === id) || artifacts.find(a => a.id === id);
+    const pages = pagesOf(entity);
+    if (pages.join('')) messages.push({ role, content: pages.join('\n'), kind: 'material', pages });
+  }
+  return messages;
+}
+
+// Retrieved passages as one material, each page a passage headed by where it comes from, best match first
+function passageParts(passages) {
+  if (!passages.length) return [];
+  const pages = passages.map(passage => `[${passageSource(passage)}]\n${passage.text}`);
+  return [
+    { role: 'system', content: 'Passages from the binder that may help you answer, each headed by its source:', kind: 'instruction' },
+    { role: 'system', content: pages.join('\n\n'), kind: 'material', pages },
+  ];
+}
+
+/**
+ * Builds the prompt for an agent from the binder's entities and the breakout's messages so far, fitted to its
+ * model's context window with the agent's context strategy (see public/utils/tokenBudget.js).
+ * `context` holds the goals, documents, artifacts and prompts to resolve references against, and `passages` from
+ * retrieveAgentPassages, which replace whole documents and artifacts when present.
+ * Returns { systemPrompt, messages, estimate } with every system message merged into the first one; `estimate`
+ * is the prompt's estimated size and what had to be cut to fit.
+ */
+function buildAgentPrompt(agent, context = {}, roomMessages = []) {
+  const parts = agent
+    ? [
+        { role: 'system', content: `You are participating in a multiperson chat with humans and other AI agents. Your name is @${agent.data.name}, but you don't need to write it unless you are asked your name.`, kind: 'instruction' },
+        ...promptParts(agent.data.systemPrompts, 'system', context),
+        ...promptParts(agent.data.userPrompts, 'user', context),
+        ...passageParts(context.passages || []),
+      ]
+    : [{ role: 'system', content: IMAGE_SYSTEM_PROMPT, kind: 'instruction' }];
+  parts.push(...roomMessages
+    .filter(message => typeof message.data?.text === 'string' && message.data.text !== '')
+    .map(message => ({ role: 'user', content: message.data.text, kind: 'history' })));
+
+  const { parts: fitted, ...estimate } = fitPrompt(parts, agentModel(agent), { strategy: agent?.data.contextStrategy });
+  const systemPrompt = fitted.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  return {
+    systemPrompt,
+    messages: [{ role: 'system', content: systemPrompt }, ...fitted.filter(m => m.role !== 'system').map(({ role, content }) => ({ role, content }))]
+      .filter(m => typeof m.content === 'string' && m.content !== ''),
+    estimate,
+  };
+}
+
+/**
+ * The model an agent runs on, with the context window and reply limits of the server's entry for it when it has one.
+ */
+function agentModel(agent) {
+  const model = agent?.data.model || DEFAULT_AGENT_MODEL;
+  const listed = serverModels().find(m => m.model === model.model && m.provider.toLowerCase() === String(model.provider).toLowerCase());
+  return listed ? { contextWindow: listed.contextWindow, maxOutputTokens: listed.maxOutputTokens, ...model } : model;
+}
+
+/**
+ * For agents with the 'retrieve' context strategy, the binder passages that best match `query`: from the documents
+ * and artifacts the agent refers to, or from the whole binder when it refers to none. Other agents get null.
+ */
+async function retrieveAgentPassages(channelName, agent, context, query) {
+  if (agent?.data.contextStrategy !== 'retrieve') return null;
+  if (typeof query !== 'string' || !query.trim()) return [];
+  const entityIds = [...materialIds(agent.data.systemPrompts, context), ...materialIds(agent.data.userPrompts, context)];
+  return searchBinder(channelName, query, { entityIds: entityIds.length ? entityIds : null });
+}
+
+/**
+ * Loads what agent prompts can refer to from storage, with the breakout's messages oldest first.
+ */
+async function loadAgentContext(channelName, breakoutId) {
+  const live = { channel: channelName, deletedAt: null };
+  const [goals, documents, artifacts, prompts, roomMessages] = await Promise.all([
+    entityModels.goals.find(live).lean(),
+    entityModels.documents.find(live).lean(),
+    entityModels.artifacts.find(live).lean(),
+    entityModels.prompts.find(live).lean(),
+    entityModels.collabs.find({ ...live, 'data.breakoutId': breakoutId }).sort({ timestamp: 1 }).lean(),
+  ]);
+  return { context: { goals, documents, artifacts, prompts }, roomMessages };
+}
+
+module.exports = {
+  DEFAULT_AGENT_MODEL,
+  agentAuthor,
+  isAgentAuthor,
+  agentJobsForMessage,
+  buildAgentPrompt,
+  agentModel,
+  loadAgentContext,
+  retrieveAgentPassages,
+};
@@ -0,0 +1,258 @@
+// ./config/agentTools.js
+// Binder tools agents can call while they reply. Each tool is defined once here; handleAiInteractions.js offers them
+// through each provider's function calling. Tools that change the binder go through the same CRUD checks as a
+// socket message, with the role of the user who mentioned the agent, so an agent can never do more than they can.
+const { entityModels } = require('./models');
+const { canPerform } = require('./permissions');
+
+const MAX_SEARCH_RESULTS = 20;
+const DEFAULT_SEARCH_RESULTS = 5;
+const SNIPPET_LENGTH = 300;
+const MAX_PAGE_LENGTH = 20000;
+const MAX_RESULT_PREVIEW_LENGTH = 2000;
+
+const AGENT_TOOLS = [
+  {
+    name: 'search_documents',
+    description: 'Searches the text of the binder\'s documents and artifacts. Returns the best matching pages with a snippet of each.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to look for' },
+        limit: { type: 'integer', description: `Most results to return, up to ${MAX_SEARCH_RESULTS}` },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'read_document_page',
+    description: 'Reads one page of a document or artifact, by its id and a page number starting at 1.',
+    parameters: {
+      type: 'object',
+      properties: {
+        documentId: { type: 'string', description: 'Id of the document or artifact' },
+        page: { type: 'integer', description: 'Page number, starting at 1' },
+      },
+      required: ['documentId', 'page'],
+    },
+  },
+  {
+    name: 'create_artifact',
+    description: 'Creates a markdown artifact in the binder.',
+    requires: { entityType: 'artifacts', operation: 'add' },
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Artifact name' },
+        content: { type: 'string', description: 'Markdown content' },
+        sectionId: { type: 'string', description: 'Optional id of the section to put it in' },
+      },
+      required: ['name', 'content'],
+    },
+  },
+  {
+    name: 'add_goal',
+    description: 'Adds a goal to the end of the binder\'s goal list.',
+    requires: { entityType: 'goals', operation: 'add' },
+    parameters: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'The goal' } },
+      required: ['text'],
+    },
+  },
+  {
+    name: 'add_question',
+    description: 'Adds a question to the end of the binder\'s question list.',
+    requires: { entityType: 'questions', operation: 'add' },
+    parameters: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'The question' } },
+      required: ['text'],
+    },
+  },
+  {
+    name: 'answer_question',
+    description: 'Adds an answer to one of the binder\'s questions.',
+    requires: { entityType: 'answers', operation: 'add' },
+    parameters: {
+      type: 'object',
+      properties: {
+        questionId: { type: 'string', description: 'Id of the question' },
+        text: { type: 'string', description: 'The answer' },
+      },
+      required: ['questionId', 'text'],
+    },
+  },
+  {
+    name: 'create_section',
+    description: 'Creates a section for organizing documents and artifacts.',
+    requires: { entityType: 'sections', operation: 'add' },
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Section name' },
+        parentSectionId: { type: 'string', description: 'Optional id of the section to nest it in' },
+      },
+      required: ['name'],
+    },
+  },
+];
+
+/**
+ * The tools an agent may call for a user with this binder role, as { name, description, parameters }.
+ */
+function agentToolsFor(role) {
+  return AGENT_TOOLS
+    .filter(tool => !tool.requires || canPerform(role, tool.requires.entityType, tool.requires.operation))
+    .map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function pagesOf(entity) {
+  const pagesText = entity.data?.pagesText;
+  if (Array.isArray(pagesText)) return pagesText.map(page => (typeof page === 'string' ? page : ''));
+  return typeof pagesText === 'string' ? [pagesText] : [];
+}
+
+function snippet(pageText, index) {
+  const start = Math.max(0, index - SNIPPET_LENGTH / 2);
+  return pageText.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+}
+
+async function readableEntities(channelName) {
+  const live = { channel: channelName, deletedAt: null };
+  const [documents, artifacts] = await Promise.all([
+    entityModels.documents.find(live).lean(),
+    entityModels.artifacts.find(live).lean(),
+  ]);
+  return [...documents.map(doc => ({ kind: 'document', doc })), ...artifacts.map(doc => ({ kind: 'artifact', doc }))];
+}
+
+/**
+ * Pages ranked by how often the query's words occur in them.
+ */
+async function searchDocuments(channelName, { query, limit }) {
+  const words = [...new Set(text(query).toLowerCase().split(/\W+/).filter(word => word.length > 1))];
+  if (!words.length) return { error: 'query must contain at least one word' };
+  const count = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_SEARCH_RESULTS) : DEFAULT_SEARCH_RESULTS;
+
+  const matches = [];
+  for (const { kind, doc } of await readableEntities(channelName)) {
+    pagesOf(doc).forEach((pageText, index) => {
+      const lower = pageText.toLowerCase();
+      let score = 0;
+      let first = -1;
+      for (const word of words) {
+        let at = lower.indexOf(word);
+        if (at !== -1 && (first === -1 || at < first)) first = at;
+        while (at !== -1) {
+          score++;
+          at = lower.indexOf(word, at + word.length);
+        }
+      }
+      if (score) matches.push({ score, documentId: doc.id, name: doc.data.name || '', type: kind, page: index + 1, snippet: snippet(pageText, first) });
+    });
+  }
+  matches.sort((a, b) => b.score - a.score);
+  return { results: matches.slice(0, count).map(({ score, ...match }) => match) };
+}
+
+async function readDocumentPage(channelName, { documentId, page }) {
+  const entity = (await readableEntities(channelName)).find(({ doc }) => doc.id === text(documentId));
+  if (!entity) return { error: `No document or artifact with id ${documentId}` };
+  const pages = pagesOf(entity.doc);
+  if (!Number.isInteger(page) || page < 1 || page > pages.length) {
+    return { error: `page must be a whole number from 1 to ${pages.length}` };
+  }
+  const pageText = pages[page - 1];
+  return {
+    documentId: entity.doc.id,
+    name: entity.doc.data.name || '',
+    page,
+    pageCount: pages.length,
+    text: pageText.slice(0, MAX_PAGE_LENGTH),
+    truncated: pageText.length > MAX_PAGE_LENGTH,
+  };
+}
+
+async function liveCount(entityType, query) {
+  return entityModels[entityType].countDocuments({ ...query, deletedAt: null });
+}
+
+async function liveExists(entityType, channelName, id) {
+  return !!id && (await liveCount(entityType, { channel: channelName, id })) > 0;
+}
+
+// Each write tool checks its arguments and returns the add event and data to write
+const WRITE_TOOLS = {
+  async create_artifact(channelName, args) {
+    const name = text(args.name);
+    const sectionId = text(args.sectionId) || null;
+    if (!name || typeof args.content !== 'string') return { error: 'name and content are required' };
+    if (sectionId && !(await liveExists('sections', channelName, sectionId))) return { error: `No section with id ${sectionId}` };
+    return { event: 'add-artifact', data: { name, pagesText: [args.content], pages: [], sectionId, type: 'md' } };
+  },
+  async add_goal(channelName, args) {
+    if (!text(args.text)) return { error: 'text is required' };
+    return { event: 'add-goal', data: { text: text(args.text), order: await liveCount('goals', { channel: channelName }) } };
+  },
+  async add_question(channelName, args) {
+    if (!text(args.text)) return { error: 'text is required' };
+    const order = await liveCount('questions', { channel: channelName });
+    return { event: 'add-question', data: { text: text(args.text), order, answered: null, collapsed: false } };
+  },
+  async answer_question(channelName, args) {
+    const questionId = text(args.questionId);
+    if (!text(args.text)) return { error: 'text is required' };
+    if (!(await liveExists('questions', channelName, questionId))) return { error: `No question with id ${args.questionId}` };
+    return { event: 'add-answer', data: { questionId, text: text(args.text), votes: 0, links: [] } };
+  },
+  async create_section(channelName, args) {
+    const name = text(args.name);
+    const sectionId = text(args.parentSectionId) || null;
+    if (!name) return { error: 'name is required' };
+    if (sectionId && !(await liveExists('sections', channelName, sectionId))) return { error: `No section with id ${sectionId}` };
+    const order = await liveCount('sections', { channel: channelName, 'data.sectionId': sectionId });
+    return { event: 'add-section', data: { name, sectionId, order } };
+  },
+};
+
+/**
+ * Runs a tool call and returns what to tell the model: the tool's result, or { error }.
+ * `context` is { channelName, role, writeEntity }, where writeEntity(event, data) adds an entity with the
+ * requester's role and resolves to { ok, id } or { ok: false, message }.
+ */
+async function runAgentTool(name, args, { channelName, role, writeEntity }) {
+  const tool = AGENT_TOOLS.find(candidate => candidate.name === name);
+  if (!tool) return { error: `Unknown tool ${name}` };
+  if (tool.requires && !canPerform(role, tool.requires.entityType, tool.requires.operation)) {
+    return { error: `The ${role} role cannot use ${name}` };
+  }
+  args = args && typeof args === 'object' ? args : {};
+
+  if (name === 'search_documents') return searchDocuments(channelName, args);
+  if (name === 'read_document_page') return readDocumentPage(channelName, args);
+
+  const write = await WRITE_TOOLS[name](channelName, args);
+  if (write.error) return write;
+  const result = await writeEntity(write.event, write.data);
+  return result.ok ? { id: result.id, ...write.data } : { error: result.message };
+}
+
+/**
+ * A short, size-capped rendering of a tool result for the tool-call steps shown with the reply.
+ */
+function toolResultPreview(result) {
+  const json = JSON.stringify(result, null, 2) || '';
+  return json.length > MAX_RESULT_PREVIEW_LENGTH ? `${json.slice(0, MAX_RESULT_PREVIEW_LENGTH)}…` : json;
+}
+
+module.exports = {
+  AGENT_TOOLS,
+  agentToolsFor,
+  runAgentTool,
+  toolResultPreview,
+};
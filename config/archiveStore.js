@@ -0,0 +1,140 @@
+// ./config/archiveStore.js
+// Archives of idle binders. A binder's records and uploads are packed into one gzipped JSON bundle at
+// DATA/archives/<uuid>.json.gz and removed from storage and the DATA folder; its channel record stays, marked with
+// `data.archive`, so access checks still work and the next join can unpack it again.
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { entityModels, Tombstone, LibrarySet } = require('./models');
+const { snapshotFileIds, countEntities } = require('./snapshots');
+const { collectBinderData } = require('./snapshotStore');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 1;
+
+function dataDir() {
+  return process.env.DATA || path.resolve(__dirname, '../files');
+}
+
+function archivePath(file) {
+  return path.join(dataDir(), 'archives', path.basename(file));
+}
+
+// Uploads a library artifact still points to; deploying the artifact copies them, so they must stay in DATA
+async function libraryFileIds() {
+  const ids = new Set();
+  const artifacts = await LibrarySet.find({}).lean();
+  for (const artifact of artifacts) {
+    try {
+      const binderData = JSON.parse(await fs.readFile(path.join(dataDir(), `${artifact.uuid}.json`), 'utf8'));
+      snapshotFileIds(binderData).forEach(id => ids.add(id));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Every upload a binder's documents refer to, including documents in its Trash.
+ */
+async function binderFileIds(channelName) {
+  const documents = await entityModels.documents.find({ channel: channelName }).lean();
+  return snapshotFileIds({ documents });
+}
+
+/**
+ * Deletes uploads from the DATA folder, except ones a library artifact uses. Missing files are skipped.
+ */
+async function deleteBinderFiles(fileIds) {
+  const keep = await libraryFileIds();
+  for (const id of fileIds) {
+    if (keep.has(id)) continue;
+    try {
+      await fs.unlink(path.join(dataDir(), path.basename(id)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+async function readFiles(fileIds) {
+  const files = {};
+  for (const id of fileIds) {
+    try {
+      files[id] = (await fs.readFile(path.join(dataDir(), path.basename(id)))).toString('base64');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return files;
+}
+
+/**
+ * Packs a binder into an archive bundle, marks its channel record archived and then removes the records and uploads
+ * it holds. Returns the archive summary stored on the channel.
+ */
+async function archiveBinder(channelName, now = Date.now()) {
+  const { channels, ...records } = await collectBinderData(channelName, { includeTrashed: true });
+  const fileIds = snapshotFileIds(records);
+  const files = await readFiles(fileIds);
+  const bundle = await gzip(JSON.stringify({ format: ARCHIVE_FORMAT, channelName, archivedAt: now, records, files }));
+
+  const file = `${uuidv4()}.json.gz`;
+  const target = archivePath(file);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(`${target}.tmp`, bundle);
+  await fs.rename(`${target}.tmp`, target);
+
+  const archive = { file, archivedAt: now, counts: countEntities(records), fileCount: Object.keys(files).length, bytes: bundle.length };
+  await entityModels.channels.updateOne({ id: channelName }, { $set: { 'data.archive': archive } });
+
+  for (const entityType of Object.keys(records)) {
+    await entityModels[entityType].deleteMany({ channel: channelName });
+  }
+  await Tombstone.deleteMany({ channel: channelName });
+  await deleteBinderFiles(Object.keys(files));
+  return archive;
+}
+
+/**
+ * Unpacks an archived binder back into storage and the DATA folder and clears its archive mark. Restored records
+ * get a new serverTimestamp so clients that synced before the binder was archived fetch them again.
+ */
+async function restoreBinder(channelName, archive, now = Date.now()) {
+  const bundle = JSON.parse((await gunzip(await fs.readFile(archivePath(archive.file)))).toString('utf8'));
+
+  for (const [id, content] of Object.entries(bundle.files || {})) {
+    await fs.writeFile(path.join(dataDir(), path.basename(id)), Buffer.from(content, 'base64'));
+  }
+  for (const [entityType, docs] of Object.entries(bundle.records || {})) {
+    if (!entityModels[entityType] || entityType === 'channels' || !docs.length) continue;
+    // Anything written while the binder was archived would otherwise be duplicated
+    await entityModels[entityType].deleteMany({ channel: channelName, id: { $in: docs.map(doc => doc.id) } });
+    await entityModels[entityType].insertMany(docs.map(doc => ({ ...doc, channel: channelName, serverTimestamp: now })));
+  }
+
+  await entityModels.channels.updateOne({ id: channelName }, { $unset: { 'data.archive': '' }, $set: { 'data.lastActiveAt': now } });
+  await deleteArchive(archive);
+}
+
+async function deleteArchive(archive) {
+  if (!archive?.file) return;
+  try {
+    await fs.unlink(archivePath(archive.file));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+module.exports = {
+  binderFileIds,
+  deleteBinderFiles,
+  archiveBinder,
+  restoreBinder,
+  deleteArchive,
+};
@@ -0,0 +1,75 @@
+// ./config/audit.js
+// Who did what in a binder: audit entries recorded for every persisted change, and the filters used to read them back.
+const { entityLabel } = require('./trash');
+
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+const AUDIT_FILTER_FIELDS = ['userUuid', 'entityType', 'entityId', 'operation'];
+
+/**
+ * Short description of an entity's state for the audit trail: its label, version and which fields it had.
+ */
+function auditSummary(entity) {
+  if (!entity || !entity.data || typeof entity.data !== 'object') return null;
+  return {
+    label: entityLabel(entity.data),
+    version: Number.isInteger(entity.version) ? entity.version : null,
+    fields: Object.keys(entity.data),
+  };
+}
+
+/**
+ * Top-level data fields that differ between two states of an entity.
+ */
+function changedFields(beforeData, afterData) {
+  const before = beforeData && typeof beforeData === 'object' ? beforeData : {};
+  const after = afterData && typeof afterData === 'object' ? afterData : {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Builds an audit entry. `before` and `after` are the entity ({ data, version }) on either side of the change,
+ * null when it did not exist; `fields` names the changed fields when they cannot be worked out from the two.
+ */
+function buildAuditEntry({ channelName, userUuid, displayName = null, operation, entityType, entityId = null, eventType = null, before = null, after = null, fields = null }, now = Date.now()) {
+  return {
+    channel: channelName,
+    userUuid,
+    displayName,
+    operation,
+    entityType,
+    entityId,
+    eventType,
+    before: auditSummary(before),
+    after: auditSummary(after),
+    changedFields: fields || (before && after ? changedFields(before.data, after.data) : []),
+    timestamp: now,
+  };
+}
+
+/**
+ * Turns REST query parameters into a Mongo filter for one binder's audit trail, newest first.
+ * `before` is the id of the last entry already seen, for paging back through older entries.
+ */
+function parseAuditQuery(channelName, query = {}) {
+  const filter = { channel: channelName };
+  AUDIT_FILTER_FIELDS.forEach((field) => {
+    if (typeof query[field] === 'string' && query[field]) filter[field] = query[field];
+  });
+  if (typeof query.before === 'string' && /^[a-f0-9]{24}$/i.test(query.before)) filter._id = { $lt: query.before };
+  const limit = Number.parseInt(query.limit, 10);
+  return {
+    filter,
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_AUDIT_LIMIT) : DEFAULT_AUDIT_LIMIT,
+  };
+}
+
+module.exports = {
+  DEFAULT_AUDIT_LIMIT,
+  MAX_AUDIT_LIMIT,
+  auditSummary,
+  changedFields,
+  buildAuditEntry,
+  parseAuditQuery,
+};
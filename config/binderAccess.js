@@ -0,0 +1,167 @@
+// ./config/binderAccess.js
+// Binder passwords, signed invite tokens and member keys checked on join-channel and on binder REST routes.
+const crypto = require('crypto');
+const { createInviteJWT, verifyInviteJWT } = require('../middleware/verify');
+const { isValidRole, roleRank, DEFAULT_ROLE } = require('./permissions');
+const { isBotToken, verifyBotToken, publicBot } = require('./bots');
+
+const ACCESS_TOKEN_TTL = 12 * 60 * 60; // Access tokens handed out after a password join last 12 hours
+const MAX_INVITE_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Hashes a binder password with a random salt using scrypt, returned as `salt:hash`.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Compares a password against a stored `salt:hash` in constant time.
+ */
+function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || !storedHash) return false;
+  const [salt, hash] = storedHash.split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+/**
+ * Issues a member key: a random secret the member's browser keeps to rejoin as the same user.
+ * Only its hash is stored with the binder.
+ */
+function createMemberKey() {
+  const key = crypto.randomBytes(32).toString('hex');
+  return { key, hash: hashMemberKey(key) };
+}
+
+function hashMemberKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Decides whether a join may take a user uuid. Anyone can send any uuid, so a uuid that already has a member key,
+ * is connected, or holds a role above the binder's default is only given to a join that presents its member key.
+ * Returns { ok, reason }.
+ */
+function checkMemberIdentity(channelData = {}, { userUuid, memberKey, connected = false }) {
+  const storedHash = channelData.memberKeys?.[userUuid];
+  if (storedHash) {
+    const candidate = typeof memberKey === 'string' && memberKey ? Buffer.from(hashMemberKey(memberKey), 'hex') : null;
+    const expected = Buffer.from(storedHash, 'hex');
+    const matches = !!candidate && candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    return matches ? { ok: true } : { ok: false, reason: 'identity-required' };
+  }
+  const role = channelData.roles?.[userUuid];
+  const elevated = !!role && roleRank(role) > roleRank(channelData.defaultRole || DEFAULT_ROLE);
+  return connected || elevated ? { ok: false, reason: 'identity-required' } : { ok: true };
+}
+
+/**
+ * A binder is protected when it has a password or only admits invited users.
+ */
+function isProtected(channelData = {}) {
+  return !!(channelData.passwordHash || channelData.inviteOnly);
+}
+
+/**
+ * Removes secrets from channel data before it is sent to clients.
+ */
+function publicChannelData(channelData = {}) {
+  // Member uuids, roles and keys stay on the server; members are listed through user-list
+  const { passwordHash, bots, memberKeys, users, roles, ...rest } = channelData;
+  return {
+    ...rest,
+    ...(bots ? { bots: Object.fromEntries(Object.entries(bots).map(([uuid, bot]) => [uuid, publicBot(bot)])) } : {}),
+    protected: isProtected(channelData),
+    hasPassword: !!passwordHash,
+  };
+}
+
+/**
+ * Decides whether a join request may enter a binder.
+ * Returns { ok, reason, role } where role is the role granted by an invite, if any.
+ */
+function checkJoinAccess(channelData, { password, inviteToken, userUuid, channelName }) {
+  if (!isProtected(channelData)) return { ok: true, role: null };
+
+  if (inviteToken) {
+    const decoded = verifyInviteJWT(inviteToken, channelName);
+    const currentVersion = channelData.accessVersion || 0;
+    // Bot tokens only work as bot tokens, so revoking the bot revokes every use of them
+    if (!decoded || isBotToken(decoded) || (decoded.ver || 0) !== currentVersion) {
+      return { ok: false, reason: 'invalid-token' };
+    }
+    if (decoded.sub && decoded.sub !== userUuid) {
+      return { ok: false, reason: 'invalid-token' };
+    }
+    return { ok: true, role: isValidRole(decoded.role) ? decoded.role : null };
+  }
+
+  if (password !== undefined && password !== null && password !== '') {
+    if (channelData.passwordHash && verifyPassword(password, channelData.passwordHash)) {
+      return { ok: true, role: null };
+    }
+    return { ok: false, reason: 'invalid-password' };
+  }
+
+  return { ok: false, reason: channelData.passwordHash ? 'password-required' : 'invite-required' };
+}
+
+/**
+ * Decides whether a REST request may use a binder. Protected binders accept any current invite or access token,
+ * since only people who could join hold one; a bot's token works on its binder whether or not it is protected.
+ * Returns the token's user and invite role, if any.
+ */
+function checkApiAccess(channelData, { channelName, token }) {
+  const decoded = token ? verifyInviteJWT(token, channelName) : false;
+  // Bots act as themselves on any binder while their token is current
+  if (isBotToken(decoded)) {
+    const bot = verifyBotToken(channelData, { channelName, token });
+    return bot ? { ok: true, userUuid: bot.userUuid, role: null, bot: true } : { ok: false, reason: 'invalid-token' };
+  }
+  if (!isProtected(channelData)) return { ok: true };
+  if (!decoded || (decoded.ver || 0) !== (channelData.accessVersion || 0)) {
+    return { ok: false, reason: token ? 'invalid-token' : 'token-required' };
+  }
+  return { ok: true, userUuid: decoded.sub || null, role: isValidRole(decoded.role) ? decoded.role : null };
+}
+
+/**
+ * Creates an invite token for a binder that grants the given role on join.
+ */
+function createInvite(channelName, channelData, { role = null, expiresInHours = 24 * 7 } = {}) {
+  const expiresInSeconds = Math.min(Math.max(1, Number(expiresInHours) || 1) * 60 * 60, MAX_INVITE_TTL);
+  return createInviteJWT(channelName, {
+    role: isValidRole(role) && role !== 'owner' ? role : null,
+    version: channelData.accessVersion || 0,
+    expiresInSeconds,
+  }, 'binder-invite');
+}
+
+/**
+ * Creates a short-lived access token bound to one user, so they can rejoin without the password.
+ */
+function createAccessToken(channelName, channelData, userUuid) {
+  return createInviteJWT(channelName, {
+    userUuid,
+    version: channelData.accessVersion || 0,
+    expiresInSeconds: ACCESS_TOKEN_TTL,
+  }, 'binder-access');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isProtected,
+  createMemberKey,
+  checkMemberIdentity,
+  publicChannelData,
+  checkJoinAccess,
+  checkApiAccess,
+  createInvite,
+  createAccessToken,
+};
@@ -0,0 +1,71 @@
+// ./config/binderApi.js
+// REST access to binder entities: who a request acts as, and how the socket protocol's replies map to HTTP responses.
+const { resolveRole } = require('./permissions');
+const { isBotUuid } = require('./bots');
+
+const API_USER_UUID = 'api'; // Acting user for requests that neither carry a personal token nor name a user
+
+// Entity types the REST API does not expose: the binder record itself, and LLM requests, which stream replies
+const API_EXCLUDED_ENTITY_TYPES = ['channels', 'llms'];
+
+/**
+ * The user and role a REST request acts as. A personal access token fixes the user, who keeps their binder role.
+ * Anyone can name a user in the request, so a named user is only credited with the change and acts with the binder's
+ * default role, or the role an invite token grants, and is not `verified`: they are never taken for the author of
+ * an existing entity. Returns null when the request names a bot without its token.
+ */
+function resolveApiCaller(channelData = {}, access = {}, requestedUuid = null) {
+  const defaultRole = channelData.defaultRole;
+  if (access.userUuid) {
+    return { userUuid: access.userUuid, role: resolveRole(channelData.roles, access.userUuid, defaultRole), verified: true };
+  }
+  const named = typeof requestedUuid === 'string' && requestedUuid.trim() ? requestedUuid.trim() : null;
+  if (isBotUuid(named)) return null;
+  const userUuid = named || API_USER_UUID;
+  return { userUuid, role: access.role || resolveRole({}, userUuid, defaultRole), verified: false };
+}
+
+/**
+ * An entity record as returned by the REST API.
+ */
+function apiEntity(doc) {
+  return {
+    id: doc.id,
+    userUuid: doc.userUuid,
+    data: doc.data,
+    version: Number.isInteger(doc.version) ? doc.version : 1,
+    timestamp: doc.timestamp,
+    serverTimestamp: doc.serverTimestamp,
+  };
+}
+
+/**
+ * Turns the messages a socket caller would have been sent into an HTTP status and body fields.
+ */
+function apiResultFromReplies(replies = []) {
+  const failure = replies.find(reply => ['error', 'validation-error', 'permission-denied', 'update-conflict'].includes(reply.type));
+  if (!failure) {
+    const ack = replies.find(reply => typeof reply.type === 'string' && reply.type.endsWith('-ack'));
+    return { status: 200, version: ack?.version ?? null };
+  }
+  switch (failure.type) {
+    case 'permission-denied':
+      return { status: 403, message: failure.message };
+    case 'validation-error':
+      return { status: 400, message: failure.message, errors: failure.data?.errors || [] };
+    case 'update-conflict':
+      return failure.data?.current
+        ? { status: 409, message: failure.message, current: { data: failure.data.current, version: failure.data.version } }
+        : { status: 404, message: failure.message };
+    default:
+      return { status: failure.message === 'Server error occurred' ? 500 : 400, message: failure.message };
+  }
+}
+
+module.exports = {
+  API_USER_UUID,
+  API_EXCLUDED_ENTITY_TYPES,
+  resolveApiCaller,
+  apiEntity,
+  apiResultFromReplies,
+};
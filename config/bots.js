@@ -0,0 +1,93 @@
+// ./config/bots.js
+// Bot users a binder owner creates for automations. Each bot has a profile, a binder role and an API token that
+// lets it join over the socket or call the binder REST routes as itself, without a browser session.
+const { v4: uuidv4 } = require('uuid');
+const { createInviteJWT, verifyInviteJWT } = require('../middleware/verify');
+const { isValidRole } = require('./permissions');
+
+const BOT_TOKEN_ISSUER = 'binder-bot';
+const BOT_TOKEN_TTL = 365 * 24 * 60 * 60;
+const BOT_UUID_PREFIX = 'bot-';
+const MAX_BOT_NAME_LENGTH = 50;
+const DEFAULT_BOT_ROLE = 'editor';
+const DEFAULT_BOT_COLOR = '#6366f1';
+
+/**
+ * Checks and normalizes a bot profile from an owner's request. Returns { ok, profile } or { ok: false, message }.
+ * Bots cannot be owners.
+ */
+function cleanBotProfile({ displayName, color, avatar, role } = {}) {
+  const name = typeof displayName === 'string' ? displayName.replace(/\s+/g, ' ').trim() : '';
+  if (!name || name.length > MAX_BOT_NAME_LENGTH) {
+    return { ok: false, message: `Bot names must be 1 to ${MAX_BOT_NAME_LENGTH} characters` };
+  }
+  if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return { ok: false, message: 'Bot colors must be hex colors such as #6366f1' };
+  }
+  if (avatar && !/^https?:\/\/\S+$/i.test(avatar)) {
+    return { ok: false, message: 'Bot avatars must be http or https image URLs' };
+  }
+  const botRole = role || DEFAULT_BOT_ROLE;
+  if (!isValidRole(botRole) || botRole === 'owner') {
+    return { ok: false, message: `Invalid bot role: ${botRole}` };
+  }
+  return { ok: true, profile: { displayName: name, color: color || DEFAULT_BOT_COLOR, avatar: avatar || null, role: botRole } };
+}
+
+function isBotUuid(userUuid) {
+  return typeof userUuid === 'string' && userUuid.startsWith(BOT_UUID_PREFIX);
+}
+
+/**
+ * Issues an API token for a bot. Only the token's id is stored with the bot, so issuing a new one revokes the last.
+ */
+function issueBotToken(channelName, botUuid) {
+  const { token, tokenDecoded } = createInviteJWT(channelName, { userUuid: botUuid, expiresInSeconds: BOT_TOKEN_TTL }, BOT_TOKEN_ISSUER);
+  return { token, tokenId: tokenDecoded.jti, expiresAt: tokenDecoded.exp * 1000 };
+}
+
+/**
+ * Creates a bot record from a cleaned profile, with its first token.
+ */
+function createBot(channelName, profile, createdBy, now = Date.now()) {
+  const userUuid = `${BOT_UUID_PREFIX}${uuidv4()}`;
+  const { token, tokenId, expiresAt } = issueBotToken(channelName, userUuid);
+  return {
+    bot: { userUuid, ...profile, tokenId, createdBy, createdAt: now, tokenExpiresAt: expiresAt },
+    token,
+  };
+}
+
+function isBotToken(decoded) {
+  return !!decoded && decoded.iss === BOT_TOKEN_ISSUER;
+}
+
+/**
+ * The bot a token belongs to, if it is the bot's current token for this binder. Returns null otherwise.
+ */
+function verifyBotToken(channelData = {}, { channelName, token }) {
+  const decoded = token ? verifyInviteJWT(token, channelName) : false;
+  if (!isBotToken(decoded)) return null;
+  const bot = (channelData.bots || {})[decoded.sub];
+  return bot && bot.tokenId === decoded.jti ? { ...bot, userUuid: decoded.sub } : null;
+}
+
+/**
+ * A bot as listed to binder members, without its token id.
+ */
+function publicBot(bot) {
+  const { tokenId, ...rest } = bot;
+  return rest;
+}
+
+module.exports = {
+  BOT_TOKEN_ISSUER,
+  BOT_UUID_PREFIX,
+  cleanBotProfile,
+  isBotUuid,
+  issueBotToken,
+  createBot,
+  isBotToken,
+  verifyBotToken,
+  publicBot,
+};
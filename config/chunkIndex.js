@@ -0,0 +1,305 @@
+// ./config/chunkIndex.js
+// Per-binder search index over passages of documents, artifacts and transcriptions. Each page (or run of transcript
+// segments) is cut into overlapping chunks of about CHUNK_WORDS words that remember where they came from, and chunks
+// are ranked with BM25. When RETRIEVAL_EMBEDDING_PROVIDER and RETRIEVAL_EMBEDDING_MODEL are set, chunks are also
+// embedded and the two rankings are fused, so passages that say the same thing in other words are found too.
+// Indexes live in memory: a binder's is built from storage on its first search and kept current as entities change.
+const { entityModels } = require('./models');
+const { embedTexts } = require('./handleAiInteractions');
+
+const INDEXED_TYPES = ['documents', 'artifacts', 'transcriptions'];
+const CHUNK_WORDS = 180;
+const CHUNK_OVERLAP_WORDS = 30;
+const DEFAULT_TOP_K = 8;
+const MAX_TOP_K = 50;
+const MAX_CACHED_INDEXES = 50;
+const EMBEDDING_BATCH_SIZE = 64;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60; // Reciprocal rank fusion constant; higher values flatten the difference between ranks
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'she', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+const channelIndexes = new Map(); // channelName -> Promise of its index, least recently used first
+
+/**
+ * Lowercased words and numbers of a text, without stopwords.
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => (term.length > 1 || /\d/.test(term)) && !STOPWORDS.has(term));
+}
+
+// Windows of CHUNK_WORDS words over a text, overlapping by CHUNK_OVERLAP_WORDS, keeping the text's own spacing
+function windows(text) {
+  const words = [...text.matchAll(/\S+/g)];
+  const slices = [];
+  for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS) {
+    const last = words[Math.min(start + CHUNK_WORDS, words.length) - 1];
+    slices.push(text.slice(words[start].index, last.index + last[0].length));
+    if (start + CHUNK_WORDS >= words.length) break;
+  }
+  return slices;
+}
+
+function pagesOf(data) {
+  const pagesText = data?.pagesText;
+  if (Array.isArray(pagesText)) return pagesText.map(page => (typeof page === 'string' ? page : ''));
+  return typeof pagesText === 'string' ? [pagesText] : [];
+}
+
+/**
+ * Cuts an entity into chunks of { id, entityId, entityType, name, page, start, text }. Document and artifact chunks
+ * stay within a page and carry its number; transcription chunks carry the start time of their first segment, in
+ * seconds.
+ */
+function chunkEntity(entityType, entity) {
+  const base = { entityId: entity.id, entityType, name: entity.data?.name || entity.data?.filename || '' };
+  const chunks = [];
+  const add = (text, page, start) => chunks.push({ ...base, id: `${entity.id}:${chunks.length}`, page, start, text });
+
+  if (entityType === 'transcriptions') {
+    const segments = (entity.data?.segments || []).filter(segment => typeof segment?.text === 'string' && segment.text.trim());
+    let run = [];
+    let words = 0;
+    const flush = () => {
+      if (run.length) add(run.map(segment => segment.text.trim()).join(' '), null, run[0].start ?? null);
+      run = [];
+      words = 0;
+    };
+    for (const segment of segments) {
+      run.push(segment);
+      words += segment.text.split(/\s+/).filter(Boolean).length;
+      if (words >= CHUNK_WORDS) flush();
+    }
+    flush();
+    return chunks;
+  }
+
+  pagesOf(entity.data).forEach((pageText, index) => {
+    windows(pageText).forEach(text => add(text, index + 1, null));
+  });
+  return chunks;
+}
+
+function createIndex() {
+  return { chunks: new Map(), byEntity: new Map(), docFreq: new Map(), totalLength: 0 };
+}
+
+function removeFromIndex(index, entityId) {
+  for (const chunkId of index.byEntity.get(entityId) || []) {
+    const chunk = index.chunks.get(chunkId);
+    for (const term of chunk.termFreq.keys()) {
+      const count = index.docFreq.get(term) - 1;
+      if (count) index.docFreq.set(term, count);
+      else index.docFreq.delete(term);
+    }
+    index.totalLength -= chunk.length;
+    index.chunks.delete(chunkId);
+  }
+  index.byEntity.delete(entityId);
+}
+
+/**
+ * Replaces an entity's chunks in an index.
+ */
+function addToIndex(index, entityType, entity) {
+  removeFromIndex(index, entity.id);
+  const chunkIds = [];
+  for (const chunk of chunkEntity(entityType, entity)) {
+    const terms = tokenize(chunk.text);
+    const termFreq = new Map();
+    terms.forEach(term => termFreq.set(term, (termFreq.get(term) || 0) + 1));
+    for (const term of termFreq.keys()) index.docFreq.set(term, (index.docFreq.get(term) || 0) + 1);
+    index.chunks.set(chunk.id, { ...chunk, termFreq, length: terms.length, vector: null });
+    index.totalLength += terms.length;
+    chunkIds.push(chunk.id);
+  }
+  index.byEntity.set(entity.id, chunkIds);
+}
+
+/**
+ * BM25 scores of the chunks `include` accepts that share a term with the query, best first.
+ */
+function rankChunks(index, query, include = () => true) {
+  const terms = [...new Set(tokenize(query))];
+  const count = index.chunks.size;
+  if (!terms.length || !count) return [];
+  const averageLength = index.totalLength / count || 1;
+  const ranked = [];
+  for (const chunk of index.chunks.values()) {
+    if (!include(chunk)) continue;
+    let score = 0;
+    for (const term of terms) {
+      const freq = chunk.termFreq.get(term);
+      if (!freq) continue;
+      const docFreq = index.docFreq.get(term);
+      const idf = Math.log(1 + (count - docFreq + 0.5) / (docFreq + 0.5));
+      score += idf * (freq * (BM25_K1 + 1)) / (freq + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+    }
+    if (score > 0) ranked.push({ chunk, score });
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+function embeddingModelFromEnv(env = process.env) {
+  const provider = env.RETRIEVAL_EMBEDDING_PROVIDER;
+  const model = env.RETRIEVAL_EMBEDDING_MODEL;
+  return provider && model ? { provider, model } : null;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Chunks by similarity to the query's embedding, best first; chunks are embedded the first time they are searched
+async function rankByEmbedding(index, query, include, embeddingModel, embed) {
+  const candidates = [...index.chunks.values()].filter(include);
+  const missing = candidates.filter(chunk => !chunk.vector);
+  for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const vectors = await embed(embeddingModel, batch.map(chunk => chunk.text));
+    batch.forEach((chunk, position) => { chunk.vector = vectors[position]; });
+  }
+  const [queryVector] = await embed(embeddingModel, [query]);
+  return candidates
+    .map(chunk => ({ chunk, score: cosine(queryVector, chunk.vector) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Reciprocal rank fusion of several rankings of the same chunks
+function fuseRankings(rankings) {
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach(({ chunk }, rank) => {
+      const entry = fused.get(chunk.id) || { chunk, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(chunk.id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The passages of an index that best match a query, as { entityId, entityType, name, page, start, text, score }.
+ * `options` narrows the search to some entities or entity types and sets how many passages to return.
+ * With an embedding model, BM25 and embedding rankings are fused; if embedding fails, BM25 alone is used.
+ */
+async function searchIndex(index, query, { limit = DEFAULT_TOP_K, entityIds = null, entityTypes = null, embeddingModel = null, embed = embedTexts } = {}) {
+  const count = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_TOP_K) : DEFAULT_TOP_K;
+  const include = chunk => (!entityIds || entityIds.includes(chunk.entityId)) && (!entityTypes || entityTypes.includes(chunk.entityType));
+  let ranked = rankChunks(index, query, include);
+
+  if (embeddingModel && typeof query === 'string' && query.trim()) {
+    try {
+      ranked = fuseRankings([ranked, await rankByEmbedding(index, query, include, embeddingModel, embed)]);
+    } catch (err) {
+      console.error('Embedding search failed, using keyword ranking only:', err.message);
+    }
+  }
+  return ranked.slice(0, count).map(({ chunk, score }) => ({
+    entityId: chunk.entityId,
+    entityType: chunk.entityType,
+    name: chunk.name,
+    page: chunk.page,
+    start: chunk.start,
+    text: chunk.text,
+    score,
+  }));
+}
+
+async function buildChannelIndex(channelName) {
+  const index = createIndex();
+  for (const entityType of INDEXED_TYPES) {
+    const entities = await entityModels[entityType].find({ channel: channelName, deletedAt: null }).lean();
+    entities.forEach(entity => addToIndex(index, entityType, entity));
+  }
+  return index;
+}
+
+/**
+ * A binder's index, built from storage if it is not in memory. The least recently used is dropped past
+ * MAX_CACHED_INDEXES.
+ */
+function loadChannelIndex(channelName) {
+  let loading = channelIndexes.get(channelName);
+  if (loading) {
+    channelIndexes.delete(channelName);
+  } else {
+    loading = buildChannelIndex(channelName);
+    loading.catch(() => channelIndexes.get(channelName) === loading && channelIndexes.delete(channelName));
+  }
+  channelIndexes.set(channelName, loading);
+  if (channelIndexes.size > MAX_CACHED_INDEXES) channelIndexes.delete(channelIndexes.keys().next().value);
+  return loading;
+}
+
+/**
+ * Keeps a binder's index current after an entity is added, updated (`data`) or removed (`data` null). Binders
+ * whose index is not in memory are skipped; theirs is built from storage when it is next needed.
+ */
+async function updateIndexedEntity(channelName, entityType, id, data) {
+  if (!INDEXED_TYPES.includes(entityType) || !channelIndexes.has(channelName)) return;
+  let index;
+  try {
+    index = await channelIndexes.get(channelName);
+  } catch (err) {
+    return; // The index failed to build; the next search builds it again
+  }
+  if (data) addToIndex(index, entityType, { id, data });
+  else removeFromIndex(index, id);
+}
+
+/**
+ * Forgets a binder's index, for changes to many of its entities at once such as restoring a snapshot.
+ */
+function dropChannelIndex(channelName) {
+  channelIndexes.delete(channelName);
+}
+
+/**
+ * Searches a binder for the passages that best match a query; see searchIndex for the options.
+ */
+async function searchBinder(channelName, query, options = {}) {
+  const index = await loadChannelIndex(channelName);
+  return searchIndex(index, query, { embeddingModel: embeddingModelFromEnv(), ...options });
+}
+
+/**
+ * Where a passage comes from, such as 'Contract.pdf, page 3' or 'standup.mp3, 12:05'.
+ */
+function passageSource(passage) {
+  if (passage.page) return `${passage.name}, page ${passage.page}`;
+  if (typeof passage.start === 'number') {
+    const seconds = Math.floor(passage.start);
+    return `${passage.name}, ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+  return passage.name;
+}
+
+module.exports = {
+  INDEXED_TYPES,
+  DEFAULT_TOP_K,
+  tokenize,
+  chunkEntity,
+  createIndex,
+  addToIndex,
+  removeFromIndex,
+  searchIndex,
+  updateIndexedEntity,
+  dropChannelIndex,
+  searchBinder,
+  passageSource,
+};
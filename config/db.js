@@ -1,17 +0,0 @@
-// ./configs/db.js
-const mongoose = require('mongoose');
-
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB, {
-  
-    });
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error('MongoDB Connection Error:', error.message);
-    process.exit(1); // Exit process with failure if connection fails
-  }
-};
-
-// Export the connection function
-module.exports = connectDB;
\ No newline at end of file
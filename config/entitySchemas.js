@@ -0,0 +1,198 @@
+// ./config/entitySchemas.js
+// Shape of the `data` each entity type stores. Adds and updates are checked against these before they are saved,
+// so a bad or outdated client cannot store entries the viewers cannot render. Fields not listed are allowed.
+//
+// A field spec is { type, required, min, max, enum, items, fields }: `type` is one or more of 'string', 'number',
+// 'integer', 'boolean', 'array' and 'object'; `min`/`max` bound numbers, string lengths and array sizes; `items` is
+// the spec for array entries and `fields` the specs for an object's fields. Optional fields may be null.
+const { STRATEGIES: CONTEXT_STRATEGIES } = require('../public/utils/tokenBudget');
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_PROMPT_TEXT_LENGTH = 200000;
+const MAX_IMAGE_URL_LENGTH = 500000; // Agent images may be data URLs
+
+// What an agent prompt draws its content from
+const AGENT_PROMPT_TYPES = ['text', 'goal', 'document', 'artifact', 'sections', 'prompt'];
+
+const id = { type: 'string', required: true, min: 1, max: 200 };
+const order = { type: 'number', min: 0 };
+
+const agentPrompt = {
+  type: 'object',
+  fields: {
+    id,
+    type: { type: 'string', required: true, enum: AGENT_PROMPT_TYPES },
+    // Text, or the id(s) of the goal, document, artifact, sections or prompt to use
+    content: { type: ['string', 'array'], max: MAX_PROMPT_TEXT_LENGTH, items: { type: 'string', max: 200 } },
+  },
+};
+
+const ENTITY_SCHEMAS = {
+  agents: {
+    name: { type: 'string', required: true, min: 1, max: MAX_NAME_LENGTH },
+    createdBy: { type: 'string', max: MAX_NAME_LENGTH },
+    description: { type: 'string', max: MAX_DESCRIPTION_LENGTH },
+    imageUrl: { type: 'string', max: MAX_IMAGE_URL_LENGTH },
+    placeholderImage: { type: 'integer', min: 1, max: 100 },
+    model: {
+      type: 'object',
+      fields: {
+        provider: { type: 'string', required: true, max: 100 },
+        model: { type: 'string', required: true, max: 200 },
+        name: { type: 'string', max: MAX_NAME_LENGTH },
+      },
+    },
+    systemPrompts: { type: 'array', max: 50, items: agentPrompt },
+    userPrompts: { type: 'array', max: 50, items: agentPrompt },
+    // How referenced documents are cut when the prompt would not fit the model's context window, or 'retrieve' to
+    // send only the passages that best match each message
+    contextStrategy: { type: 'string', enum: [...CONTEXT_STRATEGIES, 'retrieve'] },
+  },
+  goals: {
+    text: { type: 'string', required: true, max: MAX_TEXT_LENGTH },
+    order,
+  },
+  questions: {
+    text: { type: 'string', required: true, max: MAX_TEXT_LENGTH },
+    order,
+    answered: { type: 'boolean' },
+    collapsed: { type: 'boolean' },
+  },
+  answers: {
+    questionId: id,
+    text: { type: 'string', max: MAX_TEXT_LENGTH },
+    votes: { type: 'integer' },
+    links: {
+      type: 'array',
+      max: 200,
+      items: { type: 'object', fields: { id, page: { type: 'integer', min: 0 } } },
+    },
+  },
+  sections: {
+    name: { type: 'string', required: true, min: 1, max: MAX_NAME_LENGTH },
+    sectionId: { type: 'string', max: 200 },
+    order,
+  },
+  prompts: {
+    name: { type: 'string', required: true, min: 1, max: MAX_NAME_LENGTH },
+    description: { type: 'string', max: MAX_DESCRIPTION_LENGTH },
+    text: { type: 'string', required: true, max: MAX_PROMPT_TEXT_LENGTH },
+  },
+  transcriptions: {
+    filename: { type: 'string', required: true, min: 1, max: 500 },
+    segments: {
+      type: 'array',
+      required: true,
+      max: 100000,
+      items: {
+        type: 'object',
+        fields: {
+          text: { type: 'string', required: true, max: MAX_TEXT_LENGTH },
+          start: { type: 'number', min: 0 },
+          end: { type: 'number', min: 0 },
+          speaker: { type: ['string', 'number'] },
+        },
+      },
+    },
+    speakers: {
+      type: 'array',
+      max: 1000,
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: ['string', 'number'], required: true },
+          displayName: { type: 'string', max: MAX_NAME_LENGTH },
+        },
+      },
+    },
+  },
+};
+
+// Operations whose data replaces the stored data, and so must match the whole schema
+const VALIDATED_OPERATIONS = ['add', 'update'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid';
+  return typeof value;
+}
+
+function matchesType(types, value) {
+  const actual = typeOf(value);
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+function sizeOf(value) {
+  return typeof value === 'string' || Array.isArray(value) ? value.length : null;
+}
+
+function checkValue(spec, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (spec.required) errors.push({ field: path, message: `${path} is required` });
+    return;
+  }
+
+  const types = [].concat(spec.type);
+  if (!matchesType(types, value)) {
+    errors.push({ field: path, message: `${path} must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}` });
+    return;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push({ field: path, message: `${path} must be one of ${spec.enum.join(', ')}` });
+    return;
+  }
+
+  const size = sizeOf(value);
+  const measured = size === null ? value : size;
+  const unit = typeof value === 'string' ? ' characters' : Array.isArray(value) ? ' items' : '';
+  if (typeof measured === 'number' && spec.min !== undefined && measured < spec.min) {
+    errors.push({ field: path, message: `${path} must be at least ${spec.min}${unit}` });
+  } else if (typeof measured === 'number' && spec.max !== undefined && measured > spec.max) {
+    errors.push({ field: path, message: `${path} must be at most ${spec.max}${unit}` });
+  }
+
+  if (Array.isArray(value) && spec.items) {
+    value.forEach((item, index) => checkValue(spec.items, item, `${path}[${index}]`, errors));
+  } else if (typeOf(value) === 'object' && spec.fields) {
+    checkFields(spec.fields, value, `${path}.`, errors);
+  }
+}
+
+function checkFields(fields, value, prefix, errors) {
+  Object.entries(fields).forEach(([name, spec]) => checkValue(spec, value[name], `${prefix}${name}`, errors));
+}
+
+/**
+ * Checks an add or update's data against its entity type's schema. Types without a schema, and other operations,
+ * always pass. Returns { valid, errors: [{ field, message }] }, with field paths such as 'systemPrompts[0].type'.
+ */
+function validateEntityData(entityType, operation, data) {
+  const fields = ENTITY_SCHEMAS[entityType];
+  if (!fields || !VALIDATED_OPERATIONS.includes(operation)) return { valid: true, errors: [] };
+  if (typeOf(data) !== 'object') {
+    return { valid: false, errors: [{ field: 'data', message: 'data must be an object' }] };
+  }
+  const errors = [];
+  checkFields(fields, data, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * One-line summary of validation errors for logs and notices.
+ */
+function describeValidationErrors(entityType, operation, errors) {
+  const shown = errors.slice(0, 3).map(error => error.message).join('; ');
+  const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+  return `Invalid ${entityType} data for ${operation}: ${shown}${more}`;
+}
+
+module.exports = {
+  AGENT_PROMPT_TYPES,
+  ENTITY_SCHEMAS,
+  validateEntityData,
+  describeValidationErrors,
+};
@@ -0,0 +1,30 @@
+// ./config/entityVersions.js
+// Optimistic concurrency for entity updates: every accepted update bumps `version`,
+// and updates based on an older version are rejected as conflicts.
+
+/**
+ * Version of a stored entity. Entities saved before versions existed count as version 1.
+ */
+function currentVersion(doc) {
+  return doc && Number.isInteger(doc.version) ? doc.version : 1;
+}
+
+/**
+ * Returns true if an update payload carries a usable base version.
+ */
+function isValidBaseVersion(version) {
+  return Number.isInteger(version) && version >= 1;
+}
+
+/**
+ * Mongo condition matching an entity that is still at `baseVersion`.
+ */
+function versionMatch(baseVersion) {
+  return baseVersion === 1 ? { $in: [1, null] } : baseVersion;
+}
+
+module.exports = {
+  currentVersion,
+  isValidBaseVersion,
+  versionMatch,
+};
@@ -0,0 +1,42 @@
+// ./config/eventLog.js
+// Bounded per-channel log of persisted entity events, replayed to clients that reconnect after a short gap.
+
+const MAX_LOGGED_EVENTS = 500;
+
+/**
+ * Creates an empty log. `coversFrom` is the serverTimestamp after which every event is still held.
+ */
+function createEventLog(now = Date.now()) {
+  return { events: [], coversFrom: now, lastTimestamp: 0 };
+}
+
+/**
+ * Appends an event, stamping it with a serverTimestamp strictly greater than the previous one
+ * so clients can use it as a replay cursor. The oldest events are dropped past `maxEvents`.
+ */
+function appendEvent(log, message, now = Date.now(), maxEvents = MAX_LOGGED_EVENTS) {
+  const serverTimestamp = Math.max(now, log.lastTimestamp + 1);
+  const event = { ...message, serverTimestamp, replayable: true };
+  log.events.push(event);
+  log.lastTimestamp = serverTimestamp;
+  while (log.events.length > maxEvents) {
+    log.coversFrom = log.events.shift().serverTimestamp;
+  }
+  return event;
+}
+
+/**
+ * Returns the events logged after `since`, oldest first, or null when the log no longer
+ * reaches back that far and the client needs a full resync instead.
+ */
+function eventsSince(log, since) {
+  if (!log || !Number.isFinite(since) || since < log.coversFrom) return null;
+  return log.events.filter(event => event.serverTimestamp > since);
+}
+
+module.exports = {
+  MAX_LOGGED_EVENTS,
+  createEventLog,
+  appendEvent,
+  eventsSince,
+};
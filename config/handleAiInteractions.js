@@ -7,11 +7,29 @@ const { Groq } = require("groq-sdk");
 const { Mistral } = require("@mistralai/mistralai");
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require("@google/generative-ai");
 
+// OpenAI-compatible model servers (Ollama, llama.cpp, vLLM and the like) run where the server admin says, so their
+// base URL only ever comes from OPENAICOMPATIBLE_BASE_URL. The API key is optional.
+const OPENAI_COMPATIBLE = 'openaicompatible';
+const MODEL_DISCOVERY_TTL_MS = 5 * 60 * 1000;
+const MODEL_DISCOVERY_RETRY_MS = 30 * 1000;
+const MODEL_DISCOVERY_TIMEOUT_MS = 5000;
+
+const openAiCompatibleBaseUrl = () => (process.env.OPENAICOMPATIBLE_BASE_URL || '').replace(/\/+$/, '') || null;
+
 // Helper function to create provider-specific clients
 const createClient = (provider, credentials) => {
   const envKey = process.env[`${provider.toUpperCase()}_API_KEY`];
   const apiKey = credentials?.apiKey || envKey;
-  
+
+  if (provider.toLowerCase() === OPENAI_COMPATIBLE) {
+    const baseURL = openAiCompatibleBaseUrl();
+    if (!baseURL) {
+      throw new Error('No base URL configured for openaiCompatible; set OPENAICOMPATIBLE_BASE_URL');
+    }
+    // Servers without auth ignore the key, but the client needs one
+    return new OpenAI({ apiKey: apiKey || 'none', baseURL, ...credentials?.clientOptions });
+  }
+
   if (!apiKey) {
     throw new Error(`No API key available for ${provider}`);
   }
@@ -65,6 +83,8 @@ const handlePrompt = async (promptConfig, sendToClient) => {
     userPrompt,
     systemPrompt,
     temperature = 0.5,
+    tools = [],
+    runTool,
   } = promptConfig;
 
   try {
@@ -91,6 +111,11 @@ const handlePrompt = async (promptConfig, sendToClient) => {
 
     if (modelConfig.model === 'o3-mini-2025-01-31') delete promptPayload.temperature;
 
+    if (tools.length && runTool && supportsTools(modelConfig.provider.toLowerCase())) {
+      await handleToolPrompt(client, modelConfig.provider.toLowerCase(), promptPayload, { tools, runTool, uuid, session, sendToClient });
+      return;
+    }
+
     const responseStream = await handleProviderPrompt(
       client,
       modelConfig.provider,
@@ -135,6 +160,8 @@ const handleProviderPrompt = async (client, provider, config) => {
       return handleGeminiPrompt(client, config);
     case 'xai':
       return client.chat.completions.create(config);
+    case OPENAI_COMPATIBLE:
+      return client.chat.completions.create(config);
     default:
       throw new Error(`Unsupported provider: ${provider}`);
   }
@@ -162,6 +189,11 @@ const prepareAnthropicConfig = (config) => {
 
 // Handle Gemini-specific configuration
 const handleGeminiPrompt = async (client, config) => {
+  const { chat, lastMessage } = startGeminiChat(client, config);
+  return chat.sendMessageStream(lastMessage);
+};
+
+const startGeminiChat = (client, config, tools = []) => {
   const safetySettings = [
     {
       category: HarmCategory.HARM_CATEGORY_HARASSMENT,
@@ -189,7 +221,8 @@ const handleGeminiPrompt = async (client, config) => {
     model: config.model,
     ...(config.messages[0]?.role === "system" && config.messages[0]?.content && {
       systemInstruction: config.messages[0].content
-    })
+    }),
+    ...(tools.length && { tools: [{ functionDeclarations: tools }] })
   };
 
   const messages = config.messages
@@ -204,7 +237,195 @@ const handleGeminiPrompt = async (client, config) => {
     history: messages.slice(0, -1)
   });
 
-  return chat.sendMessageStream(messages[messages.length - 1].parts[0].text);
+  return { chat, lastMessage: messages[messages.length - 1].parts[0].text };
+};
+
+// Providers whose function calling agents can use for binder tools. Not every model an OpenAI-compatible server
+// runs can call functions, so those are offered tools only when OPENAICOMPATIBLE_TOOLS is true.
+const TOOL_PROVIDERS = ['openai', 'groq', 'xai', 'mistral', 'anthropic', 'gemini'];
+const MAX_TOOL_ROUNDS = 5;
+
+const supportsTools = (provider) => TOOL_PROVIDERS.includes(provider)
+  || (provider === OPENAI_COMPATIBLE && process.env.OPENAICOMPATIBLE_TOOLS === 'true');
+
+// Tool arguments arrive as a JSON string from most providers and as an object from some
+const parseToolArguments = (args) => {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+// Each conversation streams one model turn at a time and keeps the provider's own record of tool calls and results.
+// turn(offerTools, onText) resolves to the tool calls the model made as [{ id, name, args }].
+
+const openAiToolConversation = (client, config, tools) => {
+  const messages = [...config.messages];
+  const toolSpecs = tools.map(tool => ({ type: 'function', function: tool }));
+  return {
+    async turn(offerTools, onText) {
+      const stream = await client.chat.completions.create({ ...config, messages, ...(offerTools && { tools: toolSpecs }) });
+      let text = '';
+      const calls = [];
+      for await (const part of stream) {
+        const delta = part?.choices?.[0]?.delta || {};
+        if (delta.content) {
+          text += delta.content;
+          onText(delta.content);
+        }
+        for (const toolDelta of delta.tool_calls || []) {
+          const call = calls[toolDelta.index ?? calls.length] ||= { id: '', name: '', arguments: '' };
+          if (toolDelta.id) call.id = toolDelta.id;
+          if (toolDelta.function?.name) call.name += toolDelta.function.name;
+          if (toolDelta.function?.arguments) call.arguments += toolDelta.function.arguments;
+        }
+      }
+      const toolCalls = calls.filter(Boolean);
+      if (toolCalls.length) {
+        messages.push({
+          role: 'assistant',
+          content: text || null,
+          tool_calls: toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
+        });
+      }
+      return toolCalls.map(call => ({ id: call.id, name: call.name, args: parseToolArguments(call.arguments) }));
+    },
+    addResults(results) {
+      results.forEach(({ call, result }) => messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) }));
+    },
+  };
+};
+
+const mistralToolConversation = (client, config, tools) => {
+  const messages = [...config.messages];
+  const toolSpecs = tools.map(tool => ({ type: 'function', function: tool }));
+  return {
+    async turn(offerTools, onText) {
+      const stream = await client.chat.stream({ ...config, messages, ...(offerTools && { tools: toolSpecs }) });
+      let text = '';
+      const calls = [];
+      for await (const part of stream) {
+        const delta = part?.data?.choices?.[0]?.delta || {};
+        if (typeof delta.content === 'string' && delta.content) {
+          text += delta.content;
+          onText(delta.content);
+        }
+        (delta.toolCalls || []).forEach(call => calls.push(call));
+      }
+      if (calls.length) {
+        messages.push({
+          role: 'assistant',
+          content: text,
+          toolCalls: calls.map(call => ({ id: call.id, type: 'function', function: call.function })),
+        });
+      }
+      return calls.map(call => ({ id: call.id, name: call.function.name, args: parseToolArguments(call.function.arguments) }));
+    },
+    addResults(results) {
+      results.forEach(({ call, result }) => messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) }));
+    },
+  };
+};
+
+const anthropicToolConversation = (client, config, tools) => {
+  const anthropicConfig = prepareAnthropicConfig(config);
+  const messages = [...anthropicConfig.messages];
+  const toolSpecs = tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }));
+  return {
+    async turn(offerTools, onText) {
+      const stream = await client.messages.create({ ...anthropicConfig, messages, ...(offerTools && { tools: toolSpecs }) });
+      let text = '';
+      const blocks = [];
+      for await (const part of stream) {
+        if (part.type === 'content_block_start' && part.content_block?.type === 'tool_use') {
+          blocks[part.index] = { id: part.content_block.id, name: part.content_block.name, json: '' };
+        } else if (part.type === 'content_block_delta' && part.delta?.type === 'input_json_delta') {
+          if (blocks[part.index]) blocks[part.index].json += part.delta.partial_json;
+        } else if (part.type === 'content_block_delta' && part.delta?.text) {
+          text += part.delta.text;
+          onText(part.delta.text);
+        }
+      }
+      const toolCalls = blocks.filter(Boolean).map(block => ({ id: block.id, name: block.name, args: parseToolArguments(block.json) }));
+      if (toolCalls.length) {
+        messages.push({
+          role: 'assistant',
+          content: [
+            ...(text ? [{ type: 'text', text }] : []),
+            ...toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.args })),
+          ],
+        });
+      }
+      return toolCalls;
+    },
+    addResults(results) {
+      messages.push({
+        role: 'user',
+        content: results.map(({ call, result }) => ({ type: 'tool_result', tool_use_id: call.id, content: JSON.stringify(result) })),
+      });
+    },
+  };
+};
+
+// Gemini's chat session keeps the history itself; its function calls have no ids, so they are numbered
+const geminiToolConversation = (client, config, tools) => {
+  const { chat, lastMessage } = startGeminiChat(client, config, tools);
+  let next = lastMessage;
+  let round = 0;
+  return {
+    async turn(offerTools, onText) {
+      const response = await chat.sendMessageStream(next);
+      const calls = [];
+      for await (const chunk of response.stream) {
+        const text = chunk.text();
+        if (text) onText(text);
+        (chunk.functionCalls() || []).forEach(call => calls.push(call));
+      }
+      round++;
+      return calls.map((call, index) => ({ id: `call-${round}-${index}`, name: call.name, args: parseToolArguments(call.args) }));
+    },
+    addResults(results) {
+      next = results.map(({ call, result }) => ({ functionResponse: { name: call.name, response: result } }));
+    },
+  };
+};
+
+const TOOL_CONVERSATIONS = {
+  openai: openAiToolConversation,
+  groq: openAiToolConversation,
+  xai: openAiToolConversation,
+  [OPENAI_COMPATIBLE]: openAiToolConversation,
+  mistral: mistralToolConversation,
+  anthropic: anthropicToolConversation,
+  gemini: geminiToolConversation,
+};
+
+// Streams a reply that may call tools: each round the model's tool calls are run and their results sent back,
+// until it answers without calling any. After MAX_TOOL_ROUNDS it is asked to answer without tools.
+const handleToolPrompt = async (client, provider, config, { tools, runTool, uuid, session, sendToClient }) => {
+  const conversation = TOOL_CONVERSATIONS[provider](client, config, tools);
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const toolCalls = await conversation.turn(round < MAX_TOOL_ROUNDS, content => sendToClient(uuid, session, "message", content));
+    if (!toolCalls.length || round === MAX_TOOL_ROUNDS) break;
+
+    const results = [];
+    for (const call of toolCalls) {
+      sendToClient(uuid, session, "tool-call", { id: call.id, name: call.name, args: call.args });
+      let result;
+      try {
+        result = await runTool(call.name, call.args);
+      } catch (error) {
+        result = { error: error.message };
+      }
+      sendToClient(uuid, session, "tool-result", { id: call.id, name: call.name, result });
+      results.push({ call, result });
+    }
+    conversation.addResults(results);
+  }
+  sendToClient(uuid, session, "EOM", { end: true });
 };
 
 // Handle provider responses
@@ -254,6 +475,10 @@ const handleProviderResponse = async (responseStream, provider, uuid, session, s
           content = part?.choices?.[0]?.delta?.content;
           messageEnded = part?.choices?.[0]?.finish_reason === "stop";
           break;
+        case OPENAI_COMPATIBLE:
+          content = part?.choices?.[0]?.delta?.content;
+          messageEnded = part?.choices?.[0]?.finish_reason === "stop";
+          break;
       }
 
       if (content) {
@@ -297,6 +522,81 @@ const handleAzureStream = (stream, uuid, session, sendToClient) => {
   });
 };
 
+// Embedding vectors for texts, one per text in order, from providers that offer an embeddings endpoint
+const EMBEDDING_PROVIDERS = ['openai', 'mistral', 'gemini', OPENAI_COMPATIBLE];
+
+const embedTexts = async (modelConfig, texts) => {
+  const provider = modelConfig.provider.toLowerCase();
+  if (!EMBEDDING_PROVIDERS.includes(provider)) {
+    throw new Error(`Embeddings are not supported for ${modelConfig.provider}`);
+  }
+  const client = createClient(provider, { apiKey: modelConfig.apiKey, apiEndpoint: modelConfig.apiEndpoint });
+
+  if (provider === 'gemini') {
+    const model = client.getGenerativeModel({ model: modelConfig.model });
+    const response = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+    });
+    return response.embeddings.map(embedding => embedding.values);
+  }
+  if (provider === 'mistral') {
+    const response = await client.embeddings.create({ model: modelConfig.model, inputs: texts });
+    return response.data.map(item => item.embedding);
+  }
+  const response = await client.embeddings.create({ model: modelConfig.model, input: texts });
+  return response.data.map(item => item.embedding);
+};
+
+// Models the OpenAI-compatible server lists at /v1/models, kept for MODEL_DISCOVERY_TTL_MS. A server that cannot be
+// reached keeps the last list and is asked again after MODEL_DISCOVERY_RETRY_MS.
+const discovery = { baseURL: null, models: [], fetchedAt: 0, retryAt: 0, pending: null };
+
+const toServerModel = (listed) => {
+  // vLLM reports its context length; other servers can be given one with OPENAICOMPATIBLE_CONTEXT_WINDOW
+  const contextWindow = Number.isInteger(listed.max_model_len)
+    ? listed.max_model_len
+    : parseInt(process.env.OPENAICOMPATIBLE_CONTEXT_WINDOW, 10) || undefined;
+  return {
+    name: { en: listed.id, fr: listed.id },
+    model: listed.id,
+    provider: 'openaiCompatible',
+    ...(contextWindow ? { contextWindow } : {}),
+  };
+};
+
+const discoverOpenAiCompatibleModels = async ({ refresh = false } = {}) => {
+  const baseURL = openAiCompatibleBaseUrl();
+  if (!baseURL) return [];
+  if (discovery.baseURL !== baseURL) Object.assign(discovery, { baseURL, models: [], fetchedAt: 0, retryAt: 0 });
+
+  const now = Date.now();
+  if (!refresh && (now - discovery.fetchedAt < MODEL_DISCOVERY_TTL_MS || now < discovery.retryAt)) return discovery.models;
+  if (!discovery.pending) {
+    discovery.pending = (async () => {
+      try {
+        const client = createClient(OPENAI_COMPATIBLE, { clientOptions: { timeout: MODEL_DISCOVERY_TIMEOUT_MS, maxRetries: 0 } });
+        const models = [];
+        for await (const listed of client.models.list()) models.push(toServerModel(listed));
+        Object.assign(discovery, { models, fetchedAt: Date.now(), retryAt: 0 });
+      } catch (error) {
+        console.error(`Could not list the models of the OpenAI-compatible server at ${baseURL}:`, error.message);
+        discovery.retryAt = Date.now() + MODEL_DISCOVERY_RETRY_MS;
+      } finally {
+        discovery.pending = null;
+      }
+    })();
+  }
+  await discovery.pending;
+  return discovery.models;
+};
+
+// The last models discovered, without asking the server again
+const knownOpenAiCompatibleModels = () => (discovery.baseURL === openAiCompatibleBaseUrl() ? discovery.models : []);
+
 module.exports = {
-  handlePrompt
+  handlePrompt,
+  handleToolPrompt,
+  embedTexts,
+  discoverOpenAiCompatibleModels,
+  knownOpenAiCompatibleModels
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+// ./config/permissions.js
+// Binder roles and the server-side permission checks applied to every socket operation.
+
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+const DEFAULT_ROLE = 'editor';
+
+// Entity types a commenter may contribute to: conversation, Q&A answers and agent replies in chat
+const COMMENTER_ENTITY_TYPES = ['chats', 'collabs', 'answers', 'llms'];
+
+// Binder-level entities only the owner may change
+const OWNER_ENTITY_TYPES = ['channels'];
+
+/**
+ * Returns true if the value is one of the known binder roles.
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Numeric rank of a role, used to compare roles (viewer < commenter < editor < owner).
+ */
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * Resolves the effective role of a user from a channel's role map and default role.
+ */
+function resolveRole(roles = {}, userUuid, defaultRole = DEFAULT_ROLE) {
+  const role = roles[userUuid];
+  if (isValidRole(role)) return role;
+  return isValidRole(defaultRole) ? defaultRole : DEFAULT_ROLE;
+}
+
+/**
+ * Checks whether a role may perform a CRUD operation on an entity type.
+ * `isAuthor` is true when the entity being changed was created by the acting user.
+ */
+function canPerform(role, entityType, operation, { isAuthor = false } = {}) {
+  if (!isValidRole(role)) return false;
+  if (role === 'owner') return true;
+  if (OWNER_ENTITY_TYPES.includes(entityType)) return false;
+  if (role === 'editor') return true;
+  if (role === 'commenter' && COMMENTER_ENTITY_TYPES.includes(entityType)) {
+    if (['add', 'draft', 'vote'].includes(operation)) return true;
+    if (['update', 'remove'].includes(operation)) return isAuthor;
+  }
+  return false;
+}
+
+/**
+ * Checks whether a role may perform a binder-level action that is not an entity CRUD event.
+ */
+function canManage(role, action) {
+  switch (action) {
+    case 'lock':
+    case 'roles':
+    case 'access':
+    case 'webhooks':
+    case 'bots':
+    case 'retention':
+      return role === 'owner';
+    case 'admit':
+    case 'transcribe':
+    case 'snapshots':
+      return roleRank(role) >= roleRank('editor');
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  roleRank,
+  resolveRole,
+  canPerform,
+  canManage,
+};
@@ -0,0 +1,44 @@
+// ./config/presence.js
+// Where each user is in a binder: their tab, the document or artifact they have open and its visible page.
+
+const PRESENCE_ENTITY_TYPES = ['documents', 'artifacts'];
+const MAX_TAB_LENGTH = 64;
+
+function emptyPresence() {
+  return { tab: null, subTab: null, entityType: null, entityId: null, page: null, updatedAt: null };
+}
+
+function cleanTab(value) {
+  return typeof value === 'string' && value ? value.slice(0, MAX_TAB_LENGTH) : null;
+}
+
+/**
+ * Applies a partial presence update from a client. Only fields present in the update change;
+ * opening a different document or artifact resets the page unless the update names one.
+ */
+function mergePresence(current, update = {}, now = Date.now()) {
+  const next = { ...emptyPresence(), ...(current || {}) };
+
+  if ('tab' in update) next.tab = cleanTab(update.tab);
+  if ('subTab' in update) next.subTab = cleanTab(update.subTab);
+
+  if ('entityId' in update) {
+    const valid = typeof update.entityId === 'string' && update.entityId && PRESENCE_ENTITY_TYPES.includes(update.entityType);
+    const changed = !valid || update.entityId !== next.entityId;
+    next.entityType = valid ? update.entityType : null;
+    next.entityId = valid ? update.entityId : null;
+    if (changed) next.page = null;
+  }
+
+  if ('page' in update) {
+    next.page = next.entityId && Number.isInteger(update.page) && update.page >= 0 ? update.page : null;
+  }
+
+  next.updatedAt = now;
+  return next;
+}
+
+module.exports = {
+  PRESENCE_ENTITY_TYPES,
+  mergePresence,
+};
@@ -0,0 +1,183 @@
+// ./config/rateLimits.js
+// Per-user and per-channel message rate limits and payload size limits for the binder socket, so one runaway
+// client cannot flood a binder or burn through the LLM providers' quotas.
+
+const MINUTE_MS = 60 * 1000;
+const ALL_MESSAGES = '*';
+// A throttled sender is told at most this often per limit, rather than once per dropped message
+const THROTTLE_NOTICE_INTERVAL_MS = 5000;
+
+// Messages per minute for each message type. '*' counts every message, whatever its type.
+const DEFAULT_RATE_LIMITS = {
+  [ALL_MESSAGES]: { user: 1200, channel: 6000 },
+  'add-llm': { user: 10, channel: 30 },
+  'draft-chat': { user: 600, channel: 3000 },
+  'draft-collab': { user: 600, channel: 3000 },
+  'audio-chunk': { user: 600, channel: 1200 },
+};
+
+// Largest message payload in KB, by entity type for entity events and by message type for the rest.
+// '*' applies to everything not listed.
+const DEFAULT_PAYLOAD_LIMITS_KB = {
+  [ALL_MESSAGES]: 512,
+  documents: 50 * 1024,
+  artifacts: 20 * 1024,
+  collabs: 10 * 1024,
+  llms: 4 * 1024,
+  'audio-chunk': 1024,
+};
+
+// Reads a JSON object of overrides from the environment; anything unreadable falls back to the defaults
+function parseOverrides(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function cleanLimit(value) {
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : 0;
+}
+
+/**
+ * Rate limits from RATE_LIMITS, e.g. '{"add-llm":{"user":5,"channel":20}}', over the defaults.
+ * A limit of 0 turns that limit off.
+ */
+function rateLimitsFromEnv(value = process.env.RATE_LIMITS) {
+  const limits = {};
+  const overrides = parseOverrides(value);
+  new Set([...Object.keys(DEFAULT_RATE_LIMITS), ...Object.keys(overrides)]).forEach((type) => {
+    const merged = { ...DEFAULT_RATE_LIMITS[type], ...(overrides[type] || {}) };
+    limits[type] = { user: cleanLimit(merged.user), channel: cleanLimit(merged.channel) };
+  });
+  return limits;
+}
+
+/**
+ * Payload limits in bytes from PAYLOAD_LIMITS_KB, e.g. '{"chats":64,"documents":102400}', over the defaults.
+ * A limit of 0 turns that limit off.
+ */
+function payloadLimitsFromEnv(value = process.env.PAYLOAD_LIMITS_KB) {
+  const limits = {};
+  Object.entries({ ...DEFAULT_PAYLOAD_LIMITS_KB, ...parseOverrides(value) }).forEach(([key, kb]) => {
+    limits[key] = cleanLimit(kb) * 1024;
+  });
+  return limits;
+}
+
+// Room in a socket message for its envelope (type, ids, timestamps) on top of the largest payload
+const SOCKET_BUFFER_HEADROOM_BYTES = 1024 * 1024;
+
+/**
+ * The socket server's maxHttpBufferSize for a set of payload limits: the largest limit plus headroom. A limit that
+ * is turned off counts as the largest default, so the transport still refuses arbitrarily large messages.
+ */
+function socketBufferSize(limits) {
+  const fallback = Math.max(...Object.values(DEFAULT_PAYLOAD_LIMITS_KB)) * 1024;
+  const largest = Math.max(...Object.values(limits).map(limit => limit || fallback));
+  return largest + SOCKET_BUFFER_HEADROOM_BYTES;
+}
+
+function byteSize(value) {
+  if (value === undefined || value === null) return 0;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+  try {
+    return Buffer.byteLength(JSON.stringify(value) || '');
+  } catch (err) {
+    return Infinity;
+  }
+}
+
+/**
+ * Size in bytes of what a message carries: its data, plus binary fields such as an audio chunk.
+ */
+function payloadSize(message = {}) {
+  const { data, chunk } = message;
+  return byteSize(data) + byteSize(chunk);
+}
+
+/**
+ * Checks a message against the payload limit for its entity type (or message type). Returns null when it fits,
+ * otherwise { size, limit }.
+ */
+function checkPayloadSize(limits, message, key) {
+  const limit = key in limits ? limits[key] : limits[ALL_MESSAGES];
+  if (!limit) return null;
+  const size = payloadSize(message);
+  return size > limit ? { size, limit } : null;
+}
+
+/**
+ * Token buckets for the rate limits. Each limit allows its per-minute count in a burst and refills steadily,
+ * so a sender that keeps to the rate is never throttled.
+ */
+function createRateLimiter(limits = rateLimitsFromEnv()) {
+  const buckets = new Map();
+
+  function bucketsFor(channelName, userUuid, type) {
+    const found = [];
+    [ALL_MESSAGES, type].forEach((limitType, index) => {
+      const limit = limits[limitType];
+      if (!limit || (index > 0 && limitType === ALL_MESSAGES)) return;
+      if (limit.user) found.push({ key: `user:${channelName}:${userUuid}:${limitType}`, perMinute: limit.user, scope: 'user', limitType });
+      if (limit.channel) found.push({ key: `channel:${channelName}:${limitType}`, perMinute: limit.channel, scope: 'channel', limitType });
+    });
+    return found;
+  }
+
+  function refill(key, perMinute, now) {
+    const bucket = buckets.get(key) || { tokens: perMinute, updatedAt: now, notifiedAt: null };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) * perMinute) / MINUTE_MS);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Counts a message against every limit it falls under. Nothing is counted unless all of them allow it.
+   * Returns { ok: true } or { ok: false, scope, limitType, retryAfterMs, notify }.
+   */
+  function take(channelName, userUuid, type, now = Date.now()) {
+    const applicable = bucketsFor(channelName, userUuid, type).map(limit => ({ ...limit, bucket: refill(limit.key, limit.perMinute, now) }));
+    const exceeded = applicable.find(({ bucket }) => bucket.tokens < 1);
+    if (exceeded) {
+      const { notifiedAt } = exceeded.bucket;
+      const notify = notifiedAt === null || now - notifiedAt >= THROTTLE_NOTICE_INTERVAL_MS;
+      if (notify) exceeded.bucket.notifiedAt = now;
+      return {
+        ok: false,
+        scope: exceeded.scope,
+        limitType: exceeded.limitType,
+        retryAfterMs: Math.ceil(((1 - exceeded.bucket.tokens) * MINUTE_MS) / exceeded.perMinute),
+        notify,
+      };
+    }
+    applicable.forEach(({ bucket }) => { bucket.tokens -= 1; });
+    return { ok: true };
+  }
+
+  // Full buckets hold nothing worth keeping
+  function prune(now = Date.now()) {
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt >= MINUTE_MS) buckets.delete(key);
+    });
+  }
+
+  return { take, prune, get size() { return buckets.size; } };
+}
+
+module.exports = {
+  ALL_MESSAGES,
+  DEFAULT_RATE_LIMITS,
+  DEFAULT_PAYLOAD_LIMITS_KB,
+  rateLimitsFromEnv,
+  payloadLimitsFromEnv,
+  socketBufferSize,
+  payloadSize,
+  checkPayloadSize,
+  createRateLimiter,
+};
@@ -1,9 +1,57 @@
 const { Server } = require('socket.io');
-const mongoose = require('mongoose');
-const connectDB = require('./db.js');
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
 const { handlePrompt } = require("./handleAiInteractions");
 const { handleImageGeneration } = require("./handleAiImages");
-const { entityModels } = require('./models');
+const { entityModels, Tombstone, AuditEntry, Log } = require('./models');
+const { resolveSyncCursors } = require('./sync');
+const { createEventLog, appendEvent, eventsSince } = require('./eventLog');
+const { currentVersion, isValidBaseVersion, versionMatch } = require('./entityVersions');
+const { TEXT_ENTITY_TYPES, createTextSession, textSessionState, receiveTextOp } = require('./textSessions');
+const { mergePresence } = require('./presence');
+const { buildAuditEntry } = require('./audit');
+const { TRASH_ENTITY_TYPES, trashRetentionMs, purgeCutoff, trashEntry } = require('./trash');
+const { UNRESTORED_ENTITY_TYPES, cleanSnapshotName, diffBinderData, remapDocumentIds, prepareRestore } = require('./snapshots');
+const {
+  collectBinderData,
+  createSnapshot,
+  listSnapshots,
+  findSnapshot,
+  loadSnapshotData,
+  restoreSnapshotFiles,
+  deleteSnapshot,
+  deleteChannelSnapshots,
+} = require('./snapshotStore');
+const { AGENT_COMPLETE_EVENT } = require('./webhooks');
+const { ALL_MESSAGES, createRateLimiter, payloadLimitsFromEnv, socketBufferSize, checkPayloadSize } = require('./rateLimits');
+const { validateEntityData, describeValidationErrors } = require('./entitySchemas');
+const {
+  listWebhooks,
+  addWebhook,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  deleteChannelWebhooks,
+  dispatchWebhookEvent,
+} = require('./webhookStore');
+const { DEFAULT_ROLE, isValidRole, resolveRole, canPerform, canManage } = require('./permissions');
+const {
+  hashPassword,
+  isProtected,
+  publicChannelData,
+  checkJoinAccess,
+  checkMemberIdentity,
+  createMemberKey,
+  createInvite,
+  createAccessToken,
+} = require('./binderAccess');
+const { memberIdOf } = require('../public/utils/memberIds');
+const { cleanBotProfile, createBot, issueBotToken, verifyBotToken, isBotUuid, publicBot } = require('./bots');
+const { retentionDefaultsFromEnv, cleanRetentionSettings, retentionAction } = require('./retention');
+const { binderFileIds, deleteBinderFiles, archiveBinder, restoreBinder, deleteArchive } = require('./archiveStore');
+const { agentAuthor, isAgentAuthor, agentJobsForMessage, buildAgentPrompt, agentModel, loadAgentContext, retrieveAgentPassages } = require('./agentRunner');
+const { updateIndexedEntity, dropChannelIndex, searchBinder } = require('./chunkIndex');
+const { agentToolsFor, runAgentTool, toolResultPreview } = require('./agentTools');
 const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
 
 const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
@@ -19,53 +67,70 @@ if (deepgramApiKey) {
 
 const channels = new Map();
 
-// Define Logs Schema for error tracking
-const logSchema = new mongoose.Schema({
-  timestamp: { type: Number, required: true, index: true },
-  level: { type: String, required: true },
-  message: { type: String, required: true },
-  stackTrace: { type: String },
-  userUuid: { type: String },
-  channelName: { type: String },
-  socketId: { type: String },
-  details: { type: mongoose.Schema.Types.Mixed },
-}, { timestamps: true });
-
-const Log = mongoose.model('Log', logSchema, 'logs');
-
-async function initializeDatabase() {
-  try {
-    await connectDB();
-  } catch (err) {
-    await logError('error', 'Failed to initialize database', err.stack);
-    process.exit(1);
-  }
-}
+// Live text sessions keyed by `${channelName}:${entityType}:${id}`
+const textSessions = new Map();
+const TEXT_SNAPSHOT_DELAY = 2000; // Quiet period before a session's text is written back to the entity
+
+// Deleted entities stay in the Trash for TRASH_RETENTION_DAYS and are purged by a periodic sweep
+const TRASH_RETENTION_MS = trashRetentionMs();
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Binders nobody has joined for a while are archived, and later purged, by a periodic sweep
+const RETENTION_DEFAULTS = retentionDefaultsFromEnv();
+const RETENTION_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const JOIN_REJECTION_MESSAGES = {
+  'password-required': 'This binder is protected. Enter the binder password to join.',
+  'invalid-password': 'Incorrect binder password.',
+  'invite-required': 'This binder is invite only. Ask an owner for an invite link.',
+  'invalid-token': 'This invite link is invalid or has expired.',
+  'identity-required': 'This binder identity belongs to another session. Join again to continue as a new participant.',
+};
 
-initializeDatabase().catch(err => {
-  console.error('Uncaught database initialization error:', err);
-  process.exit(1);
+// The server keeps running if storage cannot be reached; the Mongo backend retries until it can
+storage.connect().catch(err => {
+  console.error(`Failed to initialize ${storage.name} storage:`, err);
 });
 
 const entityConfigs = {
-  agents: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-agent', update: 'update-agent', remove: 'remove-agent', reorder: null } },
+  agents: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-agent', update: 'update-agent', remove: 'remove-agent', reorder: null } },
   chats: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-chat', update: 'update-chat', remove: 'delete-chat', draft: 'draft-chat' } },
-  documents: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-document', update: 'update-document', remove: 'remove-document', reorder: null } },
-  goals: { idKey: 'id', requiredFields: ['id'], orderField: 'order', events: { add: 'add-goal', update: 'update-goal', remove: 'remove-goal', reorder: 'reorder-goals' } },
-  questions: { idKey: 'id', requiredFields: ['id'], orderField: 'order', events: { add: 'add-question', update: 'update-question', remove: 'remove-question', reorder: 'reorder-questions' } },
-  answers: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-answer', update: 'update-answer', remove: 'delete-answer', vote: 'vote-answer' } },
-  artifacts: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-artifact', update: 'update-artifact', remove: 'remove-artifact', reorder: null } },
+  documents: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-document', update: 'update-document', remove: 'remove-document', reorder: null } },
+  goals: { idKey: 'id', requiredFields: ['id'], orderField: 'order', versioned: true, events: { add: 'add-goal', update: 'update-goal', remove: 'remove-goal', reorder: 'reorder-goals' } },
+  questions: { idKey: 'id', requiredFields: ['id'], orderField: 'order', versioned: true, events: { add: 'add-question', update: 'update-question', remove: 'remove-question', reorder: 'reorder-questions' } },
+  answers: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-answer', update: 'update-answer', remove: 'delete-answer', vote: 'vote-answer' } },
+  artifacts: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-artifact', update: 'update-artifact', remove: 'remove-artifact', reorder: null } },
   transcripts: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-transcript', update: null, remove: 'remove-transcript', reorder: null } },
   llms: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-llm', draft: 'draft-llm' } },
   collabs: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-collab', update: 'update-collab', remove: 'delete-collab', draft: 'draft-collab' } },
-  breakouts: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-breakout', update: 'update-breakout', remove: 'delete-breakout', reorder: null } },
-  sections: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-section', update: 'update-section', remove: 'remove-section', reorder: 'reorder-section' } },
+  breakouts: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-breakout', update: 'update-breakout', remove: 'delete-breakout', reorder: null } },
+  sections: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-section', update: 'update-section', remove: 'remove-section', reorder: 'reorder-section' } },
   channels: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-channel', update: 'update-channel', remove: 'remove-channel', reorder: null } },
-  prompts: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-prompt', update: 'update-prompt', remove: 'remove-prompt', reorder: null } },
-  transcriptions: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-transcription', update: 'update-transcription', remove: 'remove-transcription', reorder: null } },
+  prompts: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-prompt', update: 'update-prompt', remove: 'remove-prompt', reorder: null } },
+  transcriptions: { idKey: 'id', requiredFields: ['id'], orderField: null, versioned: true, events: { add: 'add-transcription', update: 'update-transcription', remove: 'remove-transcription', reorder: null } },
   liveTranscriptions: { idKey: 'id', requiredFields: ['id'], orderField: null, events: { add: 'add-liveTranscription', update: 'update-liveTranscription', remove: 'remove-liveTranscription', reorder: null } },
 };
 
+// Events a webhook can subscribe to: every persisted entity event, plus finished agent replies
+const WEBHOOK_EVENTS = [
+  ...Object.entries(entityConfigs)
+    .filter(([entityType]) => entityType !== 'channels')
+    .flatMap(([, config]) => ['add', 'update', 'remove', 'reorder', 'vote'].map(operation => config.events[operation]))
+    .filter(Boolean),
+  AGENT_COMPLETE_EVENT,
+];
+
+// Entity type of every entity event, which picks the payload limit that applies to it
+const EVENT_ENTITY_TYPES = Object.fromEntries(
+  Object.entries(entityConfigs).flatMap(([entityType, config]) =>
+    Object.values(config.events).filter(Boolean).map(event => [event, entityType]))
+);
+
+// Message rate and size limits, from RATE_LIMITS and PAYLOAD_LIMITS_KB
+const rateLimiter = createRateLimiter();
+const PAYLOAD_LIMITS = payloadLimitsFromEnv();
+const RATE_LIMIT_PRUNE_INTERVAL = 60 * 1000;
+
 /**
  * Generates a muted dark color for user identification.
  */
@@ -77,7 +142,9 @@ function generateMutedDarkColor() {
 }
 
 function validateJoinData(data) {
-  return data && data.userUuid && data.displayName && data.channelName && isValidChannelName(data.channelName);
+  // Bots are named by their token
+  const identified = data && (data.botToken || (data.userUuid && data.displayName));
+  return identified && data.channelName && isValidChannelName(data.channelName);
 }
 
 function validateLeaveData(data) {
@@ -111,20 +178,24 @@ function validateLLMData(data) {
          (typeof data.generateImage === 'undefined' || typeof data.generateImage === 'boolean');
 }
 
-async function loadStateFromServer(channelName, entityType) {
+async function loadStateFromServer(channelName, entityType, since = null) {
   try {
     const model = entityModels[entityType];
+    const query = { channel: channelName, deletedAt: null };
+    // Inclusive so writes landing in the same millisecond as the cursor are not missed
+    if (since !== null) query.serverTimestamp = { $gte: since };
     const state = await model
-      .find({ channel: channelName })
+      .find(query)
       .sort({ serverTimestamp: 1 })
       .lean();
     console.log(`loadStateFromServer: ${channelName} - ${entityType}`, { count: state.length });
     return state.map(doc => ({
       id: doc.id,
       userUuid: doc.userUuid,
-      data: doc.data,
+      data: entityType === 'channels' ? { ...publicChannelData(doc.data), retentionDefaults: RETENTION_DEFAULTS } : doc.data,
       timestamp: doc.timestamp,
       serverTimestamp: doc.serverTimestamp,
+      version: currentVersion(doc),
     }));
   } catch (error) {
     await logError('error', `Error loading ${entityType} for ${channelName}`, error.stack);
@@ -132,6 +203,53 @@ async function loadStateFromServer(channelName, entityType) {
   }
 }
 
+async function loadTombstones(channelName, entityType, since) {
+  try {
+    const tombstones = await Tombstone
+      .find({ channel: channelName, entityType, serverTimestamp: { $gte: since } })
+      .lean();
+    return tombstones.map(tombstone => tombstone.id);
+  } catch (error) {
+    await logError('error', `Error loading ${entityType} tombstones for ${channelName}`, error.stack);
+    return [];
+  }
+}
+
+/**
+ * Builds the state a client needs to catch up, from the server only.
+ * Entity types with a usable `since` cursor get just their changes and deleted ids; the rest are loaded in full.
+ */
+async function buildSyncState(channelName, since) {
+  const syncedAt = Date.now();
+  const cursors = resolveSyncCursors(since, Object.keys(entityConfigs), syncedAt);
+  const data = {};
+  const removed = {};
+  const deltas = [];
+  for (const entityType of Object.keys(entityConfigs)) {
+    const cursor = cursors[entityType];
+    data[entityType] = await loadStateFromServer(channelName, entityType, cursor);
+    if (cursor !== null) {
+      removed[entityType] = await loadTombstones(channelName, entityType, cursor);
+      deltas.push(entityType);
+    }
+  }
+  return { data, removed, deltas, syncedAt };
+}
+
+function sendSyncState(socket, userUuid, type, syncState, lastEventAt) {
+  socket.emit('message', {
+    type,
+    id: null,
+    userUuid,
+    data: syncState.data,
+    removed: syncState.removed,
+    deltas: syncState.deltas,
+    lastEventAt,
+    timestamp: Date.now(),
+    serverTimestamp: syncState.syncedAt,
+  });
+}
+
 function broadcastToChannel(channelName, type, payload, excludeUuid = null) {
   try {
     if (channels.has(channelName)) {
@@ -140,13 +258,24 @@ function broadcastToChannel(channelName, type, payload, excludeUuid = null) {
       let message;
 
       if (type === 'user-list') {
+        // Members are listed by member id; their uuids are what they join with and stay with them
         const usersArray = Object.entries(channel.users).map(([userUuid, user]) => ({
-          userUuid,
+          memberId: memberIdOf(channelName, userUuid),
           displayName: user.displayName,
           color: user.color,
           joinedAt: user.joinedAt,
+          bot: !!user.bot,
+          avatar: user.avatar || null,
+          role: resolveRole(channel.roles, userUuid, channel.defaultRole),
+          presence: channel.presence[userUuid] || null,
         }));
-        message = { type, users: usersArray, timestamp: serverTimestamp };
+        message = {
+          type,
+          users: usersArray,
+          defaultRole: channel.defaultRole,
+          presenter: memberIdOf(channelName, channel.presenter),
+          timestamp: serverTimestamp,
+        };
       } else if (type === 'user-joined') {
         message = {
           type,
@@ -165,7 +294,9 @@ function broadcastToChannel(channelName, type, payload, excludeUuid = null) {
           userUuid: payload.userUuid,
           data: payload.data,
           timestamp: payload.timestamp || serverTimestamp,
-          serverTimestamp,
+          serverTimestamp: payload.serverTimestamp || serverTimestamp,
+          ...(payload.version !== undefined ? { version: payload.version } : {}),
+          ...(payload.replayable ? { replayable: true } : {}),
         };
       }
 
@@ -180,18 +311,45 @@ function broadcastToChannel(channelName, type, payload, excludeUuid = null) {
   }
 }
 
+// In-memory state of a binder while anyone is connected to it or a REST request is changing it
+function createChannelState(channelDoc) {
+  return {
+    users: {},
+    sockets: {},
+    waiting: {},
+    presence: {},
+    presenter: null,
+    state: {},
+    eventLog: createEventLog(),
+    locked: channelDoc.data.locked || false,
+    roles: { ...(channelDoc.data.roles || {}) },
+    defaultRole: channelDoc.data.defaultRole || DEFAULT_ROLE,
+    apiRequests: 0,
+  };
+}
+
+// True when this socket is the one the user joined the channel with
+function isJoinedSocket(channelName, userUuid, socket) {
+  return channels.get(channelName)?.sockets[userUuid] === socket;
+}
+
 function cleanupUser(channelName, userUuid, socket) {
   try {
     if (channels.has(channelName)) {
       const channel = channels.get(channelName);
+      // Another connection has since joined as this user, or this one never did
+      if (channel.sockets[userUuid] && channel.sockets[userUuid] !== socket) return;
       if (channel.users[userUuid]) {
+        leaveChannelTextSessions(channelName, userUuid);
         delete channel.users[userUuid];
+        delete channel.presence[userUuid];
+        if (channel.presenter === userUuid) setPresenter(channelName, null, userUuid);
         if (channel.sockets[userUuid]) {
           delete channel.sockets[userUuid];
           socket.leave(channelName);
         }
 
-        if (Object.keys(channel.users).length === 0) {
+        if (Object.keys(channel.users).length === 0 && !channel.apiRequests) {
           channels.delete(channelName);
         } else {
           broadcastToChannel(channelName, 'user-left', { userUuid });
@@ -204,19 +362,66 @@ function cleanupUser(channelName, userUuid, socket) {
   }
 }
 
+function setPresenter(channelName, presenterUuid, actorUuid) {
+  const channel = channels.get(channelName);
+  channel.presenter = presenterUuid;
+  broadcastToChannel(channelName, 'presenter-changed', {
+    id: null, userUuid: actorUuid, data: { presenterId: memberIdOf(channelName, presenterUuid) },
+  });
+}
+
+// The connected user listed under a member id
+function memberUuid(channelName, memberId) {
+  const channel = channels.get(channelName);
+  if (!channel || !memberId) return null;
+  return Object.keys(channel.users).find(uuid => memberIdOf(channelName, uuid) === memberId) || null;
+}
+
+function getUserRole(channelName, userUuid) {
+  const channel = channels.get(channelName);
+  if (!channel) return null;
+  return resolveRole(channel.roles, userUuid, channel.defaultRole);
+}
+
+async function isEntityAuthor(channelName, entityType, id, userUuid) {
+  const entity = await entityModels[entityType].findOne({ id, channel: channelName, deletedAt: null }).lean();
+  return !!entity && entity.userUuid === userUuid;
+}
+
+// Audit entries never hold up or fail the change they describe
+async function recordAudit(channelName, userUuid, fields) {
+  try {
+    const displayName = channels.get(channelName)?.users[userUuid]?.displayName || null;
+    await AuditEntry.create(buildAuditEntry({ channelName, userUuid, displayName, ...fields }));
+  } catch (err) {
+    await logError('error', `Failed to record audit entry for ${channelName}`, err.stack, userUuid, channelName);
+  }
+}
+
+// Webhook deliveries run in the background; the change that triggered them has already been saved
+function notifyWebhooks(channelName, event, details) {
+  dispatchWebhookEvent(channelName, event, details, async (err, webhook) => {
+    await logError('error', `Failed to deliver ${event} to webhook ${webhook?.uuid || ''} for ${channelName}`, err.stack, details.userUuid, channelName);
+  });
+}
+
 function validateEntity(payload, entityType, operation) {
   if (!payload.id) {
     return { valid: false, message: `Invalid ${entityType} data for ${operation}: missing id` };
   }
+  const { valid, errors } = validateEntityData(entityType, operation, payload.data);
+  if (!valid) {
+    return { valid: false, message: describeValidationErrors(entityType, operation, errors), errors };
+  }
   return { valid: true, message: '' };
 }
 
-async function upsertChannel(channelName, userUuid, displayName) {
+async function upsertChannel(channelName, userUuid, displayName, options = {}) {
   try {
     const timestamp = Date.now();
     const userEntry = { userUuid, displayName, joinedAt: timestamp };
 
-    const existingChannel = await entityModels['channels'].findOne({ id: channelName });
+    const existingChannel = await entityModels['channels'].findOne({ id: channelName }).lean();
     if (existingChannel) {
       const users = existingChannel.data.users || [];
       const userExists = users.some(user => user.userUuid === userUuid);
@@ -233,6 +438,7 @@ async function upsertChannel(channelName, userUuid, displayName) {
         {
           $set: {
             'data.users': users,
+            'data.lastActiveAt': timestamp,
             userUuid,
             timestamp,
             serverTimestamp: timestamp,
@@ -240,7 +446,19 @@ async function upsertChannel(channelName, userUuid, displayName) {
         }
       );
 
-      return { id: channelName, channel: channelName, userUuid, data: { locked: existingChannel.data.locked, users }, timestamp, serverTimestamp: timestamp };
+      return {
+        id: channelName,
+        channel: channelName,
+        userUuid,
+        data: {
+          locked: existingChannel.data.locked,
+          users,
+          roles: existingChannel.data.roles || {},
+          defaultRole: existingChannel.data.defaultRole || DEFAULT_ROLE,
+        },
+        timestamp,
+        serverTimestamp: timestamp,
+      };
     } else {
       const channelData = {
         id: channelName,
@@ -249,6 +467,10 @@ async function upsertChannel(channelName, userUuid, displayName) {
         data: {
           locked: false,
           users: [userEntry],
+          roles: { [userUuid]: 'owner' },
+          defaultRole: DEFAULT_ROLE,
+          lastActiveAt: timestamp,
+          ...(options.password ? { passwordHash: hashPassword(options.password) } : {}),
         },
         timestamp,
         serverTimestamp: timestamp,
@@ -263,6 +485,98 @@ async function upsertChannel(channelName, userUuid, displayName) {
   }
 }
 
+async function updateRole(channelName, actorUuid, targetUuid, role) {
+  const channel = channels.get(channelName);
+  if (!isValidRole(role)) {
+    return { ok: false, message: `Invalid role: ${role}` };
+  }
+  if (!targetUuid || !channel.users[targetUuid]) {
+    return { ok: false, message: 'Unknown user' };
+  }
+  if (channel.users[targetUuid].bot && role === 'owner') {
+    return { ok: false, message: 'Bots cannot be binder owners' };
+  }
+
+  const currentRole = resolveRole(channel.roles, targetUuid, channel.defaultRole);
+  if (currentRole === 'owner' && role !== 'owner') {
+    const owners = Object.keys(channel.users).filter(uuid => resolveRole(channel.roles, uuid, channel.defaultRole) === 'owner');
+    if (owners.length <= 1) {
+      return { ok: false, message: 'A binder must keep at least one owner' };
+    }
+  }
+
+  channel.roles[targetUuid] = role;
+  try {
+    await entityModels['channels'].updateOne(
+      { id: channelName },
+      { $set: { [`data.roles.${targetUuid}`]: role, userUuid: actorUuid, serverTimestamp: Date.now() } }
+    );
+  } catch (err) {
+    await logError('error', `Failed to update role for ${targetUuid} in ${channelName}`, err.stack, actorUuid, channelName);
+    throw err;
+  }
+  return { ok: true };
+}
+
+async function updateDefaultRole(channelName, actorUuid, role) {
+  const channel = channels.get(channelName);
+  if (!isValidRole(role) || role === 'owner') {
+    return { ok: false, message: `Invalid default role: ${role}` };
+  }
+  channel.defaultRole = role;
+  try {
+    await entityModels['channels'].updateOne(
+      { id: channelName },
+      { $set: { 'data.defaultRole': role, userUuid: actorUuid, serverTimestamp: Date.now() } }
+    );
+  } catch (err) {
+    await logError('error', `Failed to update default role in ${channelName}`, err.stack, actorUuid, channelName);
+    throw err;
+  }
+  return { ok: true };
+}
+
+async function updateBinderAccess(channelName, actorUuid, data = {}) {
+  const $set = { userUuid: actorUuid, serverTimestamp: Date.now() };
+  const $unset = {};
+  const update = { $set };
+
+  if (data.password !== undefined) {
+    if (data.password) {
+      if (typeof data.password !== 'string' || data.password.length < 4) {
+        return { ok: false, message: 'Binder passwords must be at least 4 characters' };
+      }
+      $set['data.passwordHash'] = hashPassword(data.password);
+    } else {
+      $unset['data.passwordHash'] = '';
+    }
+  }
+  if (typeof data.inviteOnly === 'boolean') {
+    $set['data.inviteOnly'] = data.inviteOnly;
+  }
+  if (Object.keys($unset).length) update.$unset = $unset;
+  if (data.revokeInvites) update.$inc = { 'data.accessVersion': 1 };
+
+  try {
+    await entityModels['channels'].updateOne({ id: channelName }, update);
+    const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+    return {
+      ok: true,
+      access: {
+        protected: isProtected(channelDoc.data),
+        hasPassword: !!channelDoc.data.passwordHash,
+        inviteOnly: !!channelDoc.data.inviteOnly,
+      },
+    };
+  } catch (err) {
+    await logError('error', `Failed to update access for ${channelName}`, err.stack, actorUuid, channelName);
+    throw err;
+  }
+}
+
+/**
+ * Saves a new entity. Returns { ok: true }, or { ok: false, error } when the write failed.
+ */
 async function updateCreateState(channelName, entityType, payload) {
   try {
     const config = entityConfigs[entityType];
@@ -274,33 +588,84 @@ async function updateCreateState(channelName, entityType, payload) {
       data: { ...payload.data, color: payload.data.color || channels.get(channelName)?.users[payload.userUuid]?.color || '#808080' },
       timestamp: payload.timestamp,
       serverTimestamp: Date.now(),
+      version: 1,
     };
-    const order = config.orderField ? await entityModels[entityType].countDocuments({ channel: channelName }) : undefined;
+    const order = config.orderField ? await entityModels[entityType].countDocuments({ channel: channelName, deletedAt: null }) : undefined;
     if (order !== undefined) entity.data[config.orderField] = order;
+    // Re-adding a deleted id replaces the copy in the Trash
+    await entityModels[entityType].deleteMany({ id: payload.id, channel: channelName, deletedAt: { $ne: null } });
     await entityModels[entityType].create(entity);
+    // A re-added id must not be removed again by an older tombstone
+    await Tombstone.deleteMany({ channel: channelName, entityType, id: payload.id });
+    return { ok: true };
   } catch (err) {
     await logError('error', `Failed to create ${entityType} for ${channelName}`, err.stack, payload.userUuid, channelName);
+    return { ok: false, error: err };
   }
 }
 
+/**
+ * Applies an update. For versioned entity types the payload must carry the version it was based on;
+ * returns { ok: false, current } with the stored entity (null if deleted) when that version is stale or the entity
+ * is gone, or { ok: false, error } when the write itself failed.
+ */
 async function updateUpdateState(channelName, entityType, payload) {
   try {
     const config = entityConfigs[entityType];
-    await entityModels[entityType].updateOne(
-      { id: payload.id, channel: channelName },
-      { $set: { data: payload.data, timestamp: payload.timestamp, serverTimestamp: Date.now() } }
-    );
+    const model = entityModels[entityType];
+    const $set = { data: payload.data, timestamp: payload.timestamp, serverTimestamp: Date.now() };
+
+    if (!config.versioned) {
+      const updated = await model.findOneAndUpdate(
+        { id: payload.id, channel: channelName, deletedAt: null },
+        { $set, $inc: { version: 1 } },
+        { new: true }
+      ).lean();
+      // Deleted before this update arrived: nothing was saved
+      if (!updated) return { ok: false, current: null };
+      return { ok: true, version: updated.version };
+    }
+
+    if (isValidBaseVersion(payload.version)) {
+      const updated = await model.findOneAndUpdate(
+        { id: payload.id, channel: channelName, deletedAt: null, version: versionMatch(payload.version) },
+        { $set: { ...$set, version: payload.version + 1 } },
+        { new: true }
+      ).lean();
+      if (updated) return { ok: true, version: updated.version };
+    }
+
+    const current = await model.findOne({ id: payload.id, channel: channelName, deletedAt: null }).lean();
+    return { ok: false, current };
   } catch (err) {
     await logError('error', `Failed to update ${entityType} for ${channelName}`, err.stack, payload.userUuid, channelName);
+    return { ok: false, error: err };
   }
 }
 
+/**
+ * Moves an entity to the Trash. The record is kept with deletedAt/deletedBy until it is restored or purged;
+ * the tombstone still lets incremental sync remove it from clients. Returns { ok: false } when no live record matched.
+ */
 async function updateDeleteState(channelName, entityType, payload) {
   try {
     const config = entityConfigs[entityType];
-    await entityModels[entityType].deleteOne({ id: payload.id, channel: channelName });
+    const deletedAt = Date.now();
+    const result = await entityModels[entityType].updateOne(
+      { id: payload.id, channel: channelName, deletedAt: null },
+      { $set: { deletedAt, deletedBy: payload.userUuid, serverTimestamp: deletedAt } }
+    );
+    // Already deleted or never existed: there is nothing for sync to remove
+    if (!result.matchedCount) return { ok: false };
+    await Tombstone.create({
+      id: payload.id,
+      channel: channelName,
+      entityType,
+      userUuid: payload.userUuid,
+      serverTimestamp: Date.now(),
+    });
     if (config.orderField) {
-      const remaining = await entityModels[entityType].find({ channel: channelName }).sort({ 'data.order': 1 });
+      const remaining = await entityModels[entityType].find({ channel: channelName, deletedAt: null }).sort({ 'data.order': 1 });
       await Promise.all(remaining.map((item, index) =>
         entityModels[entityType].updateOne(
           { _id: item._id },
@@ -308,16 +673,19 @@ async function updateDeleteState(channelName, entityType, payload) {
         )
       ));
     }
+    return { ok: true };
   } catch (err) {
     await logError('error', `Failed to delete ${entityType} for ${channelName}`, err.stack, payload.userUuid, channelName);
+    return { ok: false, error: err };
   }
 }
 
+// Returns { ok: true }, or { ok: false, error } when the write failed
 async function updateReorderState(channelName, entityType, payload) {
   try {
     const config = entityConfigs[entityType];
     const order = payload.data.order;
-    const entities = await entityModels[entityType].find({ channel: channelName, id: { $in: order } });
+    const entities = await entityModels[entityType].find({ channel: channelName, id: { $in: order }, deletedAt: null });
     await Promise.all(order.map((id, index) => {
       const entity = entities.find(e => e.id === id);
       if (entity) {
@@ -328,19 +696,24 @@ async function updateReorderState(channelName, entityType, payload) {
         );
       }
     }));
+    return { ok: true };
   } catch (err) {
     await logError('error', `Failed to reorder ${entityType} for ${channelName}`, err.stack, payload.userUuid, channelName);
+    return { ok: false, error: err };
   }
 }
 
+// Returns { ok: true }, { ok: false } when no live record matched, or { ok: false, error } when the write failed
 async function updateVoteState(channelName, entityType, payload) {
   try {
-    await entityModels[entityType].updateOne(
-      { id: payload.id, channel: channelName },
+    const result = await entityModels[entityType].updateOne(
+      { id: payload.id, channel: channelName, deletedAt: null },
       { $set: { data: payload.data, timestamp: payload.timestamp, serverTimestamp: Date.now() } }
     );
+    return { ok: result.matchedCount > 0 };
   } catch (err) {
     await logError('error', `Failed to vote on ${entityType} for ${channelName}`, err.stack, payload.userUuid, channelName);
+    return { ok: false, error: err };
   }
 }
 
@@ -372,6 +745,14 @@ async function removeChannel(channelName, userUuid) {
         entityModels[entityType].deleteMany({ channel: channelName })
       )
     );
+    await Tombstone.deleteMany({ channel: channelName });
+    await deleteChannelSnapshots(channelName);
+    await deleteChannelWebhooks(channelName);
+
+    for (const [key, session] of textSessions) {
+      if (session.channelName === channelName) dropTextSession(key);
+    }
+    dropChannelIndex(channelName);
 
     if (channels.has(channelName)) {
       channels.delete(channelName);
@@ -382,6 +763,158 @@ async function removeChannel(channelName, userUuid) {
   }
 }
 
+// Newest deletions first; anything past the purge cutoff is left out even before the sweep removes it
+async function listTrash(channelName) {
+  try {
+    const cutoff = purgeCutoff(TRASH_RETENTION_MS);
+    const lists = await Promise.all(TRASH_ENTITY_TYPES.map(async (entityType) => {
+      const docs = await entityModels[entityType]
+        .find({ channel: channelName, deletedAt: { $gte: cutoff } })
+        .lean();
+      return docs.map(doc => trashEntry(entityType, doc, TRASH_RETENTION_MS));
+    }));
+    return lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+  } catch (error) {
+    await logError('error', `Error loading trash for ${channelName}`, error.stack);
+    return [];
+  }
+}
+
+async function sendTrashList(socket, userUuid, channelName) {
+  socket.emit('message', {
+    type: 'trash-list',
+    id: null,
+    userUuid,
+    data: { items: await listTrash(channelName), retentionMs: TRASH_RETENTION_MS },
+    timestamp: Date.now(),
+  });
+}
+
+// Announced with the current time: clients ignore events stamped far behind the newest one they have seen
+function announceEntity(channelName, entityType, doc) {
+  const event = appendEvent(channels.get(channelName).eventLog, {
+    type: entityConfigs[entityType].events.add,
+    id: doc.id,
+    userUuid: doc.userUuid,
+    data: doc.data,
+    timestamp: Date.now(),
+    version: currentVersion(doc),
+  });
+  broadcastToChannel(channelName, event.type, event);
+}
+
+/**
+ * Takes an entity out of the Trash and announces it to everyone, including the restorer, with its add event.
+ */
+async function restoreEntity(channelName, userUuid, entityType, id) {
+  try {
+    const config = entityConfigs[entityType];
+    const model = entityModels[entityType];
+    const result = await withEntityLock(`${channelName}:${entityType}:${id}`, async () => {
+      const restoredAt = Date.now();
+      const $set = { deletedAt: null, deletedBy: null, serverTimestamp: restoredAt };
+      // Ordered lists get the restored item back at the end
+      if (config.orderField) {
+        $set[`data.${config.orderField}`] = await model.countDocuments({ channel: channelName, deletedAt: null });
+      }
+      const doc = await model.findOneAndUpdate(
+        { id, channel: channelName, deletedAt: { $ne: null } },
+        { $set },
+        { new: true }
+      ).lean();
+      if (!doc) return { ok: false, message: 'This item is no longer in the Trash' };
+      await Tombstone.deleteMany({ channel: channelName, entityType, id });
+      announceEntity(channelName, entityType, doc);
+      await updateIndexedEntity(channelName, entityType, id, doc.data);
+      await recordAudit(channelName, userUuid, { operation: 'restore', entityType, entityId: id, eventType: 'restore-entity', after: doc });
+      notifyWebhooks(channelName, config.events.add, { entityType, id, userUuid, data: doc.data, version: currentVersion(doc) });
+      return { ok: true };
+    });
+    // Deleting a breakout only hid its messages on clients, so they are announced again with it
+    if (result.ok && entityType === 'breakouts') {
+      const collabs = await entityModels.collabs
+        .find({ channel: channelName, deletedAt: null, 'data.breakoutId': id })
+        .sort({ timestamp: 1 })
+        .lean();
+      collabs.forEach(collab => announceEntity(channelName, 'collabs', collab));
+    }
+    return result;
+  } catch (err) {
+    await logError('error', `Failed to restore ${entityType} ${id} for ${channelName}`, err.stack, userUuid, channelName);
+    return { ok: false, message: 'Could not restore this item' };
+  }
+}
+
+async function purgeExpiredTrash() {
+  try {
+    const cutoff = purgeCutoff(TRASH_RETENTION_MS);
+    await Promise.all(Object.values(entityModels).map(model => model.deleteMany({ deletedAt: { $lt: cutoff } })));
+  } catch (err) {
+    await logError('error', 'Failed to purge expired trash', err.stack);
+  }
+}
+
+/**
+ * Unpacks a binder if it has been archived and returns its channel record. Runs under the same lock as the sweep,
+ * so a join never sees a binder half archived.
+ */
+function restoreIfArchived(channelName, userUuid = null) {
+  return withEntityLock(`retention:${channelName}`, async () => {
+    const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+    if (!channelDoc?.data.archive) return channelDoc;
+    await restoreBinder(channelName, channelDoc.data.archive);
+    console.log(`Restored archived binder ${channelName}`);
+    await recordAudit(channelName, userUuid, { operation: 'unarchive', entityType: 'retention', entityId: channelName, before: { data: channelDoc.data.archive } });
+    return entityModels['channels'].findOne({ id: channelName }).lean();
+  });
+}
+
+// Archives or purges one idle binder, checking again under the lock in case someone joined since the sweep started
+function applyRetention(channelName, now) {
+  return withEntityLock(`retention:${channelName}`, async () => {
+    const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+    const action = channelDoc && !channels.has(channelName) ? retentionAction(channelDoc, RETENTION_DEFAULTS, now) : null;
+    if (action === 'archive') {
+      const archive = await archiveBinder(channelName, now);
+      dropChannelIndex(channelName);
+      console.log(`Archived idle binder ${channelName}`, { file: archive.file, bytes: archive.bytes });
+      await recordAudit(channelName, null, { operation: 'archive', entityType: 'retention', entityId: channelName, after: { data: archive } });
+    } else if (action === 'expire') {
+      const fileIds = await binderFileIds(channelName);
+      await removeChannel(channelName, null);
+      await deleteBinderFiles(fileIds);
+      await deleteArchive(channelDoc.data.archive);
+      console.log(`Purged expired binder ${channelName}`);
+    }
+  });
+}
+
+async function sweepIdleBinders(now = Date.now()) {
+  let channelDocs;
+  try {
+    channelDocs = await entityModels['channels'].find({}).lean();
+  } catch (err) {
+    await logError('error', 'Failed to load binders for the retention sweep', err.stack);
+    return;
+  }
+  for (const channelDoc of channelDocs) {
+    if (channels.has(channelDoc.id) || !retentionAction(channelDoc, RETENTION_DEFAULTS, now)) continue;
+    try {
+      await applyRetention(channelDoc.id, now);
+    } catch (err) {
+      await logError('error', `Failed to apply retention to ${channelDoc.id}`, err.stack, null, channelDoc.id);
+    }
+  }
+}
+
+async function updateRetention(channelName, userUuid, data = {}) {
+  const result = cleanRetentionSettings(data);
+  if (!result.ok) return result;
+  await entityModels['channels'].updateOne({ id: channelName }, { $set: { 'data.retention': result.retention, serverTimestamp: Date.now() } });
+  await recordAudit(channelName, userUuid, { operation: 'update', entityType: 'retention', entityId: channelName, eventType: 'update-binder-retention', after: { data: result.retention } });
+  return result;
+}
+
 async function sendLLMStream(uuid, channelName, session, type, message, isEnd = false, isImage = false) {
   try {
     const payload = {
@@ -402,6 +935,234 @@ async function sendLLMStream(uuid, channelName, session, type, message, isEnd =
   }
 }
 
+// Messages a rejected CRUD write sends back instead of an acknowledgement
+const CRUD_REJECTIONS = ['error', 'permission-denied', 'validation-error', 'update-conflict'];
+
+// An agent reply that has streamed nothing for this long, such as one whose provider stream dropped, ends as failed
+const AGENT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Starts a job for each agent a new collab message mentions. Jobs run in the background and outlive the
+ * sender's connection. Each job is an LLM request of the sender's, so it counts against their add-llm limit;
+ * jobs over it are not started and the sender is told.
+ */
+async function startAgentJobs(channelName, userUuid, role, data) {
+  try {
+    const agents = await entityModels['agents'].find({ channel: channelName, deletedAt: null }).lean();
+    for (const job of agentJobsForMessage(data, agents)) {
+      const quota = rateLimiter.take(channelName, userUuid, 'add-llm');
+      if (!quota.ok) {
+        const seconds = Math.max(1, Math.ceil(quota.retryAfterMs / 1000));
+        channels.get(channelName)?.sockets[userUuid]?.emit('message', {
+          type: 'rate-limited',
+          id: null,
+          message: `${job.agent ? `@${job.agent.data.name}` : 'Image generation'} did not run: ${quota.scope === 'channel' ? 'this binder is' : 'you are'} sending too many AI requests. Try again in ${seconds}s.`,
+          data: { reason: 'rate-limited', messageType: 'add-llm', scope: quota.scope, retryAfterMs: quota.retryAfterMs, agentId: job.agent?.id || null },
+          timestamp: Date.now(),
+        });
+        continue;
+      }
+      runAgentJob(channelName, userUuid, role, job, data.breakoutId).catch(async (err) => {
+        await logError('error', `Agent job failed for ${channelName}`, err.stack, userUuid, channelName);
+      });
+    }
+  } catch (err) {
+    await logError('error', `Failed to start agent jobs for ${channelName}`, err.stack, userUuid, channelName);
+  }
+}
+
+/**
+ * Tells a user how large an agent's prompt would be if the agent ran in a breakout now, and what would be cut to fit
+ * its model's context window. `data.agent` is the agent's data as edited, so it need not be saved yet.
+ */
+async function sendAgentPromptEstimate(channelName, userUuid, { id, data }, socket) {
+  const { valid, errors } = validateEntityData('agents', 'add', data?.agent);
+  if (!valid) {
+    socket.emit('message', { type: 'error', id, message: describeValidationErrors('agents', 'estimate', errors), timestamp: Date.now() });
+    return;
+  }
+  const breakoutId = typeof data.breakoutId === 'string' ? data.breakoutId : null;
+  const agent = { id: null, data: data.agent };
+  const { context, roomMessages } = await loadAgentContext(channelName, breakoutId);
+  context.passages = await retrieveAgentPassages(channelName, agent, context, roomMessages[roomMessages.length - 1]?.data.text);
+  const { estimate } = buildAgentPrompt(agent, context, roomMessages);
+  socket.emit('message', { type: 'agent-prompt-estimate', id, userUuid, data: estimate, timestamp: Date.now(), serverTimestamp: Date.now() });
+}
+
+/**
+ * Sends a user the binder passages that best match a query, for prompts built in the browser. `data` is
+ * { query, limit, entityIds, entityTypes }; anything else about the request is ignored.
+ */
+async function sendSearchResults(channelName, userUuid, { id, data }, socket) {
+  const query = typeof data?.query === 'string' ? data.query : '';
+  const strings = value => (Array.isArray(value) && value.every(item => typeof item === 'string') ? value : null);
+  const passages = query.trim()
+    ? await searchBinder(channelName, query, { limit: data.limit, entityIds: strings(data.entityIds), entityTypes: strings(data.entityTypes) })
+    : [];
+  socket.emit('message', { type: 'binder-search-results', id, userUuid, data: { query, passages }, timestamp: Date.now(), serverTimestamp: Date.now() });
+}
+
+// Tells the binder about a tool call an agent reply made, or its result, while the reply streams
+function sendToolStep(messageId, channelName, toolStep) {
+  broadcastToChannel(channelName, 'draft-llm', {
+    type: 'draft-llm',
+    id: messageId,
+    userUuid: messageId,
+    data: { content: '', toolStep },
+    timestamp: Date.now(),
+    serverTimestamp: Date.now(),
+  });
+}
+
+/**
+ * Runs one agent reply. The reply is a collab message written with the requester's role under the agent's own user
+ * id; its text streams to the binder as draft-llm chunks and is saved once the model finishes. Agents can call the
+ * binder tools that role allows, and each call is kept with the reply as a tool step.
+ */
+async function runAgentJob(channelName, requesterUuid, role, { agent, triggerText, generateImage }, breakoutId) {
+  const messageId = uuidv4();
+  const author = agentAuthor(agent);
+  const timestamp = Date.now();
+  const model = agentModel(agent);
+  const baseData = {
+    breakoutId,
+    color: '#808080',
+    agentId: agent ? agent.id : null,
+    requestedBy: requesterUuid,
+    ...(generateImage ? { imagePrompt: triggerText } : {}),
+  };
+
+  // Everything the job writes goes through the CRUD checks with the requester's role
+  const writeEntity = async (type, id, data, entityTimestamp = Date.now()) => {
+    const channelDoc = channels.has(channelName) ? null : await entityModels['channels'].findOne({ id: channelName }).lean();
+    if (!channels.has(channelName) && !channelDoc) return { ok: false, message: 'Binder not found' };
+    const replies = await handleApiCrudOperation(channelName, channelDoc, author, role, type, { id, data, timestamp: entityTimestamp });
+    const rejection = replies.find(reply => CRUD_REJECTIONS.includes(reply.type));
+    return rejection ? { ok: false, message: rejection.message } : { ok: true, id };
+  };
+  const writeMessage = async (type, data) => (await writeEntity(type, messageId, data, timestamp)).ok;
+
+  if (!(await writeMessage('add-collab', { ...baseData, text: '', isStreaming: true }))) return;
+  console.log(`Started agent job ${messageId} in ${channelName}`, { agentId: baseData.agentId, requesterUuid });
+
+  let text = '';
+  let image = null;
+  let error = null;
+  let finished = false;
+  let idleTimer = null;
+  const toolSteps = [];
+  // Writes the reply's final state once, whether it completed or failed
+  const finish = async () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(idleTimer);
+    await writeMessage('update-collab', {
+      ...baseData,
+      text,
+      isStreaming: false,
+      ...(image ? { image } : {}),
+      ...(error ? { error } : {}),
+      ...(toolSteps.length ? { toolSteps } : {}),
+    });
+    if (error) {
+      const requester = channels.get(channelName)?.sockets[requesterUuid];
+      requester?.emit('message', { type: 'error', message: `${agent ? `@${agent.data.name}` : 'Image generation'} failed: ${error}`, timestamp: Date.now() });
+      return;
+    }
+    notifyWebhooks(channelName, AGENT_COMPLETE_EVENT, {
+      entityType: 'collabs',
+      id: messageId,
+      userUuid: requesterUuid,
+      data: { agentId: baseData.agentId, model, userPrompt: triggerText, content: text },
+    });
+  };
+  const fail = async (message) => {
+    error = error || message;
+    try {
+      await finish();
+    } catch (err) {
+      await logError('error', `Failed to close agent job ${messageId} for ${channelName}`, err.stack, requesterUuid, channelName);
+    }
+  };
+  const keepAlive = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => fail('The model stopped responding'), AGENT_IDLE_TIMEOUT_MS);
+    idleTimer.unref();
+  };
+
+  const sendToClient = async (uuid, session, type, message) => {
+    if (finished) return;
+    keepAlive();
+    try {
+      if (type === 'message') {
+        text += message;
+        await sendLLMStream(uuid, channelName, session, 'draft-llm', message, false, false);
+      } else if (type === 'image') {
+        image = message;
+        text = triggerText;
+        await sendLLMStream(uuid, channelName, session, 'draft-llm', message, false, true);
+      } else if (type === 'tool-call') {
+        const step = { id: message.id, name: message.name, args: message.args, status: 'running' };
+        toolSteps.push(step);
+        sendToolStep(messageId, channelName, { ...step });
+      } else if (type === 'tool-result') {
+        const step = toolSteps.find(candidate => candidate.id === message.id);
+        if (step) {
+          step.status = message.result?.error ? 'failed' : 'done';
+          step.result = toolResultPreview(message.result);
+          sendToolStep(messageId, channelName, { ...step });
+        }
+      } else if (type === 'EOM') {
+        await sendLLMStream(uuid, channelName, session, 'draft-llm', message, true, false);
+        await finish();
+      } else if (type === 'ERROR') {
+        try {
+          error = JSON.parse(message).message;
+        } catch {
+          error = String(message);
+        }
+      }
+    } catch (err) {
+      await logError('error', `Error streaming agent job ${messageId} for ${channelName}`, err.stack, requesterUuid, channelName);
+    }
+  };
+
+  try {
+    keepAlive();
+    const { context, roomMessages } = await loadAgentContext(channelName, breakoutId);
+    context.passages = await retrieveAgentPassages(channelName, agent, context, triggerText);
+    const { systemPrompt, messages } = buildAgentPrompt(agent, context, roomMessages);
+
+    const promptConfig = {
+      model,
+      uuid: messageId,
+      session: channelName,
+      temperature: 0.5,
+      systemPrompt,
+      userPrompt: triggerText,
+      messageHistory: messages,
+      ...(agent && !generateImage ? {
+        tools: agentToolsFor(role),
+        runTool: (name, args) => runAgentTool(name, args, {
+          channelName,
+          role,
+          writeEntity: (type, data) => writeEntity(type, uuidv4(), data),
+        }),
+      } : {}),
+    };
+    if (generateImage) {
+      await handleImageGeneration(promptConfig, sendToClient);
+    } else {
+      await handlePrompt(promptConfig, sendToClient);
+    }
+  } catch (err) {
+    await logError('error', `Agent job ${messageId} failed for ${channelName}`, err.stack, requesterUuid, channelName);
+    error = error || 'The agent could not run';
+  }
+  // Failed prompts end without an end-of-message; streams that are still running finish on theirs, or time out
+  if (error) await fail(error);
+}
+
 // Function to handle transcription events
 async function handleTranscriptionEvent(type, data, socket) {
   try {
@@ -510,7 +1271,23 @@ async function handleTranscriptionEvent(type, data, socket) {
     socket.emit('message', { type: 'error', message: 'Server error processing transcription event', timestamp: Date.now() });
   }
 }
-async function handleCrudOperation(channelName, userUuid, type, payload, socket) {
+// Tail of the pending write chain for each entity, keyed by channel, entity type and id
+const entityLocks = new Map();
+
+function withEntityLock(key, fn) {
+  const previous = entityLocks.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  entityLocks.set(key, tail);
+  tail.then(() => {
+    if (entityLocks.get(key) === tail) entityLocks.delete(key);
+  });
+  return run;
+}
+
+// `options.role` overrides the caller's binder role, for REST callers whose role comes from their token;
+// `options.verified: false` marks a caller who only named themselves, and so is never the author of an entity
+async function handleCrudOperation(channelName, userUuid, type, payload, socket, options = {}) {
   try {
     // Determine operation and entity type from entityConfigs
     let operation, entityType;
@@ -531,6 +1308,17 @@ async function handleCrudOperation(channelName, userUuid, type, payload, socket)
 
     // Validate payload
     const validation = validateEntity(payload, entityType, operation);
+    if (!validation.valid && validation.errors) {
+      // Field-level errors let the sender point at what is wrong; its local copy is no longer the server's
+      socket.emit('message', {
+        type: 'validation-error',
+        id: payload.id,
+        message: validation.message,
+        data: { entityType, operation, eventType: type, errors: validation.errors },
+        timestamp: Date.now(),
+      });
+      return;
+    }
     if (!validation.valid) {
       socket.emit('message', { type: 'error', message: validation.message, timestamp: Date.now() });
       return;
@@ -542,10 +1330,33 @@ async function handleCrudOperation(channelName, userUuid, type, payload, socket)
       return;
     }
 
+    // Check the user's binder role allows this operation
+    const role = options.role || getUserRole(channelName, userUuid);
+    const needsAuthor = role === 'commenter' && ['update', 'remove'].includes(operation);
+    const isAuthor = needsAuthor && options.verified !== false
+      ? await isEntityAuthor(channelName, entityType, payload.id, userUuid)
+      : false;
+    if (!canPerform(role, entityType, operation, { isAuthor })) {
+      socket.emit('message', {
+        type: 'permission-denied',
+        id: payload.id,
+        message: `Your role (${role}) does not allow ${operation} on ${entityType}`,
+        data: { operation, entityType, eventType: type, role },
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
     // Normalize payload with userUuid, timestamp, and channelName
     const timestamp = payload.timestamp || Date.now();
     const normalizedPayload = { ...payload, userUuid, timestamp, channelName };
 
+    // While a text session is open its pages are the source of truth; text changes arrive as text-op
+    const textSessionKeyForPayload = textSessionKey(channelName, entityType, payload.id);
+    if (operation === 'update' && textSessions.has(textSessionKeyForPayload) && payload.data && typeof payload.data === 'object') {
+      normalizedPayload.data = { ...payload.data, pagesText: [...textSessions.get(textSessionKeyForPayload).pagesText] };
+    }
+
     // Special case: Remove channel
     if (entityType === 'channels' && operation === 'remove') {
       await removeChannel(channelName, userUuid);
@@ -588,12 +1399,20 @@ async function handleCrudOperation(channelName, userUuid, type, payload, socket)
           }
         });
       } else {
+        let reply = '';
         await handlePrompt(promptConfig, async (uuid, session, type, message) => {
           try {
             if (type === 'message') {
+              reply += message;
               await sendLLMStream(uuid, channelName, session, 'draft-llm', message, false, false);
             } else if (type === 'EOM') {
               await sendLLMStream(uuid, channelName, session, 'draft-llm', message, true, false);
+              notifyWebhooks(channelName, AGENT_COMPLETE_EVENT, {
+                entityType,
+                id: uuid,
+                userUuid,
+                data: { model: promptConfig.model, userPrompt: promptConfig.userPrompt, content: reply },
+              });
             } else if (type === 'ERROR') {
               socket.emit('message', { type: 'error', message, timestamp: Date.now() });
             }
@@ -638,42 +1457,793 @@ async function handleCrudOperation(channelName, userUuid, type, payload, socket)
       return;
     }
 
-    // Persist changes to the database
-    await updateFunc(channelName, entityType, normalizedPayload);
+    // Writes to one entity run one at a time so each update is checked against the version the previous one wrote
+    await withEntityLock(`${channelName}:${entityType}:${payload.id}`, async () => {
+      // The entity as it was, for the audit trail
+      const before = ['update', 'remove'].includes(operation)
+        ? await entityModels[entityType].findOne({ id: payload.id, channel: channelName, deletedAt: null }).lean()
+        : null;
 
-    // Broadcast to all except the initiator
-    broadcastToChannel(channelName, type, normalizedPayload, userUuid);
+      // Persist changes to the database
+      const result = await updateFunc(channelName, entityType, normalizedPayload);
 
-    // Optionally send an acknowledgment to the initiator for live transcription events
-    if (['add-liveTranscription', 'update-liveTranscription', 'remove-liveTranscription'].includes(type)) {
-      socket.emit('message', {
-        type: `${type}-ack`,
-        id: payload.id,
-        userUuid,
-        timestamp: Date.now(),
-        serverTimestamp: Date.now()
-      });
-    }
-  } catch (err) {
-    await logError('error', `CRUD operation failed for ${channelName} and type ${type}`, err.stack, userUuid, channelName, socket.id, { payload });
-    socket.emit('message', { type: 'error', message: 'Server error occurred', timestamp: Date.now() });
-  }
-}
+      // A failed write changed nothing, so nobody else hears about it
+      if (result?.error) {
+        socket.emit('message', { type: 'error', id: payload.id, message: 'Server error occurred', timestamp: Date.now() });
+        return;
+      }
 
-function createRealTimeServers(server, corsOptions) {
-  // #region agent log
-  fetch('http://127.0.0.1:7242/ingest/1a9699bf-8eec-4467-94d3-a034cfdee89b',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'realTime.js:createRealTimeServers',message:'Server initialization started',data:{deepgramConfigured:!!deepgram},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'C'})}).catch(()=>{});
-  // #endregion
-  const io = new Server(server, {
-    cors: corsOptions || { origin: '*' },
-    pingInterval: 5000,
-    pingTimeout: 10000,
-    maxHttpBufferSize: 1e9,
-  });
+      // Removing or voting on something already gone changes nothing, so there is no event to log, relay or audit
+      if (['remove', 'vote'].includes(operation) && !result.ok) return;
 
-  io.on('connection', (socket) => {
-    socket.on('error', (error) => {
-      logError('error', `Socket error for ${socket.id}: ${error.message}`, error.stack, null, null, socket.id);
+      if (operation === 'update' && !result.ok) {
+        socket.emit('message', {
+          type: 'update-conflict',
+          id: payload.id,
+          userUuid,
+          message: result.current
+            ? 'Someone else changed this before your edit was saved. Showing their version.'
+            : 'Someone else deleted this before your edit was saved.',
+          data: {
+            entityType,
+            eventType: type,
+            version: currentVersion(result.current),
+            current: result.current ? result.current.data : null,
+          },
+          timestamp: Date.now(),
+        });
+        return;
+      }
+
+      let version;
+      if (operation === 'add') version = 1;
+      if (operation === 'update') version = result.version;
+      if (operation === 'remove') dropTextSession(textSessionKeyForPayload);
+
+      // Log the event for replay on reconnect, then broadcast to all except the initiator
+      const event = appendEvent(channels.get(channelName).eventLog, {
+        type,
+        id: normalizedPayload.id,
+        userUuid,
+        data: normalizedPayload.data,
+        timestamp,
+        ...(version !== undefined ? { version } : {}),
+      });
+      broadcastToChannel(channelName, type, event, userUuid);
+
+      await recordAudit(channelName, userUuid, {
+        operation,
+        entityType,
+        entityId: normalizedPayload.id,
+        eventType: type,
+        before,
+        after: operation === 'remove' ? null : { data: normalizedPayload.data, version },
+      });
+      notifyWebhooks(channelName, type, {
+        entityType,
+        id: normalizedPayload.id,
+        userUuid,
+        data: operation === 'remove' ? before?.data ?? null : normalizedPayload.data,
+        version: version ?? null,
+      });
+
+      if (['add', 'update', 'remove'].includes(operation)) {
+        await updateIndexedEntity(channelName, entityType, normalizedPayload.id, operation === 'remove' ? null : normalizedPayload.data);
+      }
+
+      // Agents reply from the server, so a reply does not depend on the sender staying connected
+      if (type === 'add-collab' && !isAgentAuthor(userUuid)) startAgentJobs(channelName, userUuid, role, normalizedPayload.data);
+
+      // Acknowledge updates with the new version so the initiator's next edit is based on it;
+      // live transcription events are always acknowledged
+      if (operation === 'update' || ['add-liveTranscription', 'remove-liveTranscription'].includes(type)) {
+        socket.emit('message', {
+          type: `${type}-ack`,
+          id: payload.id,
+          userUuid,
+          version,
+          timestamp: Date.now(),
+          serverTimestamp: Date.now()
+        });
+      }
+    });
+  } catch (err) {
+    await logError('error', `CRUD operation failed for ${channelName} and type ${type}`, err.stack, userUuid, channelName, socket.id, { payload });
+    socket.emit('message', { type: 'error', message: 'Server error occurred', timestamp: Date.now() });
+  }
+}
+
+/**
+ * Runs a CRUD event for a REST caller with the same checks, persistence, broadcasts, audit entries and webhooks
+ * as the socket message. Binders nobody is connected to get in-memory state for the duration of the request.
+ * Returns the messages a socket caller would have been sent (errors, conflicts and acks). Pass verified: false for
+ * callers whose user uuid no token vouches for.
+ */
+async function handleApiCrudOperation(channelName, channelDoc, userUuid, role, type, payload, { verified = true } = {}) {
+  const replies = [];
+  const caller = { id: `api:${userUuid}`, emit: (event, message) => replies.push(message) };
+  if (!channels.has(channelName)) channels.set(channelName, createChannelState(channelDoc));
+  const channel = channels.get(channelName);
+  channel.apiRequests++;
+  try {
+    await handleCrudOperation(channelName, userUuid, type, payload, caller, { role, verified });
+  } finally {
+    channel.apiRequests--;
+    if (!channel.apiRequests && Object.keys(channel.sockets).length === 0 && channels.get(channelName) === channel) {
+      channels.delete(channelName);
+    }
+  }
+  return replies;
+}
+
+async function persistRole(channelName, userUuid, role) {
+  channels.get(channelName).roles[userUuid] = role;
+  await entityModels['channels'].updateOne(
+    { id: channelName },
+    { $set: { [`data.roles.${userUuid}`]: role } }
+  );
+}
+
+/**
+ * Joins an admitted socket to the channel. `resume` carries the client's sync cursors and the
+ * serverTimestamp of the last logged event it saw, so a short reconnect replays only missed events.
+ */
+async function completeJoin(socket, channelName, userUuid, displayName, resume = {}) {
+  const channel = channels.get(channelName);
+  const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+  const bots = channelDoc.data.bots || {};
+
+  socket.join(channelName);
+  socket.userUuid = userUuid;
+
+  const lastEventAt = channel.eventLog.lastTimestamp;
+  const missedEvents = eventsSince(channel.eventLog, resume.lastEventAt);
+  const syncState = missedEvents ? null : await buildSyncState(channelName, resume.since);
+
+  // A first join claims the uuid with a member key, which every later join as this user must present
+  if (!bots[userUuid] && !channelDoc.data.memberKeys?.[userUuid]) {
+    const { key, hash } = createMemberKey();
+    await entityModels['channels'].updateOne({ id: channelName }, { $set: { [`data.memberKeys.${userUuid}`]: hash } });
+    socket.emit('message', { type: 'member-key', id: null, userUuid, data: { key, channelName }, timestamp: Date.now() });
+  }
+
+  // Hand protected-binder members a personal token so reconnects skip the password prompt; bots have their own
+  if (isProtected(channelDoc.data) && process.env.JWT_SECRET && !bots[userUuid]) {
+    const { token } = createAccessToken(channelName, channelDoc.data, userUuid);
+    socket.emit('message', { type: 'access-granted', id: null, userUuid, data: { token, channelName }, timestamp: Date.now() });
+  }
+
+  channelDoc.data.users.forEach(user => {
+    if (!channel.users[user.userUuid]) {
+      channel.users[user.userUuid] = {
+        displayName: user.displayName,
+        color: bots[user.userUuid]?.color || user.color || generateMutedDarkColor(),
+        joinedAt: user.joinedAt,
+        ...botBadge(bots[user.userUuid]),
+      };
+    }
+  });
+
+  const userColor = bots[userUuid]?.color || channel.users[userUuid]?.color || generateMutedDarkColor();
+  channel.users[userUuid] = { displayName, color: userColor, joinedAt: Date.now(), ...botBadge(bots[userUuid]) };
+  channel.sockets[userUuid] = socket;
+
+  await upsertChannel(channelName, userUuid, displayName);
+
+  if (missedEvents) {
+    socket.emit('message', {
+      type: 'replay-events',
+      id: null,
+      userUuid,
+      // The rejoining client already applied its own changes
+      data: { events: missedEvents.filter(event => event.userUuid !== userUuid) },
+      lastEventAt,
+      timestamp: Date.now(),
+      serverTimestamp: Date.now(),
+    });
+  } else {
+    sendSyncState(socket, userUuid, 'init-state', syncState, lastEventAt);
+  }
+
+  broadcastToChannel(channelName, 'user-list', { id: null, userUuid, data: null });
+  broadcastToChannel(channelName, 'user-joined', { id: null, userUuid, data: { displayName, color: userColor } });
+  if (Object.keys(channel.waiting).length) broadcastWaitingList(channelName);
+}
+
+// Bots are marked in the user list and may have an avatar
+function botBadge(bot) {
+  return bot ? { bot: true, avatar: bot.avatar || null } : {};
+}
+
+function broadcastWaitingList(channelName) {
+  const channel = channels.get(channelName);
+  if (!channel) return;
+  const users = Object.entries(channel.waiting).map(([userUuid, request]) => ({
+    userUuid,
+    displayName: request.displayName,
+    requestedAt: request.requestedAt,
+  }));
+  broadcastToChannel(channelName, 'waiting-list', { id: null, userUuid: null, data: { users } });
+}
+
+function queueJoinRequest(channelName, socket, userUuid, displayName, resume) {
+  const channel = channels.get(channelName);
+  const requestedAt = Date.now();
+  channel.waiting[userUuid] = { socket, displayName, requestedAt, resume };
+  socket.waitingChannel = channelName;
+  socket.waitingUuid = userUuid;
+
+  socket.emit('message', {
+    type: 'waiting-room',
+    id: null,
+    userUuid,
+    data: { channelName, message: 'This binder is locked. A host has been asked to let you in.' },
+    timestamp: requestedAt,
+  });
+  broadcastToChannel(channelName, 'join-request', { id: null, userUuid, data: { displayName, requestedAt } });
+  broadcastWaitingList(channelName);
+}
+
+function removeJoinRequest(socket) {
+  const channel = channels.get(socket.waitingChannel);
+  const request = channel?.waiting[socket.waitingUuid];
+  if (request && request.socket === socket) {
+    delete channel.waiting[socket.waitingUuid];
+    broadcastWaitingList(socket.waitingChannel);
+  }
+  socket.waitingChannel = null;
+  socket.waitingUuid = null;
+}
+
+async function resolveJoinRequest(channelName, targetUuid, admit) {
+  const channel = channels.get(channelName);
+  const request = channel.waiting[targetUuid];
+  if (!request) {
+    return { ok: false, message: 'No pending join request for that user' };
+  }
+  delete channel.waiting[targetUuid];
+  request.socket.waitingChannel = null;
+  request.socket.waitingUuid = null;
+
+  if (admit) {
+    // Admitted users become known members so they are not queued again on reconnect
+    if (!channel.roles[targetUuid]) await persistRole(channelName, targetUuid, channel.defaultRole);
+    request.socket.emit('message', { type: 'join-admitted', id: null, userUuid: targetUuid, data: { channelName }, timestamp: Date.now() });
+    await completeJoin(request.socket, channelName, targetUuid, request.displayName, request.resume);
+  } else {
+    request.socket.emit('message', {
+      type: 'join-denied',
+      id: null,
+      userUuid: targetUuid,
+      message: 'A host declined your request to join this binder.',
+      data: { channelName },
+      timestamp: Date.now(),
+    });
+  }
+  broadcastWaitingList(channelName);
+  return { ok: true };
+}
+
+function textSessionKey(channelName, entityType, id) {
+  return `${channelName}:${entityType}:${id}`;
+}
+
+function sendToTextParticipants(session, message, excludeUuid = null) {
+  const channel = channels.get(session.channelName);
+  if (!channel) return;
+  for (const participantUuid of session.participants) {
+    if (participantUuid !== excludeUuid && channel.sockets[participantUuid]) {
+      channel.sockets[participantUuid].emit('message', message);
+    }
+  }
+}
+
+async function openTextSession(channelName, entityType, id) {
+  const key = textSessionKey(channelName, entityType, id);
+  if (textSessions.has(key)) return textSessions.get(key);
+  const entity = await entityModels[entityType].findOne({ id, channel: channelName, deletedAt: null }).lean();
+  if (!entity) return null;
+  // Another join may have opened the session while the entity was loading
+  if (textSessions.has(key)) return textSessions.get(key);
+  const session = createTextSession(entityType, id, entity.data?.pagesText || []);
+  session.channelName = channelName;
+  session.editors = new Set(); // Users whose edits are in the next snapshot, for the audit trail
+  textSessions.set(key, session);
+  return session;
+}
+
+/**
+ * Writes the session's text back to the entity as one compacted snapshot and tells the binder,
+ * so people who are only viewing the page see the new text. Snapshots do not bump the entity
+ * version: concurrent text edits are already merged by the session.
+ */
+async function saveTextSnapshot(session) {
+  clearTimeout(session.saveTimer);
+  session.saveTimer = null;
+  if (!session.dirty) return;
+  session.dirty = false;
+
+  const pagesText = [...session.pagesText];
+  const serverTimestamp = Date.now();
+  try {
+    await entityModels[session.entityType].updateOne(
+      { id: session.id, channel: session.channelName },
+      { $set: { 'data.pagesText': pagesText, serverTimestamp } }
+    );
+    const editors = [...session.editors];
+    session.editors.clear();
+    for (const editorUuid of editors) {
+      await recordAudit(session.channelName, editorUuid, {
+        operation: 'edit-text',
+        entityType: session.entityType,
+        entityId: session.id,
+        eventType: 'text-op',
+        after: { data: { pagesText } },
+        fields: ['pagesText'],
+      });
+    }
+    const channel = channels.get(session.channelName);
+    if (!channel) return;
+    const event = appendEvent(channel.eventLog, {
+      type: 'text-snapshot',
+      id: session.id,
+      userUuid: null,
+      data: { entityType: session.entityType, pagesText },
+      timestamp: serverTimestamp,
+    });
+    broadcastToChannel(session.channelName, 'text-snapshot', event);
+  } catch (err) {
+    session.dirty = true;
+    await logError('error', `Failed to save text snapshot for ${session.entityType} ${session.id}`, err.stack, null, session.channelName);
+  }
+}
+
+function scheduleTextSnapshot(session) {
+  if (session.saveTimer) return;
+  session.saveTimer = setTimeout(() => saveTextSnapshot(session), TEXT_SNAPSHOT_DELAY);
+}
+
+// Discards a session without saving, used when its entity or binder is removed
+function dropTextSession(key) {
+  const session = textSessions.get(key);
+  if (!session) return;
+  clearTimeout(session.saveTimer);
+  textSessions.delete(key);
+}
+
+async function leaveTextSession(key, userUuid) {
+  const session = textSessions.get(key);
+  if (!session || !session.participants.has(userUuid)) return;
+  session.participants.delete(userUuid);
+  sendToTextParticipants(session, {
+    type: 'text-caret',
+    id: session.id,
+    userUuid,
+    data: { entityType: session.entityType, page: null, index: null },
+    timestamp: Date.now(),
+  });
+  if (session.participants.size === 0) {
+    textSessions.delete(key);
+    await saveTextSnapshot(session);
+  }
+}
+
+function leaveChannelTextSessions(channelName, userUuid) {
+  for (const [key, session] of textSessions) {
+    if (session.channelName === channelName) leaveTextSession(key, userUuid);
+  }
+}
+
+function sendTextState(socket, userUuid, session) {
+  socket.emit('message', {
+    type: 'text-state',
+    id: session.id,
+    userUuid,
+    data: textSessionState(session),
+    timestamp: Date.now(),
+  });
+}
+
+async function handleTextMessage(channelName, userUuid, type, dataObj, socket) {
+  const { id, data = {} } = dataObj;
+  const entityType = data?.entityType;
+  if (!id || !TEXT_ENTITY_TYPES.includes(entityType)) {
+    socket.emit('message', { type: 'error', message: 'Invalid text editing target', timestamp: Date.now() });
+    return;
+  }
+
+  const key = textSessionKey(channelName, entityType, id);
+  if (type === 'text-leave') {
+    await leaveTextSession(key, userUuid);
+    return;
+  }
+
+  const role = getUserRole(channelName, userUuid);
+  if (!canPerform(role, entityType, 'update')) {
+    socket.emit('message', {
+      type: 'permission-denied',
+      id,
+      message: `Your role (${role}) does not allow editing ${entityType}`,
+      data: { operation: 'update', entityType, eventType: type, role },
+      timestamp: Date.now(),
+    });
+    return;
+  }
+
+  // Joining, or sending to a session this user is not part of (e.g. after a server restart),
+  // answers with the current session state for the client to start from
+  let session = textSessions.get(key);
+  if (type === 'text-join' || !session || !session.participants.has(userUuid)) {
+    session = await openTextSession(channelName, entityType, id);
+    if (!session) {
+      socket.emit('message', { type: 'error', message: `No ${entityType} with id ${id} to edit`, timestamp: Date.now() });
+      return;
+    }
+    session.participants.add(userUuid);
+    sendTextState(socket, userUuid, session);
+    return;
+  }
+
+  if (type === 'text-caret') {
+    sendToTextParticipants(session, {
+      type: 'text-caret',
+      id,
+      userUuid,
+      data: { entityType, page: data.page, index: data.index },
+      timestamp: Date.now(),
+    }, userUuid);
+    return;
+  }
+
+  const result = receiveTextOp(session, data);
+  if (!result.ok) {
+    sendTextState(socket, userUuid, session);
+    return;
+  }
+  session.editors.add(userUuid);
+  socket.emit('message', {
+    type: 'text-ack',
+    id,
+    userUuid,
+    data: { entityType, epoch: session.epoch, page: data.page, rev: result.rev },
+    timestamp: Date.now(),
+  });
+  sendToTextParticipants(session, {
+    type: 'text-op',
+    id,
+    userUuid,
+    data: { entityType, epoch: session.epoch, page: data.page, rev: result.rev, ops: result.ops },
+    timestamp: Date.now(),
+  }, userUuid);
+  scheduleTextSnapshot(session);
+}
+
+async function insertRestoredRecords(records) {
+  for (const [entityType, docs] of Object.entries(records)) {
+    if (docs.length) await entityModels[entityType].insertMany(docs);
+  }
+}
+
+/**
+ * Replaces a binder's contents with a snapshot of it. Entities created since the snapshot get tombstones so
+ * incremental sync removes them, the replay log starts over and everyone connected gets a full resync.
+ */
+async function restoreSnapshotInPlace(channelName, userUuid, snapshot, binderData) {
+  const current = await collectBinderData(channelName);
+  const restoredAt = Date.now();
+  const records = prepareRestore(binderData, channelName, restoredAt);
+
+  for (const entityType of Object.keys(entityModels)) {
+    if (UNRESTORED_ENTITY_TYPES.includes(entityType)) continue;
+    await entityModels[entityType].deleteMany({ channel: channelName });
+  }
+  await insertRestoredRecords(records);
+  await restoreSnapshotFiles(snapshot);
+  dropChannelIndex(channelName);
+
+  const tombstones = Object.entries(diffBinderData(binderData, current)).flatMap(([entityType, { added }]) =>
+    added.map(({ id }) => ({ id, channel: channelName, entityType, userUuid, serverTimestamp: restoredAt }))
+  );
+  if (tombstones.length) await Tombstone.insertMany(tombstones);
+
+  for (const [key, session] of textSessions) {
+    if (session.channelName === channelName) dropTextSession(key);
+  }
+
+  const channel = channels.get(channelName);
+  if (!channel) return;
+  // Logged events describe the binder before the restore, so nobody may replay them
+  channel.eventLog = createEventLog();
+  const syncState = await buildSyncState(channelName, null);
+  for (const socketUuid in channel.sockets) {
+    if (channel.sockets[socketUuid]) {
+      sendSyncState(channel.sockets[socketUuid], socketUuid, 'sync-state', syncState, channel.eventLog.lastTimestamp);
+    }
+  }
+}
+
+/**
+ * Creates a new binder from a snapshot, owned by the user restoring it. Documents get new ids and copies of
+ * their files so the two binders do not share uploads.
+ */
+async function restoreSnapshotAsNewBinder(targetChannel, userUuid, snapshot, binderData, displayName) {
+  if (!isValidChannelName(targetChannel)) return { ok: false, message: 'Invalid binder name' };
+  const existing = await entityModels['channels'].findOne({ id: targetChannel }).lean();
+  if (existing || channels.has(targetChannel)) return { ok: false, message: `A binder named ${targetChannel} already exists` };
+
+  const idMap = remapDocumentIds(binderData);
+  await insertRestoredRecords(prepareRestore(binderData, targetChannel));
+  await restoreSnapshotFiles(snapshot, idMap);
+  await upsertChannel(targetChannel, userUuid, displayName);
+  return { ok: true };
+}
+
+async function handleSnapshotMessage(channelName, userUuid, type, dataObj, socket) {
+  const { id, data } = dataObj;
+  const channel = channels.get(channelName);
+
+  if (type === 'list-snapshots') {
+    socket.emit('message', { type: 'snapshot-list', id: null, userUuid, data: { snapshots: await listSnapshots(channelName) }, timestamp: Date.now() });
+    return;
+  }
+
+  const role = getUserRole(channelName, userUuid);
+  if (!canManage(role, 'snapshots')) {
+    socket.emit('message', { type: 'permission-denied', message: `Your role (${role}) does not allow managing snapshots`, timestamp: Date.now() });
+    return;
+  }
+
+  if (type === 'create-snapshot') {
+    const displayName = channel.users[userUuid]?.displayName || null;
+    const name = cleanSnapshotName(data?.name) || `Snapshot ${new Date().toISOString()}`;
+    // Text typed in the last moments is still only in its session, so write it back first
+    for (const session of textSessions.values()) {
+      if (session.channelName === channelName) await saveTextSnapshot(session);
+    }
+    const summary = await createSnapshot(channelName, name, { userUuid, displayName });
+    await recordAudit(channelName, userUuid, { operation: 'create-snapshot', entityType: 'snapshots', entityId: summary.id, eventType: type, after: { data: { name } } });
+    broadcastToChannel(channelName, 'snapshot-list', { id: null, userUuid, data: { snapshots: await listSnapshots(channelName) } });
+    return;
+  }
+
+  const snapshot = id ? await findSnapshot(channelName, id) : null;
+  if (!snapshot) {
+    socket.emit('message', { type: 'error', message: 'Snapshot not found', timestamp: Date.now() });
+    return;
+  }
+
+  switch (type) {
+    case 'diff-snapshot': {
+      // Changes since the snapshot, either to the binder as it is now or to a later snapshot
+      const compareTo = data?.compareTo ? await findSnapshot(channelName, data.compareTo) : null;
+      if (data?.compareTo && !compareTo) {
+        socket.emit('message', { type: 'error', message: 'Snapshot to compare with not found', timestamp: Date.now() });
+        return;
+      }
+      const from = await loadSnapshotData(snapshot);
+      const to = compareTo ? await loadSnapshotData(compareTo) : await collectBinderData(channelName);
+      socket.emit('message', {
+        type: 'snapshot-diff',
+        id,
+        userUuid,
+        data: { compareTo: compareTo ? compareTo.uuid : null, diff: diffBinderData(from, to) },
+        timestamp: Date.now(),
+      });
+      break;
+    }
+    case 'restore-snapshot': {
+      const binderData = await loadSnapshotData(snapshot);
+      const targetChannel = data?.targetChannel || channelName;
+      if (targetChannel === channelName) {
+        await restoreSnapshotInPlace(channelName, userUuid, snapshot, binderData);
+      } else {
+        const result = await restoreSnapshotAsNewBinder(targetChannel, userUuid, snapshot, binderData, channel.users[userUuid]?.displayName);
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+          return;
+        }
+      }
+      await recordAudit(channelName, userUuid, {
+        operation: 'restore-snapshot',
+        entityType: 'snapshots',
+        entityId: id,
+        eventType: type,
+        after: { data: { name: snapshot.name, channelName: targetChannel } },
+      });
+      broadcastToChannel(channelName, 'snapshot-restored', {
+        id,
+        userUuid,
+        data: { name: snapshot.name, channelName: targetChannel },
+      });
+      break;
+    }
+    case 'delete-snapshot':
+      await deleteSnapshot(snapshot);
+      await recordAudit(channelName, userUuid, { operation: 'delete-snapshot', entityType: 'snapshots', entityId: id, eventType: type, before: { data: { name: snapshot.name } } });
+      broadcastToChannel(channelName, 'snapshot-list', { id: null, userUuid, data: { snapshots: await listSnapshots(channelName) } });
+      break;
+    default:
+      break;
+  }
+}
+
+async function handleWebhookMessage(channelName, userUuid, type, dataObj, socket) {
+  const { id, data } = dataObj;
+  const role = getUserRole(channelName, userUuid);
+  if (!canManage(role, 'webhooks')) {
+    socket.emit('message', { type: 'permission-denied', message: `Your role (${role}) does not allow managing webhooks`, timestamp: Date.now() });
+    return;
+  }
+
+  const sendWebhookList = async () => socket.emit('message', {
+    type: 'webhook-list',
+    id: null,
+    userUuid,
+    data: { webhooks: await listWebhooks(channelName), events: WEBHOOK_EVENTS },
+    timestamp: Date.now(),
+  });
+
+  let result = null;
+  switch (type) {
+    case 'list-webhooks':
+      await sendWebhookList();
+      return;
+    case 'list-webhook-deliveries':
+      socket.emit('message', {
+        type: 'webhook-deliveries',
+        id: id || null,
+        userUuid,
+        data: { deliveries: await listDeliveries(channelName, id || null) },
+        timestamp: Date.now(),
+      });
+      return;
+    case 'add-webhook':
+      result = await addWebhook(channelName, userUuid, data || {}, WEBHOOK_EVENTS);
+      break;
+    case 'update-webhook':
+      result = await updateWebhook(channelName, id, data || {}, WEBHOOK_EVENTS);
+      break;
+    case 'remove-webhook':
+      result = (await removeWebhook(channelName, id)) ? { ok: true, webhook: { id } } : { ok: false, message: 'Webhook not found' };
+      break;
+    default:
+      return;
+  }
+
+  if (!result.ok) {
+    socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+    return;
+  }
+  const operation = { 'add-webhook': 'add', 'update-webhook': 'update', 'remove-webhook': 'remove' }[type];
+  const summary = { data: { url: result.webhook.url, events: result.webhook.events, active: result.webhook.active } };
+  await recordAudit(channelName, userUuid, {
+    operation,
+    entityType: 'webhooks',
+    entityId: result.webhook.id,
+    eventType: type,
+    ...(operation === 'remove' ? {} : { after: summary }),
+  });
+  // The secret of a new or rotated webhook goes only to the owner who asked for it
+  if (result.webhook.secret) {
+    socket.emit('message', { type: 'webhook-secret', id: result.webhook.id, userUuid, data: { url: result.webhook.url, secret: result.webhook.secret }, timestamp: Date.now() });
+  }
+  await sendWebhookList();
+}
+
+// Owner-only management of the binder's bot users
+async function handleBotMessage(channelName, userUuid, type, dataObj, socket) {
+  const { id, data } = dataObj;
+  const role = getUserRole(channelName, userUuid);
+  if (!canManage(role, 'bots')) {
+    socket.emit('message', { type: 'permission-denied', message: `Your role (${role}) does not allow managing bots`, timestamp: Date.now() });
+    return;
+  }
+  if (type !== 'list-bots' && !process.env.JWT_SECRET) {
+    socket.emit('message', { type: 'error', message: 'Bots are not configured - JWT_SECRET is missing', timestamp: Date.now() });
+    return;
+  }
+
+  const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+  const bots = channelDoc.data.bots || {};
+  const sendBotList = (list) => socket.emit('message', {
+    type: 'bot-list',
+    id: null,
+    userUuid,
+    // Owners can change a bot's role like anyone else's, so the binder's roles are the current ones
+    data: { bots: Object.values(list).map(item => ({ ...publicBot(item), role: getUserRole(channelName, item.userUuid) })) },
+    timestamp: Date.now(),
+  });
+
+  if (type === 'list-bots') {
+    sendBotList(bots);
+    return;
+  }
+  if (type !== 'create-bot' && !bots[id]) {
+    socket.emit('message', { type: 'error', message: 'Bot not found', timestamp: Date.now() });
+    return;
+  }
+
+  let bot = null;
+  let token = null;
+  switch (type) {
+    case 'create-bot': {
+      const result = cleanBotProfile(data || {});
+      if (!result.ok) {
+        socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+        return;
+      }
+      ({ bot, token } = createBot(channelName, result.profile, userUuid));
+      await entityModels['channels'].updateOne({ id: channelName }, { $set: { [`data.bots.${bot.userUuid}`]: bot, serverTimestamp: Date.now() } });
+      await persistRole(channelName, bot.userUuid, bot.role);
+      break;
+    }
+    case 'rotate-bot-token': {
+      const issued = issueBotToken(channelName, id);
+      bot = { ...bots[id], tokenId: issued.tokenId, tokenExpiresAt: issued.expiresAt };
+      token = issued.token;
+      await entityModels['channels'].updateOne({ id: channelName }, { $set: { [`data.bots.${id}`]: bot } });
+      disconnectBot(channelName, id, 'This bot token has been replaced.');
+      break;
+    }
+    case 'remove-bot': {
+      bot = bots[id];
+      await entityModels['channels'].updateOne(
+        { id: channelName },
+        { $unset: { [`data.bots.${id}`]: '', [`data.roles.${id}`]: '' }, $set: { serverTimestamp: Date.now() } }
+      );
+      if (channels.has(channelName)) delete channels.get(channelName).roles[id];
+      disconnectBot(channelName, id, 'This bot has been removed from the binder.');
+      break;
+    }
+    default:
+      return;
+  }
+
+  const operation = { 'create-bot': 'add', 'rotate-bot-token': 'update', 'remove-bot': 'remove' }[type];
+  await recordAudit(channelName, userUuid, {
+    operation,
+    entityType: 'bots',
+    entityId: bot.userUuid,
+    eventType: type,
+    ...(operation === 'remove' ? {} : { after: { data: { displayName: bot.displayName, role: bot.role } } }),
+  });
+  // Tokens are only shown once, to the owner who asked for them
+  if (token) {
+    socket.emit('message', { type: 'bot-token', id: bot.userUuid, userUuid, data: { token, displayName: bot.displayName, expiresAt: bot.tokenExpiresAt }, timestamp: Date.now() });
+  }
+  const updated = { ...bots };
+  if (type === 'remove-bot') delete updated[id];
+  else updated[bot.userUuid] = bot;
+  sendBotList(updated);
+}
+
+// Drops a bot's socket after its token stops being valid; it has to join again with a current token
+function disconnectBot(channelName, botUuid, message) {
+  const botSocket = channels.get(channelName)?.sockets[botUuid];
+  if (!botSocket) return;
+  botSocket.emit('message', { type: 'join-rejected', id: null, message, data: { reason: 'invalid-token', channelName }, timestamp: Date.now() });
+  cleanupUser(channelName, botUuid, botSocket);
+  botSocket.disconnect(true);
+}
+
+function createRealTimeServers(server, corsOptions) {
+  // #region agent log
+  fetch('http://127.0.0.1:7242/ingest/1a9699bf-8eec-4467-94d3-a034cfdee89b',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'realTime.js:createRealTimeServers',message:'Server initialization started',data:{deepgramConfigured:!!deepgram},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'C'})}).catch(()=>{});
+  // #endregion
+  const io = new Server(server, {
+    cors: corsOptions || { origin: '*' },
+    pingInterval: 5000,
+    pingTimeout: 10000,
+    maxHttpBufferSize: socketBufferSize(PAYLOAD_LIMITS),
+  });
+
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+  setInterval(sweepIdleBinders, RETENTION_SWEEP_INTERVAL).unref();
+  setInterval(() => rateLimiter.prune(), RATE_LIMIT_PRUNE_INTERVAL).unref();
+
+  io.on('connection', (socket) => {
+    socket.on('error', (error) => {
+      logError('error', `Socket error for ${socket.id}: ${error.message}`, error.stack, null, null, socket.id);
       if (error.message === 'Max buffer size exceeded') {
         socket.emit('message', { type: 'error', message: 'Message too large', timestamp: Date.now() });
       }
@@ -686,68 +2256,81 @@ function createRealTimeServers(server, corsOptions) {
           return;
         }
 
-        const { userUuid, displayName, channelName } = data;
-        socket.join(channelName);
-        socket.userUuid = userUuid;
+        const { channelName, password, inviteToken, botToken, memberKey, since, lastEventAt } = data;
+        let { userUuid, displayName } = data;
 
         let channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+
+        // Bots join as themselves with their API token; the owner who created them already let them in
+        const bot = botToken && channelDoc ? verifyBotToken(channelDoc.data, { channelName, token: botToken }) : null;
+        // Nobody can join under a bot's uuid without that bot's token
+        if ((botToken || isBotUuid(userUuid)) && !bot) {
+          socket.emit('message', {
+            type: 'join-rejected',
+            id: null,
+            message: botToken ? 'This bot token is invalid or has been revoked.' : 'Bots join with their own bot token.',
+            data: { reason: 'invalid-token', channelName },
+            timestamp: Date.now(),
+          });
+          return;
+        }
+        if (bot) {
+          userUuid = bot.userUuid;
+          displayName = bot.displayName;
+        }
+
+        let isNewChannel = false;
         if (!channelDoc) {
-          channelDoc = await upsertChannel(channelName, userUuid, displayName);
+          channelDoc = await upsertChannel(channelName, userUuid, displayName, { password });
+          isNewChannel = true;
         }
 
-        const freshState = {};
-        for (const entityType of Object.keys(entityConfigs)) {
-          freshState[entityType] = await loadStateFromServer(channelName, entityType);
+        // Protected binders require a password or a valid invite token, and members rejoin with their member key
+        let access = isNewChannel || bot
+          ? { ok: true, role: null }
+          : checkJoinAccess(channelDoc.data, { password, inviteToken, userUuid, channelName });
+        if (access.ok && !isNewChannel && !bot) {
+          const connected = !!channels.get(channelName)?.sockets[userUuid];
+          const identity = checkMemberIdentity(channelDoc.data, { userUuid, memberKey, connected });
+          if (!identity.ok) access = identity;
+        }
+        if (!access.ok) {
+          socket.emit('message', {
+            type: 'join-rejected',
+            id: null,
+            message: JOIN_REJECTION_MESSAGES[access.reason],
+            data: { reason: access.reason, channelName },
+            timestamp: Date.now(),
+          });
+          return;
         }
 
+        // Archived binders are unpacked before anyone sees them
+        if (!isNewChannel) channelDoc = await restoreIfArchived(channelName, userUuid);
+
         if (!channels.has(channelName)) {
-          channels.set(channelName, {
-            users: {},
-            sockets: {},
-            state: freshState,
-            locked: channelDoc.data.locked || false,
-          });
+          channels.set(channelName, createChannelState(channelDoc));
         } else {
-          const channel = channels.get(channelName);
-          channel.state = freshState;
-          channel.locked = channelDoc.data.locked || false;
+          channels.get(channelName).locked = channelDoc.data.locked || false;
         }
 
         const channel = channels.get(channelName);
 
-        channelDoc.data.users.forEach(user => {
-          if (!channel.users[user.userUuid]) {
-            channel.users[user.userUuid] = {
-              displayName: user.displayName,
-              color: user.color || generateMutedDarkColor(),
-              joinedAt: user.joinedAt,
-            };
-          }
-        });
-
-        const userColor = channel.users[userUuid]?.color || generateMutedDarkColor();
-        channel.users[userUuid] = { displayName, color: userColor, joinedAt: Date.now() };
-        channel.sockets[userUuid] = socket;
-
-        await upsertChannel(channelName, userUuid, displayName);
+        // Binders created before roles existed get their first returning member as owner
+        if (Object.keys(channel.roles).length === 0) {
+          await persistRole(channelName, userUuid, 'owner');
+        } else if (access.role && !channel.roles[userUuid]) {
+          await persistRole(channelName, userUuid, access.role);
+        }
 
-        if (channel.locked) {
-          socket.emit('message', { type: 'error', message: 'Channel is Locked', timestamp: Date.now() });
+        // Locked binders send newcomers to the waiting room until a host admits them
+        const isKnownMember = !!channel.roles[userUuid] || (channelDoc.data.users || []).some(u => u.userUuid === userUuid);
+        if (channel.locked && !isKnownMember) {
+          queueJoinRequest(channelName, socket, userUuid, displayName, { since, lastEventAt });
           return;
         }
 
-        const initStateMessage = {
-          type: 'init-state',
-          id: null,
-          userUuid,
-          data: freshState,
-          timestamp: Date.now(),
-          serverTimestamp: Date.now(),
-        };
-        socket.emit('message', initStateMessage);
-
-        broadcastToChannel(channelName, 'user-list', { id: null, userUuid, data: null });
-        broadcastToChannel(channelName, 'user-joined', { id: null, userUuid, data: { displayName, color: userColor } });
+        await completeJoin(socket, channelName, userUuid, displayName, { since, lastEventAt });
       } catch (err) {
         await logError('error', `Join channel error for ${data.channelName}`, err.stack, data.userUuid, data.channelName, socket.id);
         socket.emit('message', { type: 'error', message: 'Failed to join channel', timestamp: Date.now() });
@@ -757,6 +2340,7 @@ function createRealTimeServers(server, corsOptions) {
     socket.on('leave-channel', (data) => {
       try {
         if (!validateLeaveData(data)) return;
+        if (socket.waitingChannel) removeJoinRequest(socket);
         cleanupUser(data.channelName, data.userUuid, socket);
         if (socket.deepgramConnection) {
           socket.deepgramConnection.finish();
@@ -769,6 +2353,7 @@ function createRealTimeServers(server, corsOptions) {
 
     socket.on('disconnect', () => {
       try {
+        if (socket.waitingChannel) removeJoinRequest(socket);
         for (const [channelName, channel] of channels) {
           if (channel.sockets[socket.userUuid]) {
             cleanupUser(channelName, socket.userUuid, socket);
@@ -797,6 +2382,43 @@ function createRealTimeServers(server, corsOptions) {
   return io;
 }
 
+/**
+ * Checks a message against the sender's payload and rate limits. Messages over a limit are dropped and the sender
+ * gets a rate-limited message saying why; repeated throttling is reported at most every few seconds, except for
+ * LLM requests, which the sender is always told about so it can stop waiting for a reply.
+ */
+function checkMessageQuota(channelName, userUuid, type, dataObj, socket) {
+  const payloadKey = EVENT_ENTITY_TYPES[type] || type;
+  const tooLarge = checkPayloadSize(PAYLOAD_LIMITS, dataObj, payloadKey);
+  if (tooLarge) {
+    socket.emit('message', {
+      type: 'rate-limited',
+      id: dataObj.id || null,
+      message: `This ${payloadKey} message is too large (${Math.ceil(tooLarge.size / 1024)} KB, the limit is ${Math.floor(tooLarge.limit / 1024)} KB)`,
+      data: { reason: 'payload-too-large', messageType: type, size: tooLarge.size, limit: tooLarge.limit },
+      timestamp: Date.now(),
+    });
+    return false;
+  }
+
+  const result = rateLimiter.take(channelName, userUuid, type);
+  if (result.ok) return true;
+  if (result.notify || type === 'add-llm') {
+    const what = result.limitType === ALL_MESSAGES ? 'messages' : `${result.limitType} messages`;
+    const seconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    socket.emit('message', {
+      type: 'rate-limited',
+      id: dataObj.id || null,
+      message: result.scope === 'channel'
+        ? `This binder is sending too many ${what}. Try again in ${seconds}s.`
+        : `You are sending too many ${what}. Try again in ${seconds}s.`,
+      data: { reason: 'rate-limited', messageType: type, scope: result.scope, retryAfterMs: result.retryAfterMs },
+      timestamp: Date.now(),
+    });
+  }
+  return false;
+}
+
 async function handleMessage(dataObj, socket) {
   try {
     if (!validateMessage(dataObj)) {
@@ -806,13 +2428,26 @@ async function handleMessage(dataObj, socket) {
 
     const { id, userUuid, data, channelName, type } = dataObj;
 
-    if (!channels.has(channelName) || !channels.get(channelName).sockets[userUuid]) {
-      if (type !== 'ping' && type !== 'pong') {
+    if (type !== 'ping' && type !== 'pong') {
+      if (!channels.has(channelName) || !channels.get(channelName).sockets[userUuid]) {
         socket.emit('message', { type: 'error', message: 'Invalid channel or user', timestamp: Date.now() });
         return;
       }
+      // A socket only speaks for the user it joined as, never for a uuid it copies from someone else
+      if (!isJoinedSocket(channelName, userUuid, socket)) {
+        socket.emit('message', {
+          type: 'permission-denied',
+          id: id || null,
+          message: 'This connection has not joined the binder as that user',
+          data: { eventType: type },
+          timestamp: Date.now(),
+        });
+        return;
+      }
     }
 
+    if (type !== 'ping' && type !== 'pong' && !checkMessageQuota(channelName, userUuid, type, dataObj, socket)) return;
+
     const channel = channels.get(channelName);
     const userColor = channel.users[userUuid]?.color || '#808080';
 
@@ -822,13 +2457,110 @@ async function handleMessage(dataObj, socket) {
         break;
       case 'pong':
         break;
-      case 'leave-channel':
+      case 'sync-request':
+        sendSyncState(socket, userUuid, 'sync-state', await buildSyncState(channelName, data?.since), channel.eventLog.lastTimestamp);
+        break;
+      case 'text-join':
+      case 'text-op':
+      case 'text-caret':
+      case 'text-leave':
+        await handleTextMessage(channelName, userUuid, type, dataObj, socket);
+        break;
+      case 'update-presence':
       case 'update-tab':
-      case 'scroll-to-page':
+      case 'scroll-to-page': {
+        // Tab switches and page scrolls are recorded as presence rather than relayed on their own
+        let update = data || {};
+        if (type === 'update-tab') {
+          update = { tab: data?.tab ?? dataObj.tab, subTab: data?.subTab ?? dataObj.subTab ?? null };
+          if (data && 'entityId' in data) Object.assign(update, { entityType: data.entityType, entityId: data.entityId });
+        }
+        if (type === 'scroll-to-page') update = { page: data?.page };
+        channel.presence[userUuid] = mergePresence(channel.presence[userUuid], update);
+        broadcastToChannel(channelName, 'presence-update', { id: null, userUuid, data: channel.presence[userUuid] }, userUuid);
+        // The presenter's view is relayed as-is so followers can be driven by it
+        if (type !== 'update-presence' && channel.presenter === userUuid) {
+          broadcastToChannel(channelName, type, { id: null, userUuid, data: data || {} }, userUuid);
+        }
+        break;
+      }
+      case 'claim-presenter':
+        // Anyone may present when nobody is; only the owner can take over from someone else
+        if (channel.presenter && channel.presenter !== userUuid && getUserRole(channelName, userUuid) !== 'owner') {
+          socket.emit('message', { type: 'error', message: 'Someone else is already presenting', timestamp: Date.now() });
+          break;
+        }
+        setPresenter(channelName, userUuid, userUuid);
+        break;
+      case 'release-presenter':
+        if (channel.presenter !== userUuid && getUserRole(channelName, userUuid) !== 'owner') {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the presenter or the binder owner can end the presentation', timestamp: Date.now() });
+          break;
+        }
+        if (channel.presenter) setPresenter(channelName, null, userUuid);
+        break;
+      case 'list-snapshots':
+      case 'create-snapshot':
+      case 'diff-snapshot':
+      case 'restore-snapshot':
+      case 'delete-snapshot':
+        await handleSnapshotMessage(channelName, userUuid, type, dataObj, socket);
+        break;
+      case 'list-webhooks':
+      case 'list-webhook-deliveries':
+      case 'add-webhook':
+      case 'update-webhook':
+      case 'remove-webhook':
+        await handleWebhookMessage(channelName, userUuid, type, dataObj, socket);
+        break;
+      case 'list-bots':
+      case 'create-bot':
+      case 'rotate-bot-token':
+      case 'remove-bot':
+        await handleBotMessage(channelName, userUuid, type, dataObj, socket);
+        break;
+      case 'list-trash':
+        await sendTrashList(socket, userUuid, channelName);
+        break;
+      case 'estimate-agent-prompt':
+        await sendAgentPromptEstimate(channelName, userUuid, dataObj, socket);
+        break;
+      case 'search-binder':
+        await sendSearchResults(channelName, userUuid, dataObj, socket);
+        break;
+      case 'restore-entity': {
+        const entityType = data?.entityType;
+        if (!id || !TRASH_ENTITY_TYPES.includes(entityType)) {
+          socket.emit('message', { type: 'error', message: 'Invalid restore request', timestamp: Date.now() });
+          break;
+        }
+        const role = getUserRole(channelName, userUuid);
+        if (!canPerform(role, entityType, 'add')) {
+          socket.emit('message', {
+            type: 'permission-denied',
+            id,
+            message: `Your role (${role}) does not allow restoring ${entityType}`,
+            data: { operation: 'restore', entityType, eventType: type, role },
+            timestamp: Date.now(),
+          });
+          break;
+        }
+        const result = await restoreEntity(channelName, userUuid, entityType, id);
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+        }
+        await sendTrashList(socket, userUuid, channelName);
+        break;
+      }
+      case 'leave-channel':
         break;
       case 'start-transcription':
       case 'stop-transcription':
       case 'audio-chunk':
+        if (!canManage(getUserRole(channelName, userUuid), 'transcribe')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Your role does not allow live transcription', timestamp: Date.now() });
+          break;
+        }
         await handleTranscriptionEvent(type, dataObj, socket);
         break;
       case 'add-chat':
@@ -888,17 +2620,97 @@ async function handleMessage(dataObj, socket) {
 
       case 'add-channel':
       case 'remove-channel':
-        await handleCrudOperation(channelName, userUuid, type, { id, userUuid, data }, socket);
+        // Updates carry the version they were based on
+        await handleCrudOperation(channelName, userUuid, type, { id, userUuid, data, version: dataObj.version }, socket);
+        break;
+      case 'update-role':
+      case 'update-default-role': {
+        if (!canManage(getUserRole(channelName, userUuid), 'roles')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the binder owner can change roles', timestamp: Date.now() });
+          break;
+        }
+        const result = type === 'update-role'
+          ? await updateRole(channelName, userUuid, memberUuid(channelName, data?.memberId), data?.role)
+          : await updateDefaultRole(channelName, userUuid, data?.role);
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+          break;
+        }
+        broadcastToChannel(channelName, 'user-list', { id: null, userUuid, data: null });
+        break;
+      }
+      case 'update-binder-access': {
+        if (!canManage(getUserRole(channelName, userUuid), 'access')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the binder owner can change binder access', timestamp: Date.now() });
+          break;
+        }
+        const result = await updateBinderAccess(channelName, userUuid, data || {});
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+          break;
+        }
+        broadcastToChannel(channelName, 'binder-access-updated', { id: null, userUuid, data: result.access });
+        break;
+      }
+      case 'update-binder-retention': {
+        if (!canManage(getUserRole(channelName, userUuid), 'retention')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the binder owner can change how long this binder is kept', timestamp: Date.now() });
+          break;
+        }
+        const result = await updateRetention(channelName, userUuid, data || {});
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+          break;
+        }
+        broadcastToChannel(channelName, 'binder-retention-updated', { id: null, userUuid, data: { ...result.retention, defaults: RETENTION_DEFAULTS } });
         break;
+      }
+      case 'create-invite': {
+        if (!canManage(getUserRole(channelName, userUuid), 'access')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the binder owner can create invites', timestamp: Date.now() });
+          break;
+        }
+        if (!process.env.JWT_SECRET) {
+          socket.emit('message', { type: 'error', message: 'Invites are not configured - JWT_SECRET is missing', timestamp: Date.now() });
+          break;
+        }
+        const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+        const { token, tokenDecoded } = createInvite(channelName, channelDoc.data, data || {});
+        socket.emit('message', {
+          type: 'invite-created',
+          id: tokenDecoded.jti,
+          userUuid,
+          data: { token, role: tokenDecoded.role, expiresAt: tokenDecoded.exp * 1000 },
+          timestamp: Date.now(),
+        });
+        break;
+      }
+      case 'admit-join':
+      case 'deny-join': {
+        if (!canManage(getUserRole(channelName, userUuid), 'admit')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Your role does not allow admitting people to this binder', timestamp: Date.now() });
+          break;
+        }
+        const result = await resolveJoinRequest(channelName, data?.userUuid, type === 'admit-join');
+        if (!result.ok) {
+          socket.emit('message', { type: 'error', message: result.message, timestamp: Date.now() });
+        }
+        break;
+      }
       case 'room-lock-toggle':
+        if (!canManage(getUserRole(channelName, userUuid), 'lock')) {
+          socket.emit('message', { type: 'permission-denied', message: 'Only the binder owner can lock the binder', timestamp: Date.now() });
+          break;
+        }
         channel.locked = data.locked;
+        await entityModels['channels'].updateOne({ id: channelName }, { $set: { 'data.locked': !!data.locked, serverTimestamp: Date.now() } });
         broadcastToChannel(channelName, type, { id: null, userUuid, data: { locked: data.locked }, timestamp: dataObj.timestamp });
-        for (const entityType of Object.keys(entityConfigs)) {
-          const state = await loadStateFromServer(channelName, entityType);
-          channel.state[entityType] = state;
+        // Unlocking lets everyone still waiting straight in
+        if (!data.locked) {
+          for (const waitingUuid of Object.keys(channel.waiting)) {
+            await resolveJoinRequest(channelName, waitingUuid, true);
+          }
         }
-        break;
-      case 'upload-to-cloud':
         for (const entityType of Object.keys(entityConfigs)) {
           const state = await loadStateFromServer(channelName, entityType);
           channel.state[entityType] = state;
@@ -921,7 +2733,7 @@ async function handleMessage(dataObj, socket) {
 // Error logging function
 async function logError(level, message, stackTrace, userUuid = null, channelName = null, socketId = null, details = {}) {
   try {
-    const logEntry = new Log({
+    await Log.create({
       timestamp: Date.now(),
       level,
       message,
@@ -931,11 +2743,10 @@ async function logError(level, message, stackTrace, userUuid = null, channelName
       socketId,
       details,
     });
-    await logEntry.save();
     console.error(`[${level.toUpperCase()}] ${message} - Stack: ${stackTrace || 'N/A'}`);
   } catch (logErr) {
     console.error('Failed to log error:', logErr);
   }
 }
 
-module.exports = { createRealTimeServers };
\ No newline at end of file
+module.exports = { createRealTimeServers, entityConfigs, handleApiCrudOperation, restoreIfArchived };
\ No newline at end of file
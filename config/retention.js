@@ -0,0 +1,80 @@
+// ./config/retention.js
+// When idle binders are archived and when they are purged. A binder is idle from the last time someone joined it.
+// Archived binders are packed into a compressed bundle and restored on the next join; expired ones are deleted.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ARCHIVE_AFTER_DAYS = 90;
+const DEFAULT_EXPIRE_AFTER_DAYS = 0; // Never
+const MAX_RETENTION_DAYS = 10 * 365;
+
+// 0 means never; anything else that is not a whole number of days falls back to the default
+function cleanDays(value, fallback) {
+  const days = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(days) && days >= 0 ? days : fallback;
+}
+
+/**
+ * Server-wide retention from BINDER_ARCHIVE_DAYS and BINDER_EXPIRE_DAYS, in days; 0 turns either off.
+ */
+function retentionDefaultsFromEnv(env = process.env) {
+  return {
+    archiveAfterDays: cleanDays(env.BINDER_ARCHIVE_DAYS, DEFAULT_ARCHIVE_AFTER_DAYS),
+    expireAfterDays: cleanDays(env.BINDER_EXPIRE_DAYS, DEFAULT_EXPIRE_AFTER_DAYS),
+  };
+}
+
+/**
+ * Checks a binder owner's retention settings. Each is a whole number of days, 0 for never, or null to use the
+ * server default. Returns { ok, retention } or { ok: false, message }.
+ */
+function cleanRetentionSettings({ archiveAfterDays = null, expireAfterDays = null } = {}) {
+  const retention = { archiveAfterDays, expireAfterDays };
+  for (const [field, days] of Object.entries(retention)) {
+    if (days === null) continue;
+    if (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS) {
+      return { ok: false, message: `Retention periods must be whole numbers of days from 0 to ${MAX_RETENTION_DAYS}` };
+    }
+    retention[field] = days;
+  }
+  return { ok: true, retention };
+}
+
+/**
+ * The retention that applies to a binder: its own settings, with the server defaults for any it has not set.
+ */
+function effectiveRetention(channelData = {}, defaults = retentionDefaultsFromEnv()) {
+  const own = channelData.retention || {};
+  return {
+    archiveAfterDays: Number.isInteger(own.archiveAfterDays) ? own.archiveAfterDays : defaults.archiveAfterDays,
+    expireAfterDays: Number.isInteger(own.expireAfterDays) ? own.expireAfterDays : defaults.expireAfterDays,
+  };
+}
+
+/**
+ * When the binder was last joined. Binders from before this was recorded use their last update.
+ */
+function lastActiveAt(channelDoc) {
+  return channelDoc.data?.lastActiveAt || channelDoc.timestamp || 0;
+}
+
+/**
+ * What the sweeper should do with a binder nobody is in: 'expire', 'archive' or null.
+ */
+function retentionAction(channelDoc, defaults = retentionDefaultsFromEnv(), now = Date.now()) {
+  const { archiveAfterDays, expireAfterDays } = effectiveRetention(channelDoc.data, defaults);
+  const idleMs = now - lastActiveAt(channelDoc);
+  if (expireAfterDays && idleMs >= expireAfterDays * DAY_MS) return 'expire';
+  if (archiveAfterDays && idleMs >= archiveAfterDays * DAY_MS && !channelDoc.data?.archive) return 'archive';
+  return null;
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_AFTER_DAYS,
+  DEFAULT_EXPIRE_AFTER_DAYS,
+  MAX_RETENTION_DAYS,
+  retentionDefaultsFromEnv,
+  cleanRetentionSettings,
+  effectiveRetention,
+  lastActiveAt,
+  retentionAction,
+};
@@ -0,0 +1,121 @@
+// ./config/snapshotStore.js
+// Storage for binder snapshots. A snapshot's records are written to DATA/snapshots/<uuid>/binder.json and the
+// uploads they refer to are copied to DATA/snapshots/<uuid>/files/; the Snapshot model holds the listing.
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { entityModels, Snapshot } = require('./models');
+const { snapshotFileIds, countEntities } = require('./snapshots');
+
+function dataDir() {
+  return process.env.DATA || path.resolve(__dirname, '../files');
+}
+
+function snapshotDir(uuid) {
+  return path.join(dataDir(), 'snapshots', uuid);
+}
+
+/**
+ * Every record of a binder by entity type, without Mongo's own fields. Trashed entities are left out unless asked for.
+ */
+async function collectBinderData(channelName, { includeTrashed = false } = {}) {
+  const binderData = {};
+  for (const [entityType, model] of Object.entries(entityModels)) {
+    const query = includeTrashed ? { channel: channelName } : { channel: channelName, deletedAt: null };
+    const docs = await model.find(query).lean();
+    binderData[entityType] = docs.map(({ _id, __v, ...rest }) => rest);
+  }
+  return binderData;
+}
+
+/**
+ * Copies files between directories as [fromName, toName] pairs, skipping files that do not exist.
+ * Returns the pairs that were copied.
+ */
+async function copyFiles(pairs, fromDir, toDir) {
+  const copied = [];
+  for (const [fromName, toName] of pairs) {
+    try {
+      await fs.copyFile(path.join(fromDir, fromName), path.join(toDir, toName));
+      copied.push([fromName, toName]);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return copied;
+}
+
+function snapshotSummary(doc) {
+  return {
+    id: doc.uuid,
+    name: doc.name,
+    userUuid: doc.userUuid || null,
+    displayName: doc.displayName || null,
+    counts: doc.counts || {},
+    fileCount: (doc.fileIds || []).length,
+    timestamp: doc.timestamp,
+  };
+}
+
+async function createSnapshot(channelName, name, { userUuid = null, displayName = null } = {}) {
+  const uuid = uuidv4();
+  const dir = snapshotDir(uuid);
+  const binderData = await collectBinderData(channelName, { includeTrashed: true });
+  await fs.mkdir(path.join(dir, 'files'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'binder.json'), JSON.stringify(binderData));
+  const fileIds = snapshotFileIds(binderData);
+  const copied = await copyFiles(fileIds.map(id => [id, id]), dataDir(), path.join(dir, 'files'));
+  const snapshot = await Snapshot.create({
+    uuid,
+    channel: channelName,
+    name,
+    userUuid,
+    displayName,
+    counts: countEntities(binderData),
+    fileIds: copied.map(([id]) => id),
+    timestamp: Date.now(),
+  });
+  return snapshotSummary(snapshot.toObject());
+}
+
+async function listSnapshots(channelName) {
+  const snapshots = await Snapshot.find({ channel: channelName }).sort({ timestamp: -1 }).lean();
+  return snapshots.map(snapshotSummary);
+}
+
+async function findSnapshot(channelName, uuid) {
+  return Snapshot.findOne({ uuid, channel: channelName }).lean();
+}
+
+async function loadSnapshotData(snapshot) {
+  return JSON.parse(await fs.readFile(path.join(snapshotDir(snapshot.uuid), 'binder.json'), 'utf8'));
+}
+
+/**
+ * Puts a snapshot's files back in the DATA directory, under new names when documents were given new ids.
+ */
+async function restoreSnapshotFiles(snapshot, idMap = null) {
+  const pairs = snapshot.fileIds.map(id => [id, idMap?.get(id) || id]);
+  await copyFiles(pairs, path.join(snapshotDir(snapshot.uuid), 'files'), dataDir());
+}
+
+async function deleteSnapshot(snapshot) {
+  await Snapshot.deleteOne({ uuid: snapshot.uuid });
+  await fs.rm(snapshotDir(snapshot.uuid), { recursive: true, force: true });
+}
+
+async function deleteChannelSnapshots(channelName) {
+  const snapshots = await Snapshot.find({ channel: channelName }).lean();
+  await Promise.all(snapshots.map(deleteSnapshot));
+}
+
+module.exports = {
+  collectBinderData,
+  createSnapshot,
+  listSnapshots,
+  findSnapshot,
+  loadSnapshotData,
+  restoreSnapshotFiles,
+  deleteSnapshot,
+  deleteChannelSnapshots,
+};
@@ -0,0 +1,111 @@
+// ./config/snapshots.js
+// Point-in-time copies of a whole binder: which files they carry, how two copies differ and how a copy
+// is prepared for restoring into a channel.
+const { v4: uuidv4 } = require('uuid');
+const { entityLabel } = require('./trash');
+
+const MAX_SNAPSHOT_NAME_LENGTH = 100;
+
+// Binder settings (access, roles) belong to the channel rather than to a point in time, so they are never restored
+const UNRESTORED_ENTITY_TYPES = ['channels'];
+
+function cleanSnapshotName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed ? trimmed.slice(0, MAX_SNAPSHOT_NAME_LENGTH) : null;
+}
+
+/**
+ * Ids of the files in the DATA directory that a binder refers to. Uploaded files are stored under their document's id.
+ */
+function snapshotFileIds(binderData) {
+  const ids = new Set();
+  (binderData.documents || []).forEach((doc) => {
+    if (doc.id) ids.add(doc.id);
+    if (typeof doc.data?.filename === 'string' && doc.data.filename) ids.add(doc.data.filename);
+  });
+  return [...ids];
+}
+
+/**
+ * Number of live (not trashed) entities of each type.
+ */
+function countEntities(binderData) {
+  return Object.fromEntries(Object.entries(binderData).map(([entityType, docs]) => [
+    entityType,
+    docs.filter(doc => !doc.deletedAt).length,
+  ]));
+}
+
+function liveById(docs = []) {
+  return new Map(docs.filter(doc => !doc.deletedAt).map(doc => [doc.id, doc]));
+}
+
+/**
+ * What changed between two copies of a binder, per entity type, counting only live entities.
+ * Returns { [entityType]: { added, removed, changed } } with { id, label } entries, leaving out unchanged types.
+ */
+function diffBinderData(from, to) {
+  const diff = {};
+  const entityTypes = new Set([...Object.keys(from), ...Object.keys(to)]);
+  for (const entityType of entityTypes) {
+    if (UNRESTORED_ENTITY_TYPES.includes(entityType)) continue;
+    const before = liveById(from[entityType]);
+    const after = liveById(to[entityType]);
+    const entry = (doc) => ({ id: doc.id, label: entityLabel(doc.data) });
+    const added = [...after.values()].filter(doc => !before.has(doc.id)).map(entry);
+    const removed = [...before.values()].filter(doc => !after.has(doc.id)).map(entry);
+    const changed = [...after.values()]
+      .filter(doc => before.has(doc.id) && JSON.stringify(before.get(doc.id).data) !== JSON.stringify(doc.data))
+      .map(entry);
+    if (added.length || removed.length || changed.length) diff[entityType] = { added, removed, changed };
+  }
+  return diff;
+}
+
+/**
+ * Gives every document a new id, rewriting references to it anywhere in the binder, so a copy restored into
+ * another channel does not share uploaded files with the original. Returns a Map of old id to new id.
+ */
+function remapDocumentIds(binderData, newId = uuidv4) {
+  const idMap = new Map();
+  (binderData.documents || []).forEach((doc) => {
+    const oldId = doc.id;
+    idMap.set(oldId, newId());
+    doc.id = idMap.get(oldId);
+  });
+
+  const replaceIds = (obj) => {
+    if (typeof obj !== 'object' || obj === null) return;
+    for (const key of Object.keys(obj)) {
+      if (typeof obj[key] === 'string' && idMap.has(obj[key])) {
+        obj[key] = idMap.get(obj[key]);
+      } else if (typeof obj[key] === 'object') {
+        replaceIds(obj[key]);
+      }
+    }
+  };
+  Object.values(binderData).forEach(docs => docs.forEach(doc => replaceIds(doc.data)));
+  return idMap;
+}
+
+/**
+ * Records to insert when restoring a binder copy into a channel, stamped so incremental sync picks them up.
+ */
+function prepareRestore(binderData, channelName, now = Date.now()) {
+  const records = {};
+  for (const [entityType, docs] of Object.entries(binderData)) {
+    if (UNRESTORED_ENTITY_TYPES.includes(entityType)) continue;
+    records[entityType] = docs.map(({ _id, __v, ...doc }) => ({ ...doc, channel: channelName, serverTimestamp: now }));
+  }
+  return records;
+}
+
+module.exports = {
+  UNRESTORED_ENTITY_TYPES,
+  cleanSnapshotName,
+  snapshotFileIds,
+  countEntities,
+  diffBinderData,
+  remapDocumentIds,
+  prepareRestore,
+};
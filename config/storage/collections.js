@@ -0,0 +1,37 @@
+// ./config/storage/collections.js
+// Collection names shared by the storage backends, so a binder saved by one is found by the other.
+
+// Entity type => collection holding that type's records for every binder
+const ENTITY_COLLECTIONS = {
+  agents: 'agentsSet',
+  chats: 'chatsSet',
+  documents: 'documentsSet',
+  goals: 'goalsSet',
+  questions: 'questionsSet',
+  answers: 'answersSet',
+  artifacts: 'artifactsSet',
+  transcripts: 'transcriptsSet',
+  llms: 'llmsSet',
+  collabs: 'collabsSet',
+  breakouts: 'breakoutsSet',
+  sections: 'sectionsSet',
+  channels: 'channelsSet',
+  prompts: 'promptsSet',
+  transcriptions: 'transcriptionsSet',
+  liveTranscriptions: 'liveTranscriptionsSet',
+};
+
+const COLLECTIONS = {
+  LibrarySet: 'librarySet',
+  Tombstone: 'tombstones',
+  Snapshot: 'snapshots',
+  AuditEntry: 'auditEntries',
+  Webhook: 'webhooks',
+  WebhookDelivery: 'webhookDeliveries',
+  Log: 'logs',
+};
+
+module.exports = {
+  ENTITY_COLLECTIONS,
+  COLLECTIONS,
+};
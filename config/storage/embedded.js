@@ -0,0 +1,490 @@
+// ./config/storage/embedded.js
+// Embedded storage backend, for running without a database server. Collections are held in memory and, when a
+// directory is given, written to one JSON file per collection shortly after each change. Every collection offers
+// the part of the Mongoose model API the server uses (see ./index.js), so callers do not know which backend they have.
+//
+// Queries scan the whole collection, which suits the small binders and teams this backend is meant for.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TOMBSTONE_RETENTION_MS } = require('../sync');
+const { WEBHOOK_DELIVERY_RETENTION_MS } = require('../webhooks');
+const { ENTITY_COLLECTIONS, COLLECTIONS } = require('./collections');
+
+// Quiet period before a changed collection is written to disk
+const WRITE_DELAY_MS = 200;
+
+const now = () => new Date();
+
+// What each collection fills in on insert, and which Date field (if any) makes its records expire
+const entitySetSpec = { defaults: { version: 1, deletedAt: null, deletedBy: null }, timestamps: true };
+const COLLECTION_SPECS = {
+  LibrarySet: { timestamps: true },
+  Tombstone: { defaults: { deletedAt: now }, expires: { field: 'deletedAt', ms: TOMBSTONE_RETENTION_MS } },
+  Snapshot: { defaults: { counts: {}, fileIds: [] }, timestamps: true },
+  AuditEntry: { defaults: { before: null, after: null, changedFields: [] } },
+  Webhook: { defaults: { events: [], active: true }, timestamps: true },
+  WebhookDelivery: {
+    defaults: { status: 'pending', attempts: 0, responseStatus: null, error: null, createdAt: now },
+    expires: { field: 'createdAt', ms: WEBHOOK_DELIVERY_RETENTION_MS },
+  },
+  Log: { timestamps: true },
+};
+
+// ObjectId-like ids (seconds, per-process random, counter) so ids sort in insertion order as Mongo's do
+const processId = crypto.randomBytes(5).toString('hex');
+let idCounter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+function createId() {
+  idCounter = (idCounter + 1) % 0x1000000;
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  return `${seconds}${processId}${idCounter.toString(16).padStart(6, '0')}`;
+}
+
+function clone(value) {
+  return structuredClone(value);
+}
+
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isDate(value);
+}
+
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, fieldPath) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(doc, keys.join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[last];
+}
+
+function comparable(value) {
+  return isDate(value) ? value.getTime() : value;
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (isDate(a) || isDate(b)) return comparable(a) === comparable(b);
+  return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Mongo order for sorting: missing and null first, then numbers, strings, objects, booleans and dates
+const TYPE_ORDER = { undefined: 0, number: 1, string: 2, object: 3, boolean: 4 };
+
+function compareValues(a, b) {
+  const left = a ?? undefined;
+  const right = b ?? undefined;
+  const leftRank = isDate(left) ? 5 : TYPE_ORDER[typeof left];
+  const rightRank = isDate(right) ? 5 : TYPE_ORDER[typeof right];
+  if (leftRank !== rightRank) return leftRank - rightRank;
+  const x = comparable(left);
+  const y = comparable(right);
+  if (typeof x === 'object') return JSON.stringify(x).localeCompare(JSON.stringify(y));
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// A field that holds an array matches when the array itself, or any of its items, does
+function anyValue(value, test) {
+  return test(value) || (Array.isArray(value) && value.some(test));
+}
+
+function inRange(value, operator, bound) {
+  if (value === null || value === undefined || bound === null || bound === undefined) return false;
+  const x = comparable(value);
+  const y = comparable(bound);
+  if (typeof x !== typeof y) return false;
+  switch (operator) {
+    case '$gt': return x > y;
+    case '$gte': return x >= y;
+    case '$lt': return x < y;
+    default: return x <= y;
+  }
+}
+
+const OPERATORS = {
+  $eq: (value, operand) => anyValue(value, item => isEqual(item, operand)),
+  $ne: (value, operand) => !anyValue(value, item => isEqual(item, operand)),
+  $gt: (value, operand) => anyValue(value, item => inRange(item, '$gt', operand)),
+  $gte: (value, operand) => anyValue(value, item => inRange(item, '$gte', operand)),
+  $lt: (value, operand) => anyValue(value, item => inRange(item, '$lt', operand)),
+  $lte: (value, operand) => anyValue(value, item => inRange(item, '$lte', operand)),
+  $in: (value, operand) => operand.some(option => anyValue(value, item => isEqual(item, option))),
+  $nin: (value, operand) => !operand.some(option => anyValue(value, item => isEqual(item, option))),
+  $exists: (value, operand) => (value !== undefined) === !!operand,
+};
+
+function isOperatorObject(condition) {
+  return isPlainObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return OPERATORS.$eq(value, condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) throw new Error(`Unsupported query operator ${operator}`);
+    return OPERATORS[operator](value, operand);
+  });
+}
+
+/**
+ * Whether a record matches a Mongo-style filter: equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin and $exists
+ * on dotted field paths, combined with $and and $or.
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and') return condition.every(part => matchesFilter(doc, part));
+    if (field === '$or') return condition.some(part => matchesFilter(doc, part));
+    return matchesCondition(getPath(doc, field), condition);
+  });
+}
+
+/**
+ * Applies a Mongo-style update ($set, $unset and $inc on dotted paths) to a record in place.
+ * An update without operators is treated as a $set, as Mongoose does.
+ */
+function applyUpdate(doc, update = {}) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([field, value]) => {
+      switch (operator) {
+        case '$set':
+          setPath(doc, field, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, field);
+          break;
+        case '$inc':
+          setPath(doc, field, (getPath(doc, field) || 0) + value);
+          break;
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+  return doc;
+}
+
+function sortDocs(docs, sort) {
+  const fields = Object.entries(sort || {});
+  if (!fields.length) return docs;
+  return docs.sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(getPath(a, field), getPath(b, field));
+      if (order) return direction < 0 || direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * A pending read, run when it is awaited. Supports the chained .sort(), .limit() and .lean() the server uses.
+ */
+class Query {
+  constructor(run) {
+    this.run = run;
+    this.options = { sort: null, limit: 0, lean: false };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  exec() {
+    return new Promise(resolve => resolve(this.run(this.options)));
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.exec().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.exec().catch(onRejected);
+  }
+}
+
+/**
+ * One collection. Its Model class works like a Mongoose model: `new Model(fields).save()` inserts, and the static
+ * methods query and update. Results are copies, so changing one changes nothing stored until it is saved.
+ */
+function createModel(name, spec, onChange) {
+  const records = new Map();
+  const dateFields = [
+    ...(spec.timestamps ? ['createdAt', 'updatedAt'] : []),
+    ...(spec.expires ? [spec.expires.field] : []),
+  ];
+
+  function withDefaults(fields) {
+    const doc = {};
+    Object.entries(spec.defaults || {}).forEach(([field, value]) => {
+      doc[field] = typeof value === 'function' ? value() : clone(value);
+    });
+    return Object.assign(doc, clone(fields));
+  }
+
+  function stamp(doc, inserting) {
+    if (!spec.timestamps) return;
+    const time = new Date();
+    if (inserting || !doc.createdAt) doc.createdAt = time;
+    doc.updatedAt = time;
+  }
+
+  function removeExpired() {
+    if (!spec.expires) return;
+    const cutoff = Date.now() - spec.expires.ms;
+    records.forEach((doc, id) => {
+      const value = doc[spec.expires.field];
+      if (value && new Date(value).getTime() < cutoff) {
+        records.delete(id);
+        onChange(name);
+      }
+    });
+  }
+
+  function matching(filter) {
+    removeExpired();
+    return [...records.values()].filter(doc => matchesFilter(doc, filter));
+  }
+
+  function output(doc, lean) {
+    return lean ? clone(doc) : Object.assign(Object.create(Model.prototype), clone(doc));
+  }
+
+  function insert(fields) {
+    const doc = withDefaults(fields);
+    if (doc._id === undefined || doc._id === null) doc._id = createId();
+    doc._id = String(doc._id);
+    if (records.has(doc._id)) throw new Error(`Duplicate _id ${doc._id} in ${name}`);
+    stamp(doc, true);
+    records.set(doc._id, doc);
+    onChange(name);
+    return doc;
+  }
+
+  function update(doc, changes) {
+    applyUpdate(doc, changes);
+    stamp(doc, false);
+    onChange(name);
+    return doc;
+  }
+
+  class Model {
+    constructor(fields = {}) {
+      Object.assign(this, withDefaults(fields));
+    }
+
+    // Inserts the record, or replaces the stored copy once it has an _id
+    async save() {
+      const fields = { ...this };
+      const stored = fields._id !== undefined && records.get(String(fields._id));
+      if (stored) {
+        records.set(stored._id, Object.assign(clone(fields), { _id: stored._id, createdAt: stored.createdAt }));
+        stamp(records.get(stored._id), false);
+        onChange(name);
+        Object.assign(this, clone(records.get(stored._id)));
+      } else {
+        Object.assign(this, clone(insert(fields)));
+      }
+      return this;
+    }
+
+    toObject() {
+      return clone({ ...this });
+    }
+
+    static find(filter = {}) {
+      return new Query(({ sort, limit, lean }) => {
+        const docs = sortDocs(matching(filter), sort);
+        return (limit > 0 ? docs.slice(0, limit) : docs).map(doc => output(doc, lean));
+      });
+    }
+
+    static findOne(filter = {}) {
+      return new Query(({ sort, lean }) => {
+        const [doc] = sortDocs(matching(filter), sort);
+        return doc ? output(doc, lean) : null;
+      });
+    }
+
+    // Returns the record as it was before the update, or after it with { new: true }
+    static findOneAndUpdate(filter, changes, options = {}) {
+      return new Query(({ sort, lean }) => {
+        const [doc] = sortDocs(matching(filter), sort);
+        if (!doc) return null;
+        const before = clone(doc);
+        update(doc, changes);
+        return output(options.new ? doc : before, lean);
+      });
+    }
+
+    static async updateOne(filter, changes) {
+      const [doc] = matching(filter);
+      if (doc) update(doc, changes);
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }
+
+    static async updateMany(filter, changes) {
+      const docs = matching(filter);
+      docs.forEach(doc => update(doc, changes));
+      return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    static async deleteOne(filter) {
+      const [doc] = matching(filter);
+      if (doc) {
+        records.delete(doc._id);
+        onChange(name);
+      }
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }
+
+    static async deleteMany(filter = {}) {
+      const docs = matching(filter);
+      docs.forEach(doc => records.delete(doc._id));
+      if (docs.length) onChange(name);
+      return { acknowledged: true, deletedCount: docs.length };
+    }
+
+    static async countDocuments(filter = {}) {
+      return matching(filter).length;
+    }
+
+    static async create(fields) {
+      if (Array.isArray(fields)) return fields.map(item => output(insert(item), false));
+      return output(insert(fields), false);
+    }
+
+    static async insertMany(items = []) {
+      return items.map(item => output(insert(item), false));
+    }
+  }
+
+  // JSON files hold dates as strings
+  function load(docs) {
+    records.clear();
+    docs.forEach((doc) => {
+      dateFields.forEach((field) => {
+        if (typeof doc[field] === 'string') doc[field] = new Date(doc[field]);
+      });
+      records.set(String(doc._id), doc);
+    });
+  }
+
+  return { Model, load, dump: () => [...records.values()] };
+}
+
+function readCollection(dir, name) {
+  const file = path.join(dir, `${name}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// Writes through a temporary file, so a crash mid-write leaves the previous copy in place
+function writeCollection(dir, name, docs) {
+  const file = path.join(dir, `${name}.json`);
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(docs));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Creates the embedded backend. With a `dir` each collection is loaded from and saved to <dir>/<collection>.json;
+ * without one everything stays in memory and is lost when the process ends.
+ */
+function createEmbeddedStorage({ dir = null } = {}) {
+  const dirty = new Set();
+  let writeTimer = null;
+  const collections = {};
+
+  function flush() {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    if (!dir) return dirty.clear();
+    dirty.forEach((name) => {
+      dirty.delete(name);
+      writeCollection(dir, name, collections[name].dump());
+    });
+  }
+
+  function onChange(name) {
+    if (!dir) return;
+    dirty.add(name);
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      try {
+        flush();
+      } catch (err) {
+        console.error('Embedded storage write error:', err);
+      }
+    }, WRITE_DELAY_MS);
+    writeTimer.unref?.();
+  }
+
+  function model(name, spec) {
+    const collection = createModel(name, spec, onChange);
+    collections[name] = collection;
+    if (dir) collection.load(readCollection(dir, name));
+    return collection.Model;
+  }
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  const entityModels = Object.fromEntries(Object.entries(ENTITY_COLLECTIONS)
+    .map(([entityType, name]) => [entityType, model(name, entitySetSpec)]));
+  const models = { entityModels };
+  Object.entries(COLLECTIONS).forEach(([key, name]) => {
+    models[key] = model(name, COLLECTION_SPECS[key]);
+  });
+
+  return {
+    name: dir ? 'file' : 'memory',
+    models,
+    async connect() {
+      console.log(dir ? `Embedded storage in ${dir}` : 'Embedded storage in memory (nothing is kept after a restart)');
+    },
+    // Writes pending changes now; safe to call from an 'exit' handler
+    flush,
+    async close() {
+      flush();
+    },
+  };
+}
+
+module.exports = {
+  matchesFilter,
+  applyUpdate,
+  createEmbeddedStorage,
+};
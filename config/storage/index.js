@@ -0,0 +1,51 @@
+// ./config/storage/index.js
+// Picks the storage backend the server persists binders, the library and its logs with, from STORAGE:
+//
+//   mongo   MongoDB at MONGODB (the default when MONGODB is set)
+//   file    embedded, kept as JSON files in STORAGE_PATH (default DATA/storage); the default without MONGODB
+//   memory  embedded, nothing kept after a restart; for tests and trying things out
+//
+// Every backend provides the same models (entityModels, LibrarySet, Tombstone, Snapshot, AuditEntry, Webhook,
+// WebhookDelivery and Log) with the same subset of the Mongoose model API:
+//   find, findOne and findOneAndUpdate (chainable with .sort(), .limit() and .lean()), updateOne, updateMany,
+//   deleteOne, deleteMany, countDocuments, create, insertMany, and `new Model(fields).save()`;
+//   filters with equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and and $or on dotted paths;
+//   updates with $set, $unset and $inc.
+// Code that needs more than this has to add it to the embedded backend as well.
+const path = require('path');
+
+const BACKENDS = ['mongo', 'file', 'memory'];
+
+function storageBackendName(env = process.env) {
+  const name = (env.STORAGE || '').trim().toLowerCase();
+  if (name) {
+    if (!BACKENDS.includes(name)) throw new Error(`Unknown STORAGE "${env.STORAGE}". Use one of ${BACKENDS.join(', ')}.`);
+    return name;
+  }
+  return env.MONGODB ? 'mongo' : 'file';
+}
+
+function storagePath(env = process.env) {
+  return env.STORAGE_PATH || path.join(env.DATA || path.resolve(__dirname, '../../files'), 'storage');
+}
+
+function createStorage(name = storageBackendName()) {
+  if (name === 'mongo') return require('./mongo');
+  const { createEmbeddedStorage } = require('./embedded');
+  const storage = createEmbeddedStorage({ dir: name === 'file' ? storagePath() : null });
+  if (name === 'file') {
+    // Pending writes are made before the process ends
+    process.once('exit', () => storage.flush());
+    process.once('SIGINT', () => process.exit(130));
+    process.once('SIGTERM', () => process.exit(143));
+  }
+  return storage;
+}
+
+const storage = createStorage();
+
+module.exports = {
+  storageBackendName,
+  storagePath,
+  storage,
+};
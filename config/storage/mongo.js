@@ -0,0 +1,161 @@
+// ./config/storage/mongo.js
+// MongoDB storage backend: the Mongoose models the rest of the server reads and writes through.
+const mongoose = require('mongoose');
+const { TOMBSTONE_RETENTION_MS } = require('../sync');
+const { WEBHOOK_DELIVERY_RETENTION_MS } = require('../webhooks');
+const { ENTITY_COLLECTIONS, COLLECTIONS } = require('./collections');
+
+// Delays between connection attempts while MongoDB is unreachable
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// EntitySet Schema (used by all entity types)
+const entitySetSchema = new mongoose.Schema({
+  id: { type: String, required: true, index: true },
+  channel: { type: String, required: true, index: true },
+  userUuid: { type: String, required: true, index: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  timestamp: { type: Number, required: true },
+  serverTimestamp: { type: Number, required: true, index: true },
+  version: { type: Number, default: 1 },
+  deletedAt: { type: Number, default: null, index: true }, // Set while the entity is in the Trash
+  deletedBy: { type: String, default: null },
+}, { timestamps: true });
+
+// Tombstone Schema (deleted entity ids, so incremental sync can remove them on clients)
+const tombstoneSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  channel: { type: String, required: true, index: true },
+  entityType: { type: String, required: true },
+  userUuid: { type: String },
+  serverTimestamp: { type: Number, required: true, index: true },
+  deletedAt: { type: Date, default: Date.now, expires: TOMBSTONE_RETENTION_MS / 1000 },
+});
+
+// Snapshot Schema (a named point-in-time copy of a binder; its contents are kept in the DATA directory)
+const snapshotSchema = new mongoose.Schema({
+  uuid: { type: String, required: true, unique: true, index: true },
+  channel: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  userUuid: { type: String },
+  displayName: { type: String },
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  fileIds: { type: [String], default: [] },
+  timestamp: { type: Number, required: true, index: true },
+}, { timestamps: true });
+
+// Audit Entry Schema (who changed what in a binder, with a summary of the entity before and after)
+const auditEntrySchema = new mongoose.Schema({
+  channel: { type: String, required: true, index: true },
+  userUuid: { type: String, index: true },
+  displayName: { type: String },
+  operation: { type: String, required: true },
+  entityType: { type: String, required: true },
+  entityId: { type: String, index: true },
+  eventType: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  changedFields: { type: [String], default: [] },
+  timestamp: { type: Number, required: true, index: true },
+});
+
+// Webhook Schema (an external URL that is sent signed binder events matching its filters)
+const webhookSchema = new mongoose.Schema({
+  uuid: { type: String, required: true, unique: true, index: true },
+  channel: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  events: { type: [String], default: [] },
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  userUuid: { type: String },
+  timestamp: { type: Number, required: true },
+}, { timestamps: true });
+
+// Webhook Delivery Schema (one event sent to one webhook, with the outcome of its last attempt)
+const webhookDeliverySchema = new mongoose.Schema({
+  uuid: { type: String, required: true, unique: true, index: true },
+  channel: { type: String, required: true, index: true },
+  webhookId: { type: String, required: true, index: true },
+  event: { type: String, required: true },
+  entityId: { type: String },
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  timestamp: { type: Number, required: true, index: true },
+  createdAt: { type: Date, default: Date.now, expires: WEBHOOK_DELIVERY_RETENTION_MS / 1000 },
+});
+
+// LibrarySet Schema
+const librarySetSchema = new mongoose.Schema({
+  uuid: { type: String, required: true, unique: true, index: true },
+//   channel: { type: String, required: true, index: true },
+  data: {
+    name: { type: String, required: true },
+    description: { type: String, required: true },
+    image: { type: String, required: true },
+    votes: { type: Number, default: 0 },
+    copies: { type: Number, default: 0 },
+  },
+  timestamp: { type: Number, required: true, index: true },
+}, { timestamps: true });
+
+// Log Schema (server errors, for tracking)
+const logSchema = new mongoose.Schema({
+  timestamp: { type: Number, required: true, index: true },
+  level: { type: String, required: true },
+  message: { type: String, required: true },
+  stackTrace: { type: String },
+  userUuid: { type: String },
+  channelName: { type: String },
+  socketId: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+}, { timestamps: true });
+
+// Register models
+const entityModels = Object.fromEntries(Object.entries(ENTITY_COLLECTIONS)
+  .map(([entityType, name]) => [entityType, mongoose.model(name, entitySetSchema, name)]));
+
+const LibrarySet = mongoose.model('librarySet', librarySetSchema, COLLECTIONS.LibrarySet);
+const Tombstone = mongoose.model('tombstone', tombstoneSchema, COLLECTIONS.Tombstone);
+const Snapshot = mongoose.model('snapshot', snapshotSchema, COLLECTIONS.Snapshot);
+const AuditEntry = mongoose.model('auditEntry', auditEntrySchema, COLLECTIONS.AuditEntry);
+const Webhook = mongoose.model('webhook', webhookSchema, COLLECTIONS.Webhook);
+const WebhookDelivery = mongoose.model('webhookDelivery', webhookDeliverySchema, COLLECTIONS.WebhookDelivery);
+const Log = mongoose.model('Log', logSchema, COLLECTIONS.Log);
+
+/**
+ * Connects to MONGODB. While it is unreachable the attempts are retried with a growing delay rather than
+ * stopping the server. Meanwhile Mongoose holds each query for a few seconds, then fails it like any other storage error.
+ */
+async function connect({ uri = process.env.MONGODB, delay = RETRY_MIN_MS } = {}) {
+  if (!uri) throw new Error('MONGODB is not set. Set it to a MongoDB connection string, or set STORAGE=file.');
+  try {
+    const conn = await mongoose.connect(uri, {});
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`MongoDB Connection Error: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return connect({ uri, delay: Math.min(delay * 2, RETRY_MAX_MS) });
+  }
+}
+
+async function close() {
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  name: 'mongo',
+  models: {
+    entityModels,
+    LibrarySet,
+    Tombstone,
+    Snapshot,
+    AuditEntry,
+    Webhook,
+    WebhookDelivery,
+    Log,
+  },
+  connect,
+  close,
+};
\ No newline at end of file
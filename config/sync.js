@@ -0,0 +1,24 @@
+// ./config/sync.js
+// Cursor handling for server-authoritative incremental sync on join-channel and sync-request.
+
+// Tombstones older than this are expired, so cursors older than it fall back to a full load
+const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves the `since` cursor a client sent for each entity type.
+ * A cursor is the serverTimestamp the client last synced that entity type at; null means full load.
+ */
+function resolveSyncCursors(since, entityTypes, now = Date.now()) {
+  const cursors = {};
+  for (const entityType of entityTypes) {
+    const value = since && typeof since === 'object' ? since[entityType] : undefined;
+    const isUsable = Number.isFinite(value) && value > 0 && value <= now && now - value < TOMBSTONE_RETENTION_MS;
+    cursors[entityType] = isUsable ? value : null;
+  }
+  return cursors;
+}
+
+module.exports = {
+  TOMBSTONE_RETENTION_MS,
+  resolveSyncCursors,
+};
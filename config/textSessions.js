@@ -0,0 +1,86 @@
+// ./config/textSessions.js
+// Live collaborative text sessions for document and artifact pages.
+// The server orders every text operation: each page has a revision counter and a bounded history
+// of applied operations, and operations made against an older revision are transformed past it.
+const crypto = require('crypto');
+const TextOps = require('../public/utils/textOps');
+
+const TEXT_ENTITY_TYPES = ['documents', 'artifacts'];
+const MAX_TEXT_HISTORY = 200; // Applied operations kept per page for transforming late operations
+
+/**
+ * Creates a session over a copy of an entity's page text.
+ * The epoch identifies this session so operations from a previous session are never applied to it.
+ */
+function createTextSession(entityType, id, pagesText = []) {
+  return {
+    entityType,
+    id,
+    epoch: crypto.randomUUID(),
+    pagesText: pagesText.map(text => (typeof text === 'string' ? text : '')),
+    revs: [],
+    history: {},
+    participants: new Set(),
+    dirty: false,
+    saveTimer: null,
+  };
+}
+
+/**
+ * The state a client needs to start editing: the session epoch, current text and page revisions.
+ */
+function textSessionState(session) {
+  return {
+    entityType: session.entityType,
+    epoch: session.epoch,
+    pagesText: [...session.pagesText],
+    revs: session.pagesText.map((_, page) => session.revs[page] || 0),
+  };
+}
+
+/**
+ * Applies a client operation made against page revision `rev`.
+ * Returns { ok: true, ops, rev } with the transformed operation and the page's new revision,
+ * or { ok: false, reason } when the client must reload the session state.
+ */
+function receiveTextOp(session, { epoch, page, rev, ops } = {}) {
+  if (epoch !== session.epoch) return { ok: false, reason: 'stale-epoch' };
+  if (!Number.isInteger(page) || page < 0 || page >= session.pagesText.length) {
+    return { ok: false, reason: 'invalid-page' };
+  }
+  if (!TextOps.isValid(ops)) return { ok: false, reason: 'invalid-op' };
+
+  const currentRev = session.revs[page] || 0;
+  const history = session.history[page] || [];
+  const behind = currentRev - rev;
+  if (!Number.isInteger(rev) || behind < 0 || behind > history.length) {
+    return { ok: false, reason: 'stale-rev' };
+  }
+
+  let transformed = ops;
+  let text;
+  try {
+    for (const applied of history.slice(history.length - behind)) {
+      transformed = TextOps.transform(transformed, applied)[0];
+    }
+    text = TextOps.apply(session.pagesText[page], transformed);
+  } catch (err) {
+    return { ok: false, reason: 'invalid-op' };
+  }
+
+  session.pagesText[page] = text;
+  history.push(transformed);
+  if (history.length > MAX_TEXT_HISTORY) history.shift();
+  session.history[page] = history;
+  session.revs[page] = currentRev + 1;
+  session.dirty = true;
+  return { ok: true, ops: transformed, rev: currentRev + 1 };
+}
+
+module.exports = {
+  TEXT_ENTITY_TYPES,
+  MAX_TEXT_HISTORY,
+  createTextSession,
+  textSessionState,
+  receiveTextOp,
+};
@@ -0,0 +1,57 @@
+// ./config/trash.js
+// Soft-deleted entities: which types the Trash lists, how long they are kept and how they are summarized.
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LABEL_LENGTH = 80;
+
+// Entity types shown in the Trash. Sections and breakouts are included because deleting one hides what is inside it.
+const TRASH_ENTITY_TYPES = ['documents', 'artifacts', 'agents', 'goals', 'questions', 'chats', 'sections', 'breakouts'];
+
+/**
+ * How long trashed entities are kept before they are purged, from TRASH_RETENTION_DAYS (fractions allowed).
+ */
+function trashRetentionMs(value = process.env.TRASH_RETENTION_DAYS) {
+  const days = Number(value);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+}
+
+/**
+ * Entities deleted before this time are due to be purged.
+ */
+function purgeCutoff(retentionMs, now = Date.now()) {
+  return now - retentionMs;
+}
+
+/**
+ * Short human-readable label for an entity, from its name or text.
+ */
+function entityLabel(data) {
+  const source = data && typeof data === 'object' ? data.name || data.title || data.text || data.url || '' : '';
+  const label = String(source).replace(/\s+/g, ' ').trim();
+  return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+/**
+ * The Trash listing entry for a soft-deleted entity record.
+ */
+function trashEntry(entityType, doc, retentionMs) {
+  return {
+    entityType,
+    id: doc.id,
+    userUuid: doc.userUuid,
+    label: entityLabel(doc.data),
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy || null,
+    purgeAt: doc.deletedAt + retentionMs,
+  };
+}
+
+module.exports = {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_ENTITY_TYPES,
+  trashRetentionMs,
+  purgeCutoff,
+  entityLabel,
+  trashEntry,
+};
@@ -0,0 +1,180 @@
+// ./config/webhookStore.js
+// Storage and delivery for binder webhooks. Deliveries run in the background after the change they describe is
+// saved, and each one is kept in the WebhookDelivery log with the outcome of its last attempt.
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { Webhook, WebhookDelivery } = require('./models');
+const {
+  WEBHOOK_TIMEOUT_MS,
+  MAX_WEBHOOKS_PER_BINDER,
+  ALL_EVENTS,
+  INTERNAL_TARGET_MESSAGE,
+  webhookAllowedHosts,
+  isValidWebhookUrl,
+  checkWebhookUrl,
+  guardedLookup,
+  cleanEventFilters,
+  createWebhookSecret,
+  buildWebhookPayload,
+  webhookSummary,
+  deliverWithRetries,
+} = require('./webhooks');
+
+const DELIVERY_LIST_LIMIT = 50;
+
+// Deliveries connect only to addresses that are not on the server's own network, unless the host is allowed
+const allowedHosts = webhookAllowedHosts();
+const lookup = guardedLookup(allowedHosts);
+const httpAgent = new http.Agent({ lookup });
+const httpsAgent = new https.Agent({ lookup });
+
+async function listWebhooks(channelName) {
+  const docs = await Webhook.find({ channel: channelName }).sort({ timestamp: 1 }).lean();
+  return docs.map(webhookSummary);
+}
+
+/**
+ * Adds a webhook. The returned webhook includes its signing secret, which is not listed again.
+ */
+async function addWebhook(channelName, userUuid, { url, events } = {}, knownEvents = []) {
+  const urlCheck = await checkWebhookUrl(url, { allowedHosts });
+  if (!urlCheck.ok) return urlCheck;
+  const cleanedEvents = cleanEventFilters(events, knownEvents);
+  if (!cleanedEvents) return { ok: false, message: 'Choose at least one event for the webhook' };
+  if (await Webhook.countDocuments({ channel: channelName }) >= MAX_WEBHOOKS_PER_BINDER) {
+    return { ok: false, message: `A binder can have at most ${MAX_WEBHOOKS_PER_BINDER} webhooks` };
+  }
+
+  const doc = await Webhook.create({
+    uuid: uuidv4(),
+    channel: channelName,
+    url,
+    events: cleanedEvents,
+    secret: createWebhookSecret(),
+    active: true,
+    userUuid,
+    timestamp: Date.now(),
+  });
+  return { ok: true, webhook: { ...webhookSummary(doc), secret: doc.secret } };
+}
+
+/**
+ * Changes a webhook's URL, events or whether it is active. `rotateSecret` issues a new secret, returned once.
+ */
+async function updateWebhook(channelName, id, { url, events, active, rotateSecret } = {}, knownEvents = []) {
+  const $set = {};
+  if (url !== undefined) {
+    const urlCheck = await checkWebhookUrl(url, { allowedHosts });
+    if (!urlCheck.ok) return urlCheck;
+    $set.url = url;
+  }
+  if (events !== undefined) {
+    const cleanedEvents = cleanEventFilters(events, knownEvents);
+    if (!cleanedEvents) return { ok: false, message: 'Choose at least one event for the webhook' };
+    $set.events = cleanedEvents;
+  }
+  if (typeof active === 'boolean') $set.active = active;
+  if (rotateSecret) $set.secret = createWebhookSecret();
+
+  const doc = await Webhook.findOneAndUpdate({ uuid: id, channel: channelName }, { $set }, { new: true }).lean();
+  if (!doc) return { ok: false, message: 'Webhook not found' };
+  return { ok: true, webhook: { ...webhookSummary(doc), ...(rotateSecret ? { secret: doc.secret } : {}) } };
+}
+
+async function removeWebhook(channelName, id) {
+  const result = await Webhook.deleteOne({ uuid: id, channel: channelName });
+  await WebhookDelivery.deleteMany({ channel: channelName, webhookId: id });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Recent deliveries for a binder, newest first, optionally for one webhook.
+ */
+async function listDeliveries(channelName, webhookId = null) {
+  const filter = { channel: channelName, ...(webhookId ? { webhookId } : {}) };
+  const docs = await WebhookDelivery.find(filter).sort({ timestamp: -1 }).limit(DELIVERY_LIST_LIMIT).lean();
+  return docs.map(doc => ({
+    id: doc.uuid,
+    webhookId: doc.webhookId,
+    event: doc.event,
+    entityId: doc.entityId || null,
+    status: doc.status,
+    attempts: doc.attempts,
+    responseStatus: doc.responseStatus,
+    error: doc.error,
+    timestamp: doc.timestamp,
+  }));
+}
+
+async function deleteChannelWebhooks(channelName) {
+  await Webhook.deleteMany({ channel: channelName });
+  await WebhookDelivery.deleteMany({ channel: channelName });
+}
+
+function postJson(url) {
+  return (body, headers) => axios.post(url, body, {
+    headers,
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    httpAgent,
+    httpsAgent,
+    transformRequest: [data => data], // The body is signed as sent, so it must not be re-serialized
+    validateStatus: () => true,
+  });
+}
+
+async function deliver(webhook, payload, onError) {
+  try {
+    await WebhookDelivery.create({
+      uuid: payload.deliveryId,
+      channel: payload.channel,
+      webhookId: webhook.uuid,
+      event: payload.event,
+      entityId: payload.id,
+      timestamp: payload.timestamp,
+    });
+    // Webhooks saved before internal addresses were refused are not sent
+    if (!isValidWebhookUrl(webhook.url, allowedHosts)) {
+      await WebhookDelivery.updateOne({ uuid: payload.deliveryId }, { $set: { status: 'failed', attempts: 0, error: INTERNAL_TARGET_MESSAGE } });
+      return;
+    }
+    await deliverWithRetries(postJson(webhook.url), { secret: webhook.secret, payload }, {
+      onAttempt: ({ delivered, attempts, status, error }) => WebhookDelivery.updateOne(
+        { uuid: payload.deliveryId },
+        { $set: { status: delivered ? 'delivered' : 'pending', attempts, responseStatus: status, error } }
+      ),
+    });
+    await WebhookDelivery.updateOne({ uuid: payload.deliveryId, status: 'pending' }, { $set: { status: 'failed' } });
+  } catch (err) {
+    await onError(err, webhook);
+  }
+}
+
+/**
+ * Sends an event to every active webhook of the binder subscribed to it. Returns once the deliveries are queued;
+ * they are never awaited by the change that triggered them. `onError(err, webhook)` is called for failures
+ * of the server itself, such as the delivery log being unavailable.
+ */
+async function dispatchWebhookEvent(channelName, event, details = {}, onError = async () => {}) {
+  try {
+    const webhooks = await Webhook.find({ channel: channelName, active: true, events: { $in: [event, ALL_EVENTS] } }).lean();
+    webhooks.forEach((webhook) => {
+      const payload = buildWebhookPayload({ ...details, deliveryId: uuidv4(), channelName, event });
+      deliver(webhook, payload, onError);
+    });
+  } catch (err) {
+    await onError(err, null);
+  }
+}
+
+module.exports = {
+  listWebhooks,
+  addWebhook,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  deleteChannelWebhooks,
+  dispatchWebhookEvent,
+};
@@ -0,0 +1,272 @@
+// ./config/webhooks.js
+// Outgoing webhooks: which binder events a webhook receives, how payloads are signed and how failed deliveries are retried.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_BASE_DELAY_MS = 2000; // Retries wait 2s, 4s, 8s, 16s
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_DELIVERY_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_WEBHOOKS_PER_BINDER = 20;
+const ALL_EVENTS = '*';
+const AGENT_COMPLETE_EVENT = 'agent-complete'; // Sent when an agent or LLM reply has finished streaming
+const SIGNATURE_HEADER = 'X-Superbinder-Signature';
+
+const INTERNAL_TARGET_MESSAGE = 'Webhook URLs must not point at local or private network addresses';
+
+/**
+ * Hosts from WEBHOOK_ALLOWED_HOSTS, e.g. 'hooks.internal,10.0.0.12', that webhooks may reach even though
+ * they are on the server's own network.
+ */
+function webhookAllowedHosts(value = process.env.WEBHOOK_ALLOWED_HOSTS) {
+  return new Set(String(value || '').split(',').map(host => normalizeHost(host)).filter(Boolean));
+}
+
+function normalizeHost(host) {
+  return host.trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * True for addresses a webhook must not reach: loopback, private, link-local (which includes cloud metadata
+ * services at 169.254.169.254), shared, unspecified, multicast and IPv6 unique-local addresses.
+ */
+function isInternalAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  if (!net.isIPv6(address)) return false;
+
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses, which URL parsing writes in hex (::ffff:7f00:1)
+  const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isInternalAddress(dotted[1]);
+  const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isInternalAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  if (lower === '::' || lower === '::1') return true;
+  const first = parseInt(lower.split(':')[0] || '0', 16);
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+}
+
+// An absolute http(s) URL without credentials, or null
+function parseWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > 2000) return null;
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) && !parsed.username && !parsed.password ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// localhost names and internal IP addresses, unless the host is allowed
+function isInternalHost(hostname, allowedHosts) {
+  const host = normalizeHost(hostname);
+  if (allowedHosts.has(host)) return false;
+  return host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host);
+}
+
+/**
+ * Accepts only absolute http(s) URLs without credentials whose host is not localhost or an internal IP address,
+ * unless the host is allowed. Host names are checked against what they resolve to by checkWebhookUrl and guardedLookup.
+ */
+function isValidWebhookUrl(url, allowedHosts = webhookAllowedHosts()) {
+  const parsed = parseWebhookUrl(url);
+  return !!parsed && !isInternalHost(parsed.hostname, allowedHosts);
+}
+
+/**
+ * Checks a webhook URL before it is saved, including where its host name resolves to now.
+ * Names that do not resolve are accepted; their deliveries fail until they do. Resolves to { ok, message }.
+ */
+async function checkWebhookUrl(url, { allowedHosts = webhookAllowedHosts(), lookup = dns.promises.lookup } = {}) {
+  const parsed = parseWebhookUrl(url);
+  if (!parsed) return { ok: false, message: 'Webhook URLs must be http or https addresses' };
+  if (isInternalHost(parsed.hostname, allowedHosts)) return { ok: false, message: INTERNAL_TARGET_MESSAGE };
+
+  const host = normalizeHost(parsed.hostname);
+  if (allowedHosts.has(host) || net.isIP(host)) return { ok: true };
+  try {
+    const addresses = await lookup(host, { all: true });
+    if (addresses.some(entry => isInternalAddress(entry.address))) return { ok: false, message: INTERNAL_TARGET_MESSAGE };
+  } catch (err) {
+    // Checked again when a delivery connects
+  }
+  return { ok: true };
+}
+
+/**
+ * A dns.lookup for webhook requests that refuses internal addresses, so a name that pointed somewhere public
+ * when the webhook was saved cannot later be turned on the server's own network. Allowed hosts resolve as usual.
+ */
+function guardedLookup(allowedHosts = webhookAllowedHosts(), lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const entries = Array.isArray(address) ? address : [{ address, family }];
+      if (!allowedHosts.has(normalizeHost(hostname)) && entries.some(entry => isInternalAddress(entry.address))) {
+        const blocked = new Error(`${hostname} resolves to a local or private network address`);
+        blocked.code = 'EBLOCKEDADDRESS';
+        return callback(blocked);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * Keeps the known event names from a requested filter list, without duplicates. Returns null when none are left.
+ */
+function cleanEventFilters(events, knownEvents) {
+  if (!Array.isArray(events)) return null;
+  const cleaned = [...new Set(events.filter(event => event === ALL_EVENTS || knownEvents.includes(event)))];
+  return cleaned.length ? cleaned : null;
+}
+
+function createWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * True when a webhook is active and subscribed to the event, directly or through `*`.
+ */
+function matchesEvent(webhook, event) {
+  if (!webhook || webhook.active === false || !Array.isArray(webhook.events)) return false;
+  return webhook.events.includes(ALL_EVENTS) || webhook.events.includes(event);
+}
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret. Receivers recompute it from the raw body and the
+ * timestamp in the signature header, and can reject old timestamps to stop replays.
+ */
+function signPayload(secret, body, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, timestamp) {
+  return `t=${timestamp},v1=${signPayload(secret, body, timestamp)}`;
+}
+
+/**
+ * Delay before the given retry (1 for the first retry), doubling each time.
+ */
+function retryDelay(retry, baseDelayMs = WEBHOOK_BASE_DELAY_MS) {
+  return baseDelayMs * 2 ** Math.max(0, retry - 1);
+}
+
+/**
+ * Redirects, client errors other than 408 and 429, and anything that is not a server error are not retried.
+ */
+function isRetryableStatus(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * The JSON body sent for a binder event.
+ */
+function buildWebhookPayload({ deliveryId, channelName, event, entityType = null, id = null, userUuid = null, data = null, version = null }, now = Date.now()) {
+  return {
+    deliveryId,
+    event,
+    channel: channelName,
+    entityType,
+    id,
+    userUuid,
+    version,
+    data,
+    timestamp: now,
+  };
+}
+
+/**
+ * A webhook as listed to binder owners: the secret is only shown once, when the webhook is created.
+ */
+function webhookSummary(webhook) {
+  return {
+    id: webhook.uuid,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active !== false,
+    userUuid: webhook.userUuid || null,
+    timestamp: webhook.timestamp,
+  };
+}
+
+/**
+ * POSTs a payload until it succeeds or the attempts run out, waiting retryDelay() between tries.
+ * `post(body, headers)` resolves to { status } or rejects on a network error; `onAttempt` is told about every try.
+ * Resolves to { delivered, attempts, status, error }.
+ */
+async function deliverWithRetries(post, { secret, payload }, {
+  maxAttempts = WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs = WEBHOOK_BASE_DELAY_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms).unref()),
+  onAttempt = () => {},
+} = {}) {
+  const body = JSON.stringify(payload);
+  let result = { delivered: false, attempts: 0, status: null, error: null };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) await sleep(retryDelay(attempt - 1, baseDelayMs));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Superbinder-Webhooks',
+      'X-Superbinder-Event': payload.event,
+      'X-Superbinder-Delivery': payload.deliveryId,
+      [SIGNATURE_HEADER]: signatureHeader(secret, body, timestamp),
+    };
+
+    try {
+      const response = await post(body, headers);
+      const status = response?.status || null;
+      const delivered = status >= 200 && status < 300;
+      result = { delivered, attempts: attempt, status, error: delivered ? null : `HTTP ${status}` };
+    } catch (err) {
+      result = { delivered: false, attempts: attempt, status: null, error: err.message || 'Request failed' };
+    }
+
+    await onAttempt(result);
+    if (result.delivered || (result.status && !isRetryableStatus(result.status))) break;
+  }
+  return result;
+}
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_BASE_DELAY_MS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_DELIVERY_RETENTION_MS,
+  MAX_WEBHOOKS_PER_BINDER,
+  ALL_EVENTS,
+  AGENT_COMPLETE_EVENT,
+  SIGNATURE_HEADER,
+  INTERNAL_TARGET_MESSAGE,
+  webhookAllowedHosts,
+  isInternalAddress,
+  isValidWebhookUrl,
+  checkWebhookUrl,
+  guardedLookup,
+  cleanEventFilters,
+  createWebhookSecret,
+  matchesEvent,
+  signPayload,
+  signatureHeader,
+  retryDelay,
+  isRetryableStatus,
+  buildWebhookPayload,
+  webhookSummary,
+  deliverWithRetries,
+};
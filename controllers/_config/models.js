@@ -1,81 +1,110 @@
 //Configs to the frontend
 const ApiError = require("../../error/ApiError");
 const logger = require("../../middleware/logger");
+const { discoverOpenAiCompatibleModels, knownOpenAiCompatibleModels } = require("../../config/handleAiInteractions");
 
-exports.getModels = async function (req, res, next) {
-  try {
-    //Get the node version for troubleshooting
-    const payload = [
-      //Come here and set your own models as you prefer.
-      //Make sure that you add the associated API keys for:
-      /*
-            OpenAI
-            Anthrpoic
-            Mistral
-            Groq
-            AzureAI
-            X
-      */
+// Models the server offers. contextWindow and maxOutputTokens, in tokens, size agent and Q&A prompts to fit.
+const SERVER_MODELS = [
+  //Come here and set your own models as you prefer.
+  //Make sure that you add the associated API keys for:
+  /*
+      OpenAI
+      Anthrpoic
+      Mistral
+      Groq
+      AzureAI
+      X
+  */
+
+
+  {
+    name: { en: "Gemini 2 Flash", fr: "Gemini 2 Flash" },
+    model: "gemini-2.0-flash",
+    provider: "gemini",
+    contextWindow: 1048576,
+    maxOutputTokens: 8192,
+  },
+  {
+    name: { en: "Gemini 1.5 Flash", fr: "Gemini 1.5 Flash" },
+    model: "gemini-1.5-flash",
+    provider: "gemini",
+    contextWindow: 1048576,
+    maxOutputTokens: 8192,
+  },
+  {
+    name: { en: "o1", fr: "o1" },
+    model: "o1-preview",
+    provider: "openAi",
+    contextWindow: 128000,
+    maxOutputTokens: 32768,
+  },
+  {
+    name: { en: "o3-mini", fr: "o3-mini" },
+    model: "o3-mini-2025-01-31",
+    provider: "openAi",
+    contextWindow: 200000,
+    maxOutputTokens: 100000,
+  },
 
+  {
+    name: { en: "GPT 4o", fr: "GPT 4o" },
+    model: "gpt-4o",
+    provider: "openAi",
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+  },
+  {
+    name: { en: "Claude Sonnet 3.5", fr: "Claude Sonnet 3.5" },
+    model: "claude-3-5-sonnet-20241022",
+    provider: "anthropic",
+    contextWindow: 200000,
+    maxOutputTokens: 8192,
+  },
 
-        {
-          name: { en: "Gemini 2 Flash", fr: "Gemini 2 Flash" },
-          model: "gemini-2.0-flash",
-          provider: "gemini",
-        },
-        {
-          name: { en: "Gemini 1.5 Flash", fr: "Gemini 1.5 Flash" },
-          model: "gemini-1.5-flash",
-          provider: "gemini",
-        },
-        {
-          name: { en: "o1", fr: "o1" },
-          model: "o1-preview",
-          provider: "openAi",
-        },
-        {
-          name: { en: "o3-mini", fr: "o3-mini" },
-          model: "o3-mini-2025-01-31",
-          provider: "openAi",
-        },
+  {
+    name: { en: "Llama 3.3", fr: "Llama 3.3" },
+    model: "llama-3.3-70b-versatile",
+    provider: "groq",
+    contextWindow: 128000,
+    maxOutputTokens: 32768,
+  },
 
-        {
-          name: { en: "GPT 4o", fr: "GPT 4o" },
-          model: "gpt-4o",
-          provider: "openAi",
-        },
-        {
-          name: { en: "Claude Sonnet 3.5", fr: "Claude Sonnet 3.5" },
-          model: "claude-3-5-sonnet-20241022",
-          provider: "anthropic",
-        },
+  {
+    name: { en: "Mistral Large", fr: "Mistral Large" },
+    model: "mistral-large-latest",
+    provider: "mistral",
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+  },
 
-        {
-          name: { en: "Llama 3.3", fr: "Llama 3.3" },
-          model: "llama-3.3-70b-versatile",
-          provider: "groq",
-        },
+  {
+    name: { en: "GPT o1-mini", fr: "GPT o1-mini" },
+    model: "o1-mini-2024-09-12",
+    provider: "openAi",
+    contextWindow: 128000,
+    maxOutputTokens: 65536,
+  },
 
-        {
-          name: { en: "Mistral Large", fr: "Mistral Large" },
-          model: "mistral-large-latest",
-          provider: "mistral",
-        },
+  {
+    name: { en: "Grok 2", fr: "Grok 2" },
+    model: "grok-2-1212",
+    provider: "xai",
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+  }, 
 
-        {
-          name: { en: "GPT o1-mini", fr: "GPT o1-mini" },
-          model: "o1-mini-2024-09-12",
-          provider: "openAi",
-        },
+  
+];
 
-        {
-          name: { en: "Grok 2", fr: "Grok 2" },
-          model: "grok-2-1212",
-          provider: "xai",
-        }, 
+exports.SERVER_MODELS = SERVER_MODELS;
 
-        
-      ];
+// The configured models and those last discovered on the OpenAI-compatible server, without asking it again
+exports.serverModels = () => [...SERVER_MODELS, ...knownOpenAiCompatibleModels()];
+
+exports.getModels = async function (req, res, next) {
+  try {
+    // Models on an OpenAI-compatible server (OPENAICOMPATIBLE_BASE_URL) are listed after the configured ones
+    const payload = [...SERVER_MODELS, ...(await discoverOpenAiCompatibleModels())];
 
     // Send the counts as JSON response
     res.status(200).json({
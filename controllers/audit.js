@@ -0,0 +1,42 @@
+// ./controllers/audit.js
+const { entityModels, AuditEntry } = require('../config/models');
+const { checkApiAccess } = require('../config/binderAccess');
+const { parseAuditQuery } = require('../config/audit');
+
+const auditController = {};
+
+/**
+ * GET /api/audit/:channelName
+ * Retrieve a binder's audit trail, newest first. Optional filters: userUuid, entityType, entityId, operation;
+ * `before` (an entry id) and `limit` page through older entries. Protected binders need a binder token.
+ */
+auditController.getAuditTrail = async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+    if (!channelDoc) {
+      return res.status(404).json({ message: 'Binder not found' });
+    }
+
+    const token = req.headers.authorization?.split(' ')[1] || null;
+    const access = checkApiAccess(channelDoc.data, { channelName, token });
+    if (!access.ok) {
+      return res.status(access.reason === 'token-required' ? 401 : 403).json({ message: 'A valid binder token is required', reason: access.reason });
+    }
+
+    const { filter, limit } = parseAuditQuery(channelName, req.query);
+    const entries = await AuditEntry.find(filter).sort({ _id: -1 }).limit(limit).lean();
+    const response = entries.map(({ _id, __v, channel, ...entry }) => ({ id: String(_id), ...entry }));
+
+    res.status(200).json({
+      message: 'Audit trail retrieved',
+      entries: response,
+      nextBefore: entries.length === limit ? response[response.length - 1].id : null,
+    });
+  } catch (error) {
+    console.error('Error retrieving audit trail:', error);
+    res.status(500).json({ message: 'Failed to retrieve audit trail', error: error.message });
+  }
+};
+
+module.exports = auditController;
@@ -0,0 +1,175 @@
+// ./controllers/binders.js
+const { v4: uuidv4 } = require('uuid');
+const { entityModels } = require('../config/models');
+const { checkApiAccess } = require('../config/binderAccess');
+const { API_EXCLUDED_ENTITY_TYPES, resolveApiCaller, apiEntity, apiResultFromReplies } = require('../config/binderApi');
+const { entityConfigs, handleApiCrudOperation, restoreIfArchived } = require('../config/realTime');
+
+const bindersController = {};
+
+/**
+ * Looks up the binder and entity type of a request and checks its binder token.
+ * Sends the error response and returns null when the request cannot go ahead.
+ */
+async function loadBinderRequest(req, res) {
+  const { channelName, entityType } = req.params;
+  const config = entityConfigs[entityType];
+  if (!config || API_EXCLUDED_ENTITY_TYPES.includes(entityType)) {
+    res.status(404).json({ message: `Unknown entity type: ${entityType}` });
+    return null;
+  }
+
+  let channelDoc = await entityModels['channels'].findOne({ id: channelName }).lean();
+  if (!channelDoc) {
+    res.status(404).json({ message: 'Binder not found' });
+    return null;
+  }
+
+  const token = req.headers.authorization?.split(' ')[1] || null;
+  const access = checkApiAccess(channelDoc.data, { channelName, token });
+  if (!access.ok) {
+    res.status(access.reason === 'token-required' ? 401 : 403).json({ message: 'A valid binder token is required', reason: access.reason });
+    return null;
+  }
+  // An archived binder is unpacked as it would be for a join
+  if (channelDoc.data.archive) channelDoc = await restoreIfArchived(channelName, access.userUuid || null);
+
+  const caller = resolveApiCaller(channelDoc.data, access, req.get('X-User-Uuid'));
+  if (!caller) {
+    res.status(403).json({ message: 'Bots must use their own bot token', reason: 'invalid-token' });
+    return null;
+  }
+  return { channelName, entityType, config, channelDoc, caller, model: entityModels[entityType] };
+}
+
+async function findLiveEntity(model, channelName, id) {
+  return model.findOne({ id, channel: channelName, deletedAt: null }).lean();
+}
+
+/**
+ * Sends a change through the socket CRUD path and answers with the outcome and, unless it was a removal,
+ * the entity as stored.
+ */
+async function applyChange(res, binder, type, payload, successStatus) {
+  const { channelName, channelDoc, caller, model } = binder;
+  const replies = await handleApiCrudOperation(channelName, channelDoc, caller.userUuid, caller.role, type, payload, {
+    verified: caller.verified,
+  });
+  const { status, message, current, errors } = apiResultFromReplies(replies);
+  if (status !== 200) {
+    return res.status(status).json({ message, ...(current ? { current } : {}), ...(errors ? { errors } : {}) });
+  }
+  if (type === binder.config.events.remove) {
+    return res.status(200).json({ message: 'Entity deleted', id: payload.id });
+  }
+  const doc = await findLiveEntity(model, channelName, payload.id);
+  if (!doc) {
+    return res.status(500).json({ message: 'The change could not be saved' });
+  }
+  res.status(successStatus).json({ message: 'Entity saved', entity: apiEntity(doc) });
+}
+
+/**
+ * GET /api/binders/:channelName/:entityType
+ * List the live entities of one type, in their binder order.
+ */
+bindersController.listEntities = async (req, res) => {
+  try {
+    const binder = await loadBinderRequest(req, res);
+    if (!binder) return;
+    const { channelName, config, model } = binder;
+    const sort = config.orderField ? { [`data.${config.orderField}`]: 1, timestamp: 1 } : { timestamp: 1 };
+    const docs = await model.find({ channel: channelName, deletedAt: null }).sort(sort).lean();
+    res.status(200).json({ message: 'Entities retrieved', entities: docs.map(apiEntity) });
+  } catch (error) {
+    console.error('Error listing binder entities:', error);
+    res.status(500).json({ message: 'Failed to list entities', error: error.message });
+  }
+};
+
+/**
+ * GET /api/binders/:channelName/:entityType/:id
+ */
+bindersController.getEntity = async (req, res) => {
+  try {
+    const binder = await loadBinderRequest(req, res);
+    if (!binder) return;
+    const doc = await findLiveEntity(binder.model, binder.channelName, req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Entity not found' });
+    res.status(200).json({ message: 'Entity retrieved', entity: apiEntity(doc) });
+  } catch (error) {
+    console.error('Error retrieving binder entity:', error);
+    res.status(500).json({ message: 'Failed to retrieve entity', error: error.message });
+  }
+};
+
+/**
+ * POST /api/binders/:channelName/:entityType
+ * Body: { id?, data }. The id is generated when it is not given.
+ */
+bindersController.createEntity = async (req, res) => {
+  try {
+    const binder = await loadBinderRequest(req, res);
+    if (!binder) return;
+    const { id = uuidv4(), data } = req.body || {};
+    if (typeof id !== 'string' || !data || typeof data !== 'object' || Array.isArray(data)) {
+      return res.status(400).json({ message: 'A data object is required' });
+    }
+    if (await findLiveEntity(binder.model, binder.channelName, id)) {
+      return res.status(409).json({ message: `An entity with id ${id} already exists` });
+    }
+    await applyChange(res, binder, binder.config.events.add, { id, data, timestamp: Date.now() }, 201);
+  } catch (error) {
+    console.error('Error creating binder entity:', error);
+    res.status(500).json({ message: 'Failed to create entity', error: error.message });
+  }
+};
+
+/**
+ * PUT /api/binders/:channelName/:entityType/:id
+ * Body: { data, version? }. Replaces the entity's data. With a version the update is rejected with 409 if the
+ * entity has changed since; without one it overwrites whatever is stored.
+ */
+bindersController.updateEntity = async (req, res) => {
+  try {
+    const binder = await loadBinderRequest(req, res);
+    if (!binder) return;
+    if (!binder.config.events.update) {
+      return res.status(405).json({ message: `${binder.entityType} cannot be updated` });
+    }
+    const { data, version } = req.body || {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return res.status(400).json({ message: 'A data object is required' });
+    }
+    const existing = await findLiveEntity(binder.model, binder.channelName, req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Entity not found' });
+    const baseVersion = version !== undefined ? version : (existing.version || 1);
+    await applyChange(res, binder, binder.config.events.update, { id: req.params.id, data, version: baseVersion, timestamp: Date.now() }, 200);
+  } catch (error) {
+    console.error('Error updating binder entity:', error);
+    res.status(500).json({ message: 'Failed to update entity', error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/binders/:channelName/:entityType/:id
+ * Moves the entity to the binder's Trash, as deleting it in the app does.
+ */
+bindersController.deleteEntity = async (req, res) => {
+  try {
+    const binder = await loadBinderRequest(req, res);
+    if (!binder) return;
+    if (!binder.config.events.remove) {
+      return res.status(405).json({ message: `${binder.entityType} cannot be deleted` });
+    }
+    if (!await findLiveEntity(binder.model, binder.channelName, req.params.id)) {
+      return res.status(404).json({ message: 'Entity not found' });
+    }
+    await applyChange(res, binder, binder.config.events.remove, { id: req.params.id, data: null, timestamp: Date.now() }, 200);
+  } catch (error) {
+    console.error('Error deleting binder entity:', error);
+    res.status(500).json({ message: 'Failed to delete entity', error: error.message });
+  }
+};
+
+module.exports = bindersController;
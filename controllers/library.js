@@ -5,6 +5,7 @@ const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
 const { handleImageGeneration } = require('../config/handleAiImages');
 const { entityModels, LibrarySet } = require('../config/models');
+const { collectBinderData } = require('../config/snapshotStore');
 
 // A simple base64-encoded placeholder image (gray square)
 const FALLBACK_IMAGE_BASE64 = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQEAYABgAAD/2wBDAAgGBgcGBQgHBwcJCQgKDBQNDAsLDBkSEw8UHRofHh0aHBwgJC4nICIsIxwcKDcpLDAxNDQ0Hyc5PTgyPC4zNDL/2wBDAQgJCQwLDBgNDRgyIRwhMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjL/wAARCAAIAAoDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQABAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFREBAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCdAB//2Q==';
@@ -23,17 +24,10 @@ libraryController.publishBinder = async (req, res) => {
     }
 
     // Collect all documents from the binder's collections
-    const binderData = {};
-    for (const [entityType, model] of Object.entries(entityModels)) {
-      binderData[entityType] = await model
-        .find({ channel: channelName })
-        .lean()
-        .then(docs => docs.map(doc => {
-          const { _id, __v, ...rest } = doc; // Remove MongoDB-specific fields
-          rest.channel = null; // Replace channel name with null
-          return rest;
-        }));
-    }
+    const binderData = await collectBinderData(channelName);
+    Object.values(binderData).forEach(docs => docs.forEach(doc => {
+      doc.channel = null; // Replace channel name with null
+    }));
 
     // Generate UUID for the artifact file
     const uuid = uuidv4();
@@ -142,14 +136,13 @@ libraryController.voteArtifact = async (req, res) => {
       return res.status(400).json({ message: 'Missing or invalid uuid or vote (up/down)' });
     }
 
-    const artifact = await LibrarySet.findOne({ uuid });
+    const artifact = await LibrarySet
+      .findOneAndUpdate({ uuid }, { $inc: { 'data.votes': vote === 'up' ? 1 : -1 } }, { new: true })
+      .lean();
     if (!artifact) {
       return res.status(404).json({ message: 'Library artifact not found' });
     }
 
-    artifact.data.votes += vote === 'up' ? 1 : -1;
-    await artifact.save();
-
     res.status(200).json({ message: 'Vote recorded', uuid, votes: artifact.data.votes });
   } catch (error) {
     console.error('Error voting on artifact:', error);
@@ -249,12 +242,10 @@ libraryController.deployArtifact = async (req, res) => {
       }
   
       // Increment copies count
-      const artifact = await LibrarySet.findOne({ uuid });
+      const artifact = await LibrarySet.findOneAndUpdate({ uuid }, { $inc: { 'data.copies': 1 } }).lean();
       if (!artifact) {
         return res.status(404).json({ message: 'Library artifact not found in database' });
       }
-      artifact.data.copies += 1;
-      await artifact.save();
   
       res.status(200).json({ message: 'Binder deployed', uuid, channelName });
     } catch (error) {
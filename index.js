@@ -37,6 +37,8 @@ app.use("/api/files", require("./routes/files")); // Add and retrieve files to p
 app.use("/api/healthcheck", require("./routes/healthcheck")); // Healthcheck route
 app.use("/api/models", require("./routes/models")); // Server side defined models
 app.use("/api/library", require("./routes/library")); // Interact with library artifacts
+app.use("/api/audit", require("./routes/audit")); // Binder audit trails
+app.use("/api/binders", require("./routes/binders")); // Read and change binder entities without a socket
 app.use("/api/transcription", require("./routes/transcription")); // Interact with library artifacts
 app.use("/api/textToSpeech", require("./routes/textToSpeech")); // Interact with library artifacts
 
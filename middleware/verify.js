@@ -77,6 +77,36 @@ function createJWT(account, source) {
   return { token, tokenDecoded };
 }
 
+// Function to create a binder invite or access JWT, scoped to a single channel
+function createInviteJWT(channelName, options = {}, source = "binder-invite") {
+  const { role = null, userUuid = null, version = 0, expiresInSeconds = 7 * 24 * 60 * 60 } = options;
+  const tokenDecoded = {
+    channel: channelName,
+    role,
+    ver: version,
+    ...(userUuid ? { sub: userUuid } : {}),
+    aud: "SUPERBINDER-BINDER",
+    iss: source,
+    nbf: Math.floor(Date.now() / 1000),
+    jti: uuidv4(),
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  };
+  const token = jwt.sign(tokenDecoded, process.env.JWT_SECRET);
+  return { token, tokenDecoded };
+}
+
+// Verifies a binder invite or access JWT for a channel, returning the decoded token or false
+const verifyInviteJWT = (token, channelName) => {
+  try {
+    const decodedToken = jwt.verify(token, process.env.JWT_SECRET, { audience: "SUPERBINDER-BINDER" });
+    if (decodedToken.channel !== channelName) return false;
+    return decodedToken;
+  } catch (err) {
+    return false;
+  }
+};
+
 // Middleware to check if the user is an admin
 function isAdmin(req, res, next) {
   const roles = req.tokenDecoded?.roles || [];
@@ -95,4 +125,6 @@ module.exports = {
   isAdmin,
 
   authenticateAndDecode,
+  createInviteJWT,
+  verifyInviteJWT,
 };
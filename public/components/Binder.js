@@ -16,6 +16,8 @@ import { useSections } from "../composables/useSections.js";
 import { useCollaboration } from "../composables/useCollaboration.js";
 import { usePrompts } from "../composables/usePrompts.js";
 import { useConfigs } from "../composables/useConfigs.js";
+import { usePresence } from "../composables/usePresence.js";
+import { usePresenter } from "../composables/usePresenter.js";
 
 import { useTranscriptions } from "../composables/useTranscriptions.js";
 import { useLiveTranscriptions } from "../composables/useLiveTranscriptions.js";
@@ -34,8 +36,21 @@ export default {
       <!-- Session Setup Screen -->
       <session-setup v-if="!sessionReady" @setup-complete="handleSetupComplete" class="flex-1 flex items-center justify-center bg-[#0a0f1e]" />
 
+      <!-- Waiting Room -->
+      <div v-if="sessionReady && waitingRoom" class="flex-1 flex items-center justify-center bg-[#0a0f1e]">
+        <div class="bg-[#1e293b] p-8 rounded-2xl shadow-xl max-w-md w-full text-center space-y-4 border border-[#2d3748]">
+          <i class="pi pi-lock text-3xl text-[#f59e0b]"></i>
+          <h2 class="text-xl font-semibold text-[#e2e8f0]">Waiting to join {{ channelName }}</h2>
+          <p class="text-[#94a3b8]">{{ waitingRoom.message }}</p>
+          <i class="pi pi-spin pi-spinner text-2xl text-[#3b82f6]"></i>
+          <button @click="resetSession" class="w-full py-2 bg-[#2d3748] text-[#e2e8f0] rounded-lg hover:bg-[#4b5563] transition-all">
+            Leave
+          </button>
+        </div>
+      </div>
+
       <!-- Main Interface -->
-      <div v-if="sessionReady && !isSessionRemoved" class="flex flex-col h-full">
+      <div v-if="sessionReady && !waitingRoom && !isSessionRemoved" class="flex flex-col h-full">
         <!-- Tab Bar -->
         <div class="bg-[#0a0f1e] border-b border-[#2d3748] px-4 py-1 flex items-center justify-between">
           <div class="flex overflow-x-auto scrollbar-hide space-x-2">
@@ -49,15 +64,36 @@ export default {
               {{ getTabLabel(tab) }}
             </button>
           </div>
-          <!-- Chat Toggle for Desktop -->
-          <button
-            @click="toggleChat"
-            class="px-4 py-2 bg-[#1e293b] text-[#e2e8f0] rounded-lg font-medium hover:bg-[#2d3748] hover:text-[#34d399] transition-all hidden sm:flex items-center gap-2"
-            :class="{ 'bg-[#3b82f6] text-white': isChatOpen }"
-          >
-            <i class="pi pi-comments text-lg"></i>
-            <span>Chat ({{chatCount || 0}})</span>
-          </button>
+          <div class="flex items-center gap-2">
+            <!-- Presenter -->
+            <div v-if="presenterId" class="flex items-center gap-2 text-sm whitespace-nowrap">
+              <span class="flex items-center gap-1 text-[#f59e0b]">
+                <i class="pi pi-desktop"></i>
+                {{ isPresenter ? 'You are presenting' : presenterName + ' is presenting' }}
+              </span>
+              <button v-if="isPresenter" @click="releasePresenter" class="px-3 py-1 bg-[#ef4444] text-white rounded-lg hover:bg-[#dc2626] transition-all">Stop presenting</button>
+              <button v-else-if="isFollowing" @click="stopFollowing" class="px-3 py-1 bg-[#2d3748] text-[#e2e8f0] rounded-lg hover:bg-[#4b5563] transition-all">Stop following</button>
+              <button v-else @click="startFollowing" class="px-3 py-1 bg-[#3b82f6] text-white rounded-lg hover:bg-[#2563eb] transition-all">Follow</button>
+              <button v-if="isOwner && !isPresenter" @click="claimPresenter" class="px-3 py-1 bg-[#1e293b] text-[#94a3b8] rounded-lg hover:bg-[#2d3748] transition-all">Take over</button>
+            </div>
+            <button
+              v-else
+              @click="claimPresenter"
+              class="px-4 py-2 bg-[#1e293b] text-[#e2e8f0] rounded-lg font-medium hover:bg-[#2d3748] hover:text-[#f59e0b] transition-all hidden sm:flex items-center gap-2"
+            >
+              <i class="pi pi-desktop text-lg"></i>
+              <span>Present</span>
+            </button>
+            <!-- Chat Toggle for Desktop -->
+            <button
+              @click="toggleChat"
+              class="px-4 py-2 bg-[#1e293b] text-[#e2e8f0] rounded-lg font-medium hover:bg-[#2d3748] hover:text-[#34d399] transition-all hidden sm:flex items-center gap-2"
+              :class="{ 'bg-[#3b82f6] text-white': isChatOpen }"
+            >
+              <i class="pi pi-comments text-lg"></i>
+              <span>Chat ({{chatCount || 0}})</span>
+            </button>
+          </div>
         </div>
 
         <!-- Main Content Area -->
@@ -125,6 +161,16 @@ export default {
         </button>
       </div>
 
+      <!-- Throttle and Validation Notice -->
+      <div
+        v-if="serverNotice"
+        class="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 max-w-md px-4 py-2 bg-[#78350f] text-[#fde68a] rounded-lg shadow-lg text-sm flex items-center gap-3"
+      >
+        <i class="pi pi-exclamation-triangle"></i>
+        <span class="flex-1">{{ serverNotice.message }}</span>
+        <button @click="dismissServerNotice" class="text-[#fde68a] hover:text-white"><i class="pi pi-times"></i></button>
+      </div>
+
       <!-- Session Removed Modal -->
       <session-removed
         v-if="isSessionRemoved"
@@ -150,6 +196,11 @@ export default {
       userUuid,
       displayName,
       channelName,
+      waitingRoom,
+      resetSyncCursors,
+      isOwner,
+      lastThrottleError,
+      lastValidationError,
     } = useRealTime();
     const { gatherLocalHistory } = useHistory();
     const { agents, cleanup: cleanupAgents } = useAgents();
@@ -169,7 +220,43 @@ export default {
     const sessionReady = Vue.ref(false);
     const activeTab = Vue.ref("Dashboard");
     const activeDocumentSubTab = Vue.ref("Uploads");
-    const tabs = ["Dashboard", "Sections", "Goals", "Prompts", "Agents", "Q&A", "Collaboration", "Transcriptions", "Live"];
+    const { setPresence } = usePresence();
+    const {
+      presenterId,
+      isPresenter,
+      isFollowing,
+      presenterView,
+      claimPresenter,
+      releasePresenter,
+      startFollowing,
+      stopFollowing,
+      shareView,
+    } = usePresenter();
+
+    const presenterName = Vue.computed(
+      () => activeUsers.value.find((user) => user.memberId === presenterId.value)?.displayName || "Someone"
+    );
+
+    Vue.watch(
+      [activeTab, activeDocumentSubTab],
+      ([tab, subTab]) => {
+        setPresence({ tab, subTab: tab === "Documents" ? subTab : null });
+        shareView({ tab, subTab: tab === "Documents" ? subTab : null });
+      },
+      { immediate: true }
+    );
+
+    // Followers switch tabs with the presenter
+    Vue.watch(
+      [presenterView, isFollowing],
+      ([view, following]) => {
+        if (!following || !view?.tab || !tabs.includes(view.tab)) return;
+        activeTab.value = view.tab;
+        if (view.subTab) activeDocumentSubTab.value = view.subTab;
+      }
+    );
+
+    const tabs = ["Dashboard", "Sections", "Goals", "Prompts", "Agents", "Q&A", "Collaboration", "Transcriptions", "Live", "Activity"];
     const documentSubTabs = ["Uploads", "Viewer", "Bookmarks"];
     const isRoomLocked = Vue.ref(false);
     const isChatOpen = Vue.ref(false);
@@ -208,18 +295,19 @@ export default {
 
     const route = VueRouter.useRoute();
 
-    function handleSetupComplete({ channel, name }) {
+    function handleSetupComplete({ channel, name, password, inviteToken }) {
       if (!isValidChannelName(channel)) {
         console.error("Invalid channel name. Use alphanumeric characters, spaces, underscores, and dashes only.");
         return;
       }
-      connect(channel, name);
+      connect(channel, name, { password, inviteToken });
       sessionReady.value = true;
     }
 
     function resetSession() {
       clearTimeout(disconnectTimeout);
       disconnect();
+      resetSyncCursors();
       sessionStorage.removeItem("userUuid");
       sessionStorage.removeItem("displayName");
       sessionStorage.removeItem("channelName");
@@ -277,6 +365,8 @@ export default {
     }
 
     function updateActiveTab(tab, subTab = null) {
+      // Changing tabs yourself breaks away from the presenter
+      if (isFollowing.value) stopFollowing();
       if (tab === "Chat") {
         toggleChat();
         return;
@@ -333,18 +423,6 @@ export default {
       }
     }
 
-    on("update-tab", (data) => {
-      console.log("Binder received update-tab:", data);
-      if (data && data.tab) {
-        activeTab.value = data.tab;
-        if (data.tab === "Documents" && data.subTab) {
-          activeDocumentSubTab.value = data.subTab;
-        } else if (data.tab !== "Documents") {
-          activeDocumentSubTab.value = "Uploads";
-        }
-      }
-    });
-
     on("error", (errorData) => {
       if (errorData && errorData.message.includes("Failed to save state")) {
         console.error("Upload to cloud failed:", errorData.message);
@@ -360,6 +438,10 @@ export default {
       toggleChat();
     });
 
+    on("join-rejected", () => {
+      sessionReady.value = false;
+    });
+
     on("session-removed", ({ removedBy }) => {
       isSessionRemoved.value = true;
       sessionRemovedBy.value = removedBy;
@@ -384,7 +466,7 @@ export default {
           return;
         }
         console.log("Mounting Binder, loading session...");
-        connect(channelFromUrl, sessionInfo.value.displayName);
+        connect(channelFromUrl, sessionInfo.value.displayName, { inviteToken: route.query.invite });
         sessionReady.value = true;
       }
     });
@@ -395,12 +477,12 @@ export default {
         isMobile.value = window.matchMedia("(max-width: 640px)").matches;
       });
       clearTimeout(disconnectTimeout);
-      off("update-tab");
       off("user-list");
       off("error");
       off("room-lock-toggle");
       off("toggle-chat");
       off("session-removed");
+      off("join-rejected");
       cleanupAgents();
       cleanupChat();
       cleanupDocuments();
@@ -414,6 +496,23 @@ export default {
       cleanupLiveTranscriptions();
     });
 
+    // Messages the server dropped or refused; a throttle notice clears itself once the sender may try again
+    const serverNotice = Vue.computed(() => lastValidationError.value || lastThrottleError.value);
+    let noticeTimer = null;
+
+    function dismissServerNotice() {
+      lastValidationError.value = null;
+      lastThrottleError.value = null;
+    }
+
+    Vue.watch(serverNotice, (notice) => {
+      clearTimeout(noticeTimer);
+      if (notice) {
+        const delay = Math.max(notice.data?.retryAfterMs || 0, 8000);
+        noticeTimer = setTimeout(dismissServerNotice, delay);
+      }
+    });
+
     Vue.watch(isConnected, (connected) => {
       if (!connected && sessionReady.value) {
         console.warn("Connection lost:", connectionError.value);
@@ -433,6 +532,8 @@ export default {
       connectionStatus,
       connectionStatusClass,
       connectionError,
+      serverNotice,
+      dismissServerNotice,
       channelName,
       participantCount,
       isRoomLocked,
@@ -463,8 +564,18 @@ export default {
       prompts,
       messages,
       isSessionRemoved,
+      waitingRoom,
       sessionRemovedBy,
       handleResetSession,
+      presenterId,
+      presenterName,
+      isPresenter,
+      isFollowing,
+      isOwner,
+      claimPresenter,
+      releasePresenter,
+      startFollowing,
+      stopFollowing,
     };
   },
 };
\ No newline at end of file
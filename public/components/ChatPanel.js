@@ -75,7 +75,7 @@ export default {
   emits: ['close', 'update:width'],
   setup(props, { emit }) {
     const { messages, draftMessages, sendMessage, updateDraft, deleteChat, activeUsers } = useChat();
-    const { userUuid: currentUserUuid } = useRealTime();
+    const { userUuid: currentUserUuid, findUser } = useRealTime();
     const draft = Vue.ref('');
     const chatContainer = Vue.ref(null);
     const isAutoScrollEnabled = Vue.ref(true);
@@ -89,7 +89,7 @@ export default {
     });
 
     function getDisplayName(msg) {
-      const user = activeUsers.value.find(user => user.userUuid === msg.userUuid);
+      const user = findUser(msg.userUuid);
       const baseName = user?.displayName || (msg.userUuid.startsWith('agent-') ? 'AI Agent' : 'Unknown');
       return msg.isDraft && msg.displayNameSuffix ? `${baseName} ${msg.displayNameSuffix}` : baseName;
     }
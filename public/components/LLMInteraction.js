@@ -29,6 +29,7 @@ export default {
               <option value="groq">Groq</option>
               <option value="gemini">Gemini</option>
               <option value="xai">xAI</option>
+              <option value="openaiCompatible">OpenAI-compatible (on-prem)</option>
             </select>
           </div>
 
@@ -1,6 +1,9 @@
 // components/LazyScrollViewer.js
+import PresenceAvatars from './PresenceAvatars.js';
+
 export default {
   name: 'LazyScrollViewer',
+  components: { PresenceAvatars },
   props: {
     pages: {
       type: Array,
@@ -14,6 +17,11 @@ export default {
       type: Number,
       default: 0,
     },
+    // Other people on each page, keyed by page index
+    pageViewers: {
+      type: Object,
+      default: () => ({}),
+    },
   },
   emits: ['scroll', 'contextmenu', 'page-visible'],
   setup(props, { emit }) {
@@ -198,8 +206,13 @@ export default {
           class="page-wrapper"
           :data-page-index="page.index"
           :ref="el => setPageRef(el, page.index)"
-          :style="{ height: firstPageHeight ? firstPageHeight + 'px' : 'auto' }"
+          :style="{ height: firstPageHeight ? firstPageHeight + 'px' : 'auto', position: 'relative' }"
         >
+          <presence-avatars
+            v-if="pageViewers[page.index]"
+            :users="pageViewers[page.index]"
+            style="position: absolute; top: 8px; right: 8px; z-index: 10;"
+          />
           <div
             v-if="page.isLoaded"
             v-html="page.html"
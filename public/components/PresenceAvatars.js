@@ -0,0 +1,27 @@
+// components/PresenceAvatars.js
+// Small overlapping initials for the people currently looking at something.
+export default {
+  name: 'PresenceAvatars',
+  props: {
+    users: { type: Array, default: () => [] },
+    max: { type: Number, default: 4 },
+  },
+  setup(props) {
+    const shown = Vue.computed(() => props.users.slice(0, props.max));
+    const hiddenCount = Vue.computed(() => Math.max(0, props.users.length - props.max));
+    const names = Vue.computed(() => props.users.map(user => user.displayName).join(', '));
+    const initial = (user) => (user.displayName || '?').charAt(0).toUpperCase();
+    return { shown, hiddenCount, names, initial };
+  },
+  template: `
+    <span v-if="users.length" class="inline-flex items-center -space-x-1 shrink-0" :title="names">
+      <span
+        v-for="user in shown"
+        :key="user.memberId"
+        :style="{ backgroundColor: user.color }"
+        class="w-5 h-5 rounded-full border border-[#1a2233] text-[10px] leading-[18px] text-center text-white font-semibold"
+      >{{ initial(user) }}</span>
+      <span v-if="hiddenCount" class="w-5 h-5 rounded-full border border-[#1a2233] bg-[#4b5563] text-[10px] leading-[18px] text-center text-white">+{{ hiddenCount }}</span>
+    </span>
+  `,
+};
@@ -3,6 +3,7 @@ import { useSections } from '../composables/useSections.js';
 import { useDocuments } from '../composables/useDocuments.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
 import { useFiles } from '../composables/useFiles.js';
+import { usePresence } from '../composables/usePresence.js';
 import { rasterizePDF } from '../utils/files/processorPDF.js';
 import TreeNode from './TreeNode.js';
 
@@ -14,9 +15,10 @@ export default {
   },
   emits: ['update:selectedKeys', 'update:expandedKeys', 'node-select', 'node-unselect', 'upload-files'],
   setup(props, { emit }) {
-    const { sections, addSection, updateSection, removeSection, reorderSections } = useSections();
+    const { sections, addSection, updateSection, removeSection, reorderSections, lastConflict, clearConflict } = useSections();
     const { documents, updateDocument } = useDocuments();
     const { artifacts, updateArtifact, setSelectedArtifact } = useArtifacts();
+    const { viewersOf } = usePresence();
     const { files, retrieveFiles } = useFiles(); // Remove uploadFiles, retrieveFiles as they're not used here anymore
     const fileInput = Vue.ref(null);
     const draggedNode = Vue.ref(null);
@@ -50,6 +52,7 @@ export default {
             _children: [],
             _checkStatus: props.selectedKeys[doc.id] ? 'checked' : 'unchecked',
             _expanded: false,
+            _viewers: viewersOf(doc.id),
           },
         };
         if (nodeMap.has(sectionId)) {
@@ -69,6 +72,7 @@ export default {
             name: artifact.data.name || `Artifact ${artifact.id.slice(0, 8)}`,
             _children: [],
             _checkStatus: props.selectedKeys[artifact.id] ? 'checked' : 'unchecked',
+            _viewers: viewersOf(artifact.id),
             _expanded: false,
           },
         };
@@ -340,10 +344,16 @@ export default {
       handleRenderFile,
       getFileIcon,
       isLeaf,
+      lastConflict,
+      clearConflict,
     };
   },
   template: `
     <div class="section-tree-viewer text-sm">
+      <div v-if="lastConflict" class="mb-2 p-2 bg-yellow-700 text-white rounded-lg flex items-center justify-between">
+        <span>{{ lastConflict.message }}</span>
+        <button @click="clearConflict" class="ml-2 hover:text-gray-200"><i class="pi pi-times"></i></button>
+      </div>
       <div class="tree-container" @dragover="onDragOver($event, null)" @drop="onDrop($event, null)">
         <TreeNode
           v-for="node in treeNodes"
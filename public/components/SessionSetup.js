@@ -7,7 +7,10 @@ export default {
     <div class="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50">
       <div class="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md">
         <h2 class="text-2xl font-bold text-white mb-4">Create a SuperBinder</h2>
-        <div v-if="errorMessage" class="mb-4 p-2 bg-red-600 text-white rounded-lg">{{ errorMessage }}</div>
+        <div v-if="errorMessage || joinRejection" class="mb-4 p-2 bg-red-600 text-white rounded-lg">{{ errorMessage || joinRejection.message }}</div>
+        <div v-if="inviteToken" class="mb-4 p-2 bg-[#1e3a8a] text-white rounded-lg text-sm">
+          <i class="pi pi-envelope mr-1"></i> You are joining with an invite link.
+        </div>
         <form @submit.prevent="submitSetup">
           <div class="mb-4">
             <label class="block text-gray-300 mb-2">Display Name *</label>
@@ -30,6 +33,17 @@ export default {
               @input="updateChannelName"
             />
           </div>
+          <div v-if="!inviteToken" class="mb-4">
+            <label class="block text-gray-300 mb-2">Binder Password {{ passwordRequired ? '*' : '(optional)' }}</label>
+            <input
+              v-model="password"
+              type="password"
+              class="w-full p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none"
+              :placeholder="passwordRequired ? 'Password for this binder' : 'Protects a new binder, or unlocks a protected one'"
+              :required="passwordRequired"
+              autocomplete="off"
+            />
+          </div>
           <div class="flex gap-2">
             <button
               type="submit"
@@ -68,10 +82,16 @@ export default {
     const channelName = Vue.ref('');
     const channelId = Vue.ref('');
     const errorMessage = Vue.ref('');
+    const password = Vue.ref('');
     const route = VueRouter.useRoute();
     const router = VueRouter.useRouter();
     const { env } = useConfigs();
-    const { connect, on } = useRealTime();
+    const { joinRejection, displayName: savedDisplayName } = useRealTime();
+    const inviteToken = Vue.ref(route.query.invite || '');
+
+    const passwordRequired = Vue.computed(() =>
+      ['password-required', 'invalid-password'].includes(joinRejection.value?.reason)
+    );
 
     // Prepopulate channelName from URL
     Vue.onMounted(() => {
@@ -79,6 +99,12 @@ export default {
       if (channelFromUrl) {
         channelName.value = channelFromUrl.toLowerCase();
       }
+      if (savedDisplayName.value) {
+        displayName.value = savedDisplayName.value;
+      }
+      if (joinRejection.value?.reason === 'invalid-token') {
+        inviteToken.value = '';
+      }
     });
 
     function updateChannelName() {
@@ -96,13 +122,16 @@ export default {
           errorMessage.value = 'Invalid binder name. Use alphanumeric characters, spaces, underscores, and dashes only.';
           return;
         }
+        errorMessage.value = '';
         // Update URL only on form submission
         router.push(`/binder/${channelName.value}`);
-        connect(channelName.value, displayName.value);
         emit('setup-complete', {
           channel: channelName.value,
           name: displayName.value,
+          password: password.value || undefined,
+          inviteToken: inviteToken.value || undefined,
         });
+        password.value = '';
       }
     }
 
@@ -148,6 +177,10 @@ export default {
       displayName,
       channelName,
       errorMessage,
+      password,
+      inviteToken,
+      joinRejection,
+      passwordRequired,
       submitSetup,
       copyLink,
       updateChannelName,
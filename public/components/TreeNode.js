@@ -2,9 +2,11 @@
 import { useSections } from '../composables/useSections.js';
 import { useDocuments } from '../composables/useDocuments.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
+import PresenceAvatars from './PresenceAvatars.js';
 
 export default {
   name: 'TreeNode',
+  components: { PresenceAvatars },
   props: {
     node: {
       type: Object,
@@ -220,6 +222,7 @@ export default {
               class="bg-transparent text-[#e2e8f0] border-b border-[#4b5563] focus:border-[#3b82f6] outline-none flex-1 min-w-0 text-sm"
               placeholder="Rename node"
             />
+            <presence-avatars v-if="node.data._viewers" :users="node.data._viewers" :max="3" />
           </div>
           <div class="absolute bottom-0 left-0 right-12 h-[1px] bg-[#4b5563] z-0"></div>
           <div class="flex gap-1 z-10 action-buttons">
@@ -9,6 +9,7 @@ import ViewerCollaboration from './ViewerCollaboration.js';
 import ViewerPrompts from './ViewerPrompts.js';
 import ViewerTranscriptions from './ViewerTranscriptions.js';
 import ViewerLiveTranscriptions from './ViewerLiveTranscriptions.js';
+import ViewerActivity from './ViewerActivity.js';
 import { useRealTime } from '../composables/useRealTime.js';
 
 export default {
@@ -23,7 +24,8 @@ export default {
     ViewerCollaboration,
     ViewerPrompts,
     ViewerTranscriptions,
-    ViewerLiveTranscriptions
+    ViewerLiveTranscriptions,
+    ViewerActivity
   },
   props: {
     activeTab: {
@@ -118,6 +120,13 @@ export default {
         v-show="activeTab === 'Sections'"
         class="h-full"
       />
+
+      <!-- Activity -->
+      <viewer-activity
+        v-show="activeTab === 'Activity'"
+        :active="activeTab === 'Activity'"
+        class="h-full"
+      />
     </div>
   `,
 };
\ No newline at end of file
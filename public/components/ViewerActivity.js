@@ -0,0 +1,147 @@
+// components/ViewerActivity.js
+import { useActivity } from '../composables/useActivity.js';
+import { useRealTime } from '../composables/useRealTime.js';
+
+const ENTITY_TYPES = ['documents', 'artifacts', 'sections', 'agents', 'goals', 'questions', 'answers', 'chats', 'collabs', 'breakouts', 'prompts', 'transcriptions', 'snapshots', 'webhooks', 'bots', 'retention'];
+const OPERATIONS = ['add', 'update', 'remove', 'restore', 'edit-text', 'reorder', 'vote', 'create-snapshot', 'restore-snapshot', 'delete-snapshot', 'archive', 'unarchive'];
+
+export default {
+  name: 'ViewerActivity',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  template: `
+    <div class="h-full overflow-y-auto p-4">
+      <div class="flex flex-col h-full">
+        <div class="flex flex-wrap gap-2 mb-4 flex-shrink-0">
+          <select :value="filters.userUuid" @change="setFilters({ userUuid: $event.target.value })" class="p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+            <option value="">Everyone</option>
+            <option v-for="user in knownUsers" :key="user.userUuid" :value="user.userUuid">{{ user.displayName }}</option>
+          </select>
+          <select :value="filters.entityType" @change="setFilters({ entityType: $event.target.value, entityId: '' })" class="p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+            <option value="">All types</option>
+            <option v-for="entityType in entityTypes" :key="entityType" :value="entityType">{{ entityType }}</option>
+          </select>
+          <select :value="filters.operation" @change="setFilters({ operation: $event.target.value })" class="p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+            <option value="">All operations</option>
+            <option v-for="operation in operations" :key="operation" :value="operation">{{ operation }}</option>
+          </select>
+          <span v-if="filters.entityId" class="flex items-center gap-2 px-3 py-1 bg-[#1e293b] text-[#e2e8f0] rounded-lg text-sm">
+            Only {{ filters.entityType }} {{ entityFilterLabel }}
+            <button @click="setFilters({ entityId: '' })" class="text-gray-400 hover:text-white"><i class="pi pi-times"></i></button>
+          </span>
+          <button @click="clearFilters" class="py-2 px-3 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm">Clear</button>
+          <button @click="loadActivity()" class="py-2 px-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm" title="Refresh">
+            <i class="pi pi-refresh"></i>
+          </button>
+        </div>
+
+        <p v-if="error" class="mb-2 text-red-500 text-sm flex-shrink-0">{{ error }}</p>
+
+        <div class="flex-1 overflow-y-auto space-y-1">
+          <p v-if="!entries.length && !loading" class="text-gray-400 text-sm">No activity matches these filters.</p>
+          <div v-for="entry in entries" :key="entry.id" class="p-2 bg-gray-700 rounded-lg text-sm flex items-start gap-3">
+            <span class="text-gray-400 text-xs whitespace-nowrap pt-0.5">{{ formatTime(entry.timestamp) }}</span>
+            <div class="min-w-0 flex-1">
+              <button @click="setFilters({ userUuid: entry.userUuid })" class="text-[#34d399] hover:underline">{{ entry.displayName || 'Unknown user' }}</button>
+              <span class="text-gray-300"> {{ describeOperation(entry.operation) }} </span>
+              <span class="text-gray-400">{{ entry.entityType }}</span>
+              <button
+                v-if="entry.entityId"
+                @click="setFilters({ entityType: entry.entityType, entityId: entry.entityId })"
+                class="text-white hover:underline ml-1"
+              >{{ entryLabel(entry) }}</button>
+              <div v-if="entry.changedFields && entry.changedFields.length" class="text-gray-400 text-xs truncate">
+                Changed {{ entry.changedFields.join(', ') }}
+                <span v-if="entry.before && entry.before.label && entry.after && entry.after.label && entry.before.label !== entry.after.label">
+                  · "{{ entry.before.label }}" → "{{ entry.after.label }}"
+                </span>
+                <span v-if="entry.before && entry.after && entry.before.version && entry.after.version">
+                  · v{{ entry.before.version }} → v{{ entry.after.version }}
+                </span>
+              </div>
+            </div>
+          </div>
+          <button
+            v-if="nextBefore"
+            @click="loadActivity(true)"
+            :disabled="loading"
+            class="w-full py-2 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg text-sm"
+          >{{ loading ? 'Loading...' : 'Load older activity' }}</button>
+        </div>
+      </div>
+    </div>
+  `,
+  setup(props) {
+    const { entries, filters, nextBefore, loading, error, loadActivity, setFilters, clearFilters } = useActivity();
+    const { userUuid, findUser } = useRealTime();
+
+    // Ourselves plus anyone named in the loaded entries, under their current display name when they are connected
+    const knownUsers = Vue.computed(() => {
+      const users = new Map([[userUuid.value, findUser(userUuid.value)?.displayName || 'You']]);
+      entries.value.forEach((entry) => {
+        if (entry.userUuid && !users.has(entry.userUuid)) {
+          users.set(entry.userUuid, findUser(entry.userUuid)?.displayName || entry.displayName || entry.userUuid);
+        }
+      });
+      return [...users].map(([userUuid, displayName]) => ({ userUuid, displayName }));
+    });
+
+    const entityFilterLabel = Vue.computed(() => {
+      const entry = entries.value.find(e => e.entityId === filters.value.entityId);
+      return entry ? entryLabel(entry) : filters.value.entityId;
+    });
+
+    const operationLabels = {
+      add: 'added',
+      update: 'changed',
+      remove: 'deleted',
+      restore: 'restored',
+      'edit-text': 'edited the text of',
+      reorder: 'reordered',
+      vote: 'voted on',
+      'create-snapshot': 'took a snapshot',
+      'restore-snapshot': 'restored a snapshot',
+      'delete-snapshot': 'deleted a snapshot',
+      archive: 'archived the binder',
+      unarchive: 'restored the binder from its archive',
+    };
+
+    function describeOperation(operation) {
+      return operationLabels[operation] || operation;
+    }
+
+    function entryLabel(entry) {
+      return entry.after?.label || entry.before?.label || entry.entityId;
+    }
+
+    function formatTime(timestamp) {
+      return new Date(timestamp).toLocaleString();
+    }
+
+    Vue.watch(() => props.active, (active) => {
+      if (active) loadActivity();
+    }, { immediate: true });
+
+    return {
+      entries,
+      filters,
+      nextBefore,
+      loading,
+      error,
+      loadActivity,
+      setFilters,
+      clearFilters,
+      knownUsers,
+      entityFilterLabel,
+      entityTypes: ENTITY_TYPES,
+      operations: OPERATIONS,
+      describeOperation,
+      entryLabel,
+      formatTime,
+    };
+  },
+};
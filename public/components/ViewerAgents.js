@@ -6,6 +6,7 @@ import { useGoals } from '../composables/useGoals.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
 import { useModels } from '../composables/useModels.js';
 import { usePrompts } from '../composables/usePrompts.js'; // Add this import
+import { useCollaboration } from '../composables/useCollaboration.js';
 import SectionPickerModal from './SectionPickerModal.js';
 
 export default {
@@ -92,6 +93,24 @@ export default {
                 </option>
               </select>
             </div>
+            <div>
+              <h3 class="text-gray-300 mb-2">Documents in the Prompt</h3>
+              <select
+                v-model="agentContextStrategy"
+                class="w-full p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none"
+              >
+                <option :value="null">Keep the opening pages of each document</option>
+                <option value="spread">Keep the start of every page</option>
+                <option value="retrieve">Send only the passages that match each message</option>
+              </select>
+              <p v-if="promptEstimate" class="text-sm mt-2" :class="promptEstimate.tokens > promptEstimate.budget ? 'text-red-400' : 'text-gray-400'">
+                Estimated prompt: ~{{ formatTokens(promptEstimate.tokens) }} of {{ formatTokens(promptEstimate.budget) }} tokens
+                ({{ formatTokens(promptEstimate.contextWindow) }} context window), {{ estimateBreakoutName ? 'with the messages in ' + estimateBreakoutName : 'before any chat messages' }}.
+                <span v-if="promptEstimate.truncatedMaterials">{{ promptEstimate.truncatedMaterials }} document(s) cut to fit.</span>
+                <span v-if="promptEstimate.droppedMessages">{{ promptEstimate.droppedMessages }} earlier message(s) left out.</span>
+                <span v-if="promptEstimate.tokens > promptEstimate.budget">The prompts alone are too large for this model.</span>
+              </p>
+            </div>
             <div>
               <h3 class="text-gray-300 mb-2">System Prompts</h3>
               <table class="w-full text-left dark-table">
@@ -122,7 +141,7 @@ export default {
                       </template>
                       <template v-else-if="prompt.type === 'goal'">
                         <select v-model="prompt.content" class="bg-gray-700 text-white rounded-lg p-1 w-full">
-                          <option v-for="goal in goals" :key="goal.id" :value="goal.id">{{ goal.data.text.substring(0, 100) }}...</option>
+                          <option v-for="goal in goals" :key="goal.id" :value="goal.id">{{ (goal.data.text || '').substring(0, 100) }}...</option>
                         </select>
                       </template>
                       <template v-else-if="prompt.type === 'document'">
@@ -188,7 +207,7 @@ export default {
                       </template>
                       <template v-else-if="prompt.type === 'goal'">
                         <select v-model="prompt.content" class="bg-gray-700 text-white rounded-lg p-1 w-full">
-                          <option v-for="goal in goals" :key="goal.id" :value="goal.id">{{ goal.data.text.substring(0, 100) }}...</option>
+                          <option v-for="goal in goals" :key="goal.id" :value="goal.id">{{ (goal.data.text || '').substring(0, 100) }}...</option>
                         </select>
                       </template>
                       <template v-else-if="prompt.type === 'document'">
@@ -258,7 +277,8 @@ export default {
     </div>
   `,
   setup() {
-    const { agents, addAgent, updateAgent, removeAgent, prompts } = useAgents(); // Updated to include prompts
+    const { agents, addAgent, updateAgent, removeAgent, promptEstimate, estimateAgentPrompt, prompts } = useAgents(); // Updated to include prompts
+    const { breakouts, currentBreakoutId } = useCollaboration();
     const { displayName } = useRealTime();
     const { documents } = useDocuments();
     const { goals } = useGoals();
@@ -274,6 +294,7 @@ export default {
     const agentDescription = Vue.ref('');
     const agentImageUrl = Vue.ref('');
     const agentModel = Vue.ref(null);
+    const agentContextStrategy = Vue.ref(null);
     const systemPrompts = Vue.ref([]);
     const userPrompts = Vue.ref([]);
     const nameError = Vue.ref('');
@@ -287,10 +308,9 @@ export default {
     const filteredAgents = Vue.computed(() => {
       if (!filterQuery.value) return agents.value;
       const query = filterQuery.value.toLowerCase();
+      // Agents saved before their data was checked may be missing fields
       return agents.value.filter(agent =>
-        agent.data.name.toLowerCase().includes(query) ||
-        agent.data.description.toLowerCase().includes(query) ||
-        agent.data.createdBy.toLowerCase().includes(query)
+        ['name', 'description', 'createdBy'].some(field => String(agent.data?.[field] || '').toLowerCase().includes(query))
       );
     });
 
@@ -314,8 +334,9 @@ export default {
         agentDescription.value = agent.data.description;
         agentImageUrl.value = agent.data.imageUrl;
         agentModel.value = agent.data.model || null;
-        systemPrompts.value = [...agent.data.systemPrompts];
-        userPrompts.value = [...agent.data.userPrompts];
+        agentContextStrategy.value = agent.data.contextStrategy || null;
+        systemPrompts.value = [...(agent.data.systemPrompts || [])];
+        userPrompts.value = [...(agent.data.userPrompts || [])];
       } else {
         editingAgent.value = null;
         agentId.value = uuidv4();
@@ -323,13 +344,41 @@ export default {
         agentDescription.value = '';
         agentImageUrl.value = '';
         agentModel.value = null;
+        agentContextStrategy.value = null;
         systemPrompts.value = [];
         userPrompts.value = [];
       }
+      promptEstimate.value = null;
       isModalOpen.value = true;
       validateName();
     }
 
+    const estimateBreakoutName = Vue.computed(() => breakouts.value.find(b => b.id === currentBreakoutId.value)?.data.name || '');
+
+    // The estimate follows the modal's fields, once they have stopped changing for a moment
+    let estimateTimer = null;
+    Vue.watch(
+      [isModalOpen, agentName, agentModel, agentContextStrategy, systemPrompts, userPrompts, currentBreakoutId],
+      () => {
+        clearTimeout(estimateTimer);
+        if (!isModalOpen.value || nameError.value) return;
+        estimateTimer = setTimeout(() => {
+          estimateAgentPrompt({
+            name: agentName.value,
+            model: agentModel.value,
+            contextStrategy: agentContextStrategy.value,
+            systemPrompts: systemPrompts.value,
+            userPrompts: userPrompts.value,
+          }, currentBreakoutId.value);
+        }, 500);
+      },
+      { deep: true }
+    );
+
+    function formatTokens(count) {
+      return Number(count || 0).toLocaleString();
+    }
+
     function closeModal() {
       isModalOpen.value = false;
       editingAgent.value = null;
@@ -402,9 +451,9 @@ export default {
     function saveAgent() {
       if (nameError.value) return;
       if (editingAgent.value) {
-        updateAgent(agentId.value, agentName.value, agentDescription.value, agentImageUrl.value, systemPrompts.value, userPrompts.value, agentModel.value);
+        updateAgent(agentId.value, agentName.value, agentDescription.value, agentImageUrl.value, systemPrompts.value, userPrompts.value, agentModel.value, agentContextStrategy.value);
       } else {
-        addAgent(agentName.value, agentDescription.value, agentImageUrl.value, systemPrompts.value, userPrompts.value, agentModel.value);
+        addAgent(agentName.value, agentDescription.value, agentImageUrl.value, systemPrompts.value, userPrompts.value, agentModel.value, agentContextStrategy.value);
       }
       closeModal();
     }
@@ -417,6 +466,7 @@ export default {
 
     Vue.onUnmounted(() => {
       // Cleanup handled by useAgents
+      clearTimeout(estimateTimer);
     });
 
     return {
@@ -437,6 +487,10 @@ export default {
       agentDescription,
       agentImageUrl,
       agentModel,
+      agentContextStrategy,
+      promptEstimate,
+      estimateBreakoutName,
+      formatTokens,
       systemPrompts,
       userPrompts,
       nameError,
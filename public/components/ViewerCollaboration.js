@@ -181,7 +181,7 @@ export default {
                   </button>
 
                   <button
-                    v-if="!msg.isDraft && msg.id && msg.userUuid === currentUserUuid"
+                    v-if="!msg.isDraft && msg.id && (msg.userUuid === currentUserUuid || msg.data.requestedBy === currentUserUuid)"
                     @click.stop="deleteMessage(msg.id)"
                     class="text-red-400 hover:text-red-300 rounded-full bg-gray-700 p-1"
                     title="Delete message"
@@ -199,11 +199,21 @@ export default {
                   'bg-gray-600 opacity-75': msg.isDraft,
                 }"
               >
+                <div v-if="msg.data.toolSteps?.length" class="mb-2 space-y-1">
+                  <details v-for="step in msg.data.toolSteps" :key="step.id" class="bg-gray-900 rounded-lg text-xs text-gray-300">
+                    <summary class="cursor-pointer px-2 py-1 select-none">
+                      <i :class="['pi mr-1', toolStepIcon(step)]"></i>{{ toolStepLabel(step) }}
+                    </summary>
+                    <pre class="px-2 pb-2 whitespace-pre-wrap break-words">{{ formatToolArgs(step.args) }}</pre>
+                    <pre v-if="step.result" class="px-2 pb-2 whitespace-pre-wrap break-words text-gray-400">{{ step.result }}</pre>
+                  </details>
+                </div>
                 <div v-if="msg.data.image" class="message-image">
                   <img :src="'data:image/jpeg;base64,' + msg.data.image" alt="Generated Image" class="max-w-full rounded-lg" />
                   <div  class="text-white mt-2 break-words" v-html="renderMarkdown(msg.data.text)"></div>
                 </div>
                 <div v-else class="text-white message-content break-words" v-html="renderMarkdown(msg.data.text || msg.data.imagePrompt || '')"></div>
+                <div v-if="msg.data.error" class="text-[#fca5a5] text-sm mt-2"><i class="pi pi-exclamation-triangle mr-1"></i>{{ msg.data.error }}</div>
                     <text-to-speech v-if = "msg.data.agentId" :text="msg.data.text" />
 
                 </div>
@@ -268,7 +278,7 @@ export default {
       deleteBreakout,
       activeUsers,
     } = useCollaboration();
-    const { userUuid: currentUserUuid } = useRealTime();
+    const { userUuid: currentUserUuid, findUser } = useRealTime();
     const { agents } = useAgents();
     const { addArtifact } = useArtifacts();
     const draft = Vue.ref('');
@@ -297,8 +307,10 @@ export default {
       if (msg.data.agentId) {
         const agent = agents.value.find(a => a.id === msg.data.agentId);
         return agent ? agent.data.name : 'Unknown Agent';
+      } else if (msg.userUuid?.startsWith('agent-')) {
+        return 'Image Generator';
       } else {
-        const user = activeUsers.value.find(user => user.userUuid === msg.userUuid);
+        const user = findUser(msg.userUuid);
         const baseName = user?.displayName || (msg.userUuid === currentUserUuid.value ? 'You' : 'Unknown');
         return msg.isDraft && msg.displayNameSuffix ? `${baseName} ${msg.displayNameSuffix}` : baseName;
       }
@@ -309,6 +321,31 @@ export default {
       return agent ? (agent.data.imageUrl || `/assets/aiagent${agent.data.placeholderImage || 1}.jpg`) : '/assets/aiagent1.jpg';
     }
 
+    const TOOL_LABELS = {
+      search_documents: 'Searched documents',
+      read_document_page: 'Read a page',
+      create_artifact: 'Created an artifact',
+      add_goal: 'Added a goal',
+      add_question: 'Added a question',
+      answer_question: 'Answered a question',
+      create_section: 'Created a section',
+    };
+
+    function toolStepLabel(step) {
+      const label = TOOL_LABELS[step.name] || step.name;
+      if (step.status === 'running') return `${label}…`;
+      return step.status === 'failed' ? `${label} (failed)` : label;
+    }
+
+    function toolStepIcon(step) {
+      if (step.status === 'running') return 'pi-spin pi-spinner';
+      return step.status === 'failed' ? 'pi-exclamation-triangle text-[#fca5a5]' : 'pi-wrench';
+    }
+
+    function formatToolArgs(args) {
+      return JSON.stringify(args || {}, null, 2);
+    }
+
     function formatTime(timestamp) {
       return timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'Invalid Date';
     }
@@ -563,6 +600,9 @@ export default {
       redoMessage,
       agents,
       getAgentAvatar,
+      toolStepLabel,
+      toolStepIcon,
+      formatToolArgs,
       renderMarkdown,
       appendAgentName,
       sidebarVisible,
@@ -13,6 +13,12 @@ import { usePrompts } from '../composables/usePrompts.js';
 import { useTranscriptions } from '../composables/useTranscriptions.js';
 import { useLiveTranscriptions } from '../composables/useLiveTranscriptions.js';
 import { useLibrary } from '../composables/useLibrary.js';
+import { useConfigs } from '../composables/useConfigs.js';
+import { usePresence } from '../composables/usePresence.js';
+import { useTrash } from '../composables/useTrash.js';
+import { useSnapshots } from '../composables/useSnapshots.js';
+import { useWebhooks } from '../composables/useWebhooks.js';
+import { useBots } from '../composables/useBots.js';
 
 export default {
   name: 'ViewerDashboard',
@@ -35,15 +41,48 @@ export default {
           <button @click="openPublishModal" class="p-2 bg-[#3b82f6] hover:bg-[#2563eb] text-white rounded-lg text-sm" title="Publish Binder as Template">
             Publish to Library
           </button>
-          <button @click="toggleRoomLock" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Toggle Room Lock">
+          <button @click="openSnapshotModal" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Snapshots">
+            <i class="pi pi-history text-xl"></i>
+          </button>
+          <button @click="openTrashModal" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Trash">
+            <i class="pi pi-undo text-xl"></i>
+          </button>
+          <button v-if="isOwner" @click="openWebhookModal" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Webhooks">
+            <i class="pi pi-send text-xl"></i>
+          </button>
+          <button v-if="isOwner" @click="openAccessModal" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Binder Access and Invites">
+            <i :class="binderAccess.protected ? 'pi pi-shield text-[#34d399]' : 'pi pi-shield'" class="text-xl"></i>
+          </button>
+          <button v-if="isOwner" @click="toggleRoomLock" class="p-2 text-[#e2e8f0] hover:text-[#34d399] transition-colors" title="Toggle Room Lock">
             <i :class="isRoomLocked ? 'pi pi-lock' : 'pi pi-unlock'" class="text-xl"></i>
           </button>
-          <button @click="removeChannel" class="p-2 text-[#e2e8f0] hover:text-[#ef4444] transition-colors" title="Remove Binder">
+          <button v-if="isOwner" @click="removeChannel" class="p-2 text-[#e2e8f0] hover:text-[#ef4444] transition-colors" title="Remove Binder">
             <i class="pi pi-trash text-xl"></i>
           </button>
         </div>
       </div>
 
+      <!-- Permission Errors -->
+      <div v-if="lastPermissionError" class="mx-4 mb-4 p-2 bg-[#7f1d1d] text-[#fecaca] rounded-lg text-sm flex items-center justify-between">
+        <span>{{ lastPermissionError.message }}</span>
+        <button @click="lastPermissionError = null" class="text-[#fecaca] hover:text-white"><i class="pi pi-times"></i></button>
+      </div>
+
+      <!-- Waiting Room Requests -->
+      <div v-if="canEdit && joinRequests.length" class="mx-4 mb-4 p-3 bg-[#1a2233] border border-[#f59e0b] rounded-xl space-y-2">
+        <div class="flex items-center gap-2 text-sm text-[#f59e0b]">
+          <i class="pi pi-lock"></i>
+          <span>Waiting to join ({{ joinRequests.length }})</span>
+        </div>
+        <div v-for="request in joinRequests" :key="request.userUuid" class="flex items-center justify-between gap-2">
+          <span class="text-[#e2e8f0] text-sm truncate">{{ request.displayName }} wants to join</span>
+          <div class="flex gap-2">
+            <button @click="admitJoin(request.userUuid)" class="px-3 py-1 bg-[#10b981] text-white text-xs rounded-lg hover:bg-[#059669] transition-all">Admit</button>
+            <button @click="denyJoin(request.userUuid)" class="px-3 py-1 bg-[#ef4444] text-white text-xs rounded-lg hover:bg-[#dc2626] transition-all">Deny</button>
+          </div>
+        </div>
+      </div>
+
       <!-- Main Content -->
       <div class="flex-1 overflow-y-auto custom-scrollbar px-4">
         <div class="grid grid-cols-1 lg:grid-cols-[minmax(300px,1fr)_minmax(0,3fr)] gap-4 h-[calc(100%-100px)]">
@@ -54,10 +93,36 @@ export default {
               <h2 class="text-base font-semibold text-[#e2e8f0]">Users in Room</h2>
             </div>
             <p class="text-2xl font-bold text-[#34d399] mb-3">{{ userCount }}</p>
+            <div v-if="isOwner" class="flex items-center justify-between gap-2 mb-3 text-sm">
+              <label class="text-[#94a3b8]">New members join as</label>
+              <select
+                :value="defaultRole"
+                @change="setDefaultRole($event.target.value)"
+                class="p-1 bg-[#2d3748] text-[#e2e8f0] rounded-lg border border-[#4b5563] focus:outline-none"
+              >
+                <option v-for="role in assignableDefaultRoles" :key="role" :value="role">{{ roleLabel(role) }}</option>
+              </select>
+            </div>
             <ul class="space-y-2 max-h-[calc(100%-100px)] overflow-y-auto custom-scrollbar">
-              <li v-for="(user, uuid) in activeUsers" :key="uuid" class="flex items-center gap-2 p-2 hover:bg-[#2d3748] rounded-lg transition-colors cursor-pointer">
-                <span :style="{ backgroundColor: user?.color }" class="w-4 h-4 rounded-full inline-block"></span>
-                <span class="text-[#e2e8f0] text-sm">{{ user.displayName }}</span>
+              <li v-for="user in activeUsers" :key="user.memberId" class="flex items-center gap-2 p-2 hover:bg-[#2d3748] rounded-lg transition-colors cursor-pointer">
+                <img v-if="user.avatar" :src="user.avatar" :style="{ borderColor: user?.color }" class="w-5 h-5 rounded-full border object-cover" alt="" />
+                <span v-else :style="{ backgroundColor: user?.color }" class="w-4 h-4 rounded-full inline-block"></span>
+                <div class="flex-1 min-w-0">
+                  <div class="text-[#e2e8f0] text-sm truncate">
+                    {{ user.displayName }}
+                    <span v-if="user.bot" class="ml-1 px-1.5 py-0.5 bg-[#4338ca] text-[#e0e7ff] text-[10px] font-semibold rounded">BOT</span>
+                  </div>
+                  <div v-if="describePresence(user.memberId)" class="text-[#94a3b8] text-xs truncate">{{ describePresence(user.memberId) }}</div>
+                </div>
+                <select
+                  v-if="isOwner"
+                  :value="user.role"
+                  @change="setUserRole(user.memberId, $event.target.value)"
+                  class="p-1 bg-[#2d3748] text-[#e2e8f0] text-xs rounded-lg border border-[#4b5563] focus:outline-none"
+                >
+                  <option v-for="role in roles" :key="role" :value="role" :disabled="user.bot && role === 'owner'">{{ roleLabel(role) }}</option>
+                </select>
+                <span v-else class="px-2 py-0.5 bg-[#2d3748] text-[#94a3b8] text-xs rounded-full">{{ roleLabel(user.role) }}</span>
               </li>
               <li v-if="userCount === 0" class="text-[#94a3b8] text-sm">No users currently in the room.</li>
             </ul>
@@ -189,6 +254,275 @@ export default {
         </div>
       </div>
 
+      <!-- Access Modal -->
+      <div v-if="isAccessModalOpen" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div class="bg-gray-800 p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+          <h2 class="text-lg font-semibold text-purple-400 mb-4">Binder Access</h2>
+          <div class="space-y-4">
+            <div>
+              <label class="block text-gray-300 mb-2 text-sm">
+                Password {{ binderAccess.hasPassword ? '(set)' : '(not set)' }}
+              </label>
+              <div class="flex gap-2">
+                <input
+                  v-model="accessPassword"
+                  type="password"
+                  autocomplete="new-password"
+                  class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none"
+                  placeholder="New binder password"
+                />
+                <button @click="savePassword" :disabled="!accessPassword" class="py-2 px-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-lg text-sm">Set</button>
+                <button v-if="binderAccess.hasPassword" @click="clearPassword" class="py-2 px-3 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm">Clear</button>
+              </div>
+            </div>
+            <label class="flex items-center gap-2 text-gray-300 text-sm">
+              <input type="checkbox" :checked="binderAccess.inviteOnly" @change="updateBinderAccess({ inviteOnly: $event.target.checked })" />
+              Invite only (joining requires an invite link)
+            </label>
+            <div class="border-t border-gray-700 pt-4">
+              <h3 class="text-sm font-semibold text-gray-300 mb-2">Invite Link</h3>
+              <div class="flex gap-2 mb-2">
+                <select v-model="inviteRole" class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+                  <option value="">Default role</option>
+                  <option v-for="role in assignableDefaultRoles" :key="role" :value="role">{{ roleLabel(role) }}</option>
+                </select>
+                <select v-model.number="inviteExpiresInHours" class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+                  <option :value="1">Expires in 1 hour</option>
+                  <option :value="24">Expires in 1 day</option>
+                  <option :value="168">Expires in 7 days</option>
+                  <option :value="720">Expires in 30 days</option>
+                </select>
+              </div>
+              <button @click="generateInvite" class="w-full py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm">Create Invite Link</button>
+              <div v-if="inviteLink" class="mt-2 flex gap-2">
+                <input :value="inviteLink" readonly class="flex-1 p-2 bg-gray-700 text-gray-300 rounded-lg border border-gray-600 text-xs" />
+                <button @click="copyInviteLink" class="py-2 px-3 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm"><i class="pi pi-copy"></i></button>
+              </div>
+              <button @click="updateBinderAccess({ revokeInvites: true })" class="mt-2 w-full py-2 bg-gray-700 hover:bg-gray-600 text-[#fca5a5] rounded-lg text-sm">
+                Revoke All Invite Links
+              </button>
+            </div>
+            <div class="border-t border-gray-700 pt-4">
+              <h3 class="text-sm font-semibold text-gray-300 mb-1">Bots</h3>
+              <p class="text-gray-400 text-xs mb-2">Bots join with an API token, over the socket or the REST API, and act with their own role.</p>
+              <div class="flex gap-2 mb-2">
+                <input v-model="botName" class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm" placeholder="Bot name" />
+                <input v-model="botColor" type="color" class="w-10 h-10 p-1 bg-gray-700 rounded-lg border border-gray-600" title="Color" />
+              </div>
+              <div class="flex gap-2 mb-2">
+                <input v-model="botAvatar" class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm" placeholder="Avatar image URL (optional)" />
+                <select v-model="botRole" class="p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none text-sm">
+                  <option v-for="role in assignableDefaultRoles" :key="role" :value="role">{{ roleLabel(role) }}</option>
+                </select>
+              </div>
+              <button @click="saveBot" :disabled="!botName.trim()" class="w-full py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-lg text-sm">Create Bot</button>
+              <div v-if="newBotToken" class="mt-2 p-2 bg-[#064e3b] text-[#a7f3d0] rounded-lg text-sm">
+                <div class="flex justify-between items-start gap-2">
+                  <span>API token for {{ newBotToken.displayName }}. Copy it now; it will not be shown again.</span>
+                  <button @click="copyBotToken" class="text-[#a7f3d0] hover:text-white"><i class="pi pi-copy"></i></button>
+                </div>
+                <code class="block mt-1 break-all text-xs">{{ newBotToken.token }}</code>
+              </div>
+              <div class="mt-2 space-y-2">
+                <div v-for="bot in bots" :key="bot.userUuid" class="flex items-center gap-2 p-2 bg-gray-700 rounded-lg">
+                  <img v-if="bot.avatar" :src="bot.avatar" class="w-5 h-5 rounded-full object-cover" alt="" />
+                  <span v-else :style="{ backgroundColor: bot.color }" class="w-4 h-4 rounded-full inline-block"></span>
+                  <div class="flex-1 min-w-0">
+                    <div class="text-white text-sm truncate">{{ bot.displayName }}</div>
+                    <div class="text-gray-400 text-xs">{{ roleLabel(bot.role) }} · token expires {{ new Date(bot.tokenExpiresAt).toLocaleDateString() }}</div>
+                  </div>
+                  <button @click="rotateBot(bot)" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">New Token</button>
+                  <button @click="deleteBot(bot)" class="py-1 px-2 text-[#fca5a5] hover:text-[#ef4444] text-xs"><i class="pi pi-trash"></i></button>
+                </div>
+              </div>
+            </div>
+            <div class="border-t border-gray-700 pt-4">
+              <h3 class="text-sm font-semibold text-gray-300 mb-1">Retention</h3>
+              <p class="text-gray-400 text-xs mb-2">Days since anyone last joined. Archived binders are restored when someone joins; deleted binders are gone for good. Leave empty for the server default, or enter 0 for never.</p>
+              <div class="flex gap-2 mb-2">
+                <label class="flex-1 text-gray-300 text-xs">
+                  Archive after
+                  <input v-model="retentionArchiveDays" type="number" min="0" step="1" class="mt-1 w-full p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm" :placeholder="retentionPlaceholder(binderRetention.defaults.archiveAfterDays)" />
+                </label>
+                <label class="flex-1 text-gray-300 text-xs">
+                  Delete after
+                  <input v-model="retentionExpireDays" type="number" min="0" step="1" class="mt-1 w-full p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm" :placeholder="retentionPlaceholder(binderRetention.defaults.expireAfterDays)" />
+                </label>
+              </div>
+              <button @click="saveRetention" class="w-full py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm">Save Retention</button>
+            </div>
+          </div>
+          <div class="mt-4 flex justify-end">
+            <button @click="closeAccessModal" class="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded-lg">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Trash Modal -->
+      <div v-if="isTrashModalOpen" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div class="bg-gray-800 p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+          <h2 class="text-lg font-semibold text-purple-400 mb-1">Trash</h2>
+          <p v-if="retentionDays" class="text-gray-400 text-xs mb-4">Deleted items are kept for {{ retentionDays }} days, then removed for good.</p>
+          <div class="flex-1 overflow-y-auto space-y-2">
+            <p v-if="isTrashLoading" class="text-gray-400 text-sm">Loading...</p>
+            <p v-else-if="!trashItems.length" class="text-gray-400 text-sm">The Trash is empty.</p>
+            <div
+              v-for="item in trashItems"
+              :key="item.entityType + ':' + item.id"
+              class="flex items-center justify-between gap-3 p-2 bg-gray-700 rounded-lg"
+            >
+              <div class="min-w-0">
+                <div class="text-white text-sm truncate">{{ item.label || 'Untitled' }}</div>
+                <div class="text-gray-400 text-xs">
+                  {{ trashTypeLabel(item.entityType) }} · deleted by {{ userName(item.deletedBy) }} {{ formatTime(item.deletedAt) }}
+                  · purged in {{ daysUntilPurge(item) }} days
+                </div>
+              </div>
+              <button
+                v-if="canEdit"
+                @click="restoreItem(item)"
+                class="py-1 px-3 bg-[#10b981] hover:bg-[#059669] text-white text-xs rounded-lg shrink-0"
+              >Restore</button>
+            </div>
+          </div>
+          <div class="mt-4 flex justify-end">
+            <button @click="isTrashModalOpen = false" class="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded-lg">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Snapshots Modal -->
+      <div v-if="isSnapshotModalOpen" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div class="bg-gray-800 p-6 rounded-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+          <h2 class="text-lg font-semibold text-purple-400 mb-4">Snapshots</h2>
+          <div v-if="canEdit" class="flex gap-2 mb-4">
+            <input
+              v-model="snapshotName"
+              @keyup.enter="takeSnapshot"
+              type="text"
+              class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm"
+              placeholder="Snapshot name, e.g. Before agent run"
+            />
+            <button @click="takeSnapshot" class="py-2 px-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm">Take Snapshot</button>
+          </div>
+          <div v-if="lastRestore" class="mb-4 p-2 bg-[#064e3b] text-[#a7f3d0] rounded-lg text-sm">
+            <template v-if="lastRestore.channelName === channelName">Restored "{{ lastRestore.name }}" into this binder.</template>
+            <template v-else>
+              Restored "{{ lastRestore.name }}" as
+              <a :href="binderLink(lastRestore.channelName)" target="_blank" class="underline">{{ lastRestore.channelName }}</a>.
+            </template>
+          </div>
+          <div class="flex-1 overflow-y-auto space-y-2">
+            <p v-if="!snapshots.length" class="text-gray-400 text-sm">No snapshots yet.</p>
+            <div v-for="snapshot in snapshots" :key="snapshot.id" class="p-2 bg-gray-700 rounded-lg">
+              <div class="flex items-center justify-between gap-3">
+                <div class="min-w-0">
+                  <div class="text-white text-sm truncate">{{ snapshot.name }}</div>
+                  <div class="text-gray-400 text-xs">
+                    {{ formatTime(snapshot.timestamp) }}<span v-if="snapshot.displayName"> · by {{ snapshot.displayName }}</span>
+                    · {{ describeCounts(snapshot.counts) }}<span v-if="snapshot.fileCount"> · {{ snapshot.fileCount }} files</span>
+                  </div>
+                </div>
+                <div class="flex gap-1 shrink-0">
+                  <button @click="diffSnapshot(snapshot.id)" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">Compare</button>
+                  <template v-if="canEdit">
+                    <button @click="restoreHere(snapshot)" class="py-1 px-2 bg-[#10b981] hover:bg-[#059669] text-white text-xs rounded-lg">Restore</button>
+                    <button @click="restoreAsNew(snapshot)" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">Restore as New</button>
+                    <button @click="removeSnapshot(snapshot)" class="py-1 px-2 text-[#fca5a5] hover:text-[#ef4444] text-xs"><i class="pi pi-trash"></i></button>
+                  </template>
+                </div>
+              </div>
+              <div v-if="snapshotDiff && snapshotDiff.snapshotId === snapshot.id" class="mt-2 p-2 bg-gray-800 rounded-lg text-xs space-y-1">
+                <div class="flex items-center justify-between text-gray-300">
+                  <span>Changes since this snapshot</span>
+                  <button @click="clearSnapshotDiff" class="text-gray-400 hover:text-white"><i class="pi pi-times"></i></button>
+                </div>
+                <p v-if="!Object.keys(snapshotDiff.diff).length" class="text-gray-400">Nothing has changed.</p>
+                <div v-for="(changes, entityType) in snapshotDiff.diff" :key="entityType">
+                  <div class="text-gray-300 font-semibold">{{ entityType }}</div>
+                  <div v-for="entry in changes.added" :key="'a' + entry.id" class="text-[#34d399]">+ {{ entry.label || entry.id }}</div>
+                  <div v-for="entry in changes.removed" :key="'r' + entry.id" class="text-[#f87171]">- {{ entry.label || entry.id }}</div>
+                  <div v-for="entry in changes.changed" :key="'c' + entry.id" class="text-[#fbbf24]">~ {{ entry.label || entry.id }}</div>
+                </div>
+              </div>
+            </div>
+          </div>
+          <div class="mt-4 flex justify-end">
+            <button @click="isSnapshotModalOpen = false" class="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded-lg">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Webhooks Modal -->
+      <div v-if="isWebhookModalOpen" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div class="bg-gray-800 p-6 rounded-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+          <h2 class="text-lg font-semibold text-purple-400 mb-1">Webhooks</h2>
+          <p class="text-gray-400 text-xs mb-4">Binder events are POSTed as JSON, signed with the webhook's secret in the X-Superbinder-Signature header.</p>
+          <div class="flex gap-2 mb-2">
+            <input
+              v-model="webhookUrl"
+              type="url"
+              class="flex-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none text-sm"
+              placeholder="https://example.com/hooks/binder"
+            />
+            <button
+              @click="saveWebhook"
+              :disabled="!webhookUrl.trim() || !webhookEventSelection.length"
+              class="py-2 px-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm disabled:opacity-50"
+            >Add Webhook</button>
+          </div>
+          <div class="mb-4 p-2 bg-gray-700 rounded-lg max-h-32 overflow-y-auto grid grid-cols-3 gap-1 text-xs text-gray-300">
+            <label class="flex items-center gap-1 col-span-3 text-white">
+              <input type="checkbox" value="*" v-model="webhookEventSelection" /> All events
+            </label>
+            <label v-for="event in webhookEvents" :key="event" class="flex items-center gap-1">
+              <input type="checkbox" :value="event" v-model="webhookEventSelection" :disabled="webhookEventSelection.includes('*')" /> {{ event }}
+            </label>
+          </div>
+          <div v-if="newWebhookSecret" class="mb-4 p-2 bg-[#064e3b] text-[#a7f3d0] rounded-lg text-sm">
+            <div class="flex items-center justify-between">
+              <span>Signing secret for {{ newWebhookSecret.url }}. Copy it now; it will not be shown again.</span>
+              <button @click="clearNewSecret" class="text-[#a7f3d0] hover:text-white"><i class="pi pi-times"></i></button>
+            </div>
+            <code class="block mt-1 break-all text-xs">{{ newWebhookSecret.secret }}</code>
+          </div>
+          <div class="flex-1 overflow-y-auto space-y-2">
+            <p v-if="!webhooks.length" class="text-gray-400 text-sm">No webhooks yet.</p>
+            <div v-for="webhook in webhooks" :key="webhook.id" class="p-2 bg-gray-700 rounded-lg">
+              <div class="flex items-center justify-between gap-3">
+                <div class="min-w-0">
+                  <div class="text-sm truncate" :class="webhook.active ? 'text-white' : 'text-gray-400 line-through'">{{ webhook.url }}</div>
+                  <div class="text-gray-400 text-xs truncate">{{ webhook.events.includes('*') ? 'All events' : webhook.events.join(', ') }}</div>
+                </div>
+                <div class="flex gap-1 shrink-0">
+                  <button @click="updateWebhook(webhook.id, { active: !webhook.active })" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">{{ webhook.active ? 'Pause' : 'Resume' }}</button>
+                  <button @click="loadDeliveries(webhook.id)" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">Deliveries</button>
+                  <button @click="rotateWebhookSecret(webhook)" class="py-1 px-2 bg-gray-600 hover:bg-gray-500 text-white text-xs rounded-lg">New Secret</button>
+                  <button @click="deleteWebhook(webhook)" class="py-1 px-2 text-[#fca5a5] hover:text-[#ef4444] text-xs"><i class="pi pi-trash"></i></button>
+                </div>
+              </div>
+              <div v-if="deliveriesFor === webhook.id" class="mt-2 p-2 bg-gray-800 rounded-lg text-xs space-y-1">
+                <div class="flex items-center justify-between text-gray-300">
+                  <span>Recent deliveries</span>
+                  <button @click="loadDeliveries(webhook.id)" class="text-gray-400 hover:text-white" title="Refresh"><i class="pi pi-refresh"></i></button>
+                </div>
+                <p v-if="!deliveries.length" class="text-gray-400">Nothing has been sent yet.</p>
+                <div v-for="delivery in deliveries" :key="delivery.id" class="flex justify-between gap-2">
+                  <span class="text-gray-300 truncate">{{ formatTime(delivery.timestamp) }} · {{ delivery.event }}</span>
+                  <span :class="{ 'text-[#34d399]': delivery.status === 'delivered', 'text-[#f87171]': delivery.status === 'failed', 'text-[#fbbf24]': delivery.status === 'pending' }" class="shrink-0">
+                    {{ delivery.status }}<span v-if="delivery.responseStatus"> ({{ delivery.responseStatus }})</span>
+                    · {{ delivery.attempts }} {{ delivery.attempts === 1 ? 'attempt' : 'attempts' }}<span v-if="delivery.error && delivery.status !== 'delivered'"> · {{ delivery.error }}</span>
+                  </span>
+                </div>
+              </div>
+            </div>
+          </div>
+          <div class="mt-4 flex justify-end">
+            <button @click="closeWebhookModal" class="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded-lg">Close</button>
+          </div>
+        </div>
+      </div>
+
       <!-- Publish Modal -->
       <div v-if="isPublishModalOpen" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
         <div class="bg-gray-800 p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
@@ -218,7 +552,30 @@ export default {
     </div>
   `,
   setup(props) {
-    const { activeUsers, channelName, isRoomLocked, emit, userUuid } = useRealTime();
+    const {
+      activeUsers,
+      findUser,
+      channelName,
+      isRoomLocked,
+      emit,
+      userUuid,
+      isOwner,
+      canEdit,
+      defaultRole,
+      lastPermissionError,
+      joinRequests,
+      admitJoin,
+      denyJoin,
+      setUserRole,
+      setDefaultRole,
+      binderAccess,
+      lastInvite,
+      updateBinderAccess,
+      binderRetention,
+      updateBinderRetention,
+      createInvite,
+    } = useRealTime();
+    const { env } = useConfigs();
     const { sections } = useSections();
     const { goals } = useGoals();
     const { agents } = useAgents();
@@ -231,10 +588,244 @@ export default {
     const { transcriptions } = useTranscriptions();
     const { liveTranscriptions } = useLiveTranscriptions();
     const { libraryArtifacts, loading: libraryLoading, error: libraryError, publishBinder } = useLibrary();
+    const { presence } = usePresence();
+    const {
+      snapshots,
+      snapshotDiff,
+      lastRestore,
+      loadSnapshots,
+      createSnapshot,
+      diffSnapshot,
+      restoreSnapshot,
+      deleteSnapshot,
+      clearSnapshotDiff,
+    } = useSnapshots();
+    const { trashItems, retentionDays, isLoading: isTrashLoading, loadTrash, restoreItem, daysUntilPurge } = useTrash();
+    const {
+      webhooks,
+      webhookEvents,
+      deliveries,
+      deliveriesFor,
+      newSecret: newWebhookSecret,
+      loadWebhooks,
+      addWebhook,
+      updateWebhook,
+      removeWebhook,
+      loadDeliveries,
+      clearNewSecret,
+    } = useWebhooks();
+    const { bots, newBotToken, loadBots, createBot, rotateBotToken, removeBot, clearNewBotToken } = useBots();
+
+    // Where a user is, e.g. "Sections · Contract.pdf · page 12"
+    function describePresence(memberId) {
+      const current = presence.value[memberId];
+      if (!current) return '';
+      const parts = [];
+      if (current.tab) parts.push(current.subTab ? `${current.tab} / ${current.subTab}` : current.tab);
+      if (current.entityId) {
+        const items = current.entityType === 'documents' ? documents.value : artifacts.value;
+        const item = items.find(i => i.id === current.entityId);
+        parts.push(item?.data?.name || 'Untitled');
+        if (Number.isInteger(current.page)) parts.push(`page ${current.page + 1}`);
+      }
+      return parts.join(' · ');
+    }
 
     const userCount = Vue.computed(() => Object.keys(activeUsers.value).length);
     const participantCount = Vue.computed(() => userCount.value);
 
+    const roles = ['owner', 'editor', 'commenter', 'viewer'];
+    const assignableDefaultRoles = ['editor', 'commenter', 'viewer'];
+
+    function roleLabel(role) {
+      return role ? role.charAt(0).toUpperCase() + role.slice(1) : '';
+    }
+
+    const isAccessModalOpen = Vue.ref(false);
+    const accessPassword = Vue.ref('');
+    const inviteRole = Vue.ref('');
+    const inviteExpiresInHours = Vue.ref(168);
+
+    const inviteLink = Vue.computed(() =>
+      lastInvite.value ? `${env.value.API_URL}/binder/${encodeURIComponent(channelName.value)}?invite=${lastInvite.value.token}` : ''
+    );
+
+    function openAccessModal() {
+      isAccessModalOpen.value = true;
+      accessPassword.value = '';
+      lastInvite.value = null;
+      retentionArchiveDays.value = binderRetention.value.archiveAfterDays ?? '';
+      retentionExpireDays.value = binderRetention.value.expireAfterDays ?? '';
+      loadBots();
+    }
+
+    function closeAccessModal() {
+      isAccessModalOpen.value = false;
+      clearNewBotToken();
+    }
+
+    function savePassword() {
+      updateBinderAccess({ password: accessPassword.value });
+      accessPassword.value = '';
+    }
+
+    function clearPassword() {
+      updateBinderAccess({ password: null });
+    }
+
+    function generateInvite() {
+      createInvite(inviteRole.value || null, inviteExpiresInHours.value);
+    }
+
+    function copyInviteLink() {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(inviteLink.value).catch(err => console.error('Clipboard API error:', err));
+      }
+    }
+
+    const retentionArchiveDays = Vue.ref('');
+    const retentionExpireDays = Vue.ref('');
+
+    function retentionPlaceholder(days) {
+      return days ? `Default: ${days} days` : 'Default: never';
+    }
+
+    // Empty fields go back to the server default
+    function saveRetention() {
+      const days = value => (value === '' || value === null ? null : Number(value));
+      updateBinderRetention({ archiveAfterDays: days(retentionArchiveDays.value), expireAfterDays: days(retentionExpireDays.value) });
+    }
+
+    const botName = Vue.ref('');
+    const botColor = Vue.ref('#6366f1');
+    const botAvatar = Vue.ref('');
+    const botRole = Vue.ref('editor');
+
+    function saveBot() {
+      createBot({ displayName: botName.value.trim(), color: botColor.value, avatar: botAvatar.value.trim() || null, role: botRole.value });
+      botName.value = '';
+      botAvatar.value = '';
+    }
+
+    function rotateBot(bot) {
+      if (confirm(`Issue a new token for ${bot.displayName}? Its current token stops working and it is disconnected.`)) {
+        rotateBotToken(bot.userUuid);
+      }
+    }
+
+    function deleteBot(bot) {
+      if (confirm(`Remove the bot ${bot.displayName}? Its token stops working and it is disconnected.`)) removeBot(bot.userUuid);
+    }
+
+    function copyBotToken() {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(newBotToken.value.token).catch(err => console.error('Clipboard API error:', err));
+      }
+    }
+
+    const isTrashModalOpen = Vue.ref(false);
+    const trashTypeLabels = {
+      documents: 'Document',
+      artifacts: 'Artifact',
+      agents: 'Agent',
+      goals: 'Goal',
+      questions: 'Question',
+      chats: 'Chat message',
+      sections: 'Section',
+      breakouts: 'Breakout',
+    };
+
+    function openTrashModal() {
+      isTrashModalOpen.value = true;
+      loadTrash();
+    }
+
+    function trashTypeLabel(entityType) {
+      return trashTypeLabels[entityType] || entityType;
+    }
+
+    function userName(uuid) {
+      return findUser(uuid)?.displayName || 'someone';
+    }
+
+    function formatTime(timestamp) {
+      return new Date(timestamp).toLocaleString();
+    }
+
+    const isSnapshotModalOpen = Vue.ref(false);
+    const snapshotName = Vue.ref('');
+
+    function openSnapshotModal() {
+      isSnapshotModalOpen.value = true;
+      lastRestore.value = null;
+      clearSnapshotDiff();
+      loadSnapshots();
+    }
+
+    function takeSnapshot() {
+      createSnapshot(snapshotName.value);
+      snapshotName.value = '';
+    }
+
+    function restoreHere(snapshot) {
+      if (confirm(`Restore "${snapshot.name}"? Everything in this binder will be replaced for everyone.`)) {
+        restoreSnapshot(snapshot.id);
+      }
+    }
+
+    function restoreAsNew(snapshot) {
+      const target = prompt('Name of the new binder', `${channelName.value}-restored`);
+      if (target && target.trim()) restoreSnapshot(snapshot.id, target.trim());
+    }
+
+    function removeSnapshot(snapshot) {
+      if (confirm(`Delete snapshot "${snapshot.name}"?`)) deleteSnapshot(snapshot.id);
+    }
+
+    const isWebhookModalOpen = Vue.ref(false);
+    const webhookUrl = Vue.ref('');
+    const webhookEventSelection = Vue.ref([]);
+
+    function openWebhookModal() {
+      isWebhookModalOpen.value = true;
+      deliveriesFor.value = null;
+      loadWebhooks();
+    }
+
+    function closeWebhookModal() {
+      isWebhookModalOpen.value = false;
+      clearNewSecret();
+    }
+
+    function saveWebhook() {
+      const events = webhookEventSelection.value.includes('*') ? ['*'] : webhookEventSelection.value;
+      addWebhook(webhookUrl.value.trim(), events);
+      webhookUrl.value = '';
+      webhookEventSelection.value = [];
+    }
+
+    function rotateWebhookSecret(webhook) {
+      if (confirm(`Issue a new secret for ${webhook.url}? The receiver must be updated before it can verify new deliveries.`)) {
+        updateWebhook(webhook.id, { rotateSecret: true });
+      }
+    }
+
+    function deleteWebhook(webhook) {
+      if (confirm(`Delete the webhook for ${webhook.url}?`)) removeWebhook(webhook.id);
+    }
+
+    // e.g. "3 documents, 12 goals"
+    function describeCounts(counts = {}) {
+      const parts = Object.entries(counts)
+        .filter(([entityType, count]) => count > 0 && entityType !== 'channels')
+        .map(([entityType, count]) => `${count} ${entityType}`);
+      return parts.length ? parts.join(', ') : 'empty';
+    }
+
+    function binderLink(name) {
+      return `${env.value.API_URL}/binder/${encodeURIComponent(name)}`;
+    }
+
     const isPublishModalOpen = Vue.ref(false);
     const publishName = Vue.ref('');
     const publishDescription = Vue.ref('');
@@ -294,12 +885,93 @@ export default {
 
     return {
       activeUsers,
+      describePresence,
       userCount,
       channelName,
       participantCount,
       isRoomLocked,
+      isOwner,
+      canEdit,
+      defaultRole,
+      lastPermissionError,
+      joinRequests,
+      admitJoin,
+      denyJoin,
+      roles,
+      assignableDefaultRoles,
+      roleLabel,
+      setUserRole,
+      setDefaultRole,
+      binderAccess,
+      updateBinderAccess,
+      isAccessModalOpen,
+      accessPassword,
+      inviteRole,
+      inviteExpiresInHours,
+      inviteLink,
+      openAccessModal,
+      closeAccessModal,
+      savePassword,
+      clearPassword,
+      generateInvite,
+      copyInviteLink,
+      binderRetention,
+      retentionArchiveDays,
+      retentionExpireDays,
+      retentionPlaceholder,
+      saveRetention,
+      bots,
+      newBotToken,
+      botName,
+      botColor,
+      botAvatar,
+      botRole,
+      saveBot,
+      rotateBot,
+      deleteBot,
+      copyBotToken,
       toggleRoomLock,
       removeChannel,
+      isSnapshotModalOpen,
+      snapshotName,
+      snapshots,
+      snapshotDiff,
+      lastRestore,
+      openSnapshotModal,
+      takeSnapshot,
+      diffSnapshot,
+      restoreHere,
+      restoreAsNew,
+      removeSnapshot,
+      clearSnapshotDiff,
+      describeCounts,
+      binderLink,
+      isWebhookModalOpen,
+      webhookUrl,
+      webhookEventSelection,
+      webhooks,
+      webhookEvents,
+      deliveries,
+      deliveriesFor,
+      newWebhookSecret,
+      openWebhookModal,
+      closeWebhookModal,
+      saveWebhook,
+      updateWebhook,
+      rotateWebhookSecret,
+      deleteWebhook,
+      loadDeliveries,
+      clearNewSecret,
+      isTrashModalOpen,
+      trashItems,
+      retentionDays,
+      isTrashLoading,
+      openTrashModal,
+      trashTypeLabel,
+      userName,
+      formatTime,
+      restoreItem,
+      daysUntilPurge,
       sections,
       documents,
       artifacts,
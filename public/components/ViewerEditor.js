@@ -4,18 +4,36 @@ import { useFiles } from '../composables/useFiles.js';
 import { useRealTime } from '../composables/useRealTime.js';
 import { useDocuments } from '../composables/useDocuments.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
+import { useTextCollab } from '../composables/useTextCollab.js';
 import TextToSpeech from './TextToSpeech.js';
+import PresenceAvatars from './PresenceAvatars.js';
+import { usePresence } from '../composables/usePresence.js';
+import { usePresenter } from '../composables/usePresenter.js';
 
 export default {
   name: 'ViewerEditor',
-  components: { LazyScrollViewer, OcrPromptEditor, TextToSpeech },
+  components: { LazyScrollViewer, OcrPromptEditor, TextToSpeech, PresenceAvatars },
   props: {
     item: { type: Object, required: true },
   },
   setup(props) {
-    const { userUuid, emit } = useRealTime();
-    const { updateDocument, updateDocumentOcr } = useDocuments();
-    const { updateArtifact } = useArtifacts();
+    const { userUuid, emit, findUser, on, off } = useRealTime();
+    const { remoteCarets, openText, closeText, editText, replacePageText, sendCaret } = useTextCollab();
+    const { setPresence, leaveEntity, viewersOf, viewersByPage } = usePresence();
+    const { isFollowing, presenterScroll, shareView, shareScroll } = usePresenter();
+    const { updateDocument, updateDocumentOcr, lastConflict: documentConflict, clearConflict: clearDocumentConflict } = useDocuments();
+    const { updateArtifact, lastConflict: artifactConflict, clearConflict: clearArtifactConflict } = useArtifacts();
+
+    // Someone else's edit won over ours on this item; the content shown is theirs
+    const editConflict = Vue.computed(() => {
+      const conflict = props.item.type === 'document' ? documentConflict.value : artifactConflict.value;
+      return conflict && conflict.id === props.item.id ? conflict : null;
+    });
+
+    function dismissEditConflict() {
+      if (props.item.type === 'document') clearDocumentConflict();
+      else clearArtifactConflict();
+    }
     const { ocrFiles, retrieveFiles, files, ocrPrompt, resetOcrPrompt } = useFiles();
 
     const displayMode = Vue.ref('default');
@@ -33,6 +51,78 @@ export default {
     const includeFileMetadata = Vue.ref(true); // State for including file metadata
     let ocrAllAbortController = null;
 
+    // Live text session while editing page text; docx HTML editing still saves whole pages on Done
+    const textSession = Vue.ref(null);
+    const textareas = [];
+    const entityType = Vue.computed(() => (props.item.type === 'document' ? 'documents' : 'artifacts'));
+    const editedPages = Vue.computed(() => (textSession.value?.ready ? textSession.value.pagesText : editedContent.value));
+
+    const pageCarets = (page) => {
+      const carets = remoteCarets.value[`${entityType.value}:${props.item.id}`] || {};
+      const text = editedPages.value[page] || '';
+      return Object.entries(carets)
+        .filter(([, caret]) => caret.page === page)
+        .map(([caretUuid, caret]) => {
+          const user = findUser(caretUuid);
+          return {
+            userUuid: caretUuid,
+            displayName: user?.displayName || 'Someone',
+            color: user?.color || '#808080',
+            line: text.slice(0, caret.index).split('\n').length,
+          };
+        });
+    };
+
+    // Keep our selection on the same characters when someone else's edit lands on this page
+    const handleRemoteTextOp = ({ key, page, ops }) => {
+      if (!textSession.value || key !== `${entityType.value}:${props.item.id}`) return;
+      const textarea = textareas[page];
+      if (!textarea || textarea !== document.activeElement) return;
+      const start = TextOps.transformIndex(textarea.selectionStart, ops);
+      const end = TextOps.transformIndex(textarea.selectionEnd, ops);
+      Vue.nextTick(() => textarea.setSelectionRange(start, end));
+    };
+    on('text-remote-op', handleRemoteTextOp);
+
+    const itemViewers = Vue.computed(() => viewersOf(props.item.id));
+    const pageViewers = Vue.computed(() => viewersByPage(props.item.id));
+
+    Vue.watch(
+      () => props.item.id,
+      (id, previousId) => {
+        if (previousId) leaveEntity(previousId);
+        setPresence({ entityType: entityType.value, entityId: id, page: 0 });
+        shareView({ entityType: entityType.value, entityId: id });
+      },
+      { immediate: true }
+    );
+
+    const scrollArea = Vue.ref(null);
+
+    const handleScroll = () => {
+      const el = scrollArea.value;
+      if (!el) return;
+      const scrollRatio = el.scrollTop / Math.max(1, el.scrollHeight - el.clientHeight);
+      shareScroll({ entityId: props.item.id, page: currentPage.value, scrollRatio });
+    };
+
+    // Followers scroll with the presenter: PDFs by page, everything else by scroll position
+    Vue.watch(presenterScroll, (position) => {
+      if (!isFollowing.value || !position || position.entityId !== props.item.id) return;
+      if (lazyScrollViewer.value && Number.isInteger(position.page)) {
+        if (position.page !== currentPage.value) lazyScrollViewer.value.scrollToPage(position.page);
+      } else if (scrollArea.value && typeof position.scrollRatio === 'number') {
+        const el = scrollArea.value;
+        el.scrollTop = position.scrollRatio * (el.scrollHeight - el.clientHeight);
+      }
+    });
+
+    Vue.onUnmounted(() => {
+      leaveEntity(props.item.id);
+      off('text-remote-op', handleRemoteTextOp);
+      if (textSession.value) closeText(entityType.value, props.item.id);
+    });
+
     const imageTypes = ['png', 'jpg', 'jpeg', 'webp'];
 
     const dropdownOptions = Vue.computed(() => {
@@ -166,6 +256,7 @@ export default {
         editedContent.value = [...props.item.data.pagesHtml];
       } else {
         editedContent.value = [...(props.item.data.pagesText || [])];
+        textSession.value = openText(entityType.value, props.item.id);
       }
       const updateFn = props.item.type === 'document' ? updateDocument : updateArtifact;
       updateFn(props.item.id, { editStatus: true, editor: userUuid.value });
@@ -176,6 +267,11 @@ export default {
       isEditing.value = false;
       const updateFn = props.item.type === 'document' ? updateDocument : updateArtifact;
       const currentData = { ...props.item.data };
+      const livePagesText = textSession.value?.ready ? [...textSession.value.pagesText] : currentData.pagesText;
+      if (textSession.value) {
+        closeText(entityType.value, props.item.id);
+        textSession.value = null;
+      }
       const updates = initialDisplayMode.value === 'HTML' && props.item.data.type === 'docx' 
         ? { 
             name: currentData.name,
@@ -201,7 +297,7 @@ export default {
             status: currentData.status,
             sectionId: currentData.sectionId,
             pages: currentData.pages,
-            pagesText: editedContent.value,
+            pagesText: livePagesText,
             pagesHtml: currentData.pagesHtml,
             renderAs: currentData.renderAs,
             editStatus: false,
@@ -266,14 +362,24 @@ export default {
       Vue.nextTick(() => restoreCursorPosition(element, position));
     };
 
-    const handleTextInput = (index, description) => {
-      editedContent.value[index] = description.target.value;
-      console.log('Document Text Input:', editedContent.value);
+    const handleTextInput = (index, event) => {
+      editText(entityType.value, props.item.id, index, event.target.value);
+      sendCaret(entityType.value, props.item.id, index, event.target.selectionStart);
+    };
+
+    const handleCaretMove = (index, event) => {
+      sendCaret(entityType.value, props.item.id, index, event.target.selectionStart);
+    };
+
+    const setTextarea = (index, element) => {
+      textareas[index] = element;
     };
 
     const handlePageVisible = (pageIndex) => {
       currentPage.value = pageIndex;
       jumpToPageInput.value = (pageIndex + 1).toString();
+      setPresence({ page: pageIndex });
+      shareScroll({ entityId: props.item.id, page: pageIndex });
       console.log('Current page updated:', currentPage.value);
     };
 
@@ -304,7 +410,10 @@ export default {
           const ocrText = text[0] || '';
           editedContent.value[pageIndex] = ocrText;
           const updateFn = props.item.type === 'document' ? updateDocumentOcr : updateArtifact;
-          if (props.item.type === 'document') {
+          if (props.item.data.editStatus) {
+            // Someone is typing in this text, so the OCR result goes through their live session
+            replacePageText(entityType.value, props.item.id, pageIndex, ocrText);
+          } else if (props.item.type === 'document') {
             updateFn(props.item.id, pageIndex, ocrText);
           } else {
             const updatedPagesText = props.item.data.pagesText ? [...props.item.data.pagesText] : [''];
@@ -354,7 +463,9 @@ export default {
               newPagesText[pageIndex] = text[0];
 
               const updateFn = props.item.type === 'document' ? updateDocument : updateArtifact;
-              if (props.item.type === 'document') {
+              if (props.item.data.editStatus) {
+                replacePageText(entityType.value, props.item.id, pageIndex, text[0]);
+              } else if (props.item.type === 'document') {
                 updateFn(props.item.id, { pagesText: newPagesText });
               } else {
                 updateFn(props.item.id, { pagesText: newPagesText });
@@ -429,6 +540,15 @@ export default {
       finishEditing,
       handleDocxInput,
       handleTextInput,
+      handleCaretMove,
+      setTextarea,
+      textSession,
+      editedPages,
+      pageCarets,
+      itemViewers,
+      pageViewers,
+      scrollArea,
+      handleScroll,
       handlePageVisible,
       ocrPage,
       ocrAllPages,
@@ -443,6 +563,8 @@ export default {
       closeOcrPromptEditor,
       ocrPrompt,
       includeFileMetadata,
+      editConflict,
+      dismissEditConflict,
     };
   },
   template: `
@@ -450,6 +572,10 @@ export default {
       <div v-if="item.data.editStatus" class="bg-orange-500 text-white text-sm p-1">
         Currently being edited by {{ item.data.editor }}
       </div>
+      <div v-if="editConflict" class="bg-yellow-700 text-white text-sm p-1 flex items-center justify-between">
+        <span>{{ editConflict.message }}</span>
+        <button @click="dismissEditConflict" class="px-1 hover:text-gray-200"><i class="pi pi-times"></i></button>
+      </div>
       <div class="p-2 bg-[#1a2233] border-b border-[#2d3748] sticky top-0 z-20 flex items-center gap-2">
         <select v-if="!isEditing" v-model="displayMode" class="p-1 bg-[#2d3748] text-[#e2e8f0] rounded-lg border border-[#4b5563] text-sm">
           <option v-for="option in dropdownOptions" :key="option" :value="option">{{ option }}</option>
@@ -515,12 +641,14 @@ export default {
           </div>
         </template>
         <h2 class="p-1 text-sm font-bold text-gray-500">{{item.data.name}}</h2>
+        <presence-avatars :users="itemViewers" class="ml-auto" />
       </div>
-      <div class="flex-1 overflow-y-auto">
+      <div ref="scrollArea" class="flex-1 overflow-y-auto" @scroll="handleScroll">
         <lazy-scroll-viewer
           v-if="item.data.type === 'pdf' && displayMode === 'PDF' && !isEditing"
           ref="lazyScrollViewer"
           :pages="renderedContent"
+          :page-viewers="pageViewers"
           class="pdf-viewer"
           @page-visible="handlePageVisible"
         />
@@ -536,13 +664,23 @@ export default {
             ></div>
           </div>
           <div v-else class="p-2 rounded-lg h-full overflow-y-none">
-            <textarea
-              v-for="(content, index) in editedContent"
-              :key="index"
-              v-model="editedContent[index]"
-              @input="handleTextInput(index, $event)"
-              class="text-[#e2e8f0] bg-[#2d3748] outline-none w-full h-full resize-none border-none whitespace-pre-wrap pb-5"
-            ></textarea>
+            <div v-if="textSession && !textSession.ready" class="text-xs text-gray-400 pb-1">Connecting to live editing...</div>
+            <div v-for="(content, index) in editedPages" :key="index" class="h-full flex flex-col">
+              <div v-if="pageCarets(index).length" class="flex flex-wrap gap-2 text-xs pb-1">
+                <span v-for="caret in pageCarets(index)" :key="caret.userUuid" class="flex items-center gap-1" :style="{ color: caret.color }">
+                  <i class="pi pi-pencil"></i>{{ caret.displayName }} &middot; line {{ caret.line }}
+                </span>
+              </div>
+              <textarea
+                :ref="el => setTextarea(index, el)"
+                :value="content"
+                :readonly="!textSession || !textSession.ready"
+                @input="handleTextInput(index, $event)"
+                @click="handleCaretMove(index, $event)"
+                @keyup="handleCaretMove(index, $event)"
+                class="text-[#e2e8f0] bg-[#2d3748] outline-none w-full flex-1 resize-none border-none whitespace-pre-wrap pb-5"
+              ></textarea>
+            </div>
           </div>
         </div>
         <div v-else class="p-4 text-[#e2e8f0] whitespace-pre-wrap" v-html="renderedContent.join('<hr>')"></div>
@@ -6,6 +6,10 @@ export default {
   template: `
     <div class="h-full overflow-y-auto p-4">
       <div class="flex flex-col h-full">
+        <div v-if="lastConflict" class="mb-2 p-2 bg-yellow-700 text-white rounded-lg text-sm flex items-center justify-between flex-shrink-0">
+          <span>{{ lastConflict.message }}</span>
+          <button @click="clearConflict" class="ml-2 hover:text-gray-200"><i class="pi pi-times"></i></button>
+        </div>
         <div class="flex gap-2 mb-4 flex-shrink-0">
           <input
             v-model="newGoal"
@@ -52,7 +56,7 @@ export default {
     </div>
   `,
   setup() {
-    const { goals, addGoal, updateGoal, removeGoal, reorderGoals, cleanup } = useGoals();
+    const { goals, addGoal, updateGoal, removeGoal, reorderGoals, cleanup, lastConflict, clearConflict } = useGoals();
     const newGoal = Vue.ref('');
     const editingGoal = Vue.ref(null);
     const isDragging = Vue.ref(false);
@@ -150,6 +154,8 @@ export default {
       goalsContainer,
       dragIndicator,
       preventDefaultIfDragging,
+      lastConflict,
+      clearConflict,
     };
   },
 };
\ No newline at end of file
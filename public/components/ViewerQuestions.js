@@ -4,8 +4,12 @@ import { useDocuments } from '../composables/useDocuments.js';
 import { useLLM } from '../composables/useLLM.js';
 import { useScrollNavigation } from '../composables/useScrollNavigation.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
+import { useRetrieval } from '../composables/useRetrieval.js';
 import ViewerEditor from './ViewerEditor.js';
 
+const ANSWER_MODEL = { provider: 'gemini', model: 'gemini-2.0-flash', name: 'gemini-2.0-flash' };
+const ANSWER_PASSAGES = 12;
+
 export default {
   name: 'ViewerQuestions',
   components: { ViewerEditor },
@@ -197,6 +201,7 @@ export default {
     const { llmRequests, triggerLLM } = useLLM();
     const { jumpToPageNumber } = useScrollNavigation();
     const { artifacts, selectedArtifact } = useArtifacts();
+    const { searchBinder } = useRetrieval();
     const newQuestion = Vue.ref('');
     const answerInput = Vue.ref([]);
     const questionInput = Vue.ref([]);
@@ -371,44 +376,80 @@ export default {
       showDocumentModal.value = false;
     }
 
-    function answerWithAI(questionId) {
+    async function answerWithAI(questionId) {
       const answerId = addAnswer(questionId);
       const llmId = uuidv4();
       answerLLMMap.value[llmId] = answerId;
 
       const question = rawQuestions.value.find(q => q.id === questionId);
       const questionText = question ? question.data.text : '';
-      const documentMaterials = documents.value.map(doc => ({
-        documentId: doc.id,
-        name: doc.data.name,
-        pages: JSON.stringify(doc.data.pagesText.map((text, index) => ({ id: doc.id, page: index + 1, text })))
-      }));
-      const artifactMaterials = artifacts.value.map(artifact => ({
-        artifactId: artifact.id,
-        name: artifact.data.name,
-        content: JSON.stringify(artifact.data.pagesText.map((text, index) => ({ id: artifact.id, page: index + 1, text })))
-      }));
-      const materials = { documents: documentMaterials, artifacts: artifactMaterials };
-      const userPrompt = `
+      const systemPrompt = `
+        Answer the question clearly and provide adequate details.  
+        Where applicable, provide answers from various pages and documents or artifacts, although only where there is information which clearly relates to the question. 
+        
+        Do not include the question or materials in the response.
+
+        At the end, provide exactly one JSON array containing objects with {"id": "documentId or artifactId", "page": number} where you found the relevant information. The id is found in the json of the reference materials.
+        Try to provide at least 3 links per response, which are always in the same JSON array at the end of your response. 
+        `;
+      const promptFor = materials => `
         Answer the following question using the provided materials, without repeating the question in the response: "${questionText}"
         Provide a single, clean JSON array of references at the end in the format: [{"id": "documentId or artifactId", "page": number}]
         Materials: ${JSON.stringify(materials)}
       `;
+      // Passages keep the number of the page they came from; whole documents number their pages in order
+      const pageEntries = source => source.pages.map((text, index) => ({ id: source.id, page: source.pageNumbers?.[index] ?? index + 1, text }));
+      const toMaterials = sources => ({
+        documents: sources.filter(source => source.kind === 'document').map(source => ({
+          documentId: source.id,
+          name: source.name,
+          pages: JSON.stringify(pageEntries(source))
+        })),
+        artifacts: sources.filter(source => source.kind === 'artifact').map(source => ({
+          artifactId: source.id,
+          name: source.name,
+          content: JSON.stringify(pageEntries(source))
+        })),
+      });
+
+      // The passages that best match the question, grouped by where they came from. Without them (nothing matched
+      // or the server did not answer) every page of every document and artifact is offered, each cut short when
+      // together they would not fit the model
+      const passages = await searchBinder(questionText, { limit: ANSWER_PASSAGES, entityTypes: ['documents', 'artifacts'] });
+      let sources;
+      if (passages?.length) {
+        const byEntity = new Map();
+        for (const passage of passages) {
+          if (!byEntity.has(passage.entityId)) {
+            byEntity.set(passage.entityId, {
+              kind: passage.entityType === 'documents' ? 'document' : 'artifact',
+              id: passage.entityId,
+              name: passage.name,
+              pages: [],
+              pageNumbers: [],
+            });
+          }
+          byEntity.get(passage.entityId).pages.push(passage.text);
+          byEntity.get(passage.entityId).pageNumbers.push(passage.page);
+        }
+        sources = [...byEntity.values()];
+      } else {
+        sources = [
+          ...documents.value.map(doc => ({ kind: 'document', id: doc.id, name: doc.data.name, pages: doc.data.pagesText || [] })),
+          ...artifacts.value.map(artifact => ({ kind: 'artifact', id: artifact.id, name: artifact.data.name, pages: artifact.data.pagesText || [] })),
+        ];
+      }
+      const { estimateTokens, promptBudget, fitMaterials } = window.TokenBudget;
+      const emptyPages = sources.map(source => ({ ...source, pages: source.pages.map(() => '') }));
+      const framing = estimateTokens(systemPrompt, ANSWER_MODEL) + estimateTokens(promptFor(toMaterials(emptyPages)), ANSWER_MODEL);
+      const { materials: fitted } = fitMaterials(sources, promptBudget(ANSWER_MODEL) - framing, ANSWER_MODEL, 'spread');
 
       triggerLLM(
         llmId,
-        { provider: 'gemini', model: 'gemini-2.0-flash', name: "gemini-2.0-flash" },
+        ANSWER_MODEL,
         0.5,
-        `
-        Answer the question clearly and provide adequate details.  
-        Where applicable, provide answers from various pages and documents or artifacts, although only where there is information which clearly relates to the question. 
-        
-        Do not include the question or materials in the response.
-
-        At the end, provide exactly one JSON array containing objects with {"id": "documentId or artifactId", "page": number} where you found the relevant information. The id is found in the json of the reference materials.
-        Try to provide at least 3 links per response, which are always in the same JSON array at the end of your response. 
-        `,
-        userPrompt,
+        systemPrompt,
+        promptFor(toMaterials(fitted)),
         [],
         false
       );
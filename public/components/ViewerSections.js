@@ -5,6 +5,7 @@ import { useDocuments } from '../composables/useDocuments.js';
 import { useArtifacts } from '../composables/useArtifacts.js';
 import { useFiles } from '../composables/useFiles.js';
 import { useSections } from '../composables/useSections.js';
+import { usePresenter } from '../composables/usePresenter.js';
 import { rasterizePDF } from '../utils/files/processorPDF.js';
 
 export default {
@@ -22,6 +23,7 @@ export default {
     const { artifacts, selectedArtifact, setSelectedArtifact } = useArtifacts();
     const { uploadFiles, files, retrieveFiles, ocrFiles, ocrPrompt, resetOcrPrompt } = useFiles(); // Include ocrPrompt and resetOcrPrompt
     const { sections, addSection } = useSections();
+    const { isFollowing, stopFollowing } = usePresenter();
     const selectedKeys = Vue.ref({});
     const expandedKeys = Vue.ref({});
     const isLoadingFiles = Vue.ref(false);
@@ -57,6 +59,8 @@ export default {
 
     const handleNodeSelect = (node) => {
       console.log('Selected node:', node);
+      // Opening something yourself breaks away from the presenter
+      if (isFollowing.value) stopFollowing();
       if (node.type === 'document') {
         const doc = documents.value.find(d => d.id === node.id);
         setSelectedDocument({ ...doc, type: 'document' });
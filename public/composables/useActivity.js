@@ -0,0 +1,65 @@
+// ./composables/useActivity.js
+// The binder's audit trail: who added, changed, deleted or restored what, read from /api/audit.
+import { useRealTime } from './useRealTime.js';
+
+const { channelName, binderAuthHeaders } = useRealTime();
+
+const entries = Vue.ref([]);
+const filters = Vue.ref({ userUuid: '', entityType: '', entityId: '', operation: '' });
+const nextBefore = Vue.ref(null); // Cursor for the next, older page; null when everything is loaded
+const loading = Vue.ref(false);
+const error = Vue.ref(null);
+
+export function useActivity() {
+  /**
+   * Loads the newest entries matching the current filters, or the next older page when `more` is set.
+   * @param {boolean} more - Append the next page instead of starting over
+   * @returns {Promise<void>}
+   */
+  async function loadActivity(more = false) {
+    if (!channelName.value) return;
+    loading.value = true;
+    error.value = null;
+    try {
+      const params = Object.fromEntries(Object.entries(filters.value).filter(([, value]) => value));
+      if (more && nextBefore.value) params.before = nextBefore.value;
+      const response = await axios.get(`/api/audit/${encodeURIComponent(channelName.value)}`, {
+        params,
+        headers: binderAuthHeaders(),
+      });
+      const page = response.data.entries || [];
+      entries.value = more ? [...entries.value, ...page] : page;
+      nextBefore.value = response.data.nextBefore || null;
+    } catch (err) {
+      error.value = err.response?.data?.message || 'Failed to load activity';
+      console.error('Load activity failed:', err);
+    } finally {
+      loading.value = false;
+    }
+  }
+
+  /**
+   * Changes some filters and reloads from the newest entry.
+   * @param {object} update - e.g. { userUuid } or { entityType, entityId }
+   * @returns {Promise<void>}
+   */
+  function setFilters(update) {
+    filters.value = { ...filters.value, ...update };
+    return loadActivity();
+  }
+
+  function clearFilters() {
+    return setFilters({ userUuid: '', entityType: '', entityId: '', operation: '' });
+  }
+
+  return {
+    entries,
+    filters,
+    nextBefore,
+    loading,
+    error,
+    loadActivity,
+    setFilters,
+    clearFilters,
+  };
+}
@@ -8,6 +8,14 @@ const { prompts } = usePrompts(); // Add prompts from usePrompts
 const eventHandlers = new WeakMap();
 const processedEvents = new Set();
 
+// The server's estimate of the prompt for the agent being edited; replies to older requests are ignored
+const promptEstimate = Vue.ref(null);
+let estimateRequestId = null;
+
+on('agent-prompt-estimate', (eventObj) => {
+  if (eventObj.id === estimateRequestId) promptEstimate.value = eventObj.data;
+});
+
 export function useAgents() {
   function handleAddAgent(eventObj) {
     const { id, userUuid: eventUserUuid, data, timestamp } = eventObj;
@@ -51,7 +59,7 @@ export function useAgents() {
     remove: removeAgentHandler,
   });
 
-  function addAgent(name, description, imageUrl, systemPrompts = [], userPrompts = [], model = null) {
+  function addAgent(name, description, imageUrl, systemPrompts = [], userPrompts = [], model = null, contextStrategy = null) {
     if (!/^[a-zA-Z0-9_]+$/.test(name)) {
       throw new Error('Agent name must contain only letters, numbers, or underscores, with no spaces.');
     }
@@ -64,6 +72,7 @@ export function useAgents() {
       imageUrl,
       placeholderImage,
       model,
+      contextStrategy,
       systemPrompts: systemPrompts.map(prompt => ({
         id: prompt.id || uuidv4(),
         type: prompt.type || 'text',
@@ -86,7 +95,7 @@ export function useAgents() {
     emit('add-agent', payload);
   }
 
-  function updateAgent(id, name, description, imageUrl, systemPrompts, userPrompts, model = null) {
+  function updateAgent(id, name, description, imageUrl, systemPrompts, userPrompts, model = null, contextStrategy = null) {
     if (!/^[a-zA-Z0-9_]+$/.test(name)) {
       throw new Error('Agent name must contain only letters, numbers, or underscores, with no spaces.');
     }
@@ -99,6 +108,7 @@ export function useAgents() {
       imageUrl,
       placeholderImage,
       model,
+      contextStrategy,
       systemPrompts: systemPrompts.map(prompt => ({
         id: prompt.id || uuidv4(),
         type: prompt.type || 'text',
@@ -139,6 +149,15 @@ export function useAgents() {
     emit('remove-agent', payload);
   }
 
+  /**
+   * Asks the server how large an agent's prompt would be in a breakout right now, fitted to its model's context
+   * window. `data` is the agent's data as edited; the answer lands in promptEstimate.
+   */
+  function estimateAgentPrompt(data, breakoutId = null) {
+    estimateRequestId = uuidv4();
+    emit('estimate-agent-prompt', { id: estimateRequestId, data: { agent: data, breakoutId } });
+  }
+
   function cleanup() {
     const handlers = eventHandlers.get(useAgents);
     if (handlers) {
@@ -150,5 +169,5 @@ export function useAgents() {
     processedEvents.clear();
   }
 
-  return { agents, addAgent, updateAgent, removeAgent, cleanup, prompts }; // Expose prompts for ViewerAgents
+  return { agents, addAgent, updateAgent, removeAgent, promptEstimate, estimateAgentPrompt, cleanup, prompts }; // Expose prompts for ViewerAgents
 }
\ No newline at end of file
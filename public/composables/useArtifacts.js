@@ -3,6 +3,7 @@ import { useRealTime } from './useRealTime.js';
 
 const artifacts = Vue.ref([]);
 const selectedArtifact = Vue.ref(null);
+const lastConflict = Vue.ref(null); // Most recent edit rejected because someone else changed the same item
 const { userUuid, emit, on, off } = useRealTime();
 const eventHandlers = new WeakMap();
 const processedEvents = new Set();
@@ -47,14 +48,25 @@ export function useArtifacts() {
     }
   }
 
+  function handleUpdateConflict(eventObj) {
+    if (eventObj.data?.entityType !== 'artifacts') return;
+    lastConflict.value = { id: eventObj.id, message: eventObj.message, timestamp: eventObj.timestamp };
+  }
+
+  function clearConflict() {
+    lastConflict.value = null;
+  }
+
   const addArtifactHandler = on('add-artifact', handleAddArtifact);
   const removeArtifactHandler = on('remove-artifact', handleRemoveArtifact);
   const updateArtifactHandler = on('update-artifact', handleUpdateArtifact);
+  const updateConflictHandler = on('update-conflict', handleUpdateConflict);
 
   eventHandlers.set(useArtifacts, {
     addArtifact: addArtifactHandler,
     removeArtifact: removeArtifactHandler,
     updateArtifact: updateArtifactHandler,
+    updateConflict: updateConflictHandler,
   });
 
   function addArtifact(name, pagesText, sectionId = null, pages=[]) {
@@ -112,6 +124,7 @@ export function useArtifacts() {
       off('add-artifact', handlers.addArtifact);
       off('remove-artifact', handlers.removeArtifact);
       off('update-artifact', handlers.updateArtifact);
+      off('update-conflict', handlers.updateConflict);
       eventHandlers.delete(useArtifacts);
     }
     processedEvents.clear();
@@ -120,6 +133,8 @@ export function useArtifacts() {
   return {
     artifacts,
     selectedArtifact,
+    lastConflict,
+    clearConflict,
     addArtifact,
     removeArtifact,
     updateArtifact,
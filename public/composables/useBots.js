@@ -0,0 +1,51 @@
+// ./composables/useBots.js
+// Bot users that join the binder with an API token instead of a browser session. Only binder owners manage them.
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const bots = Vue.ref([]);
+const newBotToken = Vue.ref(null); // { id, token, displayName, expiresAt } for a bot just created or rotated; shown once
+
+on('bot-list', (eventObj) => {
+  bots.value = eventObj.data?.bots || [];
+});
+
+on('bot-token', (eventObj) => {
+  newBotToken.value = { id: eventObj.id, ...eventObj.data };
+});
+
+export function useBots() {
+  function loadBots() {
+    emit('list-bots', { id: null, data: null });
+  }
+
+  /**
+   * Creates a bot; `profile` holds displayName, color, avatar and role.
+   */
+  function createBot(profile) {
+    emit('create-bot', { id: null, data: profile });
+  }
+
+  function rotateBotToken(id) {
+    emit('rotate-bot-token', { id, data: null });
+  }
+
+  function removeBot(id) {
+    emit('remove-bot', { id, data: null });
+  }
+
+  function clearNewBotToken() {
+    newBotToken.value = null;
+  }
+
+  return {
+    bots,
+    newBotToken,
+    loadBots,
+    createBot,
+    rotateBotToken,
+    removeBot,
+    clearNewBotToken,
+  };
+}
@@ -4,7 +4,7 @@ import { useRealTime } from './useRealTime.js';
 const messages = Vue.ref([]);
 const draftMessages = Vue.ref({});
 const draftInitialTimestamps = Vue.ref({}); // Track initial timestamps for drafts
-const { emit, on, off, activeUsers, userUuid, userColor } = useRealTime();
+const { emit, on, off, activeUsers, findUser, userUuid, userColor } = useRealTime();
 const eventHandlers = new WeakMap();
 const processedEvents = new Set();
 
@@ -151,7 +151,7 @@ export function useChat() {
     if (userUuid === userUuid.value) {
       return userColor.value;
     }
-    return activeUsers.value.find(user => user.userUuid === userUuid)?.color || '#808080';
+    return findUser(userUuid)?.color || '#808080';
   }
 
   function cleanup() {
@@ -1,11 +1,5 @@
 // composables/useCollaboration.js
 import { useRealTime } from './useRealTime.js';
-import { useAgents } from './useAgents.js';
-import { useLLM } from './useLLM.js';
-import { useDocuments } from './useDocuments.js';
-import { useGoals } from './useGoals.js';
-import { useArtifacts } from './useArtifacts.js';
-import { usePrompts } from './usePrompts.js'; // Add this import for prompts
 
 const breakouts = Vue.ref([]);
 const collabs = Vue.ref([]);
@@ -13,13 +7,7 @@ const draftMessages = Vue.ref({});
 const draftInitialTimestamps = Vue.ref({});
 const currentBreakoutId = Vue.ref(null);
 
-const { emit, on, off, activeUsers, userUuid, userColor } = useRealTime();
-const { agents } = useAgents();
-const { triggerLLM, llmRequests } = useLLM();
-const { documents } = useDocuments();
-const { goals } = useGoals();
-const { addArtifact, artifacts } = useArtifacts();
-const { prompts } = usePrompts(); // Add prompts from usePrompts
+const { emit, on, off, activeUsers, findUser, userUuid, userColor } = useRealTime();
 
 const eventHandlers = new WeakMap();
 const processedEvents = new Set();
@@ -48,7 +36,9 @@ export function useCollaboration() {
             isStreaming: msg.data.isStreaming || false, 
             agentId: msg.data.agentId,
             image: msg.data.image,
-            imagePrompt: msg.data.imagePrompt // Include imagePrompt field
+            imagePrompt: msg.data.imagePrompt, // Include imagePrompt field
+            error: msg.data.error,
+            toolSteps: msg.data.toolSteps,
           },
           timestamp: msg.timestamp,
         }));
@@ -81,7 +71,9 @@ export function useCollaboration() {
               isStreaming: data.isStreaming || false, 
               agentId: data.agentId,
               image: data.image,
-              imagePrompt: data.imagePrompt // Include imagePrompt field
+              imagePrompt: data.imagePrompt, // Include imagePrompt field
+              error: data.error,
+              toolSteps: data.toolSteps,
             },
             timestamp: timestamp || Date.now(),
           });
@@ -132,7 +124,14 @@ export function useCollaboration() {
         const message = collabs.value.find(m => m.id === id);
         if (message) {
           const content = typeof data.content === 'string' ? data.content : '';
-          if (data.isImage) {
+          if (data.toolStep) {
+            // Tool calls the agent makes while it replies
+            const steps = [...(message.data.toolSteps || [])];
+            const index = steps.findIndex(step => step.id === data.toolStep.id);
+            if (index === -1) steps.push(data.toolStep);
+            else steps[index] = data.toolStep;
+            message.data.toolSteps = steps;
+          } else if (data.isImage) {
             message.data.image = content;
             message.data.text = message.data.imagePrompt || 'Generated Image';
           } else {
@@ -141,22 +140,7 @@ export function useCollaboration() {
           message.data.isStreaming = !data.end;
           collabs.value = [...collabs.value];
           console.log('Updated collab with draft LLM:', message);
-          if (data.end) {
-            emit('update-collab', {
-              id,
-              userUuid: userUuid.value,
-              data: {
-                text: message.data.text,
-                breakoutId: message.data.breakoutId,
-                color: message.data.color,
-                isStreaming: false,
-                agentId: message.data.agentId,
-                image: message.data.image,
-                imagePrompt: message.data.imagePrompt,
-              },
-              timestamp: message.timestamp,
-            });
-          }
+          // The server saves the finished reply and sends it as update-collab
         } else {
           console.warn(`Message ${id} not found for draft-llm`);
         }
@@ -174,6 +158,8 @@ export function useCollaboration() {
           message.data.isStreaming = data.isStreaming || false;
           message.data.image = data.image;
           message.data.imagePrompt = data.imagePrompt;
+          message.data.error = data.error;
+          message.data.toolSteps = data.toolSteps;
           collabs.value = [...collabs.value];
           console.log('Updated collab message:', message);
         }
@@ -258,10 +244,8 @@ export function useCollaboration() {
     });
     collabs.value = [...collabs.value];
     console.log('Optimistically added message to collabs:', collabs.value);
+    // Agents mentioned in the message reply from the server
     emit('add-collab', { id, userUuid: userUuid.value, data, timestamp: Date.now() });
-    if (userUuid.value && !userUuid.value.startsWith('agent-')) {
-      processAgentTriggers(text, breakoutId);
-    }
     if (draftMessages.value[breakoutId]?.[userUuid.value]) {
       delete draftMessages.value[breakoutId][userUuid.value];
       delete draftInitialTimestamps.value[breakoutId]?.[userUuid.value];
@@ -288,10 +272,8 @@ export function useCollaboration() {
     });
     collabs.value = [...collabs.value];
     console.log('Optimistically added image placeholder to collabs:', collabs.value);
+    // Agents mentioned in the message reply from the server
     emit('add-collab', { id, userUuid: userUuid.value, data, timestamp: Date.now() });
-    if (userUuid.value && !userUuid.value.startsWith('agent-')) {
-      processAgentTriggers(text, breakoutId, true);
-    }
     if (draftMessages.value[breakoutId]?.[userUuid.value]) {
       delete draftMessages.value[breakoutId][userUuid.value];
       delete draftInitialTimestamps.value[breakoutId]?.[userUuid.value];
@@ -359,182 +341,7 @@ export function useCollaboration() {
 
   function getUserColor(senderUuid) {
     if (senderUuid === userUuid.value) return userColor.value;
-    return activeUsers.value.find(user => user.userUuid === senderUuid)?.color || '#808080';
-  }
-
-  function processAgentTriggers(text, breakoutId, generateImage = false) {
-    const agentMentions = text.match(/@(\w+)/g)?.map(m => m.slice(1)) || [];
-    if (agentMentions.length > 0) {
-      agentMentions.forEach(agentName => {
-        const agent = agents.value.find(a => a.data.name === agentName);
-        if (agent) triggerAgent(agent, text, breakoutId, generateImage);
-      });
-    } else if (generateImage) {
-      triggerAgent(null, text, breakoutId, true);
-    }
-  }
-
-  function triggerAgent(agent, triggerText, breakoutId, generateImage = false) {
-    const messageId = uuidv4();
-    const agentId = agent ? agent.id : null;
-    const initialTimestamp = Date.now();
-    const data = { 
-      text: '', 
-      breakoutId, 
-      color: '#808080', 
-      isStreaming: true, 
-      agentId,
-      imagePrompt: generateImage ? triggerText : undefined 
-    };
-    collabs.value.push({
-      id: messageId,
-      userUuid: userUuid.value,
-      data,
-      timestamp: initialTimestamp,
-    });
-    collabs.value = [...collabs.value];
-    emit('add-collab', {
-      id: messageId,
-      userUuid: userUuid.value,
-      data,
-      timestamp: initialTimestamp,
-    });
-    console.log('Emitted add-collab for agent placeholder:', { id: messageId, userUuid: userUuid.value, data });
-
-    const roomMessages = collabs.value.filter(m => m.data.breakoutId === breakoutId);
-    const messageHistory = [];
-
-    if (agent) {
-      messageHistory.push({ role: 'system', content: `You are participating in a multiperson chat with humans and other AI agents. Your name is @${agent.data.name}, but you don't need to write it unless you are asked your name.` });
-
-      // Collect unique document, artifact, and prompt IDs for system prompts
-      const systemUniqueIds = new Set();
-
-      // Process system prompts
-      agent.data.systemPrompts.forEach(prompt => {
-        if (prompt.type === 'text' && prompt.content) {
-          messageHistory.push({ role: 'system', content: prompt.content });
-        } else if (prompt.type === 'goal' && goals.value.some(g => g.id === prompt.content)) {
-          const goal = goals.value.find(g => g.id === prompt.content);
-          if (goal?.data.text) {
-            messageHistory.push({ role: 'system', content: goal.data.text });
-          }
-        } else if (prompt.type === 'document' && documents.value.some(d => d.id === prompt.content)) {
-          systemUniqueIds.add(prompt.content);
-        } else if (prompt.type === 'artifact' && artifacts.value.some(a => a.id === prompt.content)) {
-          systemUniqueIds.add(prompt.content);
-        } else if (prompt.type === 'sections' && Array.isArray(prompt.content)) {
-          prompt.content.forEach(sectionId => {
-            documents.value.forEach(doc => {
-              if (doc.data.sectionId === sectionId) systemUniqueIds.add(doc.id);
-            });
-            artifacts.value.forEach(artifact => {
-              if (artifact.data.sectionId === sectionId) systemUniqueIds.add(artifact.id);
-            });
-          });
-        } else if (prompt.type === 'prompt' && prompts.value.some(p => p.id === prompt.content)) { // Add prompt type handling
-          const promptItem = prompts.value.find(p => p.id === prompt.content);
-          if (promptItem?.data.text) {
-            messageHistory.push({ role: 'system', content: promptItem.data.text });
-          }
-        }
-      });
-
-      // Add content for system prompt documents and artifacts
-      systemUniqueIds.forEach(id => {
-        const doc = documents.value.find(d => d.id === id);
-        if (doc && doc.data.pagesText) {
-          const content = Array.isArray(doc.data.pagesText) ? doc.data.pagesText.join('\n') : doc.data.pagesText;
-          messageHistory.push({ role: 'system', content });
-        }
-        const artifact = artifacts.value.find(a => a.id === id);
-        if (artifact && artifact.data.pagesText) {
-          const content = Array.isArray(artifact.data.pagesText) ? artifact.data.pagesText.join('\n') : artifact.data.pagesText;
-          messageHistory.push({ role: 'system', content });
-        }
-      });
-
-      // Collect unique document, artifact, and prompt IDs for user prompts
-      const userUniqueIds = new Set();
-
-      // Process user prompts
-      agent.data.userPrompts.forEach(prompt => {
-        if (prompt.type === 'text' && prompt.content) {
-          messageHistory.push({ role: 'user', content: prompt.content });
-        } else if (prompt.type === 'goal' && goals.value.some(g => g.id === prompt.content)) {
-          const goal = goals.value.find(g => g.id === prompt.content);
-          if (goal?.data.text) {
-            messageHistory.push({ role: 'user', content: goal.data.text });
-          }
-        } else if (prompt.type === 'document' && documents.value.some(d => d.id === prompt.content)) {
-          userUniqueIds.add(prompt.content);
-        } else if (prompt.type === 'artifact' && artifacts.value.some(a => a.id === prompt.content)) {
-          userUniqueIds.add(prompt.content);
-        } else if (prompt.type === 'sections' && Array.isArray(prompt.content)) {
-          prompt.content.forEach(sectionId => {
-            documents.value.forEach(doc => {
-              if (doc.data.sectionId === sectionId) userUniqueIds.add(doc.id);
-            });
-            artifacts.value.forEach(artifact => {
-              if (artifact.data.sectionId === sectionId) userUniqueIds.add(artifact.id);
-            });
-          });
-        } else if (prompt.type === 'prompt' && prompts.value.some(p => p.id === prompt.content)) { // Add prompt type handling
-          const promptItem = prompts.value.find(p => p.id === prompt.content);
-          if (promptItem?.data.text) {
-            messageHistory.push({ role: 'user', content: promptItem.data.text });
-          }
-        }
-      });
-
-      // Add content for user prompt documents and artifacts
-      userUniqueIds.forEach(id => {
-        const doc = documents.value.find(d => d.id === id);
-        if (doc && doc.data.pagesText) {
-          const content = Array.isArray(doc.data.pagesText) ? doc.data.pagesText.join('\n') : doc.data.pagesText;
-          messageHistory.push({ role: 'user', content });
-        }
-        const artifact = artifacts.value.find(a => a.id === id);
-        if (artifact && artifact.data.pagesText) {
-          const content = Array.isArray(artifact.data.pagesText) ? artifact.data.pagesText.join('\n') : artifact.data.pagesText;
-          messageHistory.push({ role: 'user', content });
-        }
-      });
-    } else {
-      messageHistory.push({ role: 'system', content: 'You are an AI capable of generating images based on user prompts.' });
-    }
-
-    const chatHistory = roomMessages.map(m => ({
-      role: m.data.agentId ? 'user' : 'user',
-      content: m.data.text,
-    }));
-    messageHistory.push(...chatHistory);
-
-    const systemContent = messageHistory.filter(m => m.role === 'system').map(m => m.content).join('\n');
-    let cleanedMessageHistory = [
-      { role: 'system', content: systemContent },
-      ...messageHistory.filter(m => m.role !== 'system')
-    ];
-
-    cleanedMessageHistory = cleanedMessageHistory.filter(m => m.content !== '');
-
-    console.log('Chat History:', chatHistory);
-    console.log('LLM Payload:', { cleanedMessageHistory });
-
-    const model = agent 
-      ? (agent.data.model || { provider: 'gemini', model: 'gemini-2.0-flash-exp-image-generation', name: 'gemini-2.0-flash' })
-      : { provider: 'gemini', model: 'gemini-2.0-flash-exp-image-generation', name: 'gemini-2.0-flash' };
-
-    triggerLLM(
-      messageId,
-      model,
-      0.5,
-      systemContent,
-      triggerText,
-      cleanedMessageHistory,
-      false,
-      generateImage
-    );
+    return findUser(senderUuid)?.color || '#808080';
   }
 
   function cleanup() {
@@ -9,6 +9,7 @@ import { processText } from '../utils/files/processorText.js';
 
 const documents = Vue.ref([]);
 const selectedDocument = Vue.ref(null);
+const lastConflict = Vue.ref(null); // Most recent edit rejected because someone else changed the same item
 const { userUuid, displayName, emit, on, off } = useRealTime();
 const { retrieveFiles, getFile, uploadFiles } = useFiles();
 const eventHandlers = new WeakMap();
@@ -54,14 +55,25 @@ export function useDocuments() {
     }
   }
 
+  function handleUpdateConflict(eventObj) {
+    if (eventObj.data?.entityType !== 'documents') return;
+    lastConflict.value = { id: eventObj.id, message: eventObj.message, timestamp: eventObj.timestamp };
+  }
+
+  function clearConflict() {
+    lastConflict.value = null;
+  }
+
   const addDocumentHandler = on('add-document', handleAddDocument);
   const removeDocumentHandler = on('remove-document', handleRemoveDocument);
   const updateDocumentHandler = on('update-document', handleUpdateDocument);
+  const updateConflictHandler = on('update-conflict', handleUpdateConflict);
 
   eventHandlers.set(useDocuments, {
     addDocument: addDocumentHandler,
     removeDocument: removeDocumentHandler,
     updateDocument: updateDocumentHandler,
+    updateConflict: updateConflictHandler,
   });
 
   async function addDocument(file, sectionId = null) {
@@ -245,6 +257,7 @@ export function useDocuments() {
       off('add-document', handlers.addDocument);
       off('remove-document', handlers.removeDocument);
       off('update-document', handlers.updateDocument);
+      off('update-conflict', handlers.updateConflict);
       eventHandlers.delete(useDocuments);
     }
     processedEvents.clear();
@@ -260,6 +273,8 @@ export function useDocuments() {
   return {
     documents,
     selectedDocument,
+    lastConflict,
+    clearConflict,
     addDocument,
     removeDocument,
     updateDocument,
@@ -2,6 +2,7 @@
 import { useRealTime } from "./useRealTime.js";
 
 const goals = Vue.ref([]);
+const lastConflict = Vue.ref(null); // Most recent edit rejected because someone else changed the same item
 const { emit, on, off, userUuid } = useRealTime();
 
 const processedEvents = new Set();
@@ -34,6 +35,15 @@ export function useGoals() {
     }
   }
 
+  function handleUpdateConflict(eventObj) {
+    if (eventObj.data?.entityType !== "goals") return;
+    lastConflict.value = { id: eventObj.id, message: eventObj.message, timestamp: eventObj.timestamp };
+  }
+
+  function clearConflict() {
+    lastConflict.value = null;
+  }
+
   function handleRemoveGoal(eventObj) {
     const { id, timestamp } = eventObj;
     if (!id) {
@@ -78,12 +88,14 @@ export function useGoals() {
   const updateGoalHandler = on("update-goal", handleUpdateGoal);
   const removeGoalHandler = on("remove-goal", handleRemoveGoal);
   const reorderGoalsHandler = on("reorder-goals", handleReorderGoals);
+  const updateConflictHandler = on("update-conflict", handleUpdateConflict);
 
   eventHandlers.set(useGoals, {
     add: addGoalHandler,
     update: updateGoalHandler,
     remove: removeGoalHandler,
     reorder: reorderGoalsHandler,
+    conflict: updateConflictHandler,
   });
 
   function addGoal(text) {
@@ -161,6 +173,7 @@ export function useGoals() {
       off("update-goal", handlers.update);
       off("remove-goal", handlers.remove);
       off("reorder-goals", handlers.reorder);
+      off("update-conflict", handlers.conflict);
       eventHandlers.delete(useGoals);
     }
     processedEvents.clear();
@@ -168,6 +181,8 @@ export function useGoals() {
 
   return {
     goals,
+    lastConflict,
+    clearConflict,
     addGoal,
     updateGoal,
     removeGoal,
@@ -32,77 +32,62 @@ export function useHistory() {
     return history;
   }
 
-  function syncChannelData(data) {
-    if (!data || typeof data !== 'object') {
-      console.warn('Invalid or undefined history data received, skipping sync:', data);
+  // Applies init-state/sync-state from the server, which is the only source of truth.
+  // Entity types listed in `deltas` carry only changes plus removed ids; all others replace local state.
+  function syncChannelData(payload) {
+    if (!payload || typeof payload !== 'object') {
+      console.warn('Invalid or undefined sync data received, skipping sync:', payload);
       return;
     }
-    const historyData = data.data || data;
-    const hasData = Object.keys(historyData).some(key => Array.isArray(historyData[key]) && historyData[key].length > 0);
-    if (hasData) {
-      const mergeArrays = (existing, incoming, preservePages = false) => {
-        const resultMap = new Map();
+    const historyData = payload.data || {};
+    const removed = payload.removed || {};
+    const deltas = Array.isArray(payload.deltas) ? payload.deltas : [];
 
-        existing.forEach(item => {
-          if (item.id) resultMap.set(item.id, item);
-        });
+    const applyEntities = (entityType, existing, preservePages = false) => {
+      const incoming = historyData[entityType];
+      if (!Array.isArray(incoming)) return existing;
 
-        (incoming || []).forEach(item => {
-          if (!item.id) return;
+      const existingById = new Map();
+      existing.forEach(item => {
+        if (item.id) existingById.set(item.id, item);
+      });
 
-          const existingItem = resultMap.get(item.id);
-          
-          if (existingItem) {
-            const existingTime = existingItem.timestamp ? new Date(existingItem.timestamp).getTime() : 0;
-            const incomingTime = item.timestamp ? new Date(item.timestamp).getTime() : 0;
-            
-            if (incomingTime > existingTime) {
-              if (preservePages && existingItem.data && existingItem.data.pages) {
-                // Preserve data.pages from the existing item
-                item.data = { ...item.data, pages: existingItem.data.pages };
-              }
-              resultMap.set(item.id, item);
-            } else if (incomingTime === existingTime) {
-              // If timestamps are equal, preserve the existing item (including data.pages)
-              return;
-            }
-          } else {
-            resultMap.set(item.id, item);
-          }
-        });
+      const resultMap = deltas.includes(entityType) ? new Map(existingById) : new Map();
+      (removed[entityType] || []).forEach(id => resultMap.delete(id));
 
-        return Array.from(resultMap.values());
-      };
+      incoming.forEach(item => {
+        if (!item.id) return;
+        const localItem = existingById.get(item.id);
+        if (preservePages && localItem?.data?.pages && !item.data?.pages) {
+          // Pages are kept client-side only, so hold on to the local copy
+          item = { ...item, data: { ...item.data, pages: localItem.data.pages } };
+        }
+        resultMap.set(item.id, item);
+      });
 
-      useAgents().agents.value = mergeArrays(useAgents().agents.value, historyData.agents);
-      useChat().messages.value = mergeArrays(useChat().messages.value, historyData.chats);
-      useDocuments().documents.value = mergeArrays(useDocuments().documents.value, historyData.documents, true); // Preserve data.pages
-      useGoals().goals.value = mergeArrays(useGoals().goals.value, historyData.goals);
-      useQuestions().questions.value = mergeArrays(useQuestions().questions.value, historyData.questions);
-      useQuestions().answers.value = mergeArrays(useQuestions().answers.value, historyData.answers);
-      useArtifacts().artifacts.value = mergeArrays(useArtifacts().artifacts.value || [], historyData.artifacts);
-      useCollaboration().breakouts.value = mergeArrays(useCollaboration().breakouts.value || [], historyData.breakouts);
-      useCollaboration().collabs.value = mergeArrays(useCollaboration().collabs.value || [], historyData.collabs);
-      useSections().sections.value = mergeArrays(useSections().sections.value || [], historyData.sections);
-      usePrompts().prompts.value = mergeArrays(usePrompts().prompts.value || [], historyData.prompts);
-      useTranscriptions().transcriptions.value = mergeArrays(useTranscriptions().transcriptions.value || [], historyData.transcriptions);
-      useLiveTranscriptions().liveTranscriptions.value = mergeArrays(useLiveTranscriptions().liveTranscriptions.value || [], historyData.liveTranscriptions);
-    } else {
-      console.log('No meaningful data in history, skipping sync:', historyData);
-    }
-  }
+      return Array.from(resultMap.values());
+    };
 
-  eventBus.$on('request-history-data', (callback) => {
-    const history = gatherLocalHistory();
-    callback(history);
-  });
+    useAgents().agents.value = applyEntities('agents', useAgents().agents.value);
+    useChat().messages.value = applyEntities('chats', useChat().messages.value);
+    useDocuments().documents.value = applyEntities('documents', useDocuments().documents.value, true);
+    useGoals().goals.value = applyEntities('goals', useGoals().goals.value);
+    useQuestions().questions.value = applyEntities('questions', useQuestions().questions.value);
+    useQuestions().answers.value = applyEntities('answers', useQuestions().answers.value);
+    useArtifacts().artifacts.value = applyEntities('artifacts', useArtifacts().artifacts.value || []);
+    useCollaboration().breakouts.value = applyEntities('breakouts', useCollaboration().breakouts.value || []);
+    useCollaboration().collabs.value = applyEntities('collabs', useCollaboration().collabs.value || []);
+    useSections().sections.value = applyEntities('sections', useSections().sections.value || []);
+    usePrompts().prompts.value = applyEntities('prompts', usePrompts().prompts.value || []);
+    useTranscriptions().transcriptions.value = applyEntities('transcriptions', useTranscriptions().transcriptions.value || []);
+    useLiveTranscriptions().liveTranscriptions.value = applyEntities('liveTranscriptions', useLiveTranscriptions().liveTranscriptions.value || []);
+  }
 
   eventBus.$on('sync-history-data', (data) => {
     syncChannelData(data);
   });
 
   function cleanup() {
-    eventBus.$off('request-history-data');
     eventBus.$off('sync-history-data');
   }
 
@@ -124,11 +124,17 @@ export function useLLM() {
   const draftLLMHandler = on('draft-llm', handleDraftLLM);
   const imageHandler = on('image', handleImage);
   const errorHandler = on('error', handleError);
+  // A throttled request gets no reply, so it ends as an error
+  const rateLimitedHandler = (eventObj) => {
+    if (eventObj.data?.messageType === 'add-llm' && eventObj.id) handleError(eventObj);
+  };
+  on('rate-limited', rateLimitedHandler);
 
   eventHandlers.set(useLLM, {
     draft: draftLLMHandler,
     image: imageHandler,
     error: errorHandler,
+    rateLimited: rateLimitedHandler,
   });
 
   function triggerLLM(id, model, temperature, systemPrompt, userPrompt, messageHistory, useJson, generateImage = false) {
@@ -157,6 +163,7 @@ export function useLLM() {
       off('draft-llm', handlers.draft);
       off('image', handlers.image);
       off('error', handlers.error);
+      off('rate-limited', handlers.rateLimited);
       eventHandlers.delete(useLLM);
     }
     processedEvents.clear();
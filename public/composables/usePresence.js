@@ -0,0 +1,102 @@
+// ./composables/usePresence.js
+// Who is looking at what: each user's tab, open document or artifact and visible page.
+import { useRealTime } from './useRealTime.js';
+
+const { userUuid, activeUsers, memberIdOf, emit, on } = useRealTime();
+
+const presence = Vue.ref({}); // Server-recorded presence by member id
+const localPresence = {}; // What we last told the server about ourselves
+let pendingUpdate = null;
+let sendTimer = null;
+
+const SEND_DELAY_MS = 250; // Scrolling fires many page changes; only the latest is sent
+
+function flushPresence() {
+  sendTimer = null;
+  if (!pendingUpdate) return;
+  emit('update-presence', { id: null, data: pendingUpdate });
+  pendingUpdate = null;
+}
+
+on('user-list', (eventObj) => {
+  const next = {};
+  (eventObj.users || []).forEach((user) => {
+    if (user.presence) next[user.memberId] = user.presence;
+  });
+  presence.value = next;
+});
+
+on('presence-update', (eventObj) => {
+  presence.value = { ...presence.value, [memberIdOf(eventObj.userUuid)]: eventObj.data };
+});
+
+on('user-left', (eventObj) => {
+  const { [memberIdOf(eventObj.userUuid)]: _left, ...rest } = presence.value;
+  presence.value = rest;
+});
+
+// The server forgets our presence when we disconnect, so tell it again after rejoining
+function resendPresence() {
+  if (Object.keys(localPresence).length) {
+    pendingUpdate = { ...localPresence };
+    flushPresence();
+  }
+}
+on('sync-history-data', resendPresence);
+on('replay-events', resendPresence);
+
+export function usePresence() {
+  /**
+   * Reports a change to our own presence, e.g. { tab }, { entityType, entityId } or { page }.
+   */
+  function setPresence(update) {
+    const changed = Object.entries(update).filter(([key, value]) => localPresence[key] !== value);
+    if (!changed.length) return;
+    changed.forEach(([key, value]) => {
+      localPresence[key] = value;
+    });
+    // Opening another document starts at its first page on the server too
+    if ('entityId' in update && !('page' in update)) localPresence.page = null;
+    pendingUpdate = { ...(pendingUpdate || {}), ...Object.fromEntries(changed) };
+    if (!sendTimer) sendTimer = setTimeout(flushPresence, SEND_DELAY_MS);
+  }
+
+  /**
+   * Clears our open document or artifact, if it is still the given one.
+   */
+  function leaveEntity(entityId) {
+    if (localPresence.entityId === entityId) setPresence({ entityType: null, entityId: null });
+  }
+
+  // Other connected users with their presence and display details
+  const presentUsers = Vue.computed(() => activeUsers.value
+    .filter(user => user.memberId !== memberIdOf(userUuid.value) && presence.value[user.memberId])
+    .map(user => ({
+      memberId: user.memberId,
+      displayName: user.displayName,
+      color: user.color,
+      ...presence.value[user.memberId],
+    })));
+
+  function viewersOf(entityId) {
+    return presentUsers.value.filter(user => user.entityId === entityId);
+  }
+
+  // Viewers of an entity grouped by the page they are on
+  function viewersByPage(entityId) {
+    return viewersOf(entityId).reduce((pages, user) => {
+      if (user.page === null || user.page === undefined) return pages;
+      (pages[user.page] = pages[user.page] || []).push(user);
+      return pages;
+    }, {});
+  }
+
+  return {
+    presence,
+    presentUsers,
+    setPresence,
+    leaveEntity,
+    viewersOf,
+    viewersByPage,
+  };
+}
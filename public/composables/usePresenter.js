@@ -0,0 +1,141 @@
+// ./composables/usePresenter.js
+// Follow-the-presenter mode. The presenter's tab, open document and scroll position are sent as
+// `update-tab` and `scroll-to-page` events; people who follow have their own view driven by them
+// until they break away.
+import { useRealTime } from './useRealTime.js';
+import { useDocuments } from './useDocuments.js';
+import { useArtifacts } from './useArtifacts.js';
+
+const { userUuid, memberIdOf, emit, on } = useRealTime();
+const { documents, setSelectedDocument } = useDocuments();
+const { artifacts, setSelectedArtifact } = useArtifacts();
+
+const presenterId = Vue.ref(null); // Member id of the presenter, as the user list names them
+const isFollowing = Vue.ref(false);
+const presenterView = Vue.ref(null); // { tab, subTab, entityType, entityId } last shown by the presenter
+const presenterScroll = Vue.ref(null); // { entityId, page, scrollRatio } last scrolled to by the presenter
+
+const isPresenter = Vue.computed(() => !!presenterId.value && presenterId.value === memberIdOf(userUuid.value));
+
+// Whether a message was sent by the presenter
+const fromPresenter = (eventObj) => !!presenterId.value && memberIdOf(eventObj.userUuid) === presenterId.value;
+
+// Our own view, kept up to date so claiming the presenter role can share it straight away
+const localView = { tab: null, subTab: null, entityType: null, entityId: null };
+let pendingScroll = null;
+let scrollTimer = null;
+
+const SCROLL_SEND_DELAY_MS = 200;
+
+function sendView() {
+  emit('update-tab', { id: null, data: { ...localView } });
+}
+
+function flushScroll() {
+  scrollTimer = null;
+  if (pendingScroll && isPresenter.value) emit('scroll-to-page', { id: null, data: pendingScroll });
+  pendingScroll = null;
+}
+
+function selectEntity(entityType, entityId) {
+  if (entityType === 'documents') {
+    const doc = documents.value.find(d => d.id === entityId);
+    if (doc) {
+      setSelectedDocument({ ...doc, type: 'document' });
+      setSelectedArtifact(null);
+    }
+  } else if (entityType === 'artifacts') {
+    const artifact = artifacts.value.find(a => a.id === entityId);
+    if (artifact) {
+      setSelectedArtifact({ ...artifact, type: 'artifact' });
+      setSelectedDocument(null);
+    }
+  }
+}
+
+function applyPresenterView() {
+  const view = presenterView.value;
+  if (!isFollowing.value || !view?.entityId) return;
+  selectEntity(view.entityType, view.entityId);
+}
+
+function setPresenterId(memberId) {
+  presenterId.value = memberId;
+  if (!memberId || isPresenter.value) {
+    isFollowing.value = false;
+    presenterView.value = null;
+    presenterScroll.value = null;
+  }
+}
+
+on('user-list', (eventObj) => setPresenterId(eventObj.presenter || null));
+
+on('presenter-changed', (eventObj) => {
+  const previous = presenterId.value;
+  setPresenterId(eventObj.data?.presenterId || null);
+  if (previous !== presenterId.value) presenterView.value = null;
+  if (isPresenter.value) sendView();
+});
+
+on('update-tab', (eventObj) => {
+  if (!fromPresenter(eventObj)) return;
+  presenterView.value = { ...eventObj.data };
+  applyPresenterView();
+});
+
+on('scroll-to-page', (eventObj) => {
+  if (!fromPresenter(eventObj)) return;
+  presenterScroll.value = { ...eventObj.data };
+});
+
+export function usePresenter() {
+  function claimPresenter() {
+    emit('claim-presenter', { id: null, data: null });
+  }
+
+  function releasePresenter() {
+    emit('release-presenter', { id: null, data: null });
+  }
+
+  function startFollowing() {
+    if (!presenterId.value || isPresenter.value) return;
+    isFollowing.value = true;
+    applyPresenterView();
+  }
+
+  function stopFollowing() {
+    isFollowing.value = false;
+  }
+
+  /**
+   * Records a change to our own view and shares it when we are presenting.
+   */
+  function shareView(update) {
+    const changed = Object.entries(update).some(([key, value]) => localView[key] !== value);
+    Object.assign(localView, update);
+    if (changed && isPresenter.value) sendView();
+  }
+
+  /**
+   * Shares our scroll position in a document or artifact when we are presenting.
+   */
+  function shareScroll(position) {
+    if (!isPresenter.value) return;
+    pendingScroll = { ...(pendingScroll || {}), ...position };
+    if (!scrollTimer) scrollTimer = setTimeout(flushScroll, SCROLL_SEND_DELAY_MS);
+  }
+
+  return {
+    presenterId,
+    isPresenter,
+    isFollowing,
+    presenterView,
+    presenterScroll,
+    claimPresenter,
+    releasePresenter,
+    startFollowing,
+    stopFollowing,
+    shareView,
+    shareScroll,
+  };
+}
@@ -124,7 +124,8 @@ export function useQuestions() {
     if (question) {
       question.data = { ...question.data, ...updates };
       questions.value = [...questions.value];
-      emit('update-question', { id, userUuid: userUuid.value, data: updates, timestamp: Date.now() });
+      // Updates replace the stored data, so the whole question is sent
+      emit('update-question', { id, userUuid: userUuid.value, data: question.data, timestamp: Date.now() });
     }
   };
 
@@ -161,7 +162,7 @@ export function useQuestions() {
     if (answer) {
       answer.data = { ...answer.data, ...updates };
       answers.value = [...answers.value];
-      emit('update-answer', { id, userUuid: userUuid.value, data: { ...updates, questionId }, timestamp: Date.now() });
+      emit('update-answer', { id, userUuid: userUuid.value, data: { ...answer.data, questionId }, timestamp: Date.now() });
     }
   };
 
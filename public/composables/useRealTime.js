@@ -12,9 +12,139 @@ const connectionError = Vue.ref(null);
 const lastMessageTimestamp = Vue.ref(0);
 const userColor = Vue.ref(sessionStorage.getItem('userColor') || '#808080');
 const isRoomLocked = Vue.ref(false);
+const defaultRole = Vue.ref('editor');
+const lastPermissionError = Vue.ref(null);
+const lastThrottleError = Vue.ref(null); // Latest rate-limited message: a message dropped for being too frequent or too large
+const lastValidationError = Vue.ref(null); // Latest change the server refused because its data did not match the schema
+const pendingPassword = Vue.ref('');
+const joinRejection = Vue.ref(null);
+const binderAccess = Vue.ref({ protected: false, hasPassword: false, inviteOnly: false });
+// The binder's own retention in days (null = server default, 0 = never) and the server defaults
+const binderRetention = Vue.ref({ archiveAfterDays: null, expireAfterDays: null, defaults: { archiveAfterDays: 0, expireAfterDays: 0 } });
+const lastInvite = Vue.ref(null);
+const waitingRoom = Vue.ref(null);
+const joinRequests = Vue.ref([]);
+
+// The user list names members by member id (see utils/memberIds.js), not by the uuid they join with
+function memberIdOf(uuid) {
+  return window.MemberIds.memberIdOf(channelName.value, uuid);
+}
+
+// The connected user with this uuid, e.g. the author of a message
+function findUser(uuid) {
+  const memberId = memberIdOf(uuid);
+  return (memberId && activeUsers.value.find((user) => user.memberId === memberId)) || null;
+}
+
+const userRole = Vue.computed(() => findUser(userUuid.value)?.role || defaultRole.value);
+const isOwner = Vue.computed(() => userRole.value === 'owner');
+const canEdit = Vue.computed(() => ['owner', 'editor'].includes(userRole.value));
 
 const TIMESTAMP_TOLERANCE = 5000;
 
+// Update events that carry a saved text snapshot to the composable holding that entity type
+const TEXT_SNAPSHOT_EVENTS = { documents: 'update-document', artifacts: 'update-artifact' };
+
+// Last version the server confirmed for each entity by id; update-* events carry it as the version they are based on
+const versionTracker = window.VersionTracker.createVersionTracker();
+const entityVersions = versionTracker.versions;
+
+// Replies that end the wait for one of our updates; the server may also drop an update without a word
+const UPDATE_REJECTIONS = ['update-conflict', 'permission-denied', 'rate-limited', 'validation-error', 'error'];
+const UPDATE_ANSWER_TIMEOUT_MS = 5000;
+const updateTimers = new Map();
+
+function sendUpdate(event, data) {
+  clearTimeout(updateTimers.get(data.id));
+  updateTimers.set(data.id, setTimeout(() => settleUpdate(data.id), UPDATE_ANSWER_TIMEOUT_MS));
+  socketManager.emit(event, data, channelName.value, userUuid.value);
+}
+
+// Sends the edit that was waiting on an entity's update, now based on the version the server confirmed
+function settleUpdate(id, options) {
+  clearTimeout(updateTimers.get(id));
+  updateTimers.delete(id);
+  const next = versionTracker.settle(id, options);
+  if (next) sendUpdate(next.event, next.data);
+}
+
+// serverTimestamp each entity type was last synced at, sent as `since` so rejoins only fetch changes,
+// and the serverTimestamp of the last replayable event, so short reconnects replay just the missed events
+let syncCursors = { channel: null, cursors: {}, lastEventAt: null };
+
+function getBinderToken(channel) {
+  return channel ? sessionStorage.getItem(`binderToken:${channel}`) : null;
+}
+
+function setBinderToken(channel, token) {
+  if (!channel) return;
+  if (token) {
+    sessionStorage.setItem(`binderToken:${channel}`, token);
+  } else {
+    sessionStorage.removeItem(`binderToken:${channel}`);
+  }
+}
+
+// The key the server issued when this session first joined a binder; rejoining as the same user requires it
+function getMemberKey(channel) {
+  return channel ? sessionStorage.getItem(`memberKey:${channel}`) : null;
+}
+
+function setMemberKey(channel, key) {
+  if (!channel) return;
+  if (key) {
+    sessionStorage.setItem(`memberKey:${channel}`, key);
+  } else {
+    sessionStorage.removeItem(`memberKey:${channel}`);
+  }
+}
+
+// Credentials sent with every join-channel, read fresh so reconnects use the latest token
+function joinCredentials() {
+  const credentials = {};
+  const token = getBinderToken(channelName.value);
+  if (token) credentials.inviteToken = token;
+  const memberKey = getMemberKey(channelName.value);
+  if (memberKey) credentials.memberKey = memberKey;
+  if (pendingPassword.value) credentials.password = pendingPassword.value;
+  return credentials;
+}
+
+// Authorization header for binder REST routes, carrying the invite or access token this session joined with
+function binderAuthHeaders() {
+  const token = getBinderToken(channelName.value);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function joinData() {
+  if (syncCursors.channel !== channelName.value) return { ...joinCredentials(), since: {} };
+  return { ...joinCredentials(), since: syncCursors.cursors, lastEventAt: syncCursors.lastEventAt };
+}
+
+function currentSyncCursors() {
+  if (syncCursors.channel !== channelName.value) {
+    syncCursors = { channel: channelName.value, cursors: {}, lastEventAt: null };
+  }
+  return syncCursors;
+}
+
+function recordSyncCursors(entityTypes, serverTimestamp) {
+  const current = currentSyncCursors();
+  entityTypes.forEach((entityType) => {
+    current.cursors[entityType] = serverTimestamp;
+  });
+}
+
+function recordLastEvent(serverTimestamp) {
+  if (!Number.isFinite(serverTimestamp)) return;
+  const current = currentSyncCursors();
+  current.lastEventAt = Math.max(current.lastEventAt || 0, serverTimestamp);
+}
+
+function resetSyncCursors() {
+  syncCursors = { channel: null, cursors: {}, lastEventAt: null };
+}
+
 const sessionInfo = Vue.computed(() => ({
   userUuid: userUuid.value,
   displayName: displayName.value,
@@ -24,11 +154,17 @@ const sessionInfo = Vue.computed(() => ({
 }));
 
 export function useRealTime() {
-  function handleMessage(data) {
+  function handleMessage(data, { replayed = false } = {}) {
     if (typeof data !== 'object' || !data.type) {
       console.error('Invalid message format:', data);
       return;
     }
+    if (data.replayable) recordLastEvent(data.serverTimestamp);
+    versionTracker.remember(data.id, data.version);
+    if (data.id && versionTracker.isPending(data.id) && (data.type.endsWith('-ack') || UPDATE_REJECTIONS.includes(data.type))) {
+      // A conflict replaces the local copy, so an edit made on top of it is dropped too
+      settleUpdate(data.id, { dropQueued: data.type === 'update-conflict' });
+    }
 
     let processedData;
     if (data.type === 'user-joined') {
@@ -49,6 +185,8 @@ export function useRealTime() {
       processedData = {
         type: data.type,
         users: Array.isArray(data.users) ? data.users : [],
+        defaultRole: data.defaultRole,
+        presenter: data.presenter || null,
         timestamp: data.timestamp || Date.now(),
       };
     } else if (data.type === 'user-left') {
@@ -57,6 +195,47 @@ export function useRealTime() {
         userUuid: data.userUuid,
         timestamp: data.timestamp || Date.now(),
       };
+    } else if (data.type === 'join-rejected' || data.type === 'join-denied') {
+      processedData = {
+        type: data.type,
+        message: data.message,
+        reason: data.data?.reason || 'denied',
+        timestamp: data.timestamp || Date.now(),
+      };
+    } else if (data.type === 'init-state' || data.type === 'sync-state') {
+      processedData = {
+        type: data.type,
+        userUuid: data.userUuid,
+        data: data.data || {},
+        removed: data.removed || {},
+        deltas: Array.isArray(data.deltas) ? data.deltas : [],
+        lastEventAt: data.lastEventAt,
+        timestamp: data.timestamp || Date.now(),
+        serverTimestamp: data.serverTimestamp,
+      };
+    } else if (data.type === 'replay-events') {
+      processedData = {
+        type: data.type,
+        events: Array.isArray(data.data?.events) ? data.data.events : [],
+        lastEventAt: data.lastEventAt,
+        timestamp: data.timestamp || Date.now(),
+      };
+    } else if (data.type === 'update-conflict') {
+      processedData = {
+        type: data.type,
+        id: data.id,
+        message: data.message,
+        data: data.data || {},
+        timestamp: data.timestamp || Date.now(),
+      };
+    } else if (data.type === 'permission-denied' || data.type === 'rate-limited' || data.type === 'validation-error') {
+      processedData = {
+        type: data.type,
+        id: data.id || null,
+        message: data.message,
+        data: data.data || {},
+        timestamp: data.timestamp || Date.now(),
+      };
     } else if (data.type === 'room-lock-toggle') {
       processedData = {
         type: data.type,
@@ -80,11 +259,13 @@ export function useRealTime() {
         data: data.data,
         timestamp: data.timestamp || Date.now(),
         serverTimestamp: data.serverTimestamp,
+        version: data.version,
       };
     }
 
     const timeDiff = processedData.timestamp - lastMessageTimestamp.value;
-    if (processedData.timestamp < lastMessageTimestamp.value - TIMESTAMP_TOLERANCE) {
+    // Replayed events are older by design, so they skip the staleness check
+    if (!replayed && processedData.timestamp < lastMessageTimestamp.value - TIMESTAMP_TOLERANCE) {
       console.warn('Ignoring outdated message:', processedData, `Time difference: ${timeDiff}ms`);
       return;
     }
@@ -92,25 +273,156 @@ export function useRealTime() {
 
     switch (processedData.type) {
       case 'init-state':
+      case 'sync-state': {
+        joinRejection.value = null;
+        waitingRoom.value = null;
+        const channelEntity = (processedData.data?.channels || []).find((c) => c.id === channelName.value);
+        if (channelEntity) {
+          binderAccess.value = {
+            protected: !!channelEntity.data.protected,
+            hasPassword: !!channelEntity.data.hasPassword,
+            inviteOnly: !!channelEntity.data.inviteOnly,
+          };
+          binderRetention.value = {
+            archiveAfterDays: channelEntity.data.retention?.archiveAfterDays ?? null,
+            expireAfterDays: channelEntity.data.retention?.expireAfterDays ?? null,
+            defaults: channelEntity.data.retentionDefaults || binderRetention.value.defaults,
+          };
+        }
+        Object.entries(processedData.data).forEach(([entityType, items]) => {
+          (items || []).forEach((item) => {
+            if (item.id && Number.isInteger(item.version)) entityVersions.set(item.id, item.version);
+          });
+          (processedData.removed[entityType] || []).forEach((id) => entityVersions.delete(id));
+        });
         eventBus.$emit('sync-history-data', processedData);
+        if (processedData.serverTimestamp) {
+          recordSyncCursors(Object.keys(processedData.data), processedData.serverTimestamp);
+        }
+        recordLastEvent(processedData.lastEventAt);
+        break;
+      }
+      case 'replay-events':
+        joinRejection.value = null;
+        waitingRoom.value = null;
+        console.log(`Replaying ${processedData.events.length} missed events`);
+        processedData.events.forEach((event) => handleMessage(event, { replayed: true }));
+        recordLastEvent(processedData.lastEventAt);
+        eventBus.$emit('replay-events', processedData);
+        break;
+      case 'join-rejected':
+      case 'join-denied':
+        console.warn('Join rejected:', processedData.message);
+        waitingRoom.value = null;
+        if (processedData.reason === 'invalid-token') setBinderToken(channelName.value, null);
+        // Another session holds this identity, so the next join starts as a new participant
+        if (processedData.reason === 'identity-required') {
+          setMemberKey(channelName.value, null);
+          sessionStorage.removeItem('userUuid');
+        }
+        pendingPassword.value = '';
+        joinRejection.value = { reason: processedData.reason, message: processedData.message };
+        disconnect();
+        eventBus.$emit('join-rejected', processedData);
+        break;
+      case 'waiting-room':
+        waitingRoom.value = { message: processedData.data?.message, since: processedData.timestamp };
+        eventBus.$emit('waiting-room', processedData);
+        break;
+      case 'join-admitted':
+        waitingRoom.value = null;
+        eventBus.$emit('join-admitted', processedData);
+        break;
+      case 'waiting-list':
+        joinRequests.value = Array.isArray(processedData.data?.users) ? processedData.data.users : [];
+        eventBus.$emit('waiting-list', processedData);
+        break;
+      case 'access-granted':
+        setBinderToken(channelName.value, processedData.data?.token);
+        pendingPassword.value = '';
+        break;
+      case 'member-key':
+        setMemberKey(processedData.data?.channelName || channelName.value, processedData.data?.key);
+        break;
+      case 'binder-access-updated':
+        binderAccess.value = { ...binderAccess.value, ...processedData.data };
+        eventBus.$emit('binder-access-updated', processedData);
+        break;
+      case 'binder-retention-updated':
+        binderRetention.value = { ...binderRetention.value, ...processedData.data };
+        eventBus.$emit('binder-retention-updated', processedData);
+        break;
+      case 'invite-created':
+        lastInvite.value = processedData.data;
+        eventBus.$emit('invite-created', processedData);
         break;
       case 'user-list':
         activeUsers.value = processedData.users;
+        if (processedData.defaultRole) defaultRole.value = processedData.defaultRole;
         eventBus.$emit('user-list', processedData);
         break;
       case 'user-joined':
-        if (!activeUsers.value.some((user) => user.userUuid === processedData.userUuid)) {
-          activeUsers.value.push(processedData);
+        if (!findUser(processedData.userUuid)) {
+          activeUsers.value.push({ ...processedData, memberId: memberIdOf(processedData.userUuid) });
         }
         eventBus.$emit('user-joined', processedData);
         break;
       case 'user-left':
-        const userIndex = activeUsers.value.findIndex((user) => user.userUuid === processedData.userUuid);
+        const userIndex = activeUsers.value.indexOf(findUser(processedData.userUuid));
         if (userIndex !== -1) {
           activeUsers.value.splice(userIndex, 1);
         }
         eventBus.$emit('user-left', processedData);
         break;
+      case 'update-conflict':
+        console.warn('Update conflict:', processedData.message);
+        if (Number.isInteger(processedData.data.version)) entityVersions.set(processedData.id, processedData.data.version);
+        if (processedData.data.current) {
+          // Roll the local copy back to the server's version through the normal update handler
+          eventBus.$emit(processedData.data.eventType, {
+            type: processedData.data.eventType,
+            id: processedData.id,
+            data: processedData.data.current,
+            version: processedData.data.version,
+            timestamp: Date.now(),
+          });
+        } else {
+          requestSync();
+        }
+        eventBus.$emit('update-conflict', processedData);
+        break;
+      case 'text-snapshot':
+        // Saved text from a live editing session reaches viewers as a regular page text update
+        if (TEXT_SNAPSHOT_EVENTS[processedData.data?.entityType]) {
+          eventBus.$emit(TEXT_SNAPSHOT_EVENTS[processedData.data.entityType], {
+            type: TEXT_SNAPSHOT_EVENTS[processedData.data.entityType],
+            id: processedData.id,
+            userUuid: processedData.userUuid,
+            data: { pagesText: processedData.data.pagesText },
+            timestamp: processedData.timestamp,
+          });
+        }
+        eventBus.$emit('text-snapshot', processedData);
+        break;
+      case 'permission-denied':
+        console.warn('Permission denied:', processedData.message);
+        lastPermissionError.value = processedData;
+        eventBus.$emit('permission-denied', processedData);
+        break;
+      case 'rate-limited':
+        console.warn('Rate limited:', processedData.message);
+        lastThrottleError.value = processedData;
+        eventBus.$emit('rate-limited', processedData);
+        break;
+      case 'validation-error': {
+        console.warn('Validation error:', processedData.message, processedData.data.errors);
+        lastValidationError.value = processedData;
+        // Reload that entity type in full so the refused change is replaced by what the server has
+        const { [processedData.data.entityType]: refused, ...since } = joinData().since;
+        emit('sync-request', { id: null, data: { since } });
+        eventBus.$emit('validation-error', processedData);
+        break;
+      }
       case 'room-lock-toggle':
         isRoomLocked.value = processedData.locked;
         eventBus.$emit('room-lock-toggle', processedData);
@@ -118,7 +430,7 @@ export function useRealTime() {
       case 'remove-channel':
         // Check if the channel matches the current session
         if (processedData.channelName === channelName.value || (processedData.id && processedData.id === channelName.value)) {
-          const removedBy = activeUsers.value.find(user => user.userUuid === processedData.userUuid)?.displayName || 'Unknown User';
+          const removedBy = findUser(processedData.userUuid)?.displayName || 'Unknown User';
           eventBus.$emit('session-removed', { removedBy });
           disconnect(); // Disconnect immediately
         }
@@ -135,11 +447,13 @@ export function useRealTime() {
     if (error) console.error('Connection status changed:', error);
   }
 
-  function connect(channel, name) {
+  function connect(channel, name, credentials = {}) {
     if (isConnected.value) {
       console.log('Already connected, skipping join');
       return;
     }
+    if (credentials.inviteToken) setBinderToken(channel, credentials.inviteToken);
+    pendingPassword.value = credentials.password || '';
     userUuid.value = sessionStorage.getItem('userUuid') || uuidv4();
     sessionStorage.setItem('userUuid', userUuid.value);
     displayName.value = name;
@@ -153,14 +467,20 @@ export function useRealTime() {
         userUuid.value,
         displayName.value,
         handleMessage,
-        handleStatusChange
+        handleStatusChange,
+        joinData
       );
     });
   }
 
   function disconnect() {
     socketManager.disconnect(channelName.value, userUuid.value);
+    updateTimers.forEach(timer => clearTimeout(timer));
+    updateTimers.clear();
+    versionTracker.reset();
     activeUsers.value = [];
+    joinRequests.value = [];
+    waitingRoom.value = null;
     console.log('Cleared activeUsers on disconnect:', {
       value: activeUsers.value,
       isArray: Array.isArray(activeUsers.value),
@@ -170,7 +490,17 @@ export function useRealTime() {
   function emit(event, data) {
     return new Promise((resolve, reject) => {
       try {
-        socketManager.emit(event, data, channelName.value, userUuid.value);
+        const prepared = versionTracker.prepare(event, data);
+        // Held until the server answers the update before it; it is sent then
+        if (!prepared) {
+          resolve();
+          return;
+        }
+        if (event.startsWith('update-') && versionTracker.isPending(prepared.id)) {
+          sendUpdate(event, prepared);
+        } else {
+          socketManager.emit(event, prepared, channelName.value, userUuid.value);
+        }
         resolve();
       } catch (error) {
         console.error('Emit failed:', error);
@@ -179,6 +509,40 @@ export function useRealTime() {
     });
   }
 
+  function setUserRole(memberId, role) {
+    return emit('update-role', { id: null, data: { memberId, role } });
+  }
+
+  function setDefaultRole(role) {
+    return emit('update-default-role', { id: null, data: { role } });
+  }
+
+  function updateBinderAccess(access) {
+    return emit('update-binder-access', { id: null, data: access });
+  }
+
+  // Days before the binder is archived and before it is deleted; null uses the server default, 0 means never
+  function updateBinderRetention(retention) {
+    return emit('update-binder-retention', { id: null, data: retention });
+  }
+
+  function createInvite(role, expiresInHours) {
+    return emit('create-invite', { id: null, data: { role, expiresInHours } });
+  }
+
+  function admitJoin(targetUuid) {
+    return emit('admit-join', { id: null, data: { userUuid: targetUuid } });
+  }
+
+  function denyJoin(targetUuid) {
+    return emit('deny-join', { id: null, data: { userUuid: targetUuid } });
+  }
+
+  // Asks the server for everything changed since the last sync, e.g. after a missed update
+  function requestSync() {
+    return emit('sync-request', { id: null, data: { since: joinData().since } });
+  }
+
   function reconnect() {
     if (!isConnected.value) {
       console.log('Attempting to reconnect...');
@@ -187,7 +551,8 @@ export function useRealTime() {
         userUuid.value,
         displayName.value,
         handleMessage,
-        handleStatusChange
+        handleStatusChange,
+        joinData
       );
       socketManager.emit(
         'join-channel',
@@ -195,6 +560,7 @@ export function useRealTime() {
           userUuid: userUuid.value,
           displayName: displayName.value,
           channelName: channelName.value,
+          ...joinData(),
         },
         channelName.value,
         userUuid.value
@@ -213,7 +579,8 @@ export function useRealTime() {
         userUuid.value,
         displayName.value,
         handleMessage,
-        handleStatusChange
+        handleStatusChange,
+        joinData
       );
       socketManager.emit(
         'join-channel',
@@ -221,6 +588,7 @@ export function useRealTime() {
           userUuid: userUuid.value,
           displayName: displayName.value,
           channelName: channelName.value,
+          ...joinData(),
         },
         channelName.value,
         userUuid.value
@@ -276,6 +644,17 @@ export function useRealTime() {
     off('update-breakout');
     off('delete-breakout');
     off('session-removed');
+    off('permission-denied');
+    off('join-rejected');
+    off('binder-access-updated');
+    off('binder-retention-updated');
+    off('invite-created');
+    off('waiting-room');
+    off('join-admitted');
+    off('join-request');
+    off('waiting-list');
+    off('replay-events');
+    off('update-conflict');
 
     off('add-artifact');
     off('update-artifact');
@@ -302,10 +681,35 @@ export function useRealTime() {
     isConnected,
     connectionStatus,
     activeUsers,
+    memberIdOf,
+    findUser,
     connectionError,
     sessionInfo,
     userColor,
     isRoomLocked,
+    userRole,
+    defaultRole,
+    isOwner,
+    canEdit,
+    lastPermissionError,
+    lastThrottleError,
+    lastValidationError,
+    setUserRole,
+    setDefaultRole,
+    joinRejection,
+    binderAccess,
+    lastInvite,
+    updateBinderAccess,
+    binderRetention,
+    updateBinderRetention,
+    createInvite,
+    binderAuthHeaders,
+    requestSync,
+    resetSyncCursors,
+    waitingRoom,
+    joinRequests,
+    admitJoin,
+    denyJoin,
     connect,
     disconnect,
     emit,
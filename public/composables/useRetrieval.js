@@ -0,0 +1,35 @@
+// ./composables/useRetrieval.js
+// Searches the server's index of the binder's documents, artifacts and transcriptions for the passages that best
+// match a question, so prompts built in the browser can send those instead of whole documents.
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const SEARCH_TIMEOUT_MS = 10000;
+const pendingSearches = new Map(); // request id -> resolve
+
+on('binder-search-results', (eventObj) => {
+  const resolve = pendingSearches.get(eventObj.id);
+  if (!resolve) return;
+  pendingSearches.delete(eventObj.id);
+  resolve(eventObj.data?.passages || []);
+});
+
+export function useRetrieval() {
+  /**
+   * Resolves to passages of { entityId, entityType, name, page, start, text, score }, best first, or null when the
+   * server does not answer in time. `options` is { limit, entityIds, entityTypes }.
+   */
+  function searchBinder(query, options = {}) {
+    return new Promise((resolve) => {
+      const id = uuidv4();
+      pendingSearches.set(id, resolve);
+      emit('search-binder', { id, data: { query, ...options } });
+      setTimeout(() => {
+        if (pendingSearches.delete(id)) resolve(null);
+      }, SEARCH_TIMEOUT_MS);
+    });
+  }
+
+  return { searchBinder };
+}
@@ -11,12 +11,15 @@ export function useScrollNavigation() {
   // Emit a scroll request
   function requestScrollToPage(pageIndex) {
     console.log(`Requesting scroll to page index: ${pageIndex}`);
-    emit('scroll-to-page', pageIndex);
+    emit('scroll-to-page', { id: null, data: { page: pageIndex } });
   }
 
   // Listen for scroll requests
   function onScrollRequest(callback) {
-    scrollHandler = (pageIndex) => {
+    // The server relays scroll-to-page only from the presenter
+    scrollHandler = (eventObj) => {
+      const pageIndex = eventObj?.data?.page;
+      if (!Number.isInteger(pageIndex)) return;
       console.log(`Received scroll request for page index: ${pageIndex}`);
       callback(pageIndex);
     };
@@ -2,6 +2,7 @@
 import { useRealTime } from "./useRealTime.js";
 
 const sections = Vue.ref([]);
+const lastConflict = Vue.ref(null); // Most recent edit rejected because someone else changed the same item
 const { emit, on, off, userUuid } = useRealTime();
 
 const processedEvents = new Set();
@@ -81,16 +82,27 @@ export function useSections() {
     }
   }
 
+  function handleUpdateConflict(eventObj) {
+    if (eventObj.data?.entityType !== "sections") return;
+    lastConflict.value = { id: eventObj.id, message: eventObj.message, timestamp: eventObj.timestamp };
+  }
+
+  function clearConflict() {
+    lastConflict.value = null;
+  }
+
   const addSectionHandler = on("add-section", handleAddSection);
   const updateSectionHandler = on("update-section", handleUpdateSection);
   const removeSectionHandler = on("remove-section", handleRemoveSection);
   const reorderSectionsHandler = on("reorder-sections", handleReorderSections);
+  const updateConflictHandler = on("update-conflict", handleUpdateConflict);
 
   eventHandlers.set(useSections, {
     add: addSectionHandler,
     update: updateSectionHandler,
     remove: removeSectionHandler,
     reorder: reorderSectionsHandler,
+    conflict: updateConflictHandler,
   });
 
   function addSection(name, sectionId = null) {
@@ -172,6 +184,7 @@ export function useSections() {
       off("update-section", handlers.update);
       off("remove-section", handlers.remove);
       off("reorder-sections", handlers.reorder);
+      off("update-conflict", handlers.conflict);
       eventHandlers.delete(useSections);
     }
     processedEvents.clear();
@@ -179,6 +192,8 @@ export function useSections() {
 
   return {
     sections,
+    lastConflict,
+    clearConflict,
     addSection,
     updateSection,
     removeSection,
@@ -0,0 +1,69 @@
+// ./composables/useSnapshots.js
+// Named point-in-time copies of the whole binder that can be compared with it and restored.
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const snapshots = Vue.ref([]);
+const snapshotDiff = Vue.ref(null); // { snapshotId, compareTo, diff } from the last comparison
+const lastRestore = Vue.ref(null); // { snapshotId, name, channelName, userUuid } from the last restore in this binder
+
+on('snapshot-list', (eventObj) => {
+  snapshots.value = eventObj.data?.snapshots || [];
+  if (snapshotDiff.value && !snapshots.value.some(snapshot => snapshot.id === snapshotDiff.value.snapshotId)) {
+    snapshotDiff.value = null;
+  }
+});
+
+on('snapshot-diff', (eventObj) => {
+  snapshotDiff.value = { snapshotId: eventObj.id, ...eventObj.data };
+});
+
+on('snapshot-restored', (eventObj) => {
+  lastRestore.value = { snapshotId: eventObj.id, userUuid: eventObj.userUuid, ...eventObj.data };
+  snapshotDiff.value = null;
+});
+
+export function useSnapshots() {
+  function loadSnapshots() {
+    emit('list-snapshots', { id: null, data: null });
+  }
+
+  function createSnapshot(name) {
+    emit('create-snapshot', { id: null, data: { name } });
+  }
+
+  /**
+   * Asks for what changed since a snapshot, up to now or up to another snapshot.
+   */
+  function diffSnapshot(id, compareTo = null) {
+    emit('diff-snapshot', { id, data: { compareTo } });
+  }
+
+  /**
+   * Restores a snapshot over this binder, or into a new binder when targetChannel is given.
+   */
+  function restoreSnapshot(id, targetChannel = null) {
+    emit('restore-snapshot', { id, data: { targetChannel } });
+  }
+
+  function deleteSnapshot(id) {
+    emit('delete-snapshot', { id, data: null });
+  }
+
+  function clearSnapshotDiff() {
+    snapshotDiff.value = null;
+  }
+
+  return {
+    snapshots,
+    snapshotDiff,
+    lastRestore,
+    loadSnapshots,
+    createSnapshot,
+    diffSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+    clearSnapshotDiff,
+  };
+}
@@ -0,0 +1,242 @@
+// ./composables/useTextCollab.js
+// Live collaborative editing of document and artifact page text.
+// Local edits are sent as TextOps operations against the page revision we last saw from the server.
+// Each page has at most one operation in flight; edits made while waiting for its ack are composed
+// into a buffer, and incoming operations are transformed past both before they are applied.
+import eventBus from './eventBus.js';
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const textSessions = Vue.ref({}); // Open sessions keyed by `${entityType}:${id}`
+const remoteCarets = Vue.ref({}); // Other editors' carets by session key, then by userUuid
+
+const CARET_THROTTLE_MS = 150;
+
+function sessionKey(entityType, id) {
+  return `${entityType}:${id}`;
+}
+
+function pageState(session, page) {
+  if (!session.pages[page]) session.pages[page] = { rev: 0, inflight: null, buffer: null };
+  return session.pages[page];
+}
+
+function hasPendingOps(session) {
+  return Object.values(session.pages).some(state => state.inflight || state.buffer);
+}
+
+function sendOp(session, page) {
+  const state = pageState(session, page);
+  emit('text-op', {
+    id: session.id,
+    data: { entityType: session.entityType, epoch: session.epoch, page, rev: state.rev, ops: state.inflight },
+  });
+}
+
+function requestTextState(session) {
+  session.ready = false;
+  emit('text-join', { id: session.id, data: { entityType: session.entityType } });
+}
+
+// Leaves a closing session once everything we typed has been acknowledged
+function finishClosing(session) {
+  if (!session.closing || !session.ready || hasPendingOps(session)) return;
+  const key = sessionKey(session.entityType, session.id);
+  emit('text-leave', { id: session.id, data: { entityType: session.entityType } });
+  delete textSessions.value[key];
+  delete remoteCarets.value[key];
+}
+
+function shiftRemoteCarets(key, page, ops) {
+  Object.values(remoteCarets.value[key] || {}).forEach((caret) => {
+    if (caret.page === page) caret.index = TextOps.transformIndex(caret.index, ops);
+  });
+}
+
+function applyLocalText(session, page, newText) {
+  const ops = TextOps.fromDiff(session.pagesText[page] || '', newText);
+  if (TextOps.isNoop(ops)) return;
+  session.pagesText[page] = newText;
+  shiftRemoteCarets(sessionKey(session.entityType, session.id), page, ops);
+
+  const state = pageState(session, page);
+  if (state.inflight) {
+    state.buffer = state.buffer ? TextOps.compose(state.buffer, ops) : ops;
+  } else {
+    state.inflight = ops;
+    sendOp(session, page);
+  }
+}
+
+function handleTextState(eventObj) {
+  const { id, data } = eventObj;
+  const session = textSessions.value[sessionKey(data?.entityType, id)];
+  if (!session) return;
+
+  // Anything still unacknowledged belonged to the old state and is dropped
+  session.epoch = data.epoch;
+  session.pagesText = [...data.pagesText];
+  session.pages = {};
+  data.revs.forEach((rev, page) => {
+    session.pages[page] = { rev, inflight: null, buffer: null };
+  });
+  session.ready = true;
+
+  const queued = session.queued;
+  session.queued = [];
+  queued.forEach(({ page, text }) => applyLocalText(session, page, text));
+  finishClosing(session);
+}
+
+function handleTextAck(eventObj) {
+  const { id, data } = eventObj;
+  const session = textSessions.value[sessionKey(data?.entityType, id)];
+  if (!session || data.epoch !== session.epoch) return;
+
+  const state = pageState(session, data.page);
+  state.rev = data.rev;
+  state.inflight = state.buffer;
+  state.buffer = null;
+  if (state.inflight) sendOp(session, data.page);
+  finishClosing(session);
+}
+
+function handleRemoteOp(eventObj) {
+  const { id, userUuid: authorUuid, data } = eventObj;
+  const key = sessionKey(data?.entityType, id);
+  const session = textSessions.value[key];
+  if (!session || !session.ready || data.epoch !== session.epoch) return;
+
+  const state = pageState(session, data.page);
+  if (data.rev !== state.rev + 1) {
+    requestTextState(session);
+    return;
+  }
+
+  try {
+    let incoming = data.ops;
+    if (state.inflight) [state.inflight, incoming] = TextOps.transform(state.inflight, incoming);
+    if (state.buffer) [state.buffer, incoming] = TextOps.transform(state.buffer, incoming);
+    state.rev = data.rev;
+    session.pagesText[data.page] = TextOps.apply(session.pagesText[data.page] || '', incoming);
+    shiftRemoteCarets(key, data.page, incoming);
+    eventBus.$emit('text-remote-op', { key, page: data.page, ops: incoming, userUuid: authorUuid });
+  } catch (error) {
+    console.error('Failed to apply remote text operation, reloading text:', error);
+    requestTextState(session);
+  }
+}
+
+function handleRemoteCaret(eventObj) {
+  const { id, userUuid: caretUuid, data } = eventObj;
+  const key = sessionKey(data?.entityType, id);
+  if (!textSessions.value[key]) return;
+  if (!remoteCarets.value[key]) remoteCarets.value[key] = {};
+  if (data.page === null || data.page === undefined) {
+    delete remoteCarets.value[key][caretUuid];
+  } else {
+    remoteCarets.value[key][caretUuid] = { page: data.page, index: data.index };
+  }
+}
+
+// After a reconnect the server may have dropped us from our sessions, so reload each one
+function resyncTextSessions() {
+  Object.values(textSessions.value).forEach(requestTextState);
+}
+
+// Registered once for the module: a second registration would apply every operation twice
+on('text-state', handleTextState);
+on('text-ack', handleTextAck);
+on('text-op', handleRemoteOp);
+on('text-caret', handleRemoteCaret);
+on('sync-history-data', resyncTextSessions);
+on('replay-events', resyncTextSessions);
+
+export function useTextCollab() {
+  /**
+   * Joins the live session for an entity's text and returns the reactive session,
+   * whose `pagesText` is the text to edit once `ready` is true.
+   */
+  function openText(entityType, id) {
+    const key = sessionKey(entityType, id);
+    if (!textSessions.value[key]) {
+      textSessions.value[key] = {
+        entityType,
+        id,
+        epoch: null,
+        pagesText: [],
+        pages: {},
+        ready: false,
+        closing: false,
+        queued: [],
+        lastCaret: null,
+        caretTimer: null,
+      };
+      requestTextState(textSessions.value[key]);
+    }
+    const session = textSessions.value[key];
+    session.closing = false;
+    return session;
+  }
+
+  /**
+   * Leaves the session once our pending edits are acknowledged.
+   */
+  function closeText(entityType, id) {
+    const session = textSessions.value[sessionKey(entityType, id)];
+    if (!session) return;
+    clearTimeout(session.caretTimer);
+    session.closing = true;
+    finishClosing(session);
+  }
+
+  /**
+   * Records the new text of a page after a local edit and sends the change.
+   */
+  function editText(entityType, id, page, newText) {
+    const session = textSessions.value[sessionKey(entityType, id)];
+    if (!session?.ready) return;
+    applyLocalText(session, page, newText);
+  }
+
+  /**
+   * Replaces a page's text through the live session, e.g. with OCR output while someone is editing.
+   * Opens a short-lived session when this client is not editing the entity itself.
+   */
+  function replacePageText(entityType, id, page, text) {
+    const key = sessionKey(entityType, id);
+    const existing = textSessions.value[key];
+    const session = existing || openText(entityType, id);
+    if (session.ready) {
+      applyLocalText(session, page, text);
+    } else {
+      session.queued.push({ page, text });
+    }
+    if (!existing) closeText(entityType, id);
+  }
+
+  /**
+   * Shares our caret position with the other editors, throttled while typing.
+   */
+  function sendCaret(entityType, id, page, index) {
+    const session = textSessions.value[sessionKey(entityType, id)];
+    if (!session?.ready) return;
+    session.lastCaret = { page, index };
+    if (session.caretTimer) return;
+    session.caretTimer = setTimeout(() => {
+      session.caretTimer = null;
+      emit('text-caret', { id, data: { entityType, ...session.lastCaret } });
+    }, CARET_THROTTLE_MS);
+  }
+
+  return {
+    textSessions,
+    remoteCarets,
+    openText,
+    closeText,
+    editText,
+    replacePageText,
+    sendCaret,
+  };
+}
@@ -0,0 +1,48 @@
+// ./composables/useTrash.js
+// Deleted documents, artifacts, agents, goals, questions, chats, sections and breakouts kept by the server until purged.
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const trashItems = Vue.ref([]);
+const retentionMs = Vue.ref(null);
+const isLoading = Vue.ref(false);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+on('trash-list', (eventObj) => {
+  trashItems.value = eventObj.data?.items || [];
+  retentionMs.value = eventObj.data?.retentionMs ?? null;
+  isLoading.value = false;
+});
+
+export function useTrash() {
+  const retentionDays = Vue.computed(() => (retentionMs.value ? Math.round(retentionMs.value / DAY_MS) : null));
+
+  function loadTrash() {
+    isLoading.value = true;
+    emit('list-trash', { id: null, data: null });
+  }
+
+  /**
+   * Asks the server to restore an item; it comes back through the usual add event and the list is resent.
+   */
+  function restoreItem(item) {
+    trashItems.value = trashItems.value.filter(entry => !(entry.id === item.id && entry.entityType === item.entityType));
+    emit('restore-entity', { id: item.id, data: { entityType: item.entityType } });
+  }
+
+  // Days left before an item is purged, at least 0
+  function daysUntilPurge(item) {
+    return Math.max(0, Math.ceil((item.purgeAt - Date.now()) / DAY_MS));
+  }
+
+  return {
+    trashItems,
+    retentionDays,
+    isLoading,
+    loadTrash,
+    restoreItem,
+    daysUntilPurge,
+  };
+}
@@ -0,0 +1,68 @@
+// ./composables/useWebhooks.js
+// Outgoing webhooks that send signed binder events to other systems. Only binder owners can see or change them.
+import { useRealTime } from './useRealTime.js';
+
+const { emit, on } = useRealTime();
+
+const webhooks = Vue.ref([]);
+const webhookEvents = Vue.ref([]); // Event names a webhook can subscribe to, from the server
+const deliveries = Vue.ref([]);
+const deliveriesFor = Vue.ref(null); // Webhook id the delivery log is showing, null for all of them
+const newSecret = Vue.ref(null); // { id, url, secret } for a webhook just created or rotated; shown once
+
+on('webhook-list', (eventObj) => {
+  webhooks.value = eventObj.data?.webhooks || [];
+  webhookEvents.value = eventObj.data?.events || [];
+});
+
+on('webhook-deliveries', (eventObj) => {
+  deliveriesFor.value = eventObj.id || null;
+  deliveries.value = eventObj.data?.deliveries || [];
+});
+
+on('webhook-secret', (eventObj) => {
+  newSecret.value = { id: eventObj.id, ...eventObj.data };
+});
+
+export function useWebhooks() {
+  function loadWebhooks() {
+    emit('list-webhooks', { id: null, data: null });
+  }
+
+  function addWebhook(url, events) {
+    emit('add-webhook', { id: null, data: { url, events } });
+  }
+
+  /**
+   * Changes a webhook; `changes` may hold url, events, active and rotateSecret.
+   */
+  function updateWebhook(id, changes) {
+    emit('update-webhook', { id, data: changes });
+  }
+
+  function removeWebhook(id) {
+    emit('remove-webhook', { id, data: null });
+  }
+
+  function loadDeliveries(id = null) {
+    emit('list-webhook-deliveries', { id, data: null });
+  }
+
+  function clearNewSecret() {
+    newSecret.value = null;
+  }
+
+  return {
+    webhooks,
+    webhookEvents,
+    deliveries,
+    deliveriesFor,
+    newSecret,
+    loadWebhooks,
+    addWebhook,
+    updateWebhook,
+    removeWebhook,
+    loadDeliveries,
+    clearNewSecret,
+  };
+}
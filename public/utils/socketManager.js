@@ -7,13 +7,18 @@ const activeUsers = {};
 
 let heartbeatInterval = null;
 
+// joinData may be an object or a function returning one, so reconnects pick up fresh credentials
+function resolveJoinData(joinData) {
+  return typeof joinData === 'function' ? joinData() : joinData;
+}
+
 function initializeSocket(channelName, userUuid, displayName, onMessage, onStatusChange, joinData = {}) {
   if (socket) {
     if (socket.connected) {
       console.log('Socket already connected, reusing existing connection');
       onStatusChange('connected', null);
       if (channelName && displayName) {
-        socket.emit('join-channel', { userUuid, displayName, channelName, ...joinData });
+        socket.emit('join-channel', { userUuid, displayName, channelName, ...resolveJoinData(joinData) });
       }
       return;
     } else {
@@ -39,7 +44,7 @@ function initializeSocket(channelName, userUuid, displayName, onMessage, onStatu
     // console.log(`Connected to server with UUID: ${userUuid}, Socket ID: ${socket.id}`);
     onStatusChange('connected', null);
     if (channelName && displayName) {
-      socket.emit('join-channel', { userUuid, displayName, channelName });
+      socket.emit('join-channel', { userUuid, displayName, channelName, ...resolveJoinData(joinData) });
     }
     startHeartbeat(channelName, userUuid);
   });
@@ -59,7 +64,7 @@ function initializeSocket(channelName, userUuid, displayName, onMessage, onStatu
     if (data.type === 'error') {
       console.error('Received error from server:', data);
       if (data.message === 'Invalid message format' || data.message === 'Invalid channel or user') {
-        reconnect(channelName, userUuid, displayName, onMessage, onStatusChange);
+        reconnect(channelName, userUuid, displayName, onMessage, onStatusChange, joinData);
       }
     }
     onMessage(data);
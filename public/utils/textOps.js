@@ -0,0 +1,357 @@
+// ./public/utils/textOps.js
+// Plain-text operational transform shared by the server (require) and the browser (window.TextOps).
+// An operation is an array of components applied left to right over a page of text:
+//   positive number -> retain that many characters
+//   string          -> insert the string
+//   negative number -> delete that many characters
+// Every operation spans the whole page it was made against, so its base length must match the text.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TextOps = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function isRetain(component) {
+    return typeof component === 'number' && component > 0;
+  }
+
+  function isInsert(component) {
+    return typeof component === 'string';
+  }
+
+  function isDelete(component) {
+    return typeof component === 'number' && component < 0;
+  }
+
+  function pushRetain(ops, count) {
+    if (count === 0) return;
+    const last = ops[ops.length - 1];
+    if (isRetain(last)) ops[ops.length - 1] = last + count;
+    else ops.push(count);
+  }
+
+  // Inserts are kept before an adjacent delete so equal edits always produce the same operation
+  function pushInsert(ops, text) {
+    if (text === '') return;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) {
+      ops[ops.length - 1] = last + text;
+    } else if (isDelete(last)) {
+      const previous = ops[ops.length - 2];
+      if (isInsert(previous)) {
+        ops[ops.length - 2] = previous + text;
+      } else {
+        ops[ops.length - 1] = text;
+        ops.push(last);
+      }
+    } else {
+      ops.push(text);
+    }
+  }
+
+  function pushDelete(ops, count) {
+    if (count === 0) return;
+    const negative = count > 0 ? -count : count;
+    const last = ops[ops.length - 1];
+    if (isDelete(last)) ops[ops.length - 1] = last + negative;
+    else ops.push(negative);
+  }
+
+  /**
+   * Returns true if the value is a well-formed operation.
+   */
+  function isValid(ops) {
+    return Array.isArray(ops) && ops.every(component =>
+      isInsert(component) || (Number.isInteger(component) && component !== 0));
+  }
+
+  /**
+   * Returns true if the operation leaves the text unchanged.
+   */
+  function isNoop(ops) {
+    return ops.every(isRetain);
+  }
+
+  /**
+   * Length of the text the operation applies to.
+   */
+  function baseLength(ops) {
+    return ops.reduce((length, component) =>
+      length + (isInsert(component) ? 0 : Math.abs(component)), 0);
+  }
+
+  /**
+   * Length of the text after the operation is applied.
+   */
+  function targetLength(ops) {
+    return ops.reduce((length, component) => {
+      if (isInsert(component)) return length + component.length;
+      if (isRetain(component)) return length + component;
+      return length;
+    }, 0);
+  }
+
+  /**
+   * Applies an operation to a string and returns the new string.
+   */
+  function apply(text, ops) {
+    if (text.length !== baseLength(ops)) {
+      throw new Error('Operation base length does not match the text');
+    }
+    let result = '';
+    let index = 0;
+    for (const component of ops) {
+      if (isRetain(component)) {
+        result += text.slice(index, index + component);
+        index += component;
+      } else if (isInsert(component)) {
+        result += component;
+      } else {
+        index -= component;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Builds the operation that turns `oldText` into `newText` as a single splice,
+   * which is what a textarea produces for one keystroke, paste or cut.
+   */
+  function fromDiff(oldText, newText) {
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+      start++;
+    }
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+    const ops = [];
+    pushRetain(ops, start);
+    pushDelete(ops, oldEnd - start);
+    pushInsert(ops, newText.slice(start, newEnd));
+    pushRetain(ops, oldText.length - oldEnd);
+    return ops;
+  }
+
+  /**
+   * Combines two consecutive operations into one with the same effect as applying `a` then `b`.
+   */
+  function compose(a, b) {
+    if (targetLength(a) !== baseLength(b)) {
+      throw new Error('Cannot compose operations of mismatched lengths');
+    }
+    const result = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        pushDelete(result, op1);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        pushInsert(result, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations of mismatched lengths');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          pushRetain(result, op2);
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          pushRetain(result, op1);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          pushRetain(result, op1);
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = b[i2++];
+        } else if (op1.length === -op2) {
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = a[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          pushInsert(result, op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = b[i2++];
+        } else if (op1.length === op2) {
+          pushInsert(result, op1);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          pushInsert(result, op1);
+          op2 -= op1.length;
+          op1 = a[i1++];
+        }
+      } else {
+        // retain in `a`, delete in `b`
+        if (op1 > -op2) {
+          pushDelete(result, op2);
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (op1 === -op2) {
+          pushDelete(result, op2);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          pushDelete(result, op1);
+          op2 += op1;
+          op1 = a[i1++];
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Transforms two concurrent operations made against the same text.
+   * Returns [aPrime, bPrime] such that apply(apply(text, a), bPrime) === apply(apply(text, b), aPrime).
+   * When both insert at the same position, the insert from `a` comes first.
+   */
+  function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) {
+      throw new Error('Cannot transform operations with different base lengths');
+    }
+    const aPrime = [];
+    const bPrime = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        pushInsert(aPrime, op1);
+        pushRetain(bPrime, op1.length);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        pushRetain(aPrime, op2.length);
+        pushInsert(bPrime, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations with different base lengths');
+      }
+
+      let length;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          length = op2;
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          length = op2;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = op1;
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+        pushRetain(aPrime, length);
+        pushRetain(bPrime, length);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both deleted the same characters; neither side has anything left to do
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          length = op2;
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (-op1 === op2) {
+          length = op2;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = -op1;
+          op2 += op1;
+          op1 = a[i1++];
+        }
+        pushDelete(aPrime, length);
+      } else {
+        // retain in `a`, delete in `b`
+        if (op1 > -op2) {
+          length = -op2;
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (op1 === -op2) {
+          length = op1;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = op1;
+          op2 += op1;
+          op1 = a[i1++];
+        }
+        pushDelete(bPrime, length);
+      }
+    }
+    return [aPrime, bPrime];
+  }
+
+  /**
+   * Moves a caret index through an operation so it stays next to the same character.
+   * Text inserted exactly at the caret pushes the caret forward.
+   */
+  function transformIndex(index, ops) {
+    let cursor = 0;
+    let newIndex = index;
+    for (const component of ops) {
+      if (cursor > index) break;
+      if (isRetain(component)) {
+        cursor += component;
+      } else if (isInsert(component)) {
+        newIndex += component.length;
+      } else {
+        newIndex -= Math.min(-component, index - cursor);
+        cursor -= component;
+      }
+    }
+    return newIndex;
+  }
+
+  return {
+    isValid,
+    isNoop,
+    baseLength,
+    targetLength,
+    apply,
+    fromDiff,
+    compose,
+    transform,
+    transformIndex,
+  };
+});
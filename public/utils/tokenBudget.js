@@ -0,0 +1,223 @@
+// ./public/utils/tokenBudget.js
+// Prompt size estimates and context window budgets, shared by the server (require) and the browser (window.TokenBudget).
+// Token counts are estimated by splitting text the way BPE tokenizers pre-split it (words, numbers, punctuation and
+// whitespace) and costing each piece by the model family's characters per token. They run a little high on purpose:
+// a prompt that is estimated to fit should fit.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TokenBudget = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+  const WIDE_SCRIPT = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/; // Kana, CJK and Hangul are about a token per character
+  const CHARS_PER_TOKEN = { openai: 4, gemini: 4, llama: 3.8, anthropic: 3.5, mistral: 3.5, default: 3.5 };
+  const MESSAGE_OVERHEAD = 4; // Role and separators around each chat message
+
+  // Context window and longest reply by model name prefix, for models whose metadata does not say; first match wins
+  const KNOWN_MODEL_LIMITS = [
+    ['gemini-1.5-pro', 2097152, 8192],
+    ['gemini', 1048576, 8192],
+    ['gpt-4.1', 1047576, 32768],
+    ['gpt-4o', 128000, 16384],
+    ['o1-preview', 128000, 32768],
+    ['o1-mini', 128000, 65536],
+    ['o1', 200000, 100000],
+    ['o3', 200000, 100000],
+    ['claude', 200000, 8192],
+    ['llama', 128000, 8192],
+    ['mistral-large', 128000, 8192],
+    ['grok', 131072, 8192],
+  ];
+  const DEFAULT_LIMITS = { contextWindow: 32768, maxOutputTokens: 4096 };
+  const SAFETY_MARGIN = 0.1;
+  const HISTORY_SHARE = 0.25; // Of the space left after instructions, kept for earlier chat messages
+  const STRATEGIES = ['truncate', 'spread'];
+  const TRUNCATION_MARKER = '\n[…truncated to fit the model\'s context window]';
+  const SPREAD_MARKER = ' […]';
+
+  function tokenizerFamily(model) {
+    const provider = String(model?.provider || '').toLowerCase();
+    const name = String(model?.model || '').toLowerCase();
+    if (['openai', 'azureai', 'xai'].includes(provider) || /^(gpt|o\d)/.test(name)) return 'openai';
+    if (provider === 'anthropic' || name.includes('claude')) return 'anthropic';
+    if (provider === 'gemini' || name.includes('gemini')) return 'gemini';
+    if (provider === 'mistral' || name.includes('mistral')) return 'mistral';
+    if (name.includes('llama')) return 'llama';
+    return 'default';
+  }
+
+  /**
+   * Estimated number of tokens `text` takes for a model ({ provider, model }).
+   */
+  function estimateTokens(text, model) {
+    if (typeof text !== 'string' || !text) return 0;
+    const charsPerToken = CHARS_PER_TOKEN[tokenizerFamily(model)];
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+      const trimmed = piece.trimStart();
+      if (!trimmed) tokens += 1;
+      else if (WIDE_SCRIPT.test(trimmed)) tokens += trimmed.length;
+      else if (/^\p{N}/u.test(trimmed)) tokens += 1;
+      else if (/^\p{L}/u.test(trimmed)) tokens += Math.ceil(trimmed.length / charsPerToken);
+      else tokens += Math.ceil(trimmed.length / 2);
+    }
+    return tokens;
+  }
+
+  function estimateMessages(messages, model) {
+    return messages.reduce((sum, message) => sum + MESSAGE_OVERHEAD + estimateTokens(message.content, model), 0);
+  }
+
+  /**
+   * The model's context window and longest reply, from its metadata (contextWindow, maxOutputTokens) when it has
+   * them, otherwise from what is known about models with that name.
+   */
+  function modelLimits(model) {
+    const name = String(model?.model || '').toLowerCase();
+    const known = KNOWN_MODEL_LIMITS.find(([prefix]) => name.startsWith(prefix));
+    const fallback = known ? { contextWindow: known[1], maxOutputTokens: known[2] } : DEFAULT_LIMITS;
+    const positive = value => Number.isInteger(value) && value > 0;
+    return {
+      contextWindow: positive(model?.contextWindow) ? model.contextWindow : fallback.contextWindow,
+      maxOutputTokens: positive(model?.maxOutputTokens) ? model.maxOutputTokens : fallback.maxOutputTokens,
+    };
+  }
+
+  /**
+   * Tokens a prompt may use: the context window less room for the reply and a margin for estimate error.
+   */
+  function promptBudget(model) {
+    const { contextWindow, maxOutputTokens } = modelLimits(model);
+    const reserved = Math.min(maxOutputTokens, Math.floor(contextWindow / 4));
+    return Math.floor((contextWindow - reserved) * (1 - SAFETY_MARGIN));
+  }
+
+  /**
+   * Cuts text down to about maxTokens, ending it with a marker that says it was cut.
+   */
+  function truncateToTokens(text, maxTokens, model, marker = TRUNCATION_MARKER) {
+    const total = estimateTokens(text, model);
+    if (total <= maxTokens) return text;
+    const room = maxTokens - estimateTokens(marker, model);
+    if (room <= 0) return '';
+    let cut = Math.floor(text.length * room / total);
+    while (cut > 0 && estimateTokens(text.slice(0, cut), model) > room) cut = Math.floor(cut * 0.9);
+    return cut > 0 ? text.slice(0, cut) + marker : '';
+  }
+
+  function materialTokens(pages, model) {
+    return pages.reduce((sum, page) => sum + estimateTokens(page, model), 0);
+  }
+
+  // Equal shares of the budget, with what small materials do not need shared among the larger ones
+  function shareBudget(sizes, budget) {
+    const shares = new Array(sizes.length).fill(0);
+    const order = sizes.map((size, index) => index).sort((a, b) => sizes[a] - sizes[b]);
+    let remaining = Math.max(0, budget);
+    order.forEach((index, position) => {
+      const share = Math.floor(remaining / (order.length - position));
+      shares[index] = Math.min(sizes[index], share);
+      remaining -= shares[index];
+    });
+    return shares;
+  }
+
+  function trimPages(pages, allowance, model, strategy) {
+    if (strategy === 'spread') {
+      const share = Math.floor(allowance / pages.length);
+      return pages.map(page => truncateToTokens(page, share, model, SPREAD_MARKER));
+    }
+    const kept = [];
+    let left = allowance;
+    for (const page of pages) {
+      const tokens = estimateTokens(page, model);
+      if (tokens <= left) {
+        kept.push(page);
+        left -= tokens;
+        continue;
+      }
+      const cut = truncateToTokens(page, left, model);
+      if (cut) kept.push(cut);
+      break;
+    }
+    return kept;
+  }
+
+  /**
+   * Fits reference materials ({ pages: [text], ... }) into a token budget. The smallest stay whole and the largest
+   * are cut first. 'truncate' keeps each cut material's opening pages; 'spread' keeps the start of every page.
+   * Pages keep their positions, so page numbers stay right. Returns { materials, truncated } where cut materials
+   * have `truncated: true`.
+   */
+  function fitMaterials(materials, budget, model, strategy = 'truncate') {
+    const sizes = materials.map(material => materialTokens(material.pages || [], model));
+    if (sizes.reduce((sum, size) => sum + size, 0) <= budget) return { materials, truncated: 0 };
+    const shares = shareBudget(sizes, budget);
+    let truncated = 0;
+    const fitted = materials.map((material, index) => {
+      if (shares[index] >= sizes[index]) return material;
+      truncated++;
+      return { ...material, pages: trimPages(material.pages || [], shares[index], model, strategy), truncated: true };
+    });
+    return { materials: fitted, truncated };
+  }
+
+  /**
+   * Fits a prompt into the model's budget by rank. Parts are { role, content, kind }, where kind is 'instruction'
+   * (always kept), 'material' (with `pages`, cut to fit) or 'history' (chat messages; the latest is always kept and
+   * earlier ones are dropped oldest first). Returns { parts, tokens, budget, contextWindow, truncatedMaterials,
+   * droppedMessages }.
+   */
+  function fitPrompt(parts, model, { budget = promptBudget(model), strategy = 'truncate' } = {}) {
+    const tokensOf = part => MESSAGE_OVERHEAD + estimateTokens(part.content, model);
+    const history = parts.filter(part => part.kind === 'history');
+    const latest = history[history.length - 1];
+    const earlier = history.slice(0, -1);
+    const materials = parts.filter(part => part.kind === 'material');
+
+    const fixed = parts.filter(part => part.kind === 'instruction' || part === latest).reduce((sum, part) => sum + tokensOf(part), 0);
+    const remaining = budget - fixed - materials.length * MESSAGE_OVERHEAD;
+    const earlierTokens = earlier.reduce((sum, part) => sum + tokensOf(part), 0);
+    const historyReserve = Math.min(earlierTokens, Math.floor(Math.max(0, remaining) * HISTORY_SHARE));
+
+    const fitted = fitMaterials(materials, Math.max(0, remaining - historyReserve), model, STRATEGIES.includes(strategy) ? strategy : 'truncate');
+    const materialParts = new Map(materials.map((part, index) => {
+      const material = fitted.materials[index];
+      return [part, material === part ? part : { ...part, pages: material.pages, content: material.pages.join('\n'), truncated: true }];
+    }));
+    let historyLeft = Math.max(0, remaining) - [...materialParts.values()].reduce((sum, part) => sum + estimateTokens(part.content, model), 0);
+
+    const keptHistory = new Set(latest ? [latest] : []);
+    for (const part of [...earlier].reverse()) {
+      const tokens = tokensOf(part);
+      if (tokens > historyLeft) break;
+      keptHistory.add(part);
+      historyLeft -= tokens;
+    }
+
+    const result = parts
+      .filter(part => part.kind !== 'history' || keptHistory.has(part))
+      .map(part => materialParts.get(part) || part);
+    return {
+      parts: result,
+      tokens: estimateMessages(result, model),
+      budget,
+      contextWindow: modelLimits(model).contextWindow,
+      truncatedMaterials: fitted.truncated,
+      droppedMessages: history.length - keptHistory.size,
+    };
+  }
+
+  return {
+    STRATEGIES,
+    estimateTokens,
+    estimateMessages,
+    modelLimits,
+    promptBudget,
+    truncateToTokens,
+    fitMaterials,
+    fitPrompt,
+  };
+});
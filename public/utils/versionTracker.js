@@ -0,0 +1,71 @@
+// ./public/utils/versionTracker.js
+// The entity versions a browser bases its update-* events on (window.VersionTracker).
+// A version only advances when the server confirms it, with an update's -ack or the broadcast that carries it, so
+// an update the server drops (throttled, too large, invalid or denied) leaves the client on the version it had.
+// One update per entity is in flight at a time: later edits wait for the server's answer and are sent on the
+// version it confirms, so quick successive edits do not conflict with each other.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VersionTracker = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function createVersionTracker() {
+    const versions = new Map(); // Last version the server confirmed, by entity id
+    const inFlight = new Map(); // Entity id -> { queued: { event, data } | null } for updates awaiting an answer
+
+    // Versions only move forward, except when the server corrects us after a conflict or a full load
+    function remember(id, version) {
+      if (!id || !Number.isInteger(version)) return;
+      versions.set(id, Math.max(versions.get(id) || 0, version));
+    }
+
+    /**
+     * Prepares an outgoing event. Returns the data to send, with the base version added to tracked updates,
+     * or null when an earlier update to the same entity is still awaiting its answer; the newest such edit is
+     * handed back by settle().
+     */
+    function prepare(event, data) {
+      if (event.startsWith('add-') && data?.id) {
+        remember(data.id, 1);
+        return data;
+      }
+      if (!event.startsWith('update-') || !data?.id || data.version !== undefined || !versions.has(data.id)) return data;
+      if (inFlight.has(data.id)) {
+        inFlight.get(data.id).queued = { event, data };
+        return null;
+      }
+      inFlight.set(data.id, { queued: null });
+      return { ...data, version: versions.get(data.id) };
+    }
+
+    /**
+     * Ends the wait for an entity's update once the server has answered it, or given up on. Returns the edit that
+     * was waiting as { event, data } ready to send, or null. `dropQueued` discards it, e.g. after a conflict
+     * replaced the local copy.
+     */
+    function settle(id, { dropQueued = false } = {}) {
+      const pending = inFlight.get(id);
+      if (!pending) return null;
+      inFlight.delete(id);
+      if (!pending.queued || dropQueued) return null;
+      const { event, data } = pending.queued;
+      const ready = prepare(event, data);
+      return ready ? { event, data: ready } : null;
+    }
+
+    function isPending(id) {
+      return inFlight.has(id);
+    }
+
+    // Forgets updates awaiting an answer, e.g. on disconnect; the versions stay for the next sync to correct
+    function reset() {
+      inFlight.clear();
+    }
+
+    return { versions, remember, prepare, settle, isPending, reset };
+  }
+
+  return { createVersionTracker };
+});
@@ -0,0 +1,9 @@
+var router = require('express').Router();
+const auditController = require('../controllers/audit');
+
+//Sub Routes
+router.get('/:channelName', auditController.getAuditTrail); // Retrieve a binder's audit trail, with filters
+
+
+//export the router back to the index.js page
+module.exports = router;
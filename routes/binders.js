@@ -0,0 +1,13 @@
+var router = require('express').Router();
+const bindersController = require('../controllers/binders');
+
+//Sub Routes
+router.get('/:channelName/:entityType', bindersController.listEntities); // List a binder's entities of one type
+router.get('/:channelName/:entityType/:id', bindersController.getEntity); // Retrieve one entity
+router.post('/:channelName/:entityType', bindersController.createEntity); // Add an entity, as add-* does over the socket
+router.put('/:channelName/:entityType/:id', bindersController.updateEntity); // Replace an entity's data, as update-* does
+router.delete('/:channelName/:entityType/:id', bindersController.deleteEntity); // Move an entity to the Trash, as remove-* does
+
+
+//export the router back to the index.js page
+module.exports = router;
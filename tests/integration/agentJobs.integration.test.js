@@ -0,0 +1,50 @@
+/**
+ * Integration Tests for Server-Side Agent Jobs
+ * Tests that agent replies count against the sender's LLM limit and always end in a final state
+ */
+
+process.env.STORAGE = 'memory';
+process.env.RATE_LIMITS = JSON.stringify({ 'add-llm': { user: 1, channel: 0 } });
+
+const { startRealTimeServer, nextMessage } = require('./realTimeServer');
+const { entityModels } = require('../../config/models');
+
+describe('Agent jobs', () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await startRealTimeServer();
+  });
+
+  afterEach(() => {
+    harness.disconnectAll();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => harness.close());
+
+  const mention = (id, text) => ({
+    id, type: 'add-collab', userUuid: 'owner-uuid', channelName: 'agent_room',
+    data: { text, breakoutId: null }, timestamp: Date.now(),
+  });
+
+  test('should close a reply whose job failed and refuse jobs over the sender\'s LLM limit', async () => {
+    const owner = await harness.joinAs('agent_room', 'owner-uuid');
+    await entityModels.agents.create({
+      id: 'agent-1', channel: 'agent_room', userUuid: 'owner-uuid', data: { name: 'Helper' }, deletedAt: null, timestamp: Date.now(), version: 1,
+    });
+    jest.spyOn(entityModels.goals, 'find').mockImplementation(() => {
+      throw new Error('storage offline');
+    });
+
+    owner.emit('message', mention('m1', '@Helper summarize'));
+    const closed = await nextMessage(owner, ['update-collab']);
+    expect(closed.userUuid).toBe('agent-agent-1');
+    expect(closed.data).toMatchObject({ isStreaming: false, error: 'The agent could not run', requestedBy: 'owner-uuid' });
+
+    owner.emit('message', mention('m2', '@Helper again'));
+    const limited = await nextMessage(owner, ['rate-limited']);
+    expect(limited.message).toMatch(/^@Helper did not run: you are sending too many AI requests/);
+    expect(owner.received.filter(m => m.type === 'add-collab' && m.userUuid === 'agent-agent-1')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Integration Tests for the Binder REST Controller
+ * Tests which role and authorship a REST request acts with, and how failed saves are answered, against the in-memory store
+ */
+
+process.env.STORAGE = 'memory';
+
+const { entityModels } = require('../../config/models');
+const bindersController = require('../../controllers/binders');
+
+describe('Binder REST controller', () => {
+  beforeAll(async () => {
+    await entityModels.channels.create({
+      id: 'api_room',
+      channel: 'api_room',
+      userUuid: 'owner-uuid',
+      data: { users: [], roles: { 'owner-uuid': 'owner' }, defaultRole: 'viewer' },
+      timestamp: Date.now(),
+      serverTimestamp: Date.now(),
+    });
+    await entityModels.channels.create({
+      id: 'comment_room',
+      channel: 'comment_room',
+      userUuid: 'owner-uuid',
+      data: { users: [], roles: { 'owner-uuid': 'owner' }, defaultRole: 'commenter' },
+      timestamp: Date.now(),
+      serverTimestamp: Date.now(),
+    });
+    await entityModels.chats.create({
+      id: 'chat-1',
+      channel: 'comment_room',
+      userUuid: 'author-uuid',
+      data: { text: 'Original' },
+      timestamp: Date.now(),
+      serverTimestamp: Date.now(),
+      version: 1,
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function request({ headers = {}, params = {}, body } = {}) {
+    return {
+      headers,
+      params: { channelName: 'api_room', entityType: 'goals', ...params },
+      body,
+      get: name => headers[name.toLowerCase()],
+    };
+  }
+
+  function response() {
+    const res = {};
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn(body => {
+      res.body = body;
+      return res;
+    });
+    return res;
+  }
+
+  test('should not give a request that names the owner in X-User-Uuid the owner\'s role', async () => {
+    const res = response();
+    await bindersController.createEntity(request({
+      headers: { 'x-user-uuid': 'owner-uuid' },
+      body: { id: 'goal-1', data: { text: 'Spoofed' } },
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Your role (viewer) does not allow add on goals');
+    expect(await entityModels.goals.findOne({ id: 'goal-1', channel: 'api_room' }).lean()).toBeNull();
+  });
+
+  test('should not treat a commenter named only in X-User-Uuid as the author of an entity', async () => {
+    const chat = { channelName: 'comment_room', entityType: 'chats', id: 'chat-1' };
+    const updated = response();
+    await bindersController.updateEntity(request({
+      headers: { 'x-user-uuid': 'author-uuid' },
+      params: chat,
+      body: { data: { text: 'Rewritten' } },
+    }), updated);
+    const deleted = response();
+    await bindersController.deleteEntity(request({ headers: { 'x-user-uuid': 'author-uuid' }, params: chat }), deleted);
+
+    expect(updated.statusCode).toBe(403);
+    expect(deleted.statusCode).toBe(403);
+    expect((await entityModels.chats.findOne({ id: 'chat-1', channel: 'comment_room' }).lean()).data.text).toBe('Original');
+  });
+
+  test('should answer an add that failed to save with a server error', async () => {
+    jest.spyOn(entityModels.chats, 'create').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    const res = response();
+    await bindersController.createEntity(request({
+      params: { channelName: 'comment_room', entityType: 'chats' },
+      body: { id: 'chat-2', data: { text: 'Lost' } },
+    }), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.entity).toBeUndefined();
+  });
+
+  test('should still let anyone read an open binder', async () => {
+    const res = response();
+    await bindersController.listEntities(request({ headers: { 'x-user-uuid': 'owner-uuid' } }), res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entities).toEqual(expect.any(Array));
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Integration Tests for Failed Entity Writes
+ * Tests that writes the database rejects, or that match nothing, are not relayed, logged or audited
+ */
+
+process.env.STORAGE = 'memory';
+
+const { startRealTimeServer, nextMessage } = require('./realTimeServer');
+const { entityModels, Tombstone, AuditEntry } = require('../../config/models');
+
+describe('Failed entity writes', () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await startRealTimeServer();
+  });
+
+  afterEach(() => {
+    harness.disconnectAll();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => harness.close());
+
+  const goalMessage = (type, userUuid, data, extra = {}) => ({
+    id: 'goal-1', type, userUuid, channelName: 'failing_room', data, timestamp: Date.now(), ...extra,
+  });
+
+  test('should send an error to the sender of an update that failed to save, without broadcasting it', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+    const watcher = await harness.joinAs('failing_room', 'watcher-uuid');
+
+    editor.emit('message', goalMessage('add-goal', 'owner-uuid', { id: 'goal-1', text: 'Draft', order: 0 }));
+    await nextMessage(watcher, ['add-goal']);
+
+    jest.spyOn(entityModels.goals, 'findOneAndUpdate').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    editor.emit('message', goalMessage('update-goal', 'owner-uuid', { id: 'goal-1', text: 'Final', order: 0 }, { version: 1 }));
+
+    const reply = await nextMessage(editor, ['error', 'update-goal-ack', 'update-conflict']);
+    expect(reply).toMatchObject({ type: 'error', id: 'goal-1', message: 'Server error occurred' });
+    expect(watcher.received.some(m => m.type === 'update-goal')).toBe(false);
+  });
+
+  test('should send an error to the sender of an add that failed to save, without broadcasting it', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+    const watcher = await harness.joinAs('failing_room', 'watcher-uuid');
+
+    jest.spyOn(entityModels.goals, 'create').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    editor.emit('message', goalMessage('add-goal', 'owner-uuid', { id: 'goal-2', text: 'Lost', order: 0 }, { id: 'goal-2' }));
+
+    const reply = await nextMessage(editor, ['error']);
+    expect(reply).toMatchObject({ type: 'error', id: 'goal-2', message: 'Server error occurred' });
+    expect(watcher.received.some(m => m.type === 'add-goal')).toBe(false);
+  });
+
+  test('should send an error to the sender of a reorder that failed to save, without broadcasting it', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+    const watcher = await harness.joinAs('failing_room', 'watcher-uuid');
+
+    jest.spyOn(entityModels.goals, 'find').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    editor.emit('message', goalMessage('reorder-goals', 'owner-uuid', { order: ['goal-1'] }));
+
+    const reply = await nextMessage(editor, ['error', 'validation-error']);
+    expect(reply).toMatchObject({ type: 'error', message: 'Server error occurred' });
+    expect(watcher.received.some(m => m.type === 'reorder-goals')).toBe(false);
+  });
+
+  test('should not audit a write the model failed to save', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+
+    jest.spyOn(entityModels.goals, 'create').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    editor.emit('message', goalMessage('add-goal', 'owner-uuid', { id: 'goal-3', text: 'Lost', order: 0 }, { id: 'goal-3' }));
+    await nextMessage(editor, ['error']);
+
+    expect(await AuditEntry.find({ channel: 'failing_room', entityId: 'goal-3' }).lean()).toEqual([]);
+  });
+
+  test('should not relay or audit an update to a record that no longer exists', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+    const watcher = await harness.joinAs('failing_room', 'watcher-uuid');
+
+    editor.emit('message', {
+      id: 'gone-chat', type: 'update-chat', userUuid: 'owner-uuid', channelName: 'failing_room',
+      data: { text: 'Edited' }, timestamp: Date.now(),
+    });
+
+    const reply = await nextMessage(editor, ['update-conflict', 'update-chat-ack']);
+    expect(reply.type).toBe('update-conflict');
+    expect(watcher.received.some(m => m.type === 'update-chat')).toBe(false);
+    expect(await AuditEntry.find({ channel: 'failing_room', entityId: 'gone-chat' }).lean()).toEqual([]);
+  });
+
+  test('should not write a tombstone or relay a removal that matched no record', async () => {
+    const editor = await harness.joinAs('failing_room', 'owner-uuid');
+    const watcher = await harness.joinAs('failing_room', 'watcher-uuid');
+
+    editor.emit('message', goalMessage('remove-goal', 'owner-uuid', null, { id: 'never-added' }));
+    editor.emit('message', { type: 'ping', userUuid: 'owner-uuid', channelName: 'failing_room' });
+    await nextMessage(editor, ['pong']);
+
+    expect(await Tombstone.find({ channel: 'failing_room', id: 'never-added' }).lean()).toEqual([]);
+    expect(watcher.received.some(m => m.type === 'remove-goal')).toBe(false);
+  });
+});
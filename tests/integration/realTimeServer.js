@@ -0,0 +1,64 @@
+/**
+ * Test Helper: a real-time server on a free port and socket.io clients that record what they are sent
+ */
+
+const http = require('http');
+const { io: connect } = require('socket.io-client');
+const { createRealTimeServers } = require('../../config/realTime');
+
+async function startRealTimeServer() {
+  const server = http.createServer();
+  const io = createRealTimeServers(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+  // Member keys the server issued, resent on later joins the way a browser session does
+  const memberKeys = {};
+
+  async function openSocket() {
+    const client = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(client);
+    client.received = [];
+    client.on('message', message => client.received.push(message));
+    await new Promise(resolve => client.on('connect', resolve));
+    return client;
+  }
+
+  return {
+    openSocket,
+    // Joins a binder on a new socket and waits until it is let in or turned away. Member keys issued to
+    // earlier joins are sent again; pass memberKey: null to join without one.
+    async joinAs(channelName, userUuid, extra = {}) {
+      const client = await openSocket();
+      const keyName = `${channelName}:${userUuid}`;
+      client.on('message', (message) => {
+        if (message.type === 'member-key') memberKeys[keyName] = message.data.key;
+      });
+      const memberKey = memberKeys[keyName];
+      client.emit('join-channel', {
+        channelName, userUuid, displayName: userUuid, ...(memberKey ? { memberKey } : {}), ...extra,
+      });
+      await nextMessage(client, ['init-state', 'join-rejected']);
+      return client;
+    },
+    disconnectAll() {
+      clients.splice(0).forEach(client => client.disconnect());
+    },
+    async close() {
+      io.close();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+async function nextMessage(client, types) {
+  const deadline = Date.now() + 3000;
+  while (Date.now() < deadline) {
+    const message = client.received.find(m => types.includes(m.type));
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No ${types.join('/')} message arrived`);
+}
+
+module.exports = { startRealTimeServer, nextMessage };
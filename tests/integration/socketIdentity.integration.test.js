@@ -0,0 +1,115 @@
+/**
+ * Integration Tests for Socket Identity
+ * Tests that a socket can only send messages as the user it joined the binder as
+ */
+
+process.env.STORAGE = 'memory';
+
+const { startRealTimeServer, nextMessage } = require('./realTimeServer');
+const { memberIdOf } = require('../../public/utils/memberIds');
+
+describe('Socket identity', () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await startRealTimeServer();
+  });
+
+  afterEach(() => harness.disconnectAll());
+
+  afterAll(() => harness.close());
+
+  // Locking a binder is owner-only, so it shows whose role a message was checked against
+  const lockMessage = (channelName, userUuid) => ({
+    id: null, type: 'room-lock-toggle', userUuid, channelName, data: { locked: true }, timestamp: Date.now(),
+  });
+
+  test('should reject owner-only messages sent under the owner uuid from another socket', async () => {
+    const owner = await harness.joinAs('identity_room', 'owner-uuid');
+    const other = await harness.joinAs('identity_room', 'guest-uuid');
+
+    other.emit('message', lockMessage('identity_room', 'owner-uuid'));
+
+    const reply = await nextMessage(other, ['permission-denied', 'room-lock-toggle']);
+    expect(reply.type).toBe('permission-denied');
+    expect(owner.received.some(m => m.type === 'permission-denied')).toBe(false);
+  });
+
+  test('should refuse a rejoin under the owner uuid without the owner member key', async () => {
+    const owner = await harness.joinAs('rejoin_room', 'owner-uuid');
+    const guest = await harness.joinAs('rejoin_room', 'guest-uuid');
+    expect(guest.received.find(m => m.type === 'member-key').data.key).toEqual(expect.any(String));
+
+    const impostor = await harness.joinAs('rejoin_room', 'owner-uuid', { memberKey: null });
+    expect(impostor.received.find(m => m.type === 'join-rejected').data.reason).toBe('identity-required');
+
+    impostor.emit('message', lockMessage('rejoin_room', 'owner-uuid'));
+    const reply = await nextMessage(impostor, ['permission-denied', 'room-lock-toggle']);
+    expect(reply.type).toBe('permission-denied');
+    expect(owner.received.some(m => m.type === 'room-lock-toggle')).toBe(false);
+  });
+
+  test('should let a member rejoin with the member key it was issued', async () => {
+    await harness.joinAs('keyed_room', 'owner-uuid');
+    harness.disconnectAll();
+
+    const owner = await harness.joinAs('keyed_room', 'owner-uuid');
+    expect(owner.received.some(m => m.type === 'init-state')).toBe(true);
+
+    owner.emit('message', lockMessage('keyed_room', 'owner-uuid'));
+    const reply = await nextMessage(owner, ['permission-denied', 'room-lock-toggle']);
+    expect(reply.type).toBe('room-lock-toggle');
+  });
+
+  test('should list members by member id without their uuids', async () => {
+    const owner = await harness.joinAs('listed_room', 'owner-uuid');
+    await harness.joinAs('listed_room', 'guest-uuid', { displayName: 'Guest' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const userList = owner.received.filter(m => m.type === 'user-list').pop();
+    expect(JSON.stringify(userList)).not.toContain('guest-uuid');
+    expect(userList.users.map(user => user.memberId).sort())
+      .toEqual([memberIdOf('listed_room', 'owner-uuid'), memberIdOf('listed_room', 'guest-uuid')].sort());
+
+    owner.emit('message', {
+      id: null, type: 'update-role', userUuid: 'owner-uuid', channelName: 'listed_room',
+      data: { memberId: memberIdOf('listed_room', 'guest-uuid'), role: 'viewer' }, timestamp: Date.now(),
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const updated = owner.received.filter(m => m.type === 'user-list').pop();
+    expect(updated.users.find(user => user.memberId === memberIdOf('listed_room', 'guest-uuid')).role).toBe('viewer');
+  });
+
+  test('should reject messages from a socket that was never admitted to the binder', async () => {
+    await harness.joinAs('guarded_room', 'owner-uuid', { password: 'hunter22' });
+    const outsider = await harness.joinAs('guarded_room', 'owner-uuid', { password: 'wrong' });
+    expect(outsider.received.find(m => m.type === 'join-rejected').data.reason).toBe('invalid-password');
+
+    outsider.emit('message', {
+      id: 'goal-1', type: 'add-goal', userUuid: 'owner-uuid', channelName: 'guarded_room',
+      data: { id: 'goal-1', text: 'Planted', order: 0 }, timestamp: Date.now(),
+    });
+
+    const reply = await nextMessage(outsider, ['permission-denied', 'add-goal']);
+    expect(reply.type).toBe('permission-denied');
+  });
+
+  test('should ignore a leave sent for another user', async () => {
+    await harness.joinAs('leave_room', 'owner-uuid');
+    const other = await harness.joinAs('leave_room', 'guest-uuid');
+    other.emit('leave-channel', { channelName: 'leave_room', userUuid: 'owner-uuid' });
+
+    other.emit('message', { type: 'ping', userUuid: 'guest-uuid', channelName: 'leave_room' });
+    await nextMessage(other, ['pong']);
+    expect(other.received.some(m => m.type === 'user-left')).toBe(false);
+  });
+
+  test('should turn away joins under a bot uuid that do not carry the bot\'s token', async () => {
+    await harness.joinAs('bot_room', 'owner-uuid');
+    const impostor = await harness.joinAs('bot_room', 'bot-1234');
+
+    const rejected = impostor.received.find(m => m.type === 'join-rejected');
+    expect(rejected.data.reason).toBe('invalid-token');
+    expect(impostor.received.some(m => m.type === 'init-state')).toBe(false);
+  });
+});
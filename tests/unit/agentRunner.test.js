@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Server-Side Agent Runs
+ * Tests which jobs a collab message starts, how agent prompts are built and loading their context from storage
+ */
+
+process.env.STORAGE = 'memory';
+const { agentAuthor, isAgentAuthor, agentJobsForMessage, buildAgentPrompt, agentModel, loadAgentContext, retrieveAgentPassages, DEFAULT_AGENT_MODEL } = require('../../config/agentRunner');
+const { entityModels } = require('../../config/models');
+
+const entity = (id, data) => ({ id, data });
+
+describe('Agent Runner', () => {
+  const analyst = entity('a1', { name: 'Analyst', systemPrompts: [], userPrompts: [] });
+  const writer = entity('a2', { name: 'Writer', systemPrompts: [], userPrompts: [] });
+
+  test('should start one job per mentioned agent', () => {
+    const jobs = agentJobsForMessage({ text: '@Analyst and @Writer, then @Analyst again. @Nobody?' }, [analyst, writer]);
+    expect(jobs.map(job => job.agent.id)).toEqual(['a1', 'a2']);
+    expect(jobs[0]).toMatchObject({ triggerText: '@Analyst and @Writer, then @Analyst again. @Nobody?', generateImage: false });
+    expect(agentJobsForMessage({ text: 'no mentions here' }, [analyst])).toEqual([]);
+  });
+
+  test('should start an image job for image requests, with or without an agent', () => {
+    expect(agentJobsForMessage({ text: '', imagePrompt: 'a red barn' }, [analyst])).toEqual([{ agent: null, triggerText: 'a red barn', generateImage: true }]);
+    expect(agentJobsForMessage({ text: '', imagePrompt: '@Writer a red barn' }, [analyst, writer])[0]).toMatchObject({ agent: writer, generateImage: true });
+  });
+
+  test('should write agent replies under their own user id', () => {
+    expect(agentAuthor(analyst)).toBe('agent-a1');
+    expect(agentAuthor(null)).toBe('agent-image');
+    expect(isAgentAuthor('agent-a1')).toBe(true);
+    expect(isAgentAuthor('u1')).toBe(false);
+    expect(agentModel(null)).toEqual(DEFAULT_AGENT_MODEL);
+  });
+
+  test('should resolve prompt references against the binder', () => {
+    const agent = entity('a3', {
+      name: 'Reviewer',
+      systemPrompts: [
+        { id: 'p1', type: 'text', content: 'Be brief.' },
+        { id: 'p2', type: 'goal', content: 'g1' },
+        { id: 'p3', type: 'sections', content: ['s1'] },
+        { id: 'p4', type: 'goal', content: 'missing' },
+      ],
+      userPrompts: [
+        { id: 'p5', type: 'prompt', content: 'pr1' },
+        { id: 'p6', type: 'document', content: 'd2' },
+      ],
+    });
+    const context = {
+      goals: [entity('g1', { text: 'Ship the report' })],
+      documents: [entity('d1', { sectionId: 's1', pagesText: ['Page one', 'Page two'] }), entity('d2', { pagesText: 'Appendix' })],
+      artifacts: [entity('x1', { sectionId: 's1', pagesText: ['Summary'] })],
+      prompts: [entity('pr1', { text: 'List the risks.' })],
+    };
+    const roomMessages = [entity('c1', { text: '@Reviewer thoughts?' }), entity('c2', { text: '' })];
+
+    const { systemPrompt, messages } = buildAgentPrompt(agent, context, roomMessages);
+    expect(systemPrompt.split('\n').slice(1)).toEqual(['Be brief.', 'Ship the report', 'Page one', 'Page two', 'Summary']);
+    expect(systemPrompt).toMatch('Your name is @Reviewer');
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: 'List the risks.' },
+      { role: 'user', content: 'Appendix' },
+      { role: 'user', content: '@Reviewer thoughts?' },
+    ]);
+  });
+
+  test('should size agent prompts from the server model list', () => {
+    expect(agentModel(entity('a4', { name: 'Fast', model: { provider: 'gemini', model: 'gemini-2.0-flash' } }))).toMatchObject({ contextWindow: 1048576, maxOutputTokens: 8192 });
+    expect(agentModel(entity('a5', { name: 'Custom', model: { provider: 'ollama', model: 'tiny' } }))).toEqual({ provider: 'ollama', model: 'tiny' });
+  });
+
+  test('should cut referenced documents to fit a small model and report it', () => {
+    const agent = entity('a6', {
+      name: 'Reader',
+      model: { provider: 'ollama', model: 'tiny', contextWindow: 2000, maxOutputTokens: 500 },
+      contextStrategy: 'spread',
+      systemPrompts: [{ id: 'p1', type: 'document', content: 'd1' }],
+      userPrompts: [],
+    });
+    const context = { documents: [entity('d1', { pagesText: ['alpha '.repeat(2000), 'omega '.repeat(2000)] })] };
+
+    const { systemPrompt, estimate } = buildAgentPrompt(agent, context, [entity('c1', { text: '@Reader summarize' })]);
+    expect(estimate).toMatchObject({ contextWindow: 2000, truncatedMaterials: 1, droppedMessages: 0 });
+    expect(estimate.tokens).toBeLessThanOrEqual(estimate.budget);
+    expect(systemPrompt).toMatch('alpha');
+    expect(systemPrompt).toMatch('omega');
+  });
+
+  test('should send retrieved passages instead of whole documents', async () => {
+    const record = (id, data) => ({ id, channel: 'rag', userUuid: 'u1', data, timestamp: 1, serverTimestamp: 1 });
+    await entityModels.documents.insertMany([
+      record('d1', { name: 'Contract.pdf', pagesText: ['Parties and term.', 'A penalty applies for late delivery.'] }),
+      record('d2', { name: 'Other.pdf', pagesText: ['Late delivery penalty, elsewhere.'] }),
+    ]);
+    const agent = entity('a7', {
+      name: 'Lawyer',
+      contextStrategy: 'retrieve',
+      systemPrompts: [{ id: 'p1', type: 'document', content: 'd1' }],
+      userPrompts: [],
+    });
+    const { context } = await loadAgentContext('rag', 'b1');
+
+    context.passages = await retrieveAgentPassages('rag', agent, context, '@Lawyer what is the late penalty?');
+    expect(context.passages.map(passage => [passage.entityId, passage.page])).toEqual([['d1', 2]]);
+    const { systemPrompt } = buildAgentPrompt(agent, context, []);
+    expect(systemPrompt).toMatch('[Contract.pdf, page 2]\nA penalty applies for late delivery.');
+    expect(systemPrompt).not.toMatch('Parties and term.');
+
+    expect(await retrieveAgentPassages('rag', entity('a8', { ...agent.data, contextStrategy: 'spread' }), context, 'penalty')).toBeNull();
+    const wholeBinder = await retrieveAgentPassages('rag', entity('a9', { ...agent.data, systemPrompts: [] }), context, 'penalty');
+    expect(wholeBinder.map(passage => passage.entityId).sort()).toEqual(['d1', 'd2']);
+  });
+
+  test('should load live entities and the breakout messages oldest first', async () => {
+    const record = (id, data, fields = {}) => ({ id, channel: 'room', userUuid: 'u1', data, timestamp: 1, serverTimestamp: 1, ...fields });
+    await entityModels.goals.insertMany([record('g1', { text: 'Live' }), record('g2', { text: 'Trashed' }, { deletedAt: 5 })]);
+    await entityModels.collabs.insertMany([
+      record('c2', { text: 'second', breakoutId: 'b1' }, { timestamp: 2 }),
+      record('c1', { text: 'first', breakoutId: 'b1' }, { timestamp: 1 }),
+      record('c3', { text: 'elsewhere', breakoutId: 'b2' }),
+    ]);
+
+    const { context, roomMessages } = await loadAgentContext('room', 'b1');
+    expect(context.goals.map(goal => goal.id)).toEqual(['g1']);
+    expect(roomMessages.map(message => message.id)).toEqual(['c1', 'c2']);
+  });
+});
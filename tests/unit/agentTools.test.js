@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Agent Tools
+ * Tests which tools each role gets, running tool calls against the binder and the provider tool-calling loop
+ */
+
+process.env.STORAGE = 'memory';
+const { agentToolsFor, runAgentTool, toolResultPreview } = require('../../config/agentTools');
+const { handleToolPrompt } = require('../../config/handleAiInteractions');
+const { entityModels } = require('../../config/models');
+
+const record = (id, data, fields = {}) => ({ id, channel: 'tools', userUuid: 'u1', data, timestamp: 1, serverTimestamp: 1, ...fields });
+
+describe('Agent Tools', () => {
+  beforeAll(async () => {
+    await entityModels.documents.insertMany([
+      record('d1', { name: 'Contract.pdf', pagesText: ['Parties and term.', 'The penalty for late delivery is 5% per week. Late fees apply.'] }),
+      record('d2', { name: 'Old.pdf', pagesText: ['late late late'] }, { deletedAt: 5 }),
+    ]);
+    await entityModels.artifacts.create(record('x1', { name: 'Notes', pagesText: ['Delivery was late once.'] }));
+    await entityModels.questions.create(record('q1', { text: 'What is the penalty?', order: 0 }));
+    await entityModels.goals.create(record('g1', { text: 'Review the contract', order: 0 }));
+  });
+
+  const written = [];
+  const context = (role = 'editor') => ({
+    channelName: 'tools',
+    role,
+    writeEntity: async (event, data) => {
+      written.push({ event, data });
+      return { ok: true, id: `new-${written.length}` };
+    },
+  });
+
+  test('should offer only the tools a role may use', () => {
+    expect(agentToolsFor('editor')).toHaveLength(7);
+    expect(agentToolsFor('viewer').map(tool => tool.name)).toEqual(['search_documents', 'read_document_page']);
+    expect(agentToolsFor('editor')[0]).toEqual({ name: 'search_documents', description: expect.any(String), parameters: expect.any(Object) });
+  });
+
+  test('should search live documents and artifacts by page', async () => {
+    const { results } = await runAgentTool('search_documents', { query: 'late penalty' }, context());
+    expect(results.map(result => [result.documentId, result.page])).toEqual([['d1', 2], ['x1', 1]]);
+    expect(results[0]).toMatchObject({ name: 'Contract.pdf', type: 'document' });
+    expect(results[0].snippet).toMatch('penalty for late delivery');
+    expect(await runAgentTool('search_documents', { query: '?' }, context())).toEqual({ error: expect.any(String) });
+  });
+
+  test('should read one page and reject pages that do not exist', async () => {
+    expect(await runAgentTool('read_document_page', { documentId: 'd1', page: 1 }, context())).toMatchObject({ text: 'Parties and term.', pageCount: 2, truncated: false });
+    expect((await runAgentTool('read_document_page', { documentId: 'd1', page: 3 }, context())).error).toMatch('from 1 to 2');
+    expect((await runAgentTool('read_document_page', { documentId: 'd2', page: 1 }, context())).error).toMatch('No document');
+  });
+
+  test('should write entities the way the viewers do', async () => {
+    written.length = 0;
+    expect(await runAgentTool('add_goal', { text: ' Ship it ' }, context())).toEqual({ id: 'new-1', text: 'Ship it', order: 1 });
+    await runAgentTool('answer_question', { questionId: 'q1', text: '5% per week' }, context());
+    await runAgentTool('create_artifact', { name: 'Summary', content: '# Summary' }, context());
+    expect(written.map(write => write.event)).toEqual(['add-goal', 'add-answer', 'add-artifact']);
+    expect(written[1].data).toEqual({ questionId: 'q1', text: '5% per week', votes: 0, links: [] });
+    expect(written[2].data).toMatchObject({ pagesText: ['# Summary'], type: 'md', sectionId: null });
+
+    expect((await runAgentTool('answer_question', { questionId: 'nope', text: 'x' }, context())).error).toMatch('No question');
+    expect((await runAgentTool('create_section', { name: 'A', parentSectionId: 'nope' }, context())).error).toMatch('No section');
+    expect(written).toHaveLength(3);
+  });
+
+  test('should refuse tools the role cannot use and report failed writes', async () => {
+    expect(await runAgentTool('add_goal', { text: 'x' }, context('viewer'))).toEqual({ error: 'The viewer role cannot use add_goal' });
+    expect(await runAgentTool('drop_tables', {}, context())).toEqual({ error: 'Unknown tool drop_tables' });
+    const rejected = { ...context(), writeEntity: async () => ({ ok: false, message: 'This binder is locked' }) };
+    expect(await runAgentTool('add_question', { text: 'Why?' }, rejected)).toEqual({ error: 'This binder is locked' });
+    expect(toolResultPreview({ text: 'x'.repeat(5000) }).length).toBeLessThan(2100);
+  });
+
+  test('should run the model\'s tool calls and send the results back until it answers', async () => {
+    const requests = [];
+    const turns = [
+      [{ choices: [{ delta: { tool_calls: [{ index: 0, id: 't1', function: { name: 'add_goal', arguments: '{"text":' } }] } }] },
+       { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Ship"}' } }] } }] }],
+      [{ choices: [{ delta: { content: 'Added ' } }] }, { choices: [{ delta: { content: 'the goal.' } }] }],
+    ];
+    const client = { chat: { completions: { create: async (request) => { requests.push(JSON.parse(JSON.stringify(request))); return turns.shift(); } } } };
+    const sent = [];
+    const tools = agentToolsFor('editor');
+    await handleToolPrompt(client, 'openai', { model: 'gpt', messages: [{ role: 'user', content: 'Add a goal' }], stream: true }, {
+      tools,
+      runTool: async (name, args) => ({ id: 'g9', name, ...args }),
+      uuid: 'm1',
+      session: 'tools',
+      sendToClient: (uuid, session, type, message) => sent.push([type, message]),
+    });
+
+    expect(sent).toEqual([
+      ['tool-call', { id: 't1', name: 'add_goal', args: { text: 'Ship' } }],
+      ['tool-result', { id: 't1', name: 'add_goal', result: { id: 'g9', name: 'add_goal', text: 'Ship' } }],
+      ['message', 'Added '],
+      ['message', 'the goal.'],
+      ['EOM', { end: true }],
+    ]);
+    expect(requests[0].tools).toHaveLength(tools.length);
+    expect(requests[1].messages.slice(1)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [{ id: 't1', type: 'function', function: { name: 'add_goal', arguments: '{"text":"Ship"}' } }] },
+      { role: 'tool', tool_call_id: 't1', content: JSON.stringify({ id: 'g9', name: 'add_goal', text: 'Ship' }) },
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the Audit Trail
+ * Tests audit entries recorded for binder changes and the filters used to read them back
+ */
+
+const { DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT, changedFields, buildAuditEntry, parseAuditQuery } = require('../../config/audit');
+
+describe('Audit Trail', () => {
+  const now = 1700000000000;
+
+  test('should summarize an update with the fields that changed', () => {
+    const entry = buildAuditEntry({
+      channelName: 'room',
+      userUuid: 'u1',
+      displayName: 'Ada',
+      operation: 'update',
+      entityType: 'documents',
+      entityId: 'd1',
+      eventType: 'update-document',
+      before: { data: { name: 'Draft.pdf', pagesText: ['a'] }, version: 3 },
+      after: { data: { name: 'Final.pdf', pagesText: ['a'] }, version: 4 },
+    }, now);
+
+    expect(entry).toEqual({
+      channel: 'room',
+      userUuid: 'u1',
+      displayName: 'Ada',
+      operation: 'update',
+      entityType: 'documents',
+      entityId: 'd1',
+      eventType: 'update-document',
+      before: { label: 'Draft.pdf', version: 3, fields: ['name', 'pagesText'] },
+      after: { label: 'Final.pdf', version: 4, fields: ['name', 'pagesText'] },
+      changedFields: ['name'],
+      timestamp: now,
+    });
+  });
+
+  test('should record a removal with only the state before it', () => {
+    const entry = buildAuditEntry({
+      channelName: 'room',
+      userUuid: 'u1',
+      operation: 'remove',
+      entityType: 'agents',
+      entityId: 'a1',
+      before: { data: { name: 'Reviewer' }, version: 2 },
+    }, now);
+    expect(entry.before.label).toBe('Reviewer');
+    expect(entry.after).toBeNull();
+    expect(entry.changedFields).toEqual([]);
+  });
+
+  test('should compare nested values when finding changed fields', () => {
+    expect(changedFields({ tags: ['a'], order: 1 }, { tags: ['a', 'b'], order: 1, color: '#fff' })).toEqual(['tags', 'color']);
+    expect(changedFields(null, { name: 'x' })).toEqual(['name']);
+  });
+
+  test('should build filters from query parameters and ignore unknown ones', () => {
+    const { filter, limit } = parseAuditQuery('room', { userUuid: 'u1', entityType: 'documents', channel: 'other', limit: '20' });
+    expect(filter).toEqual({ channel: 'room', userUuid: 'u1', entityType: 'documents' });
+    expect(limit).toBe(20);
+  });
+
+  test('should page with an entry id cursor and clamp the limit', () => {
+    expect(parseAuditQuery('room', { before: '65a1b2c3d4e5f60718293a4b' }).filter._id).toEqual({ $lt: '65a1b2c3d4e5f60718293a4b' });
+    expect(parseAuditQuery('room', { before: { $gt: '' } }).filter._id).toBeUndefined();
+    expect(parseAuditQuery('room', { limit: '100000' }).limit).toBe(MAX_AUDIT_LIMIT);
+    expect(parseAuditQuery('room', {}).limit).toBe(DEFAULT_AUDIT_LIMIT);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Binder Access
+ * Tests binder passwords and invite tokens checked on join-channel
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+const {
+  hashPassword,
+  verifyPassword,
+  publicChannelData,
+  checkJoinAccess,
+  checkApiAccess,
+  createInvite,
+  createAccessToken,
+} = require('../../config/binderAccess');
+
+describe('Binder Access', () => {
+  const channelName = 'test-channel';
+
+  describe('Passwords', () => {
+    test('should verify a hashed password', () => {
+      const stored = hashPassword('correct horse');
+      expect(verifyPassword('correct horse', stored)).toBe(true);
+      expect(verifyPassword('wrong', stored)).toBe(false);
+    });
+
+    test('should never expose the password hash to clients', () => {
+      const data = publicChannelData({ locked: false, passwordHash: hashPassword('secret') });
+      expect(data.passwordHash).toBeUndefined();
+      expect(data.protected).toBe(true);
+      expect(data.hasPassword).toBe(true);
+    });
+  });
+
+  describe('checkJoinAccess', () => {
+    test('should admit anyone to an unprotected binder', () => {
+      expect(checkJoinAccess({}, { channelName, userUuid: 'u1' })).toEqual({ ok: true, role: null });
+    });
+
+    test('should require a password for a password-protected binder', () => {
+      const data = { passwordHash: hashPassword('secret') };
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1' })).toEqual({ ok: false, reason: 'password-required' });
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', password: 'nope' })).toEqual({ ok: false, reason: 'invalid-password' });
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', password: 'secret' }).ok).toBe(true);
+    });
+
+    test('should require an invite for an invite-only binder', () => {
+      const data = { inviteOnly: true };
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1' })).toEqual({ ok: false, reason: 'invite-required' });
+    });
+
+    test('should admit a valid invite and grant its role', () => {
+      const data = { inviteOnly: true };
+      const { token } = createInvite(channelName, data, { role: 'commenter' });
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', inviteToken: token })).toEqual({ ok: true, role: 'commenter' });
+    });
+
+    test('should never grant owner through an invite', () => {
+      const data = { inviteOnly: true };
+      const { token } = createInvite(channelName, data, { role: 'owner' });
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', inviteToken: token }).role).toBeNull();
+    });
+
+    test('should reject an invite for another binder', () => {
+      const { token } = createInvite('other-channel', {}, {});
+      expect(checkJoinAccess({ inviteOnly: true }, { channelName, userUuid: 'u1', inviteToken: token })).toEqual({ ok: false, reason: 'invalid-token' });
+    });
+
+    test('should reject invites issued before a revocation', () => {
+      const { token } = createInvite(channelName, { accessVersion: 0 }, {});
+      const data = { inviteOnly: true, accessVersion: 1 };
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', inviteToken: token }).ok).toBe(false);
+    });
+
+    test('should only accept an access token from the user it was issued to', () => {
+      const data = { passwordHash: hashPassword('secret') };
+      const { token } = createAccessToken(channelName, data, 'u1');
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u1', inviteToken: token }).ok).toBe(true);
+      expect(checkJoinAccess(data, { channelName, userUuid: 'u2', inviteToken: token }).ok).toBe(false);
+    });
+  });
+
+  describe('checkApiAccess', () => {
+    test('should allow reading an unprotected binder without a token', () => {
+      expect(checkApiAccess({}, { channelName, token: null })).toEqual({ ok: true });
+    });
+
+    test('should require a current token for a protected binder', () => {
+      const data = { passwordHash: hashPassword('secret'), accessVersion: 2 };
+      expect(checkApiAccess(data, { channelName, token: null })).toEqual({ ok: false, reason: 'token-required' });
+      expect(checkApiAccess(data, { channelName, token: createAccessToken(channelName, data, 'u1').token }).ok).toBe(true);
+      expect(checkApiAccess(data, { channelName, token: createInvite(channelName, { accessVersion: 1 }, {}).token }).ok).toBe(false);
+      expect(checkApiAccess(data, { channelName, token: createAccessToken('other-channel', data, 'u1').token }).ok).toBe(false);
+    });
+
+    test('should return the user of an access token and the role of an invite', () => {
+      const data = { inviteOnly: true };
+      expect(checkApiAccess(data, { channelName, token: createAccessToken(channelName, data, 'u1').token })).toEqual({ ok: true, userUuid: 'u1', role: null });
+      expect(checkApiAccess(data, { channelName, token: createInvite(channelName, data, { role: 'commenter' }).token })).toEqual({ ok: true, userUuid: null, role: 'commenter' });
+    });
+  });
+});
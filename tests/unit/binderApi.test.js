@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for the Binder REST API
+ * Tests who a REST request acts as and how socket replies become HTTP responses
+ */
+
+const { API_USER_UUID, resolveApiCaller, apiEntity, apiResultFromReplies } = require('../../config/binderApi');
+
+describe('Binder REST API', () => {
+  describe('resolveApiCaller', () => {
+    const roles = { owner1: 'owner', viewer1: 'viewer' };
+
+    test('should credit the named user on an open binder but act with the default role, unverified', () => {
+      expect(resolveApiCaller({ roles, defaultRole: 'editor' }, { ok: true }, 'viewer1')).toEqual({ userUuid: 'viewer1', role: 'editor', verified: false });
+      expect(resolveApiCaller({ roles, defaultRole: 'viewer' }, { ok: true }, 'owner1')).toEqual({ userUuid: 'owner1', role: 'viewer', verified: false });
+      expect(resolveApiCaller({ roles, defaultRole: 'commenter' }, { ok: true })).toEqual({ userUuid: API_USER_UUID, role: 'commenter', verified: false });
+    });
+
+    test('should act as the holder of a personal access token whatever user is named', () => {
+      const data = { roles, defaultRole: 'editor', passwordHash: 'salt:hash' };
+      expect(resolveApiCaller(data, { ok: true, userUuid: 'owner1', role: null }, 'viewer1')).toEqual({ userUuid: 'owner1', role: 'owner', verified: true });
+    });
+
+    test('should only act as a bot with that bot\'s token', () => {
+      const data = { roles: { ...roles, 'bot-1': 'editor' }, defaultRole: 'viewer' };
+      expect(resolveApiCaller(data, { ok: true }, 'bot-1')).toBeNull();
+      expect(resolveApiCaller(data, { ok: true, userUuid: 'bot-1', role: null })).toEqual({ userUuid: 'bot-1', role: 'editor', verified: true });
+    });
+
+    test('should not let an invite token borrow the role of the user it names', () => {
+      const data = { roles, defaultRole: 'editor', inviteOnly: true };
+      expect(resolveApiCaller(data, { ok: true, userUuid: null, role: 'commenter' }, 'owner1')).toEqual({ userUuid: 'owner1', role: 'commenter', verified: false });
+      expect(resolveApiCaller(data, { ok: true, userUuid: null, role: null }, 'owner1').role).toBe('editor');
+    });
+  });
+
+  describe('apiResultFromReplies', () => {
+    test('should succeed with the acknowledged version when nothing went wrong', () => {
+      expect(apiResultFromReplies([])).toEqual({ status: 200, version: null });
+      expect(apiResultFromReplies([{ type: 'update-goal-ack', version: 4 }])).toEqual({ status: 200, version: 4 });
+    });
+
+    test('should map denials, conflicts and errors to HTTP statuses', () => {
+      expect(apiResultFromReplies([{ type: 'permission-denied', message: 'no' }]).status).toBe(403);
+      expect(apiResultFromReplies([{ type: 'update-conflict', message: 'stale', data: { current: { title: 'x' }, version: 3 } }]))
+        .toEqual({ status: 409, message: 'stale', current: { data: { title: 'x' }, version: 3 } });
+      expect(apiResultFromReplies([{ type: 'update-conflict', message: 'gone', data: { current: null } }]).status).toBe(404);
+      expect(apiResultFromReplies([{ type: 'error', message: 'Invalid goals data for add: missing id' }]).status).toBe(400);
+      const errors = [{ field: 'text', message: 'text is required' }];
+      expect(apiResultFromReplies([{ type: 'validation-error', message: 'Invalid goals data for add: text is required', data: { errors } }]))
+        .toEqual({ status: 400, message: 'Invalid goals data for add: text is required', errors });
+      expect(apiResultFromReplies([{ type: 'error', message: 'Server error occurred' }]).status).toBe(500);
+    });
+  });
+
+  test('should return entities without database fields', () => {
+    const doc = { _id: 'x', __v: 0, id: 'g1', channel: 'room', userUuid: 'u1', data: { title: 'Ship' }, timestamp: 1, serverTimestamp: 2, deletedAt: null };
+    expect(apiEntity(doc)).toEqual({ id: 'g1', userUuid: 'u1', data: { title: 'Ship' }, version: 1, timestamp: 1, serverTimestamp: 2 });
+  });
+});
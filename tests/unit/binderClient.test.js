@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for the Headless Binder Client
+ * Tests joining, the local binder copy and the entity helpers against a stand-in socket
+ */
+
+const { EventEmitter } = require('events');
+const { createBinderClient } = require('../../client/binderClient');
+const { applySyncState, createBinderState, listEntities } = require('../../client/binderState');
+
+// A socket.io-client socket that records what is emitted and lets tests play server messages
+function createFakeIo() {
+  const sockets = [];
+  const io = jest.fn(() => {
+    const server = new EventEmitter();
+    const socket = {
+      connected: false,
+      sent: [],
+      on: (event, handler) => server.on(event, handler),
+      emit: (event, payload) => socket.sent.push({ event, payload }),
+      disconnect: jest.fn(() => { socket.connected = false; }),
+      // Test helpers
+      open() {
+        socket.connected = true;
+        server.emit('connect');
+      },
+      receive: message => server.emit('message', message),
+      messages: type => socket.sent.filter(entry => entry.event === 'message' && entry.payload.type === type).map(entry => entry.payload),
+    };
+    sockets.push(socket);
+    return socket;
+  });
+  return { io, sockets };
+}
+
+const initState = (data, serverTimestamp = 1000) => ({ type: 'init-state', data, removed: {}, deltas: [], serverTimestamp, lastEventAt: null });
+
+async function connectedClient(data = {}, options = {}) {
+  const { io, sockets } = createFakeIo();
+  const binder = createBinderClient({ url: 'http://localhost:3000', channelName: 'room', displayName: 'Bot', userUuid: 'bot', io, heartbeatMs: 60000, ...options });
+  const joining = binder.connect();
+  sockets[0].open();
+  sockets[0].receive(initState(data));
+  await joining;
+  return { binder, socket: sockets[0] };
+}
+
+describe('Headless Binder Client', () => {
+  test('should join with its credentials and load the binder state', async () => {
+    const goal = { id: 'g1', userUuid: 'u1', data: { title: 'Ship', order: 0 }, version: 2, timestamp: 1 };
+    const { binder, socket } = await connectedClient({ goals: [goal] }, { inviteToken: 'tok' });
+
+    expect(socket.sent[0]).toEqual({
+      event: 'join-channel',
+      payload: { userUuid: 'bot', displayName: 'Bot', channelName: 'room', since: {}, lastEventAt: null, inviteToken: 'tok' },
+    });
+    expect(binder.connected).toBe(true);
+    expect(binder.goals.list()).toEqual([goal]);
+    binder.disconnect();
+  });
+
+  test('should join as the bot its token names', async () => {
+    const payload = Buffer.from(JSON.stringify({ sub: 'bot-1', iss: 'binder-bot' })).toString('base64url');
+    const botToken = `header.${payload}.signature`;
+    const { binder, socket } = await connectedClient({}, { botToken, userUuid: undefined, displayName: undefined });
+
+    expect(binder.userUuid).toBe('bot-1');
+    expect(socket.sent[0].payload).toMatchObject({ userUuid: 'bot-1', botToken });
+    binder.disconnect();
+  });
+
+  test('should reject when the binder refuses the join', async () => {
+    const { io, sockets } = createFakeIo();
+    const binder = createBinderClient({ url: 'http://x', channelName: 'room', displayName: 'Bot', io });
+    const joining = binder.connect();
+    sockets[0].open();
+    sockets[0].receive({ type: 'join-rejected', message: 'This binder needs a password', data: { reason: 'password-required' } });
+    await expect(joining).rejects.toThrow('This binder needs a password');
+    expect(sockets[0].disconnect).toHaveBeenCalled();
+  });
+
+  test('should send entity events and keep its own changes locally', async () => {
+    const { binder, socket } = await connectedClient({ goals: [{ id: 'g1', userUuid: 'u1', data: { title: 'Ship', order: 0 }, version: 2 }] });
+
+    binder.goals.add({ title: 'Test', order: 1 }, { id: 'g2' });
+    binder.goals.update('g1', { title: 'Ship it' });
+    expect(socket.messages('add-goal')[0]).toMatchObject({ id: 'g2', userUuid: 'bot', channelName: 'room', data: { title: 'Test', order: 1 } });
+    expect(socket.messages('update-goal')[0]).toMatchObject({ id: 'g1', version: 2, data: { title: 'Ship it', order: 0 } });
+
+    // The ack carries the new version the next update is based on
+    socket.receive({ type: 'update-goal-ack', id: 'g1', version: 3 });
+    expect(binder.goals.get('g1').version).toBe(3);
+
+    binder.goals.remove('g2');
+    expect(socket.messages('remove-goal')[0]).toMatchObject({ id: 'g2' });
+    expect(binder.goals.list().map(goal => goal.id)).toEqual(['g1']);
+    binder.disconnect();
+  });
+
+  test('should apply events from others and notify listeners', async () => {
+    const { binder, socket } = await connectedClient();
+    const received = [];
+    const stop = binder.on('add-chat', message => received.push(message.data.text));
+
+    socket.receive({ type: 'add-chat', id: 'c1', userUuid: 'u1', data: { text: 'hello' }, timestamp: 5, version: 1 });
+    stop();
+    socket.receive({ type: 'add-chat', id: 'c2', userUuid: 'u1', data: { text: 'again' }, timestamp: 6, version: 1 });
+
+    expect(received).toEqual(['hello']);
+    expect(binder.chats.list().map(chat => chat.id)).toEqual(['c1', 'c2']);
+    binder.disconnect();
+  });
+
+  test('should resolve an LLM request with the whole streamed reply', async () => {
+    const { binder, socket } = await connectedClient();
+    const reply = binder.llm.trigger({ model: { provider: 'openai', model: 'gpt-4o' }, userPrompt: 'Hi', id: 'llm1' });
+
+    expect(socket.messages('add-llm')[0]).toMatchObject({ id: 'llm1', data: { userPrompt: 'Hi' } });
+    socket.receive({ type: 'draft-llm', id: 'llm1', data: { content: 'Hello ', isImage: false } });
+    socket.receive({ type: 'draft-llm', id: 'other', data: { content: 'nope', isImage: false } });
+    socket.receive({ type: 'draft-llm', id: 'llm1', data: { content: 'there', isImage: false } });
+    socket.receive({ type: 'draft-llm', id: 'llm1', data: { content: { end: true }, isImage: false, end: true } });
+
+    await expect(reply).resolves.toBe('Hello there');
+    binder.disconnect();
+  });
+
+  test('should fail an LLM request the binder throttled', async () => {
+    const { binder, socket } = await connectedClient();
+    const reply = binder.llm.trigger({ model: { provider: 'openai', model: 'gpt-4o' }, userPrompt: 'Hi', id: 'llm1' });
+    socket.receive({ type: 'rate-limited', id: 'llm1', message: 'You are sending too many add-llm messages. Try again in 6s.', data: { messageType: 'add-llm' } });
+    await expect(reply).rejects.toThrow('too many add-llm messages');
+    binder.disconnect();
+  });
+
+  test('should rejoin with its sync cursors after a dropped connection', async () => {
+    const { binder, socket } = await connectedClient({ goals: [] });
+    socket.connected = false;
+    socket.open();
+    const rejoin = socket.sent.filter(entry => entry.event === 'join-channel')[1].payload;
+    expect(rejoin.since).toEqual({ goals: 1000 });
+    binder.disconnect();
+  });
+
+  test('should apply incremental sync state on top of what it has', () => {
+    const state = createBinderState();
+    applySyncState(state, { data: { goals: [{ id: 'a', data: { order: 1 } }, { id: 'b', data: { order: 0 } }] }, deltas: [] });
+    applySyncState(state, { data: { goals: [{ id: 'c', data: { order: 2 } }] }, removed: { goals: ['a'] }, deltas: ['goals'] });
+    expect(listEntities(state, 'goals').map(goal => goal.id)).toEqual(['b', 'c']);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for Binder Bots
+ * Tests bot profiles, their API tokens and how the tokens are accepted for joins and REST requests
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { cleanBotProfile, createBot, issueBotToken, verifyBotToken, publicBot, isBotUuid } = require('../../config/bots');
+const { checkApiAccess, checkJoinAccess, publicChannelData } = require('../../config/binderAccess');
+
+describe('Binder Bots', () => {
+  test('should clean a bot profile and refuse owners and bad fields', () => {
+    expect(cleanBotProfile({ displayName: '  Goal   Bot ' })).toEqual({
+      ok: true,
+      profile: { displayName: 'Goal Bot', color: '#6366f1', avatar: null, role: 'editor' },
+    });
+    expect(cleanBotProfile({ displayName: 'Bot', role: 'owner' }).ok).toBe(false);
+    expect(cleanBotProfile({ displayName: '' }).ok).toBe(false);
+    expect(cleanBotProfile({ displayName: 'Bot', color: 'red' }).ok).toBe(false);
+    expect(cleanBotProfile({ displayName: 'Bot', avatar: 'javascript:alert(1)' }).ok).toBe(false);
+  });
+
+  test('should accept only the current token of a bot on its own binder', () => {
+    const { bot, token } = createBot('room', cleanBotProfile({ displayName: 'Bot' }).profile, 'owner1', 1000);
+    const channelData = { bots: { [bot.userUuid]: bot } };
+    expect(isBotUuid(bot.userUuid)).toBe(true);
+    expect(bot).toMatchObject({ displayName: 'Bot', createdBy: 'owner1', createdAt: 1000 });
+
+    expect(verifyBotToken(channelData, { channelName: 'room', token })).toMatchObject({ userUuid: bot.userUuid });
+    expect(verifyBotToken(channelData, { channelName: 'other', token })).toBeNull();
+    expect(verifyBotToken({ bots: {} }, { channelName: 'room', token })).toBeNull();
+
+    // A new token revokes the old one
+    const rotated = issueBotToken('room', bot.userUuid);
+    const rotatedData = { bots: { [bot.userUuid]: { ...bot, tokenId: rotated.tokenId } } };
+    expect(verifyBotToken(rotatedData, { channelName: 'room', token })).toBeNull();
+    expect(verifyBotToken(rotatedData, { channelName: 'room', token: rotated.token })).not.toBeNull();
+  });
+
+  test('should let a bot use the REST API as itself but not use its token as an invite', () => {
+    const { bot, token } = createBot('room', cleanBotProfile({ displayName: 'Bot' }).profile, 'owner1');
+    const channelData = { bots: { [bot.userUuid]: bot }, inviteOnly: true };
+
+    expect(checkApiAccess(channelData, { channelName: 'room', token })).toEqual({ ok: true, userUuid: bot.userUuid, role: null, bot: true });
+    expect(checkApiAccess({ bots: {} }, { channelName: 'room', token })).toEqual({ ok: false, reason: 'invalid-token' });
+    expect(checkJoinAccess(channelData, { inviteToken: token, userUuid: 'someone', channelName: 'room' }).ok).toBe(false);
+  });
+
+  test('should never show token ids to binder members', () => {
+    const { bot } = createBot('room', cleanBotProfile({ displayName: 'Bot' }).profile, 'owner1');
+    expect(publicBot(bot).tokenId).toBeUndefined();
+    expect(publicChannelData({ bots: { [bot.userUuid]: bot } }).bots[bot.userUuid].tokenId).toBeUndefined();
+  });
+});
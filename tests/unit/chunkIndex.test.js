@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for the Binder Chunk Index
+ * Tests chunking with provenance, BM25 ranking, keeping the index current and fusing embedding rankings
+ */
+
+process.env.STORAGE = 'memory';
+const {
+  tokenize,
+  chunkEntity,
+  createIndex,
+  addToIndex,
+  removeFromIndex,
+  searchIndex,
+  updateIndexedEntity,
+  dropChannelIndex,
+  searchBinder,
+  passageSource,
+} = require('../../config/chunkIndex');
+const { entityModels } = require('../../config/models');
+
+const entity = (id, data) => ({ id, data });
+const words = (word, count) => Array.from({ length: count }, (_, i) => `${word}${i}`).join(' ');
+
+describe('Chunk Index', () => {
+  const contract = entity('d1', { name: 'Contract.pdf', pagesText: ['Parties and term of the agreement.', 'A penalty applies for late delivery of goods.'] });
+  const handbook = entity('d2', { name: 'Handbook.pdf', pagesText: ['Delivery schedules are agreed each quarter.'] });
+  const notes = entity('x1', { name: 'Notes', pagesText: ['Late fees were discussed; the penalty stays.'] });
+
+  function buildIndex() {
+    const index = createIndex();
+    addToIndex(index, 'documents', contract);
+    addToIndex(index, 'documents', handbook);
+    addToIndex(index, 'artifacts', notes);
+    return index;
+  }
+
+  test('should tokenize words and numbers without stopwords', () => {
+    expect(tokenize('The Penalty is 5% of the fee, per Article 12!')).toEqual(['penalty', '5', 'fee', 'per', 'article', '12']);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('should chunk pages into overlapping windows that keep their page', () => {
+    const long = entity('d3', { name: 'Long.pdf', pagesText: ['Short first page.', words('w', 400)] });
+    const chunks = chunkEntity('documents', long);
+    expect(chunks.map(chunk => chunk.page)).toEqual([1, 2, 2, 2]);
+    expect(chunks[0]).toMatchObject({ id: 'd3:0', entityId: 'd3', entityType: 'documents', name: 'Long.pdf', text: 'Short first page.' });
+    expect(chunks[1].text.split(' ')).toHaveLength(180);
+    // Consecutive windows share 30 words
+    expect(chunks[2].text.startsWith('w150 ')).toBe(true);
+    expect(chunks[3].text.endsWith('w399')).toBe(true);
+  });
+
+  test('should chunk transcriptions by segments with their start time', () => {
+    const segments = Array.from({ length: 5 }, (_, i) => ({ text: words(`s${i}x`, 100), start: i * 60 + 5 }));
+    const chunks = chunkEntity('transcriptions', entity('t1', { filename: 'standup.mp3', segments }));
+    expect(chunks.map(chunk => chunk.start)).toEqual([5, 125, 245]);
+    expect(chunks[0]).toMatchObject({ name: 'standup.mp3', page: null });
+    expect(passageSource(chunks[1])).toBe('standup.mp3, 2:05');
+    expect(passageSource({ name: 'Contract.pdf', page: 2 })).toBe('Contract.pdf, page 2');
+  });
+
+  test('should rank passages by BM25 with their provenance', async () => {
+    const index = buildIndex();
+    const results = await searchIndex(index, 'late delivery penalty');
+    expect(results.map(result => [result.entityId, result.page])).toEqual([['d1', 2], ['x1', 1], ['d2', 1]]);
+    expect(results[0]).toMatchObject({ entityType: 'documents', name: 'Contract.pdf', text: 'A penalty applies for late delivery of goods.' });
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+
+    expect((await searchIndex(index, 'penalty', { entityTypes: ['artifacts'] })).map(result => result.entityId)).toEqual(['x1']);
+    expect((await searchIndex(index, 'penalty', { entityIds: ['d1'] })).map(result => result.entityId)).toEqual(['d1']);
+    expect(await searchIndex(index, 'late penalty', { limit: 1 })).toHaveLength(1);
+    expect(await searchIndex(index, 'the of')).toEqual([]);
+  });
+
+  test('should replace and remove an entity\'s chunks', async () => {
+    const index = buildIndex();
+    addToIndex(index, 'documents', entity('d1', { name: 'Contract.pdf', pagesText: ['Only payment terms now.'] }));
+    expect((await searchIndex(index, 'penalty')).map(result => result.entityId)).toEqual(['x1']);
+    removeFromIndex(index, 'x1');
+    expect(await searchIndex(index, 'penalty')).toEqual([]);
+    expect(index.docFreq.has('penalty')).toBe(false);
+  });
+
+  test('should fuse embedding rankings and fall back to keywords when embedding fails', async () => {
+    const index = buildIndex();
+    // A fake embedding that only knows that "schedule" and "quarter" are about timing
+    const embed = async (model, texts) => texts.map(text => (/schedul|quarter|timing/i.test(text) ? [1, 0] : [0, 1]));
+    const fused = await searchIndex(index, 'timing', { embeddingModel: { provider: 'openai', model: 'test' }, embed });
+    expect(fused[0].entityId).toBe('d2');
+    expect([...index.chunks.values()].every(chunk => Array.isArray(chunk.vector))).toBe(true);
+
+    const failing = async () => { throw new Error('offline'); };
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await searchIndex(index, 'penalty', { embeddingModel: { provider: 'openai', model: 'test' }, embed: failing })).length).toBe(2);
+    spy.mockRestore();
+  });
+
+  test('should build a binder\'s index from storage and keep it current', async () => {
+    const record = (id, data, fields = {}) => ({ id, channel: 'library', userUuid: 'u1', data, timestamp: 1, serverTimestamp: 1, ...fields });
+    await entityModels.documents.insertMany([
+      record('d1', { name: 'Contract.pdf', pagesText: ['A penalty applies for late delivery.'] }),
+      record('d9', { name: 'Trashed.pdf', pagesText: ['penalty'] }, { deletedAt: 5 }),
+    ]);
+
+    expect((await searchBinder('library', 'penalty')).map(result => result.entityId)).toEqual(['d1']);
+    await updateIndexedEntity('library', 'artifacts', 'x1', { name: 'Notes', pagesText: ['The penalty stays.'] });
+    await updateIndexedEntity('library', 'goals', 'g1', { text: 'penalty' });
+    expect((await searchBinder('library', 'penalty')).map(result => result.entityId).sort()).toEqual(['d1', 'x1']);
+    await updateIndexedEntity('library', 'documents', 'd1', null);
+    expect((await searchBinder('library', 'penalty')).map(result => result.entityId)).toEqual(['x1']);
+
+    // A dropped index is built again from storage
+    dropChannelIndex('library');
+    expect((await searchBinder('library', 'penalty')).map(result => result.entityId)).toEqual(['d1']);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for the Embedded Storage Backend
+ * Tests the Mongoose-style queries and updates the server relies on, expiry and saving to disk
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE = 'memory';
+const { createEmbeddedStorage, matchesFilter, applyUpdate } = require('../../config/storage/embedded');
+const { storageBackendName, storagePath } = require('../../config/storage');
+
+const entity = (id, fields = {}) => ({ id, channel: 'room', userUuid: 'u1', data: { order: 0 }, timestamp: 1, serverTimestamp: 1, ...fields });
+
+describe('Embedded Storage', () => {
+  test('should match filters the way Mongo does', () => {
+    const doc = { deletedAt: null, events: ['add-goal'], data: { votes: 2 } };
+    expect(matchesFilter(doc, { deletedAt: null, version: null })).toBe(true);
+    expect(matchesFilter(doc, { deletedAt: { $ne: null } })).toBe(false);
+    expect(matchesFilter(doc, { version: { $in: [1, null] } })).toBe(true);
+    expect(matchesFilter(doc, { events: { $in: ['*', 'add-goal'] } })).toBe(true);
+    expect(matchesFilter(doc, { events: 'add-goal', 'data.votes': { $gt: -5, $lte: 2 } })).toBe(true);
+    expect(matchesFilter(doc, { $or: [{ 'data.votes': 3 }, { 'data.missing': { $exists: false } }] })).toBe(true);
+    expect(() => matchesFilter(doc, { 'data.votes': { $regex: 'x' } })).toThrow('Unsupported query operator $regex');
+  });
+
+  test('should apply $set, $unset and $inc on dotted paths', () => {
+    const doc = applyUpdate({ data: { roles: { a: 'owner', b: 'editor' } }, version: 1 }, {
+      $set: { 'data.bots.x': { name: 'Bot' } },
+      $unset: { 'data.roles.b': '' },
+      $inc: { version: 1, 'data.copies': 1 },
+    });
+    expect(doc).toEqual({ data: { roles: { a: 'owner' }, bots: { x: { name: 'Bot' } }, copies: 1 }, version: 2 });
+  });
+
+  test('should create, query, update and delete records', async () => {
+    const { models: { entityModels } } = createEmbeddedStorage();
+    const goals = entityModels.goals;
+    await goals.create(entity('g1', { data: { order: 1 } }));
+    await goals.insertMany([entity('g2', { data: { order: 0 } }), entity('g3', { channel: 'other' })]);
+
+    const stored = await goals.findOne({ id: 'g1' }).lean();
+    expect(stored).toMatchObject({ version: 1, deletedAt: null });
+    expect(typeof stored._id).toBe('string');
+    expect(stored.createdAt.getTime()).toBeGreaterThan(0);
+
+    const listed = await goals.find({ channel: 'room', deletedAt: null }).sort({ 'data.order': 1 }).lean();
+    expect(listed.map(doc => doc.id)).toEqual(['g2', 'g1']);
+    expect(await goals.countDocuments({ channel: 'room' })).toBe(2);
+
+    // Results are copies
+    listed[0].data.order = 9;
+    expect((await goals.findOne({ id: 'g2' }).lean()).data.order).toBe(0);
+
+    const updated = await goals.findOneAndUpdate({ id: 'g1', version: { $in: [1, null] } }, { $set: { version: 2 } }, { new: true }).lean();
+    expect(updated.version).toBe(2);
+    expect(await goals.findOneAndUpdate({ id: 'g1', version: 1 }, { $set: { version: 3 } })).toBeNull();
+
+    expect((await goals.deleteMany({ channel: 'room' })).deletedCount).toBe(2);
+    expect((await goals.deleteOne({ id: 'missing' })).deletedCount).toBe(0);
+  });
+
+  test('should page newest first by _id and save changed documents', async () => {
+    const { models: { AuditEntry, LibrarySet } } = createEmbeddedStorage();
+    await AuditEntry.insertMany([1, 2, 3].map(timestamp => ({ channel: 'room', operation: 'add', entityType: 'goals', timestamp })));
+    const [newest, ...rest] = await AuditEntry.find({ channel: 'room' }).sort({ _id: -1 }).limit(2).lean();
+    expect([newest.timestamp, ...rest.map(entry => entry.timestamp)]).toEqual([3, 2]);
+    const older = await AuditEntry.find({ channel: 'room', _id: { $lt: rest[0]._id } }).lean();
+    expect(older.map(entry => entry.timestamp)).toEqual([1]);
+
+    await new LibrarySet({ uuid: 'a1', data: { name: 'A', votes: 0 }, timestamp: 1 }).save();
+    const artifact = await LibrarySet.findOne({ uuid: 'a1' });
+    artifact.data.votes += 1;
+    await artifact.save();
+    expect((await LibrarySet.findOne({ uuid: 'a1' }).lean()).data.votes).toBe(1);
+    expect(await LibrarySet.countDocuments()).toBe(1);
+  });
+
+  test('should drop expired tombstones', async () => {
+    const { models: { Tombstone } } = createEmbeddedStorage();
+    await Tombstone.create({ id: 'old', channel: 'room', entityType: 'goals', serverTimestamp: 1, deletedAt: new Date(0) });
+    await Tombstone.create({ id: 'new', channel: 'room', entityType: 'goals', serverTimestamp: 2 });
+    expect((await Tombstone.find({ channel: 'room' }).lean()).map(tombstone => tombstone.id)).toEqual(['new']);
+  });
+
+  test('should keep collections in JSON files across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'binder-storage-'));
+    try {
+      const first = createEmbeddedStorage({ dir });
+      await first.models.entityModels.chats.create(entity('c1', { data: { text: 'hello' } }));
+      first.flush();
+      expect(fs.existsSync(path.join(dir, 'chatsSet.json'))).toBe(true);
+
+      const second = createEmbeddedStorage({ dir });
+      const chat = await second.models.entityModels.chats.findOne({ id: 'c1' }).lean();
+      expect(chat.data.text).toBe('hello');
+      expect(chat.createdAt.getTime()).toBeGreaterThan(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should pick the backend from STORAGE, or from whether MONGODB is set', () => {
+    expect(storageBackendName({ MONGODB: 'mongodb://db/binders' })).toBe('mongo');
+    expect(storageBackendName({})).toBe('file');
+    expect(storageBackendName({ STORAGE: 'Memory', MONGODB: 'mongodb://db/binders' })).toBe('memory');
+    expect(() => storageBackendName({ STORAGE: 'sqlite' })).toThrow('Unknown STORAGE');
+    expect(storagePath({ DATA: '/srv/binder' })).toBe(path.join('/srv/binder', 'storage'));
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Entity Data Schemas
+ * Tests the field checks applied to entity data on add and update
+ */
+
+const { ENTITY_SCHEMAS, validateEntityData, describeValidationErrors } = require('../../config/entitySchemas');
+
+describe('Entity Schemas', () => {
+  const agent = {
+    name: 'Reviewer',
+    createdBy: 'Ada',
+    description: 'Reviews contracts',
+    placeholderImage: 3,
+    model: { provider: 'openai', model: 'gpt-4o', name: 'GPT-4o' },
+    systemPrompts: [{ id: 'p1', type: 'text', content: 'Be brief' }],
+    userPrompts: [{ id: 'p2', type: 'sections', content: ['s1', 's2'] }],
+    contextStrategy: 'spread',
+  };
+
+  test('should accept the data the client sends for each schema type', () => {
+    const samples = {
+      agents: agent,
+      goals: { text: 'Ship it', order: 0 },
+      questions: { text: 'Why?', order: 1, answered: null, collapsed: false },
+      answers: { questionId: 'q1', text: '', votes: -1, links: [{ id: 'd1', page: 3 }] },
+      sections: { name: 'Contracts', sectionId: null, order: 2 },
+      prompts: { name: 'Summary', description: '', text: 'Summarize {{doc}}' },
+      transcriptions: {
+        filename: 'call.mp3',
+        segments: [{ id: 0, text: 'Hello', start: 0, end: 1.5, speaker: 0 }],
+        speakers: [{ id: 0, label: 'Speaker 0', displayName: 'Speaker 0' }],
+      },
+    };
+    expect(Object.keys(samples).sort()).toEqual(Object.keys(ENTITY_SCHEMAS).sort());
+    Object.entries(samples).forEach(([entityType, data]) => {
+      expect(validateEntityData(entityType, 'add', data)).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  test('should report each bad field with its path', () => {
+    const bad = {
+      ...agent,
+      name: '',
+      model: { provider: 'openai' },
+      systemPrompts: [{ id: 'p1', type: 'webpage', content: 'x' }, { id: 'p3', type: 'text', content: 42 }],
+      contextStrategy: 'summarize',
+    };
+    const { valid, errors } = validateEntityData('agents', 'update', bad);
+    expect(valid).toBe(false);
+    expect(errors.map(error => error.field)).toEqual(['name', 'model.model', 'systemPrompts[0].type', 'systemPrompts[1].content', 'contextStrategy']);
+    expect(errors[2].message).toBe('systemPrompts[0].type must be one of text, goal, document, artifact, sections, prompt');
+    expect(errors[3].message).toBe('systemPrompts[1].content must be a string or an array');
+  });
+
+  test('should check types, required fields and length limits', () => {
+    expect(validateEntityData('goals', 'add', { order: 0 }).errors).toEqual([{ field: 'text', message: 'text is required' }]);
+    expect(validateEntityData('goals', 'add', { text: 'x'.repeat(20001) }).errors[0].message).toBe('text must be at most 20000 characters');
+    expect(validateEntityData('answers', 'update', { questionId: 'q1', votes: 1.5 }).errors[0].message).toBe('votes must be an integer');
+    expect(validateEntityData('goals', 'add', null).errors).toEqual([{ field: 'data', message: 'data must be an object' }]);
+  });
+
+  test('should leave other operations and entity types alone', () => {
+    expect(validateEntityData('goals', 'remove', null).valid).toBe(true);
+    expect(validateEntityData('answers', 'vote', { vote: 'up' }).valid).toBe(true);
+    expect(validateEntityData('chats', 'add', { anything: true }).valid).toBe(true);
+  });
+
+  test('should summarize the first few errors', () => {
+    const errors = ['a', 'b', 'c', 'd', 'e'].map(field => ({ field, message: `${field} is required` }));
+    expect(describeValidationErrors('goals', 'add', errors))
+      .toBe('Invalid goals data for add: a is required; b is required; c is required (and 2 more)');
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Unit Tests for Entity Versions
+ * Tests the optimistic concurrency helpers used by update-* events
+ */
+
+const { currentVersion, isValidBaseVersion, versionMatch } = require('../../config/entityVersions');
+
+describe('Entity Versions', () => {
+  test('should treat entities saved before versions existed as version 1', () => {
+    expect(currentVersion({ id: 'g1' })).toBe(1);
+    expect(currentVersion(null)).toBe(1);
+    expect(currentVersion({ id: 'g1', version: 4 })).toBe(4);
+  });
+
+  test('should only accept positive integer base versions', () => {
+    expect(isValidBaseVersion(1)).toBe(true);
+    expect(isValidBaseVersion(0)).toBe(false);
+    expect(isValidBaseVersion('2')).toBe(false);
+    expect(isValidBaseVersion(undefined)).toBe(false);
+  });
+
+  test('should match unversioned entities when the update is based on version 1', () => {
+    expect(versionMatch(1)).toEqual({ $in: [1, null] });
+    expect(versionMatch(3)).toBe(3);
+  });
+});
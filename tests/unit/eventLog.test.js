@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for the Channel Event Log
+ * Tests the bounded log used to replay missed events after a reconnect
+ */
+
+const { createEventLog, appendEvent, eventsSince } = require('../../config/eventLog');
+
+describe('Channel Event Log', () => {
+  const start = 1700000000000;
+
+  test('should stamp events with strictly increasing serverTimestamps', () => {
+    const log = createEventLog(start);
+    const first = appendEvent(log, { type: 'add-goal', id: 'g1' }, start + 10);
+    const second = appendEvent(log, { type: 'add-goal', id: 'g2' }, start + 10);
+    expect(second.serverTimestamp).toBeGreaterThan(first.serverTimestamp);
+    expect(first.replayable).toBe(true);
+  });
+
+  test('should return the events missed since a cursor, in order', () => {
+    const log = createEventLog(start);
+    const first = appendEvent(log, { type: 'add-goal', id: 'g1' }, start + 10);
+    appendEvent(log, { type: 'update-goal', id: 'g1' }, start + 20);
+    appendEvent(log, { type: 'remove-goal', id: 'g1' }, start + 30);
+    const missed = eventsSince(log, first.serverTimestamp);
+    expect(missed.map(event => event.type)).toEqual(['update-goal', 'remove-goal']);
+  });
+
+  test('should return nothing when the client is up to date', () => {
+    const log = createEventLog(start);
+    const event = appendEvent(log, { type: 'add-chat', id: 'c1' }, start + 10);
+    expect(eventsSince(log, event.serverTimestamp)).toEqual([]);
+  });
+
+  test('should require a full resync when the cursor predates the log', () => {
+    const log = createEventLog(start);
+    expect(eventsSince(log, start - 1)).toBeNull();
+    expect(eventsSince(log, undefined)).toBeNull();
+  });
+
+  test('should drop the oldest events and require a resync for gaps past the bound', () => {
+    const log = createEventLog(start);
+    const first = appendEvent(log, { type: 'add-chat', id: 'c1' }, start + 10, 2);
+    const second = appendEvent(log, { type: 'add-chat', id: 'c2' }, start + 20, 2);
+    appendEvent(log, { type: 'add-chat', id: 'c3' }, start + 30, 2);
+    expect(log.events).toHaveLength(2);
+    expect(eventsSince(log, first.serverTimestamp - 1)).toBeNull();
+    expect(eventsSince(log, first.serverTimestamp).map(event => event.id)).toEqual(['c2', 'c3']);
+    expect(eventsSince(log, second.serverTimestamp).map(event => event.id)).toEqual(['c3']);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Unit Tests for Member Ids
+ * Tests the hash members are listed under in a binder's user list
+ */
+
+const crypto = require('crypto');
+const { sha256, memberIdOf } = require('../../public/utils/memberIds');
+
+describe('Member Ids', () => {
+  test('should hash like SHA-256 across block boundaries and multi-byte characters', () => {
+    ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'a'.repeat(200), 'binder:日本語-✓'].forEach((text) => {
+      expect(sha256(text)).toBe(crypto.createHash('sha256').update(text).digest('hex'));
+    });
+  });
+
+  test('should give a user a different id in each binder', () => {
+    const id = memberIdOf('room_a', 'user-1');
+    expect(id).toMatch(/^[0-9a-f]{16}$/);
+    expect(memberIdOf('room_a', 'user-1')).toBe(id);
+    expect(memberIdOf('room_b', 'user-1')).not.toBe(id);
+    expect(memberIdOf('room_a', 'user-2')).not.toBe(id);
+    expect(memberIdOf('room_a', null)).toBeNull();
+  });
+});
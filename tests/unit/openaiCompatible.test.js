@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for the OpenAI-Compatible Provider
+ * Tests model discovery, optional auth and streamed replies against a local stub of an on-prem model server
+ */
+
+const http = require('http');
+const { handlePrompt, discoverOpenAiCompatibleModels, knownOpenAiCompatibleModels } = require('../../config/handleAiInteractions');
+const { serverModels, SERVER_MODELS } = require('../../controllers/_config/models');
+
+describe('OpenAI-Compatible Provider', () => {
+  let server;
+  let baseURL;
+  const requests = [];
+  let modelsDown = false;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, auth: req.headers.authorization, body: body ? JSON.parse(body) : null });
+        if (req.url === '/v1/models' && modelsDown) {
+          res.writeHead(503, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: 'Loading' } }));
+          return;
+        }
+        if (req.url === '/v1/models') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3.1', object: 'model' }, { id: 'qwen2.5', object: 'model', max_model_len: 32768 }] }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const [content, finish] of [['Hello', null], [' there', null], ['', 'stop']]) {
+          res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content }, finish_reason: finish }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1/`;
+  });
+
+  afterAll(async () => {
+    delete process.env.OPENAICOMPATIBLE_BASE_URL;
+    delete process.env.OPENAICOMPATIBLE_API_KEY;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    modelsDown = false;
+    process.env.OPENAICOMPATIBLE_BASE_URL = baseURL;
+    delete process.env.OPENAICOMPATIBLE_API_KEY;
+  });
+
+  test('should discover the server\'s models, with the context length it reports', async () => {
+    process.env.OPENAICOMPATIBLE_API_KEY = 'secret';
+    const models = await discoverOpenAiCompatibleModels({ refresh: true });
+    expect(models).toEqual([
+      { name: { en: 'llama3.1', fr: 'llama3.1' }, model: 'llama3.1', provider: 'openaiCompatible' },
+      { name: { en: 'qwen2.5', fr: 'qwen2.5' }, model: 'qwen2.5', provider: 'openaiCompatible', contextWindow: 32768 },
+    ]);
+    expect(requests).toEqual([{ url: '/v1/models', auth: 'Bearer secret', body: null }]);
+
+    // Cached until it expires
+    await discoverOpenAiCompatibleModels();
+    expect(requests).toHaveLength(1);
+    expect(serverModels()).toEqual([...SERVER_MODELS, ...models]);
+  });
+
+  test('should keep the last list when the server fails and forget it when the server changes', async () => {
+    const models = await discoverOpenAiCompatibleModels({ refresh: true });
+    modelsDown = true;
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await discoverOpenAiCompatibleModels({ refresh: true })).toEqual(models);
+    expect(spy).toHaveBeenCalled();
+    // Not asked again until the retry delay has passed
+    await discoverOpenAiCompatibleModels();
+    expect(requests).toHaveLength(2);
+
+    process.env.OPENAICOMPATIBLE_BASE_URL = 'http://127.0.0.1:1/v1';
+    expect(await discoverOpenAiCompatibleModels()).toEqual([]);
+    spy.mockRestore();
+
+    delete process.env.OPENAICOMPATIBLE_BASE_URL;
+    expect(await discoverOpenAiCompatibleModels()).toEqual([]);
+    expect(knownOpenAiCompatibleModels()).toEqual([]);
+  });
+
+  test('should stream replies without an API key', async () => {
+    const sent = [];
+    await handlePrompt({
+      model: { provider: 'openaiCompatible', model: 'llama3.1' },
+      uuid: 'm1',
+      session: 'room',
+      messageHistory: [],
+      systemPrompt: 'Be brief.',
+      userPrompt: 'Hi',
+    }, (uuid, session, type, message) => sent.push([type, message]));
+
+    expect(sent).toEqual([['message', 'Hello'], ['message', ' there'], ['EOM', { end: true }]]);
+    expect(requests[0]).toMatchObject({ url: '/v1/chat/completions', auth: 'Bearer none' });
+    expect(requests[0].body).toMatchObject({ model: 'llama3.1', stream: true, messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }] });
+  });
+
+  test('should report a missing base URL', async () => {
+    delete process.env.OPENAICOMPATIBLE_BASE_URL;
+    const sent = [];
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await handlePrompt({ model: { provider: 'openaiCompatible', model: 'llama3.1' }, uuid: 'm2', session: 'room', messageHistory: [], systemPrompt: 's', userPrompt: 'u' },
+      (uuid, session, type, message) => sent.push([type, message]));
+    spy.mockRestore();
+    expect(sent).toHaveLength(1);
+    expect(sent[0][0]).toBe('ERROR');
+    expect(JSON.parse(sent[0][1]).message).toMatch('OPENAICOMPATIBLE_BASE_URL');
+  });
+});
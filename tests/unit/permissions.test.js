@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for Binder Permissions
+ * Tests role resolution and the per-operation permission matrix
+ */
+
+const { resolveRole, canPerform, canManage, DEFAULT_ROLE } = require('../../config/permissions');
+
+describe('Binder Permissions', () => {
+  describe('resolveRole', () => {
+    test('should return the explicit role for a user', () => {
+      expect(resolveRole({ 'user-1': 'viewer' }, 'user-1', 'editor')).toBe('viewer');
+    });
+
+    test('should fall back to the channel default role', () => {
+      expect(resolveRole({}, 'user-1', 'commenter')).toBe('commenter');
+    });
+
+    test('should fall back to the global default for invalid roles', () => {
+      expect(resolveRole({ 'user-1': 'superuser' }, 'user-1', 'bogus')).toBe(DEFAULT_ROLE);
+    });
+  });
+
+  describe('canPerform', () => {
+    test('owner can remove the channel', () => {
+      expect(canPerform('owner', 'channels', 'remove')).toBe(true);
+    });
+
+    test('editor can change content but not the channel', () => {
+      expect(canPerform('editor', 'documents', 'remove')).toBe(true);
+      expect(canPerform('editor', 'agents', 'update')).toBe(true);
+      expect(canPerform('editor', 'channels', 'remove')).toBe(false);
+    });
+
+    test('commenter can chat but not delete documents or agents', () => {
+      expect(canPerform('commenter', 'chats', 'add')).toBe(true);
+      expect(canPerform('commenter', 'collabs', 'draft')).toBe(true);
+      expect(canPerform('commenter', 'answers', 'vote')).toBe(true);
+      expect(canPerform('commenter', 'documents', 'remove')).toBe(false);
+      expect(canPerform('commenter', 'agents', 'add')).toBe(false);
+    });
+
+    test('commenter can only edit or delete their own messages', () => {
+      expect(canPerform('commenter', 'chats', 'update', { isAuthor: true })).toBe(true);
+      expect(canPerform('commenter', 'chats', 'remove', { isAuthor: false })).toBe(false);
+    });
+
+    test('viewer cannot perform any operation', () => {
+      expect(canPerform('viewer', 'chats', 'add')).toBe(false);
+      expect(canPerform('viewer', 'goals', 'reorder')).toBe(false);
+    });
+
+    test('unknown roles are denied', () => {
+      expect(canPerform(null, 'chats', 'add')).toBe(false);
+    });
+  });
+
+  describe('canManage', () => {
+    test('only owners can lock the binder, change roles or manage access', () => {
+      expect(canManage('owner', 'lock')).toBe(true);
+      expect(canManage('owner', 'roles')).toBe(true);
+      expect(canManage('owner', 'access')).toBe(true);
+      expect(canManage('editor', 'lock')).toBe(false);
+      expect(canManage('editor', 'roles')).toBe(false);
+      expect(canManage('editor', 'access')).toBe(false);
+    });
+
+    test('only owners can manage webhooks, which send binder content to other systems', () => {
+      expect(canManage('owner', 'webhooks')).toBe(true);
+      expect(canManage('editor', 'webhooks')).toBe(false);
+    });
+
+    test('only owners can manage bots, which hold long-lived tokens', () => {
+      expect(canManage('owner', 'bots')).toBe(true);
+      expect(canManage('editor', 'bots')).toBe(false);
+    });
+
+    test('only owners can change how long an idle binder is kept', () => {
+      expect(canManage('owner', 'retention')).toBe(true);
+      expect(canManage('editor', 'retention')).toBe(false);
+    });
+
+    test('editors can run live transcription, commenters cannot', () => {
+      expect(canManage('editor', 'transcribe')).toBe(true);
+      expect(canManage('commenter', 'transcribe')).toBe(false);
+    });
+
+    test('editors and owners can admit people from the waiting room', () => {
+      expect(canManage('owner', 'admit')).toBe(true);
+      expect(canManage('editor', 'admit')).toBe(true);
+      expect(canManage('commenter', 'admit')).toBe(false);
+    });
+
+    test('editors and owners can take and restore binder snapshots', () => {
+      expect(canManage('owner', 'snapshots')).toBe(true);
+      expect(canManage('editor', 'snapshots')).toBe(true);
+      expect(canManage('commenter', 'snapshots')).toBe(false);
+      expect(canManage('viewer', 'snapshots')).toBe(false);
+    });
+  });
+});
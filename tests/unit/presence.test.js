@@ -0,0 +1,36 @@
+/**
+ * Unit Tests for Presence
+ * Tests how partial presence updates from clients are merged on the server
+ */
+
+const { mergePresence } = require('../../config/presence');
+
+describe('Presence', () => {
+  const now = 1700000000000;
+
+  test('should record the tab and keep fields the update does not mention', () => {
+    const presence = mergePresence({ tab: 'Goals', entityType: 'documents', entityId: 'd1', page: 3 }, { tab: 'Sections' }, now);
+    expect(presence).toMatchObject({ tab: 'Sections', entityType: 'documents', entityId: 'd1', page: 3, updatedAt: now });
+  });
+
+  test('should reset the page when another document is opened', () => {
+    const presence = mergePresence({ entityType: 'documents', entityId: 'd1', page: 11 }, { entityType: 'artifacts', entityId: 'a1' }, now);
+    expect(presence).toMatchObject({ entityType: 'artifacts', entityId: 'a1', page: null });
+  });
+
+  test('should record the visible page of the open document', () => {
+    const opened = mergePresence(null, { entityType: 'documents', entityId: 'd1', page: 0 }, now);
+    expect(mergePresence(opened, { page: 11 }, now).page).toBe(11);
+  });
+
+  test('should ignore pages without an open document and invalid targets', () => {
+    expect(mergePresence(null, { page: 4 }, now).page).toBeNull();
+    expect(mergePresence(null, { entityType: 'goals', entityId: 'g1' }, now).entityId).toBeNull();
+    expect(mergePresence({ entityType: 'documents', entityId: 'd1' }, { page: -1 }, now).page).toBeNull();
+  });
+
+  test('should clear the open document', () => {
+    const presence = mergePresence({ entityType: 'documents', entityId: 'd1', page: 2 }, { entityId: null }, now);
+    expect(presence).toMatchObject({ entityType: null, entityId: null, page: null });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Message Rate and Payload Limits
+ * Tests reading the limits from the environment, measuring payloads and throttling senders
+ */
+
+const {
+  DEFAULT_RATE_LIMITS,
+  rateLimitsFromEnv,
+  payloadLimitsFromEnv,
+  socketBufferSize,
+  payloadSize,
+  checkPayloadSize,
+  createRateLimiter,
+} = require('../../config/rateLimits');
+
+describe('Rate Limits', () => {
+  test('should merge limits from the environment over the defaults and ignore bad JSON', () => {
+    const limits = rateLimitsFromEnv('{"add-llm":{"user":5},"update-goal":{"user":20,"channel":0}}');
+    expect(limits['add-llm']).toEqual({ user: 5, channel: DEFAULT_RATE_LIMITS['add-llm'].channel });
+    expect(limits['update-goal']).toEqual({ user: 20, channel: 0 });
+    expect(rateLimitsFromEnv('not json')).toEqual(rateLimitsFromEnv(''));
+
+    const payloads = payloadLimitsFromEnv('{"chats":64}');
+    expect(payloads.chats).toBe(64 * 1024);
+    expect(payloads['*']).toBe(512 * 1024);
+  });
+
+  test('should size the socket buffer from the largest payload limit', () => {
+    const headroom = 1024 * 1024;
+    expect(socketBufferSize(payloadLimitsFromEnv(''))).toBe(50 * 1024 * 1024 + headroom);
+    expect(socketBufferSize(payloadLimitsFromEnv('{"documents":204800}'))).toBe(200 * 1024 * 1024 + headroom);
+    expect(socketBufferSize({ '*': 64 * 1024 })).toBe(64 * 1024 + headroom);
+    // A limit that is turned off still leaves the transport a bound
+    expect(socketBufferSize({ '*': 64 * 1024, documents: 0 })).toBe(50 * 1024 * 1024 + headroom);
+  });
+
+  test('should measure data and binary chunks and check them against the right limit', () => {
+    expect(payloadSize({ data: { text: 'hi' } })).toBe(Buffer.byteLength('{"text":"hi"}'));
+    expect(payloadSize({ chunk: Buffer.alloc(2048), data: null })).toBe(2048);
+
+    const limits = { '*': 100, documents: 1000 };
+    const message = { data: { text: 'x'.repeat(200) } };
+    expect(checkPayloadSize(limits, message, 'chats')).toEqual({ size: payloadSize(message), limit: 100 });
+    expect(checkPayloadSize(limits, message, 'documents')).toBeNull();
+    expect(checkPayloadSize({ '*': 0 }, message, 'chats')).toBeNull();
+  });
+
+  test('should allow a burst up to the limit and then refill steadily', () => {
+    const limiter = createRateLimiter({ 'add-llm': { user: 2, channel: 0 } });
+    expect(limiter.take('room', 'u1', 'add-llm', 0).ok).toBe(true);
+    expect(limiter.take('room', 'u1', 'add-llm', 0).ok).toBe(true);
+
+    const throttled = limiter.take('room', 'u1', 'add-llm', 0);
+    expect(throttled).toMatchObject({ ok: false, scope: 'user', limitType: 'add-llm', retryAfterMs: 30000, notify: true });
+    // Other users and message types are not affected
+    expect(limiter.take('room', 'u2', 'add-llm', 0).ok).toBe(true);
+    expect(limiter.take('room', 'u1', 'add-chat', 0).ok).toBe(true);
+
+    // Half a minute later one more request is allowed
+    expect(limiter.take('room', 'u1', 'add-llm', 30000).ok).toBe(true);
+  });
+
+  test('should share channel limits between users and tell a throttled sender only now and then', () => {
+    const limiter = createRateLimiter({ '*': { user: 0, channel: 3 } });
+    ['u1', 'u2', 'u3'].forEach(user => expect(limiter.take('room', user, 'draft-chat', 0).ok).toBe(true));
+
+    expect(limiter.take('room', 'u4', 'draft-chat', 0)).toMatchObject({ ok: false, scope: 'channel', notify: true });
+    expect(limiter.take('room', 'u4', 'draft-chat', 1000).notify).toBe(false);
+    expect(limiter.take('other', 'u4', 'draft-chat', 1000).ok).toBe(true);
+  });
+
+  test('should count nothing when any limit refuses and forget idle senders', () => {
+    const limiter = createRateLimiter({ '*': { user: 10, channel: 0 }, 'add-llm': { user: 1, channel: 0 } });
+    limiter.take('room', 'u1', 'add-llm', 0);
+    for (let i = 0; i < 5; i += 1) limiter.take('room', 'u1', 'add-llm', 0);
+    // Only the first request counted against the overall limit
+    for (let i = 0; i < 9; i += 1) expect(limiter.take('room', 'u1', 'add-chat', 0).ok).toBe(true);
+
+    limiter.prune(60000);
+    expect(limiter.size).toBe(0);
+  });
+});
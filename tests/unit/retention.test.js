@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for Binder Retention
+ * Tests the server defaults, owner settings, when idle binders are archived or expired, and archiving round trips
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE = 'memory';
+const {
+  DEFAULT_ARCHIVE_AFTER_DAYS,
+  retentionDefaultsFromEnv,
+  cleanRetentionSettings,
+  effectiveRetention,
+  retentionAction,
+} = require('../../config/retention');
+const { entityModels } = require('../../config/models');
+const { archiveBinder, restoreBinder } = require('../../config/archiveStore');
+
+describe('Binder Retention', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const now = 1700000000000;
+  const defaults = { archiveAfterDays: 90, expireAfterDays: 0 };
+  const binder = (idleDays, data = {}) => ({ id: 'room', timestamp: 1, data: { lastActiveAt: now - idleDays * DAY_MS, ...data } });
+
+  test('should read the server defaults in days and fall back on bad values', () => {
+    expect(retentionDefaultsFromEnv({})).toEqual({ archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS, expireAfterDays: 0 });
+    expect(retentionDefaultsFromEnv({ BINDER_ARCHIVE_DAYS: '0', BINDER_EXPIRE_DAYS: '365' })).toEqual({ archiveAfterDays: 0, expireAfterDays: 365 });
+    expect(retentionDefaultsFromEnv({ BINDER_ARCHIVE_DAYS: 'soon', BINDER_EXPIRE_DAYS: '-1' })).toEqual(retentionDefaultsFromEnv({}));
+  });
+
+  test('should accept whole days or null from owners', () => {
+    expect(cleanRetentionSettings({ archiveAfterDays: 30 })).toEqual({ ok: true, retention: { archiveAfterDays: 30, expireAfterDays: null } });
+    expect(cleanRetentionSettings({ archiveAfterDays: 1.5 }).ok).toBe(false);
+    expect(cleanRetentionSettings({ expireAfterDays: -1 }).ok).toBe(false);
+    expect(cleanRetentionSettings({ expireAfterDays: '30' }).ok).toBe(false);
+    expect(cleanRetentionSettings({ expireAfterDays: 100000 }).message).toMatch('whole numbers of days');
+  });
+
+  test('should use the binder settings over the server defaults', () => {
+    expect(effectiveRetention({ retention: { archiveAfterDays: 0, expireAfterDays: null } }, defaults)).toEqual({ archiveAfterDays: 0, expireAfterDays: 0 });
+    expect(effectiveRetention({}, defaults)).toEqual(defaults);
+  });
+
+  test('should archive, then expire binders nobody has joined', () => {
+    expect(retentionAction(binder(10), defaults, now)).toBeNull();
+    expect(retentionAction(binder(90), defaults, now)).toBe('archive');
+    expect(retentionAction(binder(120, { archive: { file: 'a.json.gz' } }), defaults, now)).toBeNull();
+    expect(retentionAction(binder(120, { retention: { expireAfterDays: 100 } }), defaults, now)).toBe('expire');
+    expect(retentionAction(binder(120, { retention: { archiveAfterDays: 0 } }), defaults, now)).toBeNull();
+    // Binders from before joins were recorded go by their last update
+    expect(retentionAction({ id: 'room', timestamp: now - 91 * DAY_MS, data: {} }, defaults, now)).toBe('archive');
+  });
+
+  test('should pack a binder and its uploads into a bundle and restore them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'binder-archive-'));
+    process.env.DATA = dir;
+    try {
+      await entityModels.channels.create({ id: 'room', channel: 'room', userUuid: 'u1', data: { name: 'Room' }, timestamp: 1, serverTimestamp: 1 });
+      await entityModels.goals.create({ id: 'g1', channel: 'room', userUuid: 'u1', data: { text: 'Ship it' }, timestamp: 1, serverTimestamp: 1 });
+      await entityModels.documents.create({ id: 'd1', channel: 'room', userUuid: 'u1', data: { name: 'Spec.pdf', filename: 'f1.pdf' }, timestamp: 1, serverTimestamp: 1 });
+      fs.writeFileSync(path.join(dir, 'f1.pdf'), 'pdf bytes');
+
+      const archive = await archiveBinder('room', now);
+      expect(archive).toMatchObject({ archivedAt: now, fileCount: 1 });
+      expect(await entityModels.goals.countDocuments({ channel: 'room' })).toBe(0);
+      expect(fs.existsSync(path.join(dir, 'f1.pdf'))).toBe(false);
+      expect(fs.existsSync(path.join(dir, 'archives', archive.file))).toBe(true);
+      expect((await entityModels.channels.findOne({ id: 'room' }).lean()).data.archive.file).toBe(archive.file);
+
+      await restoreBinder('room', archive, now + 1);
+      const goal = await entityModels.goals.findOne({ id: 'g1' }).lean();
+      expect(goal).toMatchObject({ channel: 'room', serverTimestamp: now + 1, data: { text: 'Ship it' } });
+      expect(fs.readFileSync(path.join(dir, 'f1.pdf'), 'utf8')).toBe('pdf bytes');
+      expect(fs.existsSync(path.join(dir, 'archives', archive.file))).toBe(false);
+      const channel = await entityModels.channels.findOne({ id: 'room' }).lean();
+      expect(channel.data).toEqual({ name: 'Room', lastActiveAt: now + 1 });
+    } finally {
+      delete process.env.DATA;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Binder Snapshots
+ * Tests snapshot naming, referenced files, diffs between binder copies and preparing a restore
+ */
+
+const {
+  cleanSnapshotName,
+  snapshotFileIds,
+  countEntities,
+  diffBinderData,
+  remapDocumentIds,
+  prepareRestore,
+} = require('../../config/snapshots');
+
+describe('Binder Snapshots', () => {
+  const binder = () => ({
+    documents: [
+      { id: 'd1', data: { name: 'Contract.pdf', pagesText: ['one'] } },
+      { id: 'd2', data: { name: 'Old.pdf' }, deletedAt: 1000 },
+    ],
+    goals: [{ id: 'g1', data: { text: 'Ship it', order: 0 } }],
+    artifacts: [{ id: 'a1', data: { name: 'Summary', sourceId: 'd1' } }],
+    channels: [{ id: 'room', data: { roles: {} } }],
+  });
+
+  test('should clean snapshot names', () => {
+    expect(cleanSnapshotName('  Before agents  ')).toBe('Before agents');
+    expect(cleanSnapshotName('')).toBeNull();
+    expect(cleanSnapshotName('x'.repeat(300))).toHaveLength(100);
+  });
+
+  test('should list the uploaded files documents refer to, including trashed ones', () => {
+    expect(snapshotFileIds(binder())).toEqual(['d1', 'd2']);
+  });
+
+  test('should count live entities only', () => {
+    expect(countEntities(binder())).toMatchObject({ documents: 1, goals: 1 });
+  });
+
+  test('should diff added, removed and changed entities', () => {
+    const before = binder();
+    const after = binder();
+    after.documents[0].data.pagesText = ['one, edited'];
+    after.goals = [];
+    after.artifacts.push({ id: 'a2', data: { name: 'Review' } });
+
+    expect(diffBinderData(before, after)).toEqual({
+      documents: { added: [], removed: [], changed: [{ id: 'd1', label: 'Contract.pdf' }] },
+      goals: { added: [], removed: [{ id: 'g1', label: 'Ship it' }], changed: [] },
+      artifacts: { added: [{ id: 'a2', label: 'Review' }], removed: [], changed: [] },
+    });
+  });
+
+  test('should treat a trashed entity as removed and ignore binder settings', () => {
+    const before = binder();
+    const after = binder();
+    after.goals[0].deletedAt = 2000;
+    after.channels[0].data.roles = { u1: 'owner' };
+    expect(diffBinderData(before, after)).toEqual({
+      goals: { added: [], removed: [{ id: 'g1', label: 'Ship it' }], changed: [] },
+    });
+  });
+
+  test('should give documents new ids and rewrite references to them', () => {
+    const data = binder();
+    let next = 0;
+    const idMap = remapDocumentIds(data, () => `new-${++next}`);
+    expect(idMap.get('d1')).toBe('new-1');
+    expect(data.documents.map(doc => doc.id)).toEqual(['new-1', 'new-2']);
+    expect(data.artifacts[0].data.sourceId).toBe('new-1');
+  });
+
+  test('should prepare records for the target channel without binder settings', () => {
+    const data = binder();
+    data.goals[0]._id = 'mongo-id';
+    const records = prepareRestore(data, 'copy', 5000);
+    expect(records.channels).toBeUndefined();
+    expect(records.goals[0]).toEqual({ id: 'g1', data: { text: 'Ship it', order: 0 }, channel: 'copy', serverTimestamp: 5000 });
+    expect(records.documents[1].deletedAt).toBe(1000);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit Tests for Incremental Sync
+ * Tests how client `since` cursors are resolved into delta or full loads
+ */
+
+const { resolveSyncCursors, TOMBSTONE_RETENTION_MS } = require('../../config/sync');
+
+describe('Incremental Sync', () => {
+  const entityTypes = ['goals', 'documents', 'chats'];
+  const now = 1700000000000;
+
+  test('should load everything when no cursors are sent', () => {
+    expect(resolveSyncCursors(undefined, entityTypes, now)).toEqual({ goals: null, documents: null, chats: null });
+  });
+
+  test('should use a valid cursor per entity type', () => {
+    const cursors = resolveSyncCursors({ goals: now - 1000 }, entityTypes, now);
+    expect(cursors.goals).toBe(now - 1000);
+    expect(cursors.documents).toBeNull();
+  });
+
+  test('should ignore cursors that are not positive numbers', () => {
+    const cursors = resolveSyncCursors({ goals: 'yesterday', documents: -5, chats: NaN }, entityTypes, now);
+    expect(cursors).toEqual({ goals: null, documents: null, chats: null });
+  });
+
+  test('should ignore cursors from the future', () => {
+    expect(resolveSyncCursors({ goals: now + 1 }, entityTypes, now).goals).toBeNull();
+  });
+
+  test('should fall back to a full load once tombstones may have expired', () => {
+    expect(resolveSyncCursors({ goals: now - TOMBSTONE_RETENTION_MS }, entityTypes, now).goals).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Collaborative Text Editing
+ * Tests the text operation transforms and the server-ordered text sessions
+ */
+
+const TextOps = require('../../public/utils/textOps');
+const { createTextSession, textSessionState, receiveTextOp } = require('../../config/textSessions');
+
+describe('Text Operations', () => {
+  test('should turn a textarea change into a single splice', () => {
+    const ops = TextOps.fromDiff('hello world', 'hello brave world');
+    expect(ops).toEqual([6, 'brave ', 5]);
+    expect(TextOps.apply('hello world', ops)).toBe('hello brave world');
+  });
+
+  test('should converge when two people edit the same text concurrently', () => {
+    const text = 'The quick fox';
+    const a = TextOps.fromDiff(text, 'The quick brown fox');
+    const b = TextOps.fromDiff(text, 'A quick fox');
+    const [aPrime, bPrime] = TextOps.transform(a, b);
+    const left = TextOps.apply(TextOps.apply(text, a), bPrime);
+    const right = TextOps.apply(TextOps.apply(text, b), aPrime);
+    expect(left).toBe(right);
+    expect(left).toBe('A quick brown fox');
+  });
+
+  test('should converge when a delete overlaps a concurrent insert', () => {
+    const text = 'abcdef';
+    const a = TextOps.fromDiff(text, 'af');
+    const b = TextOps.fromDiff(text, 'abcXdef');
+    const [aPrime, bPrime] = TextOps.transform(a, b);
+    expect(TextOps.apply(TextOps.apply(text, a), bPrime)).toBe(TextOps.apply(TextOps.apply(text, b), aPrime));
+  });
+
+  test('should compose consecutive edits into one operation', () => {
+    const first = TextOps.fromDiff('abc', 'abXc');
+    const second = TextOps.fromDiff('abXc', 'abXYc');
+    expect(TextOps.apply('abc', TextOps.compose(first, second))).toBe('abXYc');
+  });
+
+  test('should keep a caret next to the same character', () => {
+    const ops = TextOps.fromDiff('hello world', 'hi world');
+    expect(TextOps.transformIndex(8, ops)).toBe(5);
+    expect(TextOps.transformIndex(0, ops)).toBe(0);
+  });
+});
+
+describe('Text Sessions', () => {
+  test('should apply an operation and advance the page revision', () => {
+    const session = createTextSession('artifacts', 'a1', ['hello']);
+    const result = receiveTextOp(session, { epoch: session.epoch, page: 0, rev: 0, ops: [5, '!'] });
+    expect(result).toEqual({ ok: true, ops: [5, '!'], rev: 1 });
+    expect(textSessionState(session)).toMatchObject({ pagesText: ['hello!'], revs: [1] });
+  });
+
+  test('should transform an operation made against an older revision', () => {
+    const session = createTextSession('documents', 'd1', ['abc']);
+    receiveTextOp(session, { epoch: session.epoch, page: 0, rev: 0, ops: ['X', 3] });
+    const result = receiveTextOp(session, { epoch: session.epoch, page: 0, rev: 0, ops: [3, 'Y'] });
+    expect(result.ok).toBe(true);
+    expect(result.rev).toBe(2);
+    expect(session.pagesText[0]).toBe('XabcY');
+  });
+
+  test('should ask clients from another session or an unknown revision to reload', () => {
+    const session = createTextSession('artifacts', 'a1', ['hello']);
+    expect(receiveTextOp(session, { epoch: 'old', page: 0, rev: 0, ops: [5] }).reason).toBe('stale-epoch');
+    expect(receiveTextOp(session, { epoch: session.epoch, page: 0, rev: 3, ops: [5] }).reason).toBe('stale-rev');
+    expect(receiveTextOp(session, { epoch: session.epoch, page: 0, rev: 0, ops: [9] }).reason).toBe('invalid-op');
+    expect(receiveTextOp(session, { epoch: session.epoch, page: 2, rev: 0, ops: [] }).reason).toBe('invalid-page');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Token Budgets
+ * Tests prompt size estimates, model limits and fitting materials and chat history into a context window
+ */
+
+const {
+  STRATEGIES,
+  estimateTokens,
+  estimateMessages,
+  modelLimits,
+  promptBudget,
+  truncateToTokens,
+  fitMaterials,
+  fitPrompt,
+} = require('../../public/utils/tokenBudget');
+
+const gpt = { provider: 'openAi', model: 'gpt-4o' };
+const tiny = { provider: 'ollama', model: 'tiny', contextWindow: 1000, maxOutputTokens: 200 };
+
+describe('Token Budget', () => {
+  test('should estimate tokens by word, number and punctuation', () => {
+    expect(estimateTokens('', gpt)).toBe(0);
+    expect(estimateTokens(null, gpt)).toBe(0);
+    expect(estimateTokens('Hello world', gpt)).toBe(4);
+    expect(estimateTokens('12345', gpt)).toBe(2);
+    expect(estimateTokens('日本語', gpt)).toBe(3);
+    // Denser tokenizers cost more
+    expect(estimateTokens('internationalization', { provider: 'anthropic', model: 'claude-3-5-sonnet' }))
+      .toBeGreaterThan(estimateTokens('internationalization', gpt));
+    expect(estimateMessages([{ content: 'Hello world' }, { content: '' }], gpt)).toBe(12);
+  });
+
+  test('should take model limits from metadata, then known models, then defaults', () => {
+    expect(modelLimits(tiny)).toEqual({ contextWindow: 1000, maxOutputTokens: 200 });
+    expect(modelLimits({ model: 'gemini-1.5-pro-002' })).toEqual({ contextWindow: 2097152, maxOutputTokens: 8192 });
+    expect(modelLimits({ model: 'gemini-2.0-flash', contextWindow: 'big' }).contextWindow).toBe(1048576);
+    expect(modelLimits({ model: 'unknown' })).toEqual({ contextWindow: 32768, maxOutputTokens: 4096 });
+    // Room for the reply and a safety margin
+    expect(promptBudget(tiny)).toBe(720);
+  });
+
+  test('should truncate text to a token count with a marker', () => {
+    const text = 'word '.repeat(500);
+    const cut = truncateToTokens(text, 100, gpt);
+    expect(estimateTokens(cut, gpt)).toBeLessThanOrEqual(100);
+    expect(cut).toMatch(/truncated/);
+    expect(truncateToTokens('short', 100, gpt)).toBe('short');
+    expect(truncateToTokens(text, 1, gpt)).toBe('');
+  });
+
+  test('should keep small materials whole and cut the largest', () => {
+    const materials = [
+      { id: 'small', pages: ['a few words'] },
+      { id: 'large', pages: ['first '.repeat(400), 'second '.repeat(400), 'third '.repeat(400)] },
+    ];
+    expect(fitMaterials(materials, 100000, gpt)).toEqual({ materials, truncated: 0 });
+
+    const truncated = fitMaterials(materials, 300, gpt, 'truncate');
+    expect(truncated.truncated).toBe(1);
+    expect(truncated.materials[0]).toBe(materials[0]);
+    expect(truncated.materials[1].truncated).toBe(true);
+    expect(truncated.materials[1].pages.join('')).not.toMatch('second');
+
+    const spread = fitMaterials(materials, 300, gpt, 'spread');
+    expect(spread.materials[1].pages).toHaveLength(3);
+    expect(spread.materials[1].pages[2]).toMatch(/^third/);
+    const size = spread.materials.reduce((sum, m) => sum + m.pages.reduce((total, page) => total + estimateTokens(page, gpt), 0), 0);
+    expect(size).toBeLessThanOrEqual(300);
+    expect(STRATEGIES).toEqual(['truncate', 'spread']);
+  });
+
+  test('should keep instructions and the latest message and drop the oldest history first', () => {
+    const parts = [
+      { role: 'system', content: 'Be helpful.', kind: 'instruction' },
+      { role: 'system', content: 'x '.repeat(2000), kind: 'material', pages: ['x '.repeat(2000)] },
+      ...Array.from({ length: 30 }, (_, index) => ({ role: 'user', content: `message ${index} ${'y '.repeat(20)}`, kind: 'history' })),
+    ];
+    const result = fitPrompt(parts, tiny);
+    expect(result.tokens).toBeLessThanOrEqual(result.budget);
+    expect(result.truncatedMaterials).toBe(1);
+    expect(result.droppedMessages).toBeGreaterThan(0);
+    expect(result.parts[0].content).toBe('Be helpful.');
+    expect(result.parts[result.parts.length - 1].content).toMatch(/^message 29 /);
+    expect(result.parts.some(part => part.content.startsWith('message 0 '))).toBe(false);
+  });
+
+  test('should leave prompts that fit untouched', () => {
+    const parts = [
+      { role: 'system', content: 'Be helpful.', kind: 'instruction' },
+      { role: 'system', content: 'Page', kind: 'material', pages: ['Page'] },
+      { role: 'user', content: 'Hi', kind: 'history' },
+    ];
+    const result = fitPrompt(parts, gpt);
+    expect(result.parts).toEqual(parts);
+    expect(result).toMatchObject({ truncatedMaterials: 0, droppedMessages: 0, contextWindow: 128000 });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Unit Tests for Trash
+ * Tests the retention period, purge cutoff and listing entries for soft-deleted entities
+ */
+
+const { DEFAULT_TRASH_RETENTION_DAYS, trashRetentionMs, purgeCutoff, entityLabel, trashEntry } = require('../../config/trash');
+
+describe('Trash', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  test('should read the retention period in days and fall back to the default', () => {
+    expect(trashRetentionMs('7')).toBe(7 * DAY_MS);
+    expect(trashRetentionMs('0.5')).toBe(DAY_MS / 2);
+    expect(trashRetentionMs(undefined)).toBe(DEFAULT_TRASH_RETENTION_DAYS * DAY_MS);
+    expect(trashRetentionMs('0')).toBe(DEFAULT_TRASH_RETENTION_DAYS * DAY_MS);
+    expect(trashRetentionMs('soon')).toBe(DEFAULT_TRASH_RETENTION_DAYS * DAY_MS);
+  });
+
+  test('should purge entities deleted before the retention period', () => {
+    const now = 1700000000000;
+    expect(purgeCutoff(7 * DAY_MS, now)).toBe(now - 7 * DAY_MS);
+  });
+
+  test('should label entities by name or text', () => {
+    expect(entityLabel({ name: 'Contract.pdf', pagesText: ['...'] })).toBe('Contract.pdf');
+    expect(entityLabel({ text: 'What is  the\nscope?' })).toBe('What is the scope?');
+    expect(entityLabel(null)).toBe('');
+    expect(entityLabel({ text: 'x'.repeat(200) })).toHaveLength(80);
+  });
+
+  test('should describe a trashed entity with when it will be purged', () => {
+    const doc = { id: 'a1', userUuid: 'u1', data: { name: 'Reviewer' }, deletedAt: 1000, deletedBy: 'u2' };
+    expect(trashEntry('agents', doc, 500)).toEqual({
+      entityType: 'agents',
+      id: 'a1',
+      userUuid: 'u1',
+      label: 'Reviewer',
+      deletedAt: 1000,
+      deletedBy: 'u2',
+      purgeAt: 1500,
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for the Browser Version Tracker
+ * Tests the versions update-* events are based on as the server accepts, rejects or drops them
+ */
+
+const { createVersionTracker } = require('../../public/utils/versionTracker');
+
+describe('Version Tracker', () => {
+  const edit = text => ({ id: 'goal-1', data: { text } });
+
+  test('should base updates on the version the server last confirmed', () => {
+    const tracker = createVersionTracker();
+    expect(tracker.prepare('add-goal', edit('New'))).toEqual(edit('New'));
+    expect(tracker.versions.get('goal-1')).toBe(1);
+
+    expect(tracker.prepare('update-goal', edit('First'))).toEqual({ ...edit('First'), version: 1 });
+    // Sending does not advance the version; the ack does
+    expect(tracker.versions.get('goal-1')).toBe(1);
+    tracker.remember('goal-1', 2);
+    expect(tracker.settle('goal-1')).toBeNull();
+    expect(tracker.prepare('update-goal', edit('Second'))).toEqual({ ...edit('Second'), version: 2 });
+  });
+
+  test('should send the update after a rejected one on the same version', () => {
+    const tracker = createVersionTracker();
+    tracker.remember('goal-1', 3);
+
+    expect(tracker.prepare('update-goal', edit('Too large')).version).toBe(3);
+    // Rate limited, denied or invalid: the server answered without saving
+    tracker.settle('goal-1');
+
+    expect(tracker.prepare('update-goal', edit('Fits'))).toEqual({ ...edit('Fits'), version: 3 });
+  });
+
+  test('should hold edits made while an update is awaiting its answer and send the newest on the confirmed version', () => {
+    const tracker = createVersionTracker();
+    tracker.remember('goal-1', 1);
+
+    expect(tracker.prepare('update-goal', edit('a')).version).toBe(1);
+    expect(tracker.prepare('update-goal', edit('ab'))).toBeNull();
+    expect(tracker.prepare('update-goal', edit('abc'))).toBeNull();
+    expect(tracker.isPending('goal-1')).toBe(true);
+
+    tracker.remember('goal-1', 2);
+    expect(tracker.settle('goal-1')).toEqual({ event: 'update-goal', data: { ...edit('abc'), version: 2 } });
+    expect(tracker.isPending('goal-1')).toBe(true);
+  });
+
+  test('should drop a held edit when a conflict replaces the local copy', () => {
+    const tracker = createVersionTracker();
+    tracker.remember('goal-1', 4);
+    tracker.prepare('update-goal', edit('Mine'));
+    tracker.prepare('update-goal', edit('Mine again'));
+
+    expect(tracker.settle('goal-1', { dropQueued: true })).toBeNull();
+    expect(tracker.isPending('goal-1')).toBe(false);
+  });
+
+  test('should leave events it does not track unchanged', () => {
+    const tracker = createVersionTracker();
+    const role = { id: null, data: { role: 'viewer' } };
+    expect(tracker.prepare('update-role', role)).toBe(role);
+    expect(tracker.prepare('update-goal', edit('Unknown'))).toEqual(edit('Unknown'));
+    const based = { ...edit('Explicit'), version: 7 };
+    tracker.remember('goal-1', 2);
+    expect(tracker.prepare('update-goal', based)).toBe(based);
+  });
+});